@@ -0,0 +1,246 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { hashExclusions } = require('./exclusions');
+
+/**
+ * Two-person approval for destructive logout runs
+ * One operator proposes a logout (mode, selector, target project / tenant and a
+ * snapshot of the exclusion list); a second, distinct operator must approve it
+ * before it expires, once the dry-run estimate is ready. Any operator may reject it.
+ * The shared API key does not identify anyone, so it can propose but not approve.
+ * Requests are stored as JSON files in approvals/ so pending requests survive a restart.
+ */
+
+// APPROVALS_DIR env variable, or approvals/
+const DEFAULT_APPROVALS_DIR = process.env.APPROVALS_DIR
+    ? path.resolve(process.env.APPROVALS_DIR)
+    : path.join(__dirname, 'approvals');
+
+// Pending requests expire if nobody approves them within this window
+const DEFAULT_APPROVAL_WINDOW_MS = 30 * 60 * 1000;
+
+function approvalError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+function generateRequestId() {
+    return `req-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function requestPath(id, dir) {
+    if (!/^[A-Za-z0-9_-]+$/.test(id || '')) {
+        throw approvalError('approval/not-found', `No logout request with id ${id}`);
+    }
+    return path.join(dir, `${id}.json`);
+}
+
+function save(request, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const target = requestPath(request.id, dir);
+    // Write then rename so a crash never leaves a half-written request
+    fs.writeFileSync(`${target}.tmp`, JSON.stringify(request, null, 2));
+    fs.renameSync(`${target}.tmp`, target);
+}
+
+/**
+ * Mark a pending request as expired once its window has passed
+ */
+function applyExpiry(request, dir) {
+    if (request.status === 'pending' && Date.parse(request.expiresAt) <= Date.now()) {
+        request.status = 'expired';
+        save(request, dir);
+    }
+    return request;
+}
+
+/**
+ * Whether two callers are the same operator: the same caller id, or the same email
+ * (a Firebase user and any other caller type carrying that user's email)
+ * @param {Object} a - Caller ({ id, type, email })
+ * @param {Object} b - Caller ({ id, type, email })
+ * @returns {boolean}
+ */
+function isSameOperator(a, b) {
+    if (a.id === b.id) return true;
+    return Boolean(a.email && b.email) && a.email.toLowerCase() === b.email.toLowerCase();
+}
+
+/**
+ * Check that a caller identifies an operator who may approve what another proposed
+ * @param {Object} approver - Caller ({ id, type, email })
+ * @param {Object} proposer - Caller ({ id, type, email })
+ * @param {Function} makeError - (code, message) => Error, with code 'anonymous-approver' or 'same-operator'
+ * @throws {Error} From makeError
+ */
+function checkDistinctApprover(approver, proposer, makeError) {
+    if (approver.type === 'api-key') {
+        throw makeError('anonymous-approver', 'Approvals need a Firebase ID token; the shared API key does not identify an operator');
+    }
+    if (isSameOperator(approver, proposer)) {
+        throw makeError('same-operator', 'Approval must come from a different operator than the one who proposed it');
+    }
+}
+
+/**
+ * Create a pending logout request
+ * @param {Object} params
+ * @param {Object} params.proposer - Caller that proposes the run ({ id, email, ip })
+ * @param {boolean} params.immediate - Immediate logout mode
+ * @param {Object} [params.selector] - Selector spec narrowing the targets
+ * @param {Object} [params.target] - Project / tenant to run against ({ project, tenant, allTenants }, see projects.js)
+ * @param {string[]} params.excludedUserIds - Exclusion list snapshot the run will use
+ * @param {number} [params.windowMs] - Approval window
+ * @param {string} [dir]
+ * @returns {Object} The stored request
+ */
+function createRequest({ proposer, immediate, selector, target = {}, excludedUserIds, windowMs = DEFAULT_APPROVAL_WINDOW_MS }, dir = DEFAULT_APPROVALS_DIR) {
+    const now = Date.now();
+    const request = {
+        id: generateRequestId(),
+        status: 'pending',
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + windowMs).toISOString(),
+        proposer,
+        immediate: immediate === true,
+        selector: selector || null,
+        target: { project: target.project, tenant: target.tenant, allTenants: target.allTenants === true },
+        exclusions: {
+            count: excludedUserIds.length,
+            hash: hashExclusions(excludedUserIds),
+            uids: excludedUserIds
+        },
+        estimate: { status: 'pending' },
+        decidedBy: null,
+        decidedAt: null,
+        reason: null,
+        jobId: null
+    };
+    save(request, dir);
+    return request;
+}
+
+/**
+ * Load a request by id
+ * @throws {Error} code 'approval/not-found'
+ */
+function getRequest(id, dir = DEFAULT_APPROVALS_DIR) {
+    const file = requestPath(id, dir);
+    if (!fs.existsSync(file)) {
+        throw approvalError('approval/not-found', `No logout request with id ${id}`);
+    }
+    return applyExpiry(JSON.parse(fs.readFileSync(file, 'utf8')), dir);
+}
+
+/**
+ * List all requests, newest first
+ */
+function listRequests(dir = DEFAULT_APPROVALS_DIR) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => getRequest(file.slice(0, -'.json'.length), dir))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Record the dry-run estimate of how many users the request would log out
+ */
+function setEstimate(id, estimate, dir = DEFAULT_APPROVALS_DIR) {
+    const request = getRequest(id, dir);
+    request.estimate = estimate;
+    save(request, dir);
+    return request;
+}
+
+/**
+ * Check that a caller may approve a request right now (without changing it)
+ * @throws {Error} code 'approval/not-pending', 'approval/expired', 'approval/anonymous-approver',
+ *                 'approval/same-operator' or 'approval/estimate-not-ready'
+ */
+function checkApprovable(id, approver, dir = DEFAULT_APPROVALS_DIR) {
+    const request = getRequest(id, dir);
+    if (request.status === 'expired') {
+        throw approvalError('approval/expired', `Logout request ${id} expired at ${request.expiresAt}`);
+    }
+    if (request.status !== 'pending') {
+        throw approvalError('approval/not-pending', `Logout request ${id} is already ${request.status}`);
+    }
+    checkDistinctApprover(approver, request.proposer, (code, message) => approvalError(`approval/${code}`, message));
+    // The approver must be able to review who would be logged out
+    if (request.estimate.status !== 'ready') {
+        throw approvalError('approval/estimate-not-ready', request.estimate.status === 'pending'
+            ? `Logout request ${id} is still being estimated; approve it once its estimate is ready`
+            : `The estimate of logout request ${id} is ${request.estimate.status}; propose the logout again`);
+    }
+    return request;
+}
+
+/**
+ * Mark a request as approved, before the job that runs it is started
+ * @throws {Error} As checkApprovable
+ */
+function markApproved(id, approver, dir = DEFAULT_APPROVALS_DIR) {
+    const request = checkApprovable(id, approver, dir);
+    request.status = 'approved';
+    request.decidedBy = approver;
+    request.decidedAt = new Date().toISOString();
+    save(request, dir);
+    return request;
+}
+
+/**
+ * Record the job running an approved request (its approval is not checked again)
+ */
+function recordJob(id, jobId, dir = DEFAULT_APPROVALS_DIR) {
+    const request = JSON.parse(fs.readFileSync(requestPath(id, dir), 'utf8'));
+    request.jobId = jobId;
+    save(request, dir);
+    return request;
+}
+
+/**
+ * Put an approved request back to pending when its job could not be started
+ * (it expires as usual if its window has passed meanwhile)
+ */
+function reopenRequest(id, dir = DEFAULT_APPROVALS_DIR) {
+    const request = JSON.parse(fs.readFileSync(requestPath(id, dir), 'utf8'));
+    request.status = 'pending';
+    request.decidedBy = null;
+    request.decidedAt = null;
+    save(request, dir);
+    return applyExpiry(request, dir);
+}
+
+/**
+ * Reject a pending request
+ * @throws {Error} code 'approval/not-pending' or 'approval/expired'
+ */
+function rejectRequest(id, caller, reason = null, dir = DEFAULT_APPROVALS_DIR) {
+    const request = getRequest(id, dir);
+    if (request.status !== 'pending') {
+        throw approvalError(request.status === 'expired' ? 'approval/expired' : 'approval/not-pending',
+            `Logout request ${id} is already ${request.status}`);
+    }
+    request.status = 'rejected';
+    request.decidedBy = caller;
+    request.decidedAt = new Date().toISOString();
+    request.reason = reason;
+    save(request, dir);
+    return request;
+}
+
+module.exports = {
+    DEFAULT_APPROVAL_WINDOW_MS,
+    isSameOperator,
+    checkDistinctApprover,
+    createRequest,
+    getRequest,
+    listRequests,
+    setEstimate,
+    checkApprovable,
+    markApproved,
+    recordJob,
+    reopenRequest,
+    rejectRequest
+};
@@ -0,0 +1,112 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const readline = require('readline');
+
+/**
+ * Append-only audit log (JSON Lines)
+ * Every run records who triggered it, its mode and a hash of the exclusion list,
+ * followed by one event per user action (disable / revoke / enable) and a final
+ * outcome. Lines are only ever appended, never rewritten.
+ *
+ * Entry shape: { ts, event, runId, ...details }
+ * Events: run.start, run.complete, run.cancelled, run.failed, run.signal (global revocation marker written),
+ *         user.disable, user.revoke, user.enable, user.failed
+ *         schedule.create, schedule.update, schedule.approve, schedule.delete, schedule.run
+ *         (changes to scheduled policies, see schedules.js; their runs log run.* with a 'schedule' actor)
+ */
+
+const DEFAULT_AUDIT_LOG = path.join(__dirname, 'audit', 'audit.jsonl');
+
+// GET /audit returns at most this many entries unless a smaller limit is asked for
+const MAX_AUDIT_RESULTS = 1000;
+
+/**
+ * Audit log location (AUDIT_LOG env variable, or audit/audit.jsonl)
+ */
+function getAuditLogPath() {
+    return process.env.AUDIT_LOG ? path.resolve(process.env.AUDIT_LOG) : DEFAULT_AUDIT_LOG;
+}
+
+/**
+ * Describe the local user running a CLI script
+ * @returns {{type: string, id: string, host: string}}
+ */
+function getCliActor() {
+    let username;
+    try {
+        username = os.userInfo().username;
+    } catch (error) {
+        username = process.env.USER || process.env.USERNAME || 'unknown';
+    }
+    return { type: 'cli', id: username, host: os.hostname() };
+}
+
+/**
+ * Append one event to the audit log
+ * @param {string} event - e.g. 'run.start', 'user.revoke'
+ * @param {Object} [details] - Event fields (runId, uid, actor, ...)
+ * @param {string} [file] - Audit log path (defaults to getAuditLogPath())
+ */
+function recordAudit(event, details = {}, file = getAuditLogPath()) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify({ ts: new Date().toISOString(), event, ...details }) + '\n');
+}
+
+/**
+ * Read audit entries matching the given filters, oldest first
+ * When more entries match than the limit, the most recent ones are returned
+ * @param {Object} [filters]
+ * @param {string} [filters.uid] - Only events for this user
+ * @param {string} [filters.runId] - Only events of this run
+ * @param {string} [filters.event] - Only this event type
+ * @param {Date} [filters.since] - Inclusive lower bound on the timestamp
+ * @param {Date} [filters.until] - Inclusive upper bound on the timestamp
+ * @param {number} [filters.limit=1000]
+ * @param {string} [file]
+ * @returns {Promise<{entries: Object[], matched: number, truncated: boolean}>}
+ */
+async function readAudit(filters = {}, file = getAuditLogPath()) {
+    const limit = Math.min(filters.limit || MAX_AUDIT_RESULTS, MAX_AUDIT_RESULTS);
+    const since = filters.since ? filters.since.getTime() : -Infinity;
+    const until = filters.until ? filters.until.getTime() : Infinity;
+    const entries = [];
+    let matched = 0;
+
+    if (!fs.existsSync(file)) {
+        return { entries, matched, truncated: false };
+    }
+
+    // Stream the file so a long history is never loaded into memory at once
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            continue; // A torn last line from a crash
+        }
+
+        const ts = Date.parse(entry.ts);
+        if (ts < since || ts > until) continue;
+        if (filters.uid && entry.uid !== filters.uid) continue;
+        if (filters.runId && entry.runId !== filters.runId) continue;
+        if (filters.event && entry.event !== filters.event) continue;
+
+        matched++;
+        entries.push(entry);
+        if (entries.length > limit) entries.shift();
+    }
+
+    return { entries, matched, truncated: matched > entries.length };
+}
+
+module.exports = {
+    MAX_AUDIT_RESULTS,
+    getAuditLogPath,
+    getCliActor,
+    recordAudit,
+    readAudit
+};
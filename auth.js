@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { createLogger } = require('./logger');
+const { isTokenError } = require('./revocationMiddleware');
+
+const log = createLogger({ component: 'auth' });
+
+/**
+ * Operator authentication for the logout server
+ * Callers authenticate with either:
+ *   - a Firebase ID token in "Authorization: Bearer <token>" whose custom claims
+ *     contain the operator claim (e.g. { logoutOperator: true }), or
+ *   - the shared API key in the "x-api-key" header (compared in constant time)
+ * API keys in the query string are rejected, since URLs end up in proxy and access logs.
+ * Repeated failures from one IP are blocked for a while, and every failure is logged.
+ * When an ID token cannot be checked (Firebase or the revocation marker unreachable), the
+ * caller gets a 503 and the attempt does not count as a failure.
+ */
+
+const DEFAULT_OPERATOR_CLAIM = 'logoutOperator';
+
+/**
+ * Compare two secrets in constant time (independent of where they differ or their length)
+ */
+function safeEqual(provided, expected) {
+    const a = crypto.createHash('sha256').update(String(provided)).digest();
+    const b = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Track failed authentication attempts per IP in a fixed window
+ * @param {Object} [params]
+ * @param {number} [params.maxFailures=10] - Failures allowed per window before the IP is blocked
+ * @param {number} [params.windowMs=900000] - Window length (15 minutes)
+ */
+function createFailureTracker({ maxFailures = 10, windowMs = 15 * 60 * 1000 } = {}) {
+    const failures = new Map();
+
+    const current = (ip) => {
+        const entry = failures.get(ip);
+        if (entry && entry.resetAt <= Date.now()) {
+            failures.delete(ip);
+            return undefined;
+        }
+        return entry;
+    };
+
+    return {
+        isBlocked(ip) {
+            const entry = current(ip);
+            return Boolean(entry && entry.count >= maxFailures);
+        },
+        retryAfterSeconds(ip) {
+            const entry = current(ip);
+            return entry ? Math.ceil((entry.resetAt - Date.now()) / 1000) : 0;
+        },
+        record(ip) {
+            const entry = current(ip) || { count: 0, resetAt: Date.now() + windowMs };
+            entry.count++;
+            failures.set(ip, entry);
+            return entry.count;
+        }
+    };
+}
+
+/**
+ * Create an Express middleware that only lets operators through
+ * On success req.caller is set to { type, id, uid, email, ip }
+ * @param {Object} params
+ * @param {string} [params.apiSecret] - Shared API key; API key auth is disabled when empty
+ * @param {string} [params.operatorClaim] - Custom claim that must be true on the caller's ID token
+ * @param {number} [params.maxFailures] - See createFailureTracker
+ * @param {number} [params.windowMs] - See createFailureTracker
+ * @param {Function} [params.verifyIdToken] - async (idToken) => decoded token, throwing when invalid or revoked;
+ *                                           defaults to admin.auth().verifyIdToken(idToken, true) (see revocationMiddleware.js for a cached check)
+ * @returns {Function} Express middleware
+ */
+function createOperatorAuth({
+    apiSecret,
+    operatorClaim = DEFAULT_OPERATOR_CLAIM,
+    maxFailures,
+    windowMs,
+    verifyIdToken = idToken => admin.auth().verifyIdToken(idToken, true)
+} = {}) {
+    const tracker = createFailureTracker({ maxFailures, windowMs });
+
+    const reject = (req, res, status, message, details = '') => {
+        const count = tracker.record(req.ip);
+        log.warn(`🛑 Unauthorized {method} {path} from {ip} (user-agent: {userAgent}, attempt {attempt})${details ? ': {details}' : ''}`, {
+            method: req.method,
+            path: req.path,
+            ip: req.ip,
+            userAgent: req.get('user-agent') || 'unknown',
+            attempt: count,
+            details
+        });
+        res.status(status).json({ error: status === 401 ? 'Unauthorized' : 'Forbidden', message });
+    };
+
+    return async function requireOperator(req, res, next) {
+        if (tracker.isBlocked(req.ip)) {
+            log.warn('🛑 Blocked {method} {path} from {ip} (too many failed attempts)', { method: req.method, path: req.path, ip: req.ip });
+            res.set('Retry-After', String(tracker.retryAfterSeconds(req.ip)));
+            return res.status(429).json({ error: 'Too Many Requests', message: 'Too many failed authentication attempts' });
+        }
+
+        // 1. Firebase ID token
+        const authorization = req.get('authorization') || '';
+        if (authorization.startsWith('Bearer ')) {
+            let decoded;
+            try {
+                decoded = await verifyIdToken(authorization.slice('Bearer '.length).trim());
+            } catch (error) {
+                if (isTokenError(error)) {
+                    return reject(req, res, 401, 'Invalid or revoked ID token', error.code);
+                }
+                log.error('❌ ID token check failed for {method} {path} from {ip}: {error}', { method: req.method, path: req.path, ip: req.ip, error: error.message });
+                return res.status(503).json({ error: 'Service Unavailable', message: 'Could not check the ID token' });
+            }
+
+            if (decoded[operatorClaim] !== true) {
+                return reject(req, res, 403, `Caller lacks the "${operatorClaim}" claim`, `uid ${decoded.uid}`);
+            }
+
+            req.caller = { type: 'firebase', id: decoded.uid, uid: decoded.uid, email: decoded.email || null, ip: req.ip };
+            return next();
+        }
+
+        // 2. Shared API key (header only)
+        const providedKey = req.get('x-api-key');
+        if (providedKey !== undefined) {
+            if (!apiSecret || !safeEqual(providedKey, apiSecret)) {
+                return reject(req, res, 401, 'Invalid API key', 'bad x-api-key');
+            }
+            req.caller = { type: 'api-key', id: 'api-key', uid: null, email: null, ip: req.ip };
+            return next();
+        }
+
+        if (req.query.key !== undefined) {
+            return reject(req, res, 401, 'API keys are only accepted in the x-api-key header', 'key in query string');
+        }
+
+        return reject(req, res, 401, 'Missing credentials: send "Authorization: Bearer <Firebase ID token>" or an x-api-key header');
+    };
+}
+
+module.exports = {
+    DEFAULT_OPERATOR_CLAIM,
+    createOperatorAuth,
+    safeEqual
+};
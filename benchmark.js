@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+
+/**
+ * Memory benchmark for the logout engine
+ * Runs forceLogoutAllUsers against a synthetic in-process Auth backend and samples
+ * process.memoryUsage() while it works, to check that memory stays flat however
+ * many users the project has.
+ *
+ *   node benchmark.js                      1,000,000 users, revoke mode
+ *   node benchmark.js --users 200000 --immediate --concurrency 50
+ *   node benchmark.js --dry-run            1,000,000 users, manifest only
+ *
+ * Options:
+ *   --users <n>            Synthetic users (default 1000000)
+ *   --immediate            Immediate logout mode (disable / revoke / re-enable)
+ *   --dry-run              Only plan the run and write its manifest (no writes to the backend)
+ *   --concurrency <n>      Users in flight (default 100)
+ *   --high-water-mark <n>  Queued users above which no page is fetched (engine default if omitted)
+ *   --fail-every <n>       Make every n-th user fail, to exercise the error spill (default 0: none)
+ *   --no-verify            Skip post-run verification
+ *
+ * The backend never holds user records: pages are generated from the page token and
+ * per-user state lives in typed arrays, so the numbers reported are the engine's own.
+ * Journals, the audit log and manifests go to a temporary directory that is removed afterwards.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logout-benchmark-'));
+process.env.JOURNAL_DIR = path.join(dataDir, 'runs');
+process.env.AUDIT_LOG = path.join(dataDir, 'audit.jsonl');
+process.env.MANIFEST_DIR = path.join(dataDir, 'manifests');
+process.env.WEBHOOK_LOG = path.join(dataDir, 'deliveries.jsonl');
+
+const admin = require('firebase-admin');
+const { forceLogoutAllUsers } = require('./forceLogoutUsers');
+const { configureLogger } = require('./logger');
+
+const DEFAULT_USERS = 1000000;
+const SAMPLE_INTERVAL_MS = 250;
+// Also sample every this fraction of the users, in case the timer is starved
+const SAMPLE_STEPS = 100;
+const MB = 1024 * 1024;
+
+function authError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Synthetic Auth backend with `count` users named user-0 .. user-(count-1)
+ * @param {number} count
+ * @param {number} failEvery - Every n-th user fails to revoke (0 for none)
+ */
+function createSyntheticAuth(count, failEvery = 0) {
+    const createdAt = Date.UTC(2024, 0, 1);
+    // 0 = never revoked; epoch ms otherwise
+    const revokedAt = new Float64Array(count);
+    const disabled = new Uint8Array(count);
+    const calls = { listUsers: 0, revokeRefreshTokens: 0, updateUser: 0, getUsers: 0 };
+
+    const indexOf = (uid) => {
+        const index = Number(String(uid).slice('user-'.length));
+        if (!Number.isInteger(index) || index < 0 || index >= count) {
+            throw authError('auth/user-not-found', `There is no user record corresponding to the provided identifier: ${uid}`);
+        }
+        return index;
+    };
+
+    const record = (index) => ({
+        uid: `user-${index}`,
+        email: `user${index}@example.com`,
+        disabled: disabled[index] === 1,
+        providerData: [{ providerId: 'password' }],
+        metadata: { creationTime: new Date(createdAt).toUTCString(), lastSignInTime: null },
+        tokensValidAfterTime: new Date(revokedAt[index] || createdAt).toUTCString()
+    });
+
+    return {
+        calls,
+
+        async listUsers(maxResults = 1000, pageToken) {
+            calls.listUsers++;
+            // Yield to the event loop like a network round trip would
+            await new Promise(resolve => setImmediate(resolve));
+            const start = pageToken ? Number(pageToken) : 0;
+            const end = Math.min(start + maxResults, count);
+            const users = [];
+            for (let i = start; i < end; i++) users.push(record(i));
+            return { users, pageToken: end < count ? String(end) : undefined };
+        },
+
+        async getUsers(identifiers) {
+            calls.getUsers++;
+            const users = [];
+            const notFound = [];
+            for (const identifier of identifiers) {
+                try {
+                    users.push(record(indexOf(identifier.uid)));
+                } catch {
+                    notFound.push(identifier);
+                }
+            }
+            return { users, notFound };
+        },
+
+        async getUser(uid) {
+            return record(indexOf(uid));
+        },
+
+        async updateUser(uid, properties) {
+            calls.updateUser++;
+            const index = indexOf(uid);
+            if (properties.disabled !== undefined) disabled[index] = properties.disabled ? 1 : 0;
+            return record(index);
+        },
+
+        async revokeRefreshTokens(uid) {
+            calls.revokeRefreshTokens++;
+            const index = indexOf(uid);
+            if (failEvery && index % failEvery === failEvery - 1) {
+                throw authError('auth/internal-error', 'Synthetic failure');
+            }
+            revokedAt[index] = Date.now();
+        },
+
+        tenantManager() {
+            return {
+                async listTenants() {
+                    return { tenants: [], pageToken: undefined };
+                },
+                authForTenant() {
+                    throw authError('auth/tenant-not-found', 'The synthetic backend has no tenants');
+                }
+            };
+        }
+    };
+}
+
+function parseArgs(argv) {
+    const options = { users: DEFAULT_USERS, immediate: false, dryRun: false, concurrency: 100, highWaterMark: undefined, failEvery: 0, verify: true };
+    const number = (flag, value) => {
+        const parsed = Number(value);
+        if (!Number.isInteger(parsed) || parsed < 0) {
+            throw new Error(`${flag} expects a non-negative integer`);
+        }
+        return parsed;
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--users') options.users = number(arg, argv[++i]);
+        else if (arg === '--immediate') options.immediate = true;
+        else if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--concurrency') options.concurrency = number(arg, argv[++i]);
+        else if (arg === '--high-water-mark') options.highWaterMark = number(arg, argv[++i]);
+        else if (arg === '--fail-every') options.failEvery = number(arg, argv[++i]);
+        else if (arg === '--no-verify') options.verify = false;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+    return options;
+}
+
+const toMb = bytes => `${(bytes / MB).toFixed(1)} MB`;
+
+/**
+ * Run the benchmark
+ * @param {Object} options - See parseArgs
+ * @returns {Promise<{result: Object, calls: Object, elapsedMs: number, samples: Object[], peakHeapUsed: number, peakRss: number}>}
+ */
+async function runBenchmark(options) {
+    const backend = createSyntheticAuth(options.users, options.failEvery);
+    const previousAuth = admin.auth;
+    if (!admin.apps.length) {
+        admin.initializeApp({ projectId: 'benchmark' });
+    }
+    Object.defineProperty(admin, 'auth', { value: () => backend, configurable: true, writable: true });
+
+    const samples = [];
+    let processed = 0;
+    let nextSampleAt = 0;
+    const sampleStep = Math.max(1, Math.floor(options.users / SAMPLE_STEPS));
+    const sample = () => {
+        const { heapUsed, rss } = process.memoryUsage();
+        samples.push({ atMs: Date.now() - startedAt, processed, heapUsed, rss });
+    };
+
+    const rateLimits = { updateUser: 1e9, revokeRefreshTokens: 1e9, listUsers: 1e9, getUser: 1e9, getUsers: 1e9 };
+    const startedAt = Date.now();
+    sample();
+    const timer = setInterval(sample, SAMPLE_INTERVAL_MS);
+    try {
+        const result = await forceLogoutAllUsers([], options.immediate, {
+            dryRun: options.dryRun,
+            rateLimits,
+            concurrency: options.concurrency,
+            highWaterMark: options.highWaterMark,
+            verify: options.verify,
+            actor: { type: 'benchmark', id: os.userInfo().username },
+            onProgress: progress => {
+                processed = progress.processed;
+                if (processed >= nextSampleAt) {
+                    nextSampleAt = processed + sampleStep;
+                    sample();
+                }
+            }
+        });
+        sample();
+        return {
+            result,
+            calls: backend.calls,
+            elapsedMs: Date.now() - startedAt,
+            samples,
+            peakHeapUsed: Math.max(...samples.map(entry => entry.heapUsed)),
+            peakRss: Math.max(...samples.map(entry => entry.rss))
+        };
+    } finally {
+        clearInterval(timer);
+        Object.defineProperty(admin, 'auth', { value: previousAuth, configurable: true, writable: true });
+    }
+}
+
+/**
+ * Print the heap at every tenth of the run, so growth over time is easy to spot
+ */
+function printReport(options, { result, calls, elapsedMs, samples, peakHeapUsed, peakRss }) {
+    const seconds = elapsedMs / 1000;
+    console.log('\n=== Benchmark ===');
+    console.log(`Users: ${options.users} (${options.immediate ? 'immediate' : 'revoke'} mode${options.dryRun ? ', dry run' : `, concurrency ${options.concurrency}`})`);
+    if (result.dryRun) {
+        console.log(`Would be logged out: ${result.targeted}, skipped: ${result.skipped} (manifest: ${toMb(fs.statSync(result.manifest.jsonPath).size)} JSON, ${toMb(fs.statSync(result.manifest.csvPath).size)} CSV)`);
+    } else {
+        console.log(`Logged out: ${result.success}, failed: ${result.failed} (${result.errors.length} kept in memory${result.errorsFile ? `, rest in ${path.basename(result.errorsFile)}` : ''})`);
+    }
+    if (result.verification) {
+        console.log(`Verified: ${result.verification.verified}/${result.verification.checked}`);
+    }
+    console.log(`Admin API calls: ${Object.entries(calls).map(([method, count]) => `${method}=${count}`).join(', ')}`);
+    console.log(`Elapsed: ${seconds.toFixed(1)}s (${Math.round((result.dryRun ? result.total : result.success) / seconds)} users/sec)`);
+    console.log(`Peak heap used: ${toMb(peakHeapUsed)}, peak RSS: ${toMb(peakRss)}`);
+
+    console.log('\nProcessed      Heap used   RSS');
+    for (let decile = 0; decile <= 10; decile++) {
+        const entry = samples[Math.round((samples.length - 1) * decile / 10)];
+        console.log(`${String(entry.processed).padStart(9)}  ${toMb(entry.heapUsed).padStart(12)}  ${toMb(entry.rss).padStart(9)}`);
+    }
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    configureLogger({ level: 'warn' });
+    console.log(`🏁 Logging out ${options.users} synthetic users...`);
+    runBenchmark(options)
+        .then(report => {
+            printReport(options, report);
+        })
+        .catch(error => {
+            console.error('❌ Benchmark failed:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        });
+}
+
@@ -0,0 +1,758 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const path = require('path');
+const fs = require('fs');
+const readline = require('readline');
+const { forceLogoutAllUsers, forceLogoutAllTenants, initializeFirebase, verifyRun } = require('./forceLogoutUsers');
+const { immediateLogout } = require('./immediateLogout');
+const { testSingleUserLogout } = require('./testSingleUser');
+const { recoverRun, recoverAllRuns } = require('./recovery');
+const { createSelector } = require('./selectors');
+const { loadExclusions } = require('./exclusions');
+const { loadConfig } = require('./settings');
+const { getAuditLogPath } = require('./audit');
+const { isEmulatorMode, enableEmulator, getEmulatorProjectId, seedUsers } = require('./emulator');
+const { getAuth, getProjectConfig, describeTarget } = require('./projects');
+const { createProgressBar } = require('./progress');
+const { configureLogger, redactPii } = require('./logger');
+const { flushWebhooks } = require('./webhooks');
+const { resolveSignalBackend } = require('./revocationSignal');
+const { listRuns } = require('./runHistory');
+const { readJournal } = require('./journal');
+const { createRunReport, renderRunReport, describeDuration, COMPARISON_LISTS } = require('./runReport');
+const { EventEmitter } = require('events');
+
+/**
+ * Command line interface for every logout tool
+ * Usage: node cli.js <command> [options]
+ * Run `node cli.js --help` for the list of commands, or `node cli.js <command> --help`.
+ * Destructive commands ask for a typed confirmation; pass --yes to skip it in automation.
+ */
+
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,       // Unexpected failure (Firebase error, unreadable config, ...)
+    USAGE: 2,       // Invalid command, option or argument
+    ABORTED: 3,     // Confirmation declined or not possible
+    INCOMPLETE: 4   // Finished, but some users failed, were not verified or were left disabled
+};
+
+const CLI = 'node cli.js';
+
+// `report` without a run id lists this many runs unless --limit says otherwise
+const DEFAULT_LISTED_RUNS = 20;
+
+// Failed users, and users of each comparison list, printed by the text report
+const MAX_PRINTED_USERS = 20;
+
+function usageError(message, command) {
+    return Object.assign(new Error(message), { code: 'cli/usage', command });
+}
+
+/**
+ * Ask the operator to type a phrase before a destructive action
+ * @returns {Promise<boolean>} true when confirmed (always true with --yes)
+ * @throws {Error} code 'cli/not-confirmed' when stdin is not a terminal and --yes was not given
+ */
+async function confirm(phrase, values) {
+    if (values.yes) return true;
+    if (!process.stdin.isTTY) {
+        throw Object.assign(
+            new Error('Refusing to continue without confirmation: stdin is not a terminal. Pass --yes to confirm non-interactively.'),
+            { code: 'cli/not-confirmed' }
+        );
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await new Promise(resolve => rl.question(`Type "${phrase}" to continue: `, resolve));
+    rl.close();
+    return answer.trim() === phrase;
+}
+
+function parsePositiveInt(value, flag) {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw usageError(`${flag} must be a positive integer (got "${value}")`);
+    }
+    return number;
+}
+
+/**
+ * Build the selector spec from --selector (inline JSON or a JSON file) and --uids-file
+ * @returns {Object|undefined}
+ */
+function loadSelector(values) {
+    let selector;
+    if (values.selector) {
+        try {
+            const json = values.selector.trim().startsWith('{') ? values.selector : fs.readFileSync(values.selector, 'utf8');
+            selector = JSON.parse(json);
+        } catch (error) {
+            throw usageError(`--selector must be inline JSON or a JSON file: ${error.message}`);
+        }
+    }
+    if (values['uids-file']) {
+        selector = selector || {};
+        selector.include = [...(selector.include || []), { name: `uids from ${values['uids-file']}`, uidFile: values['uids-file'] }];
+    }
+
+    if (selector) {
+        try {
+            createSelector(selector);
+        } catch (error) {
+            throw usageError(`Invalid selector: ${error.message}`);
+        }
+    }
+    return selector;
+}
+
+/**
+ * Project / tenant from --project and --tenant
+ * @returns {{project: (string|undefined), tenant: (string|undefined)}}
+ */
+function getTarget(values) {
+    if (values.project !== undefined) {
+        try {
+            getProjectConfig(values.project);
+        } catch (error) {
+            if (error.code === 'project/not-found') throw usageError(error.message);
+            throw error;
+        }
+    }
+    return { project: values.project, tenant: values.tenant };
+}
+
+/**
+ * Revocation signal backend from --signal / --no-signal (undefined: as configured, see revocationSignal.js)
+ * @returns {string|false|undefined}
+ */
+function getRevocationSignal(values) {
+    if (values['no-signal']) {
+        if (values.signal !== undefined) throw usageError('Pass either --signal or --no-signal, not both');
+        return false;
+    }
+    if (values.signal === undefined) return undefined;
+    try {
+        return resolveSignalBackend(values.signal);
+    } catch (error) {
+        if (error.code === 'signal/invalid-config') throw usageError(`--signal: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Run a logout with a progress bar on stderr (unless --no-progress or stderr is not a terminal)
+ */
+async function withProgress(values, run) {
+    if (values['no-progress'] || !process.stderr.isTTY) return run(undefined);
+
+    const events = new EventEmitter();
+    const bar = createProgressBar(events);
+    try {
+        return await run(events);
+    } finally {
+        bar.stop();
+    }
+}
+
+/**
+ * Whether a run finished with failures, unverified users, users left disabled or a cancellation
+ */
+function isIncomplete(result) {
+    const unverified = result.verification && (result.verification.mismatched.length > 0 || result.verification.error);
+    return result.failed > 0 || result.unrestored.length > 0 || result.cancelled || Boolean(unverified);
+}
+
+// ==========================================
+// COMMANDS
+// ==========================================
+
+async function logoutAll(values) {
+    const concurrency = parsePositiveInt(values.concurrency, '--concurrency');
+    const selector = loadSelector(values);
+    const dryRun = values['dry-run'] === true;
+    const immediateMode = values.immediate === true;
+    const resumeRunId = values.resume;
+    const allTenants = values['all-tenants'] === true;
+    const revocationSignal = getRevocationSignal(values);
+
+    if (resumeRunId && (dryRun || selector || immediateMode || allTenants || values.project !== undefined || values.tenant !== undefined)) {
+        throw usageError('--resume cannot be combined with --dry-run, --immediate, --selector, --uids-file, --project, --tenant or --all-tenants (they are taken from the original run)');
+    }
+    if (allTenants && values.tenant !== undefined) {
+        throw usageError('Pass either --tenant or --all-tenants, not both');
+    }
+    const target = getTarget(values);
+    // A resumed run continues in its own project, so it needs that project's exclusion list
+    // (on top of the users the run was started with excluded, which the engine reads from its journal)
+    const checkpoint = resumeRunId ? await readJournal(resumeRunId) : null;
+
+    // Load excluded user IDs from every configured source of the project
+    const exclusions = await loadExclusions({ validate: true, project: checkpoint ? checkpoint.params.project : target.project });
+    const excludedUserIds = exclusions.uids;
+    const rateLimits = loadConfig().rateLimits;
+    console.log(`Loaded ${excludedUserIds.length} excluded IDs (${exclusions.sources.map(s => `${s.source}: ${s.count}`).join(', ')})`);
+
+    if (dryRun) {
+        console.log('\n🔍 DRY RUN: No users will be logged out. A manifest will be written for review.\n');
+        const run = allTenants ? forceLogoutAllTenants : forceLogoutAllUsers;
+        await withProgress(values, events => run(excludedUserIds, immediateMode, { dryRun: true, selector, rateLimits, events, ...target }));
+        return EXIT_CODES.OK;
+    }
+
+    if (selector) {
+        console.log('\n⚠️  WARNING: This will logout every user matched by the selector, except those in the exclusion list!');
+        console.log(`Selector: ${JSON.stringify(selector)}`);
+    } else if (!resumeRunId) {
+        console.log('\n⚠️  WARNING: This will logout ALL users except those in the exclusion list!');
+    }
+    if (checkpoint) {
+        console.log(`Target: ${describeTarget(checkpoint.params)}`);
+    } else {
+        console.log(`Target: ${allTenants ? `every tenant of the ${describeTarget(target)}` : describeTarget(target)}`);
+    }
+    console.log(`Excluded IDs: ${excludedUserIds.length} users`);
+    if (resumeRunId) {
+        console.log(`Resuming run: ${resumeRunId} (mode and selector are taken from the original run)`);
+    } else {
+        console.log(`Immediate logout: ${immediateMode ? 'YES (terminates active sessions)' : 'NO (revoke tokens only)'}`);
+    }
+    console.log('');
+
+    const phrase = resumeRunId || (target.project ? `logout all ${target.project}` : 'logout all');
+    if (!(await confirm(phrase, values))) {
+        console.log('Aborted. No users were logged out.');
+        return EXIT_CODES.ABORTED;
+    }
+
+    // First Ctrl+C stops fetching pages and drains the queue (the run stays resumable)
+    const controller = new AbortController();
+    const onInterrupt = () => {
+        if (controller.signal.aborted) {
+            console.error('\n🛑 Quitting immediately. Users may be left disabled; check with the recover command.');
+            process.exit(EXIT_CODES.INCOMPLETE);
+        }
+        console.log('\n🛑 Interrupted: finishing in-flight users (press Ctrl+C again to quit immediately)...');
+        controller.abort();
+    };
+    process.on('SIGINT', onInterrupt);
+
+    const runOptions = events => ({
+        resume: resumeRunId,
+        selector,
+        rateLimits,
+        concurrency,
+        verify: values['skip-verify'] !== true,
+        revocationSignal,
+        signal: controller.signal,
+        events,
+        ...target
+    });
+    let result;
+    try {
+        result = await withProgress(values, events => (allTenants
+            ? forceLogoutAllTenants(excludedUserIds, immediateMode, runOptions(events))
+            : forceLogoutAllUsers(excludedUserIds, immediateMode, runOptions(events))));
+    } finally {
+        process.off('SIGINT', onInterrupt);
+    }
+
+    if (allTenants) {
+        console.log('\n=== Final Results Summary (all tenants) ===');
+        for (const tenantResult of result.tenants) {
+            console.log(`${tenantResult.tenantId}: run ${tenantResult.runId}, success ${tenantResult.success}, failed ${tenantResult.failed}`);
+        }
+        console.log(`Success: ${result.success}`);
+        console.log(`Failed: ${result.failed}`);
+        return result.cancelled || result.tenants.some(isIncomplete) ? EXIT_CODES.INCOMPLETE : EXIT_CODES.OK;
+    }
+
+    console.log('\n=== Final Results Summary ===');
+    console.log(`Run ID: ${result.runId}`);
+    console.log(`Success: ${result.success}`);
+    console.log(`Failed: ${result.failed}`);
+    console.log(`Report: ${CLI} report ${result.runId} (--format csv|html|json, --compare <earlier runId>)`);
+
+    if (result.failed > 0) {
+        console.log(`See logs for details on failures.`);
+        // Write errors to a per-run file for better debugging (failures are also in the audit log)
+        // uids and emails in it are already redacted as configured for the logs (see logger.js)
+        const errorLogPath = path.join(__dirname, `logout_errors_${result.runId}.json`);
+        fs.writeFileSync(errorLogPath, JSON.stringify(result.errors, null, 2));
+        console.log(`Detailed errors saved to: ${errorLogPath}`);
+        if (result.errorsFile) {
+            console.log(`Errors beyond the first ${result.errors.length}: ${result.errorsFile}`);
+        }
+        console.log(`Audit log: ${getAuditLogPath()}`);
+    }
+
+    if (result.verification) {
+        console.log(`Verified: ${result.verification.verified}/${result.verification.checked}`);
+    }
+    if (result.signal) {
+        console.log(`Revocation markers (${result.signal.backend}): ${result.signal.scope === 'global' ? 'one for every user' : `${result.signal.written} written, ${result.signal.failed} failed`}`);
+    }
+
+    return isIncomplete(result) ? EXIT_CODES.INCOMPLETE : EXIT_CODES.OK;
+}
+
+async function logoutUser(values, [uid]) {
+    const target = getTarget(values);
+    const revocationSignal = getRevocationSignal(values);
+    const confirmUid = () => confirm(uid, values);
+    const result = values.immediate
+        ? await immediateLogout(uid, { confirm: confirmUid, revocationSignal, ...target })
+        : await testSingleUserLogout(uid, { confirm: confirmUid, revocationSignal, ...target });
+
+    if (result.aborted) return EXIT_CODES.ABORTED;
+    return result.verified === false ? EXIT_CODES.INCOMPLETE : EXIT_CODES.OK;
+}
+
+async function inspectUser(values, [uid]) {
+    const userRecord = await getAuth(getTarget(values)).getUser(uid);
+
+    if (values.json) {
+        console.log(JSON.stringify(userRecord.toJSON(), null, 2));
+        return EXIT_CODES.OK;
+    }
+
+    console.log(`UID: ${userRecord.uid}`);
+    console.log(`Email: ${userRecord.email || 'N/A'}`);
+    console.log(`Display Name: ${userRecord.displayName || 'N/A'}`);
+    console.log(`Disabled: ${userRecord.disabled}`);
+    console.log(`Providers: ${(userRecord.providerData || []).map(p => p.providerId).join(', ') || 'none'}`);
+    console.log(`Custom Claims: ${userRecord.customClaims ? JSON.stringify(userRecord.customClaims) : 'none'}`);
+    console.log(`Created: ${new Date(userRecord.metadata.creationTime).toLocaleString()}`);
+    console.log(`Last Sign In: ${userRecord.metadata.lastSignInTime ? new Date(userRecord.metadata.lastSignInTime).toLocaleString() : 'Never'}`);
+    console.log(`Tokens Valid After: ${userRecord.tokensValidAfterTime ? new Date(userRecord.tokensValidAfterTime).toLocaleString() : 'N/A'}`);
+    return EXIT_CODES.OK;
+}
+
+async function verify(values, [uid]) {
+    if (!uid && !values.run) {
+        throw usageError('Missing required argument <uid> (or pass --run <runId>)');
+    }
+    if (uid && values.run) {
+        throw usageError('Pass either <uid> or --run <runId>, not both');
+    }
+    if (values.run && values.since !== undefined) {
+        throw usageError('--since only applies to a single user; a run is checked against its own start time');
+    }
+    if (values.run && (values.project !== undefined || values.tenant !== undefined)) {
+        throw usageError('--project and --tenant only apply to a single user; a run is verified in its own project and tenant');
+    }
+    if (values.repair && !values.run) {
+        throw usageError('--repair only applies to a run (--run <runId>)');
+    }
+
+    if (values.run) {
+        initializeFirebase();
+        const summary = await verifyRun(values.run, { rateLimits: loadConfig().rateLimits, repair: values.repair === true });
+
+        console.log('\n=== Verification Summary ===');
+        console.log(`Checked: ${summary.checked}`);
+        console.log(`Verified: ${summary.verified}${summary.repaired ? ` (${summary.repaired} after a retry)` : ''}`);
+        console.log(`Deleted since the run: ${summary.notFound.length}`);
+        console.log(`Not verified: ${summary.mismatched.length}`);
+        for (const mismatch of summary.mismatched) {
+            const { uid: mismatchedUid, problems, error } = redactPii(mismatch);
+            console.log(`   ${mismatchedUid}: ${problems.join(', ')}${error ? ` (${error})` : ''}`);
+        }
+        if (summary.mismatched.length > 0 && values.repair !== true) {
+            console.log('Re-run with --repair to revoke again and re-enable the users this run left disabled (users disabled since the run stay disabled)');
+        }
+        return summary.mismatched.length > 0 ? EXIT_CODES.INCOMPLETE : EXIT_CODES.OK;
+    }
+
+    let since;
+    if (values.since !== undefined) {
+        since = new Date(values.since);
+        if (Number.isNaN(since.getTime())) {
+            throw usageError(`--since must be a date/time, e.g. 2024-01-01T12:00:00Z (got "${values.since}")`);
+        }
+    }
+
+    const userRecord = await getAuth(getTarget(values)).getUser(uid);
+    const validAfter = userRecord.tokensValidAfterTime ? new Date(userRecord.tokensValidAfterTime) : null;
+
+    console.log(`UID: ${userRecord.uid}`);
+    console.log(`Disabled: ${userRecord.disabled}`);
+    console.log(`Tokens Valid After: ${validAfter ? validAfter.toISOString() : 'N/A'}`);
+
+    if (!since) return EXIT_CODES.OK;
+
+    // tokensValidAfterTime has second precision
+    if (validAfter && validAfter.getTime() >= Math.floor(since.getTime() / 1000) * 1000) {
+        console.log(`✅ Tokens were revoked at or after ${since.toISOString()}`);
+        return EXIT_CODES.OK;
+    }
+    console.log(`❌ Tokens have NOT been revoked since ${since.toISOString()}`);
+    return EXIT_CODES.INCOMPLETE;
+}
+
+async function recover(values, [runId]) {
+    if (!runId && !values.all) {
+        throw usageError('Missing required argument <runId> (or pass --all)');
+    }
+    if (runId && values.all) {
+        throw usageError('Pass either <runId> or --all, not both');
+    }
+
+    initializeFirebase();
+    const summaries = values.all ? await recoverAllRuns() : [await recoverRun(runId)];
+
+    console.log('\n=== Recovery Summary ===');
+    let failed = 0;
+    for (const summary of summaries) {
+        if (summary.checked === 0) continue;
+        console.log(`${summary.runId}: checked ${summary.checked}, re-enabled ${summary.restored}, already enabled ${summary.notDisabled}, missing ${summary.notFound}, failed ${summary.failed.length}`);
+        failed += summary.failed.length;
+    }
+
+    if (failed > 0) {
+        console.error(`\n❌ ${failed} users are still disabled; re-run recovery once the cause is fixed`);
+        return EXIT_CODES.INCOMPLETE;
+    }
+    return EXIT_CODES.OK;
+}
+
+function printUsers(lines) {
+    lines.slice(0, MAX_PRINTED_USERS).forEach(line => console.log(`   ${line}`));
+    if (lines.length > MAX_PRINTED_USERS) {
+        console.log(`   ... and ${lines.length - MAX_PRINTED_USERS} more (see --format csv)`);
+    }
+}
+
+async function report(values, [runId]) {
+    if (!runId) {
+        if (values.format !== undefined || values.compare !== undefined || values.output !== undefined) {
+            throw usageError('--format, --compare and --output need a <runId>');
+        }
+        let runs;
+        try {
+            runs = listRuns({ status: values.status, limit: parsePositiveInt(values.limit, '--limit') || DEFAULT_LISTED_RUNS });
+        } catch (error) {
+            if (error.code === 'run/invalid-filter') throw usageError(`--status: ${error.message}`);
+            throw error;
+        }
+
+        if (runs.length === 0) {
+            console.log('No runs in the history yet.');
+            return EXIT_CODES.OK;
+        }
+        for (const run of runs) {
+            console.log(`${run.runId}  ${run.status.padEnd(9)}  ${run.startedAt}  ${describeTarget(run)}: success ${run.counts.success}, failed ${run.counts.failed}, skipped ${run.counts.skipped}`);
+        }
+        return EXIT_CODES.OK;
+    }
+    if (values.status !== undefined || values.limit !== undefined) {
+        throw usageError('--status and --limit only apply when listing runs (without <runId>)');
+    }
+
+    if (values.format !== undefined) {
+        let rendered;
+        try {
+            rendered = await renderRunReport(runId, values.format, { compare: values.compare });
+        } catch (error) {
+            if (error.code === 'report/invalid-format') throw usageError(`--format: ${error.message}`);
+            throw error;
+        }
+        if (values.output) {
+            fs.writeFileSync(values.output, rendered.body);
+            console.log(`Report written to ${values.output}`);
+        } else {
+            process.stdout.write(rendered.body);
+        }
+        return EXIT_CODES.OK;
+    }
+    if (values.output !== undefined) {
+        throw usageError('--output needs --format (json, csv or html)');
+    }
+
+    const { run, users, failedUsers, comparison } = await createRunReport(runId, { compare: values.compare });
+    console.log(`=== Run ${run.runId} ===`);
+    console.log(`Status: ${run.status}${run.attempts.length > 1 ? ` (${run.attempts.length} attempts)` : ''}${run.error ? `: ${run.error}` : ''}`);
+    console.log(`Mode: ${run.mode}`);
+    console.log(`Target: ${describeTarget(run)}`);
+    console.log(`Started: ${run.startedAt} (took ${describeDuration(run.durationMs)})`);
+    console.log(`Logged out: ${users.success}`);
+    console.log(`Failed: ${users.failed}`);
+    console.log(`Skipped: ${users.skipped}`);
+    if (run.verification) {
+        console.log(`Verified: ${run.verification.verified}/${run.verification.checked}`);
+    }
+    if (run.unrestored.length > 0) {
+        console.log(`Left disabled: ${run.unrestored.length} (restore them with: ${CLI} recover ${run.runId})`);
+    }
+    if (failedUsers.length > 0) {
+        console.log('\nFailed users:');
+        printUsers(failedUsers.map(user => `${user.uid}: ${user.error}`));
+    }
+    if (comparison) {
+        console.log(`\n=== Compared with run ${comparison.baseline} ===`);
+        for (const { key, title } of COMPARISON_LISTS) {
+            console.log(`${title}: ${comparison[key].length}`);
+            printUsers(comparison[key]);
+        }
+    }
+    return EXIT_CODES.OK;
+}
+
+async function seed(values, [countArg]) {
+    const count = parsePositiveInt(countArg, '<count>');
+    if (!isEmulatorMode()) {
+        throw usageError('seed only runs against the Auth Emulator: pass --emulator or set FIREBASE_AUTH_EMULATOR_HOST');
+    }
+
+    initializeFirebase();
+    const summary = await seedUsers(count, { reset: values.reset });
+
+    console.log(`\n✅ Seeded ${summary.created} users into ${getEmulatorProjectId()}`);
+    if (summary.failed.length > 0) {
+        console.error(`❌ ${summary.failed.length} users could not be created:`);
+        summary.failed.slice(0, 10).forEach(({ uid, error }) => console.error(`   ${uid}: ${error}`));
+        return EXIT_CODES.INCOMPLETE;
+    }
+    return EXIT_CODES.OK;
+}
+
+function serve(values) {
+    const port = parsePositiveInt(values.port, '--port');
+    require('./server').startServer(port);
+    return null; // Keep running
+}
+
+// Project / tenant selection (see projects.js)
+const TARGET_OPTIONS = {
+    project: { type: 'string', value: '<name>', description: 'Named project from config.js (default: the default project)' },
+    tenant: { type: 'string', value: '<tenantId>', description: 'Identity Platform tenant of the project' }
+};
+
+// Revocation markers for the logout commands (see revocationSignal.js)
+const SIGNAL_OPTIONS = {
+    signal: { type: 'string', value: '<backend>', description: 'Write revocation markers apps sign out on: firestore or rtdb (default: revocationSignal in config.js)' },
+    'no-signal': { type: 'boolean', description: 'Write no revocation markers, even if a backend is configured' }
+};
+
+const COMMANDS = {
+    'logout-all': {
+        summary: 'Log out every user except the exclusion list',
+        args: [],
+        options: {
+            immediate: { type: 'boolean', description: 'Terminate active sessions (disable, revoke, re-enable each account)' },
+            'dry-run': { type: 'boolean', description: 'Only write a manifest of who would be logged out' },
+            resume: { type: 'string', value: '<runId>', description: 'Resume an interrupted run from its checkpoint journal' },
+            'skip-verify': { type: 'boolean', description: 'Skip re-reading every logged out user after the run' },
+            selector: { type: 'string', value: '<json|file>', description: 'Selector rules narrowing the targets (see selectors.js)' },
+            'uids-file': { type: 'string', value: '<file>', description: 'Only target the uids in this file (JSON array, list or CSV)' },
+            concurrency: { type: 'string', value: '<n>', description: 'Max users in flight at once (default 10)' },
+            ...SIGNAL_OPTIONS,
+            ...TARGET_OPTIONS,
+            'all-tenants': { type: 'boolean', description: 'Run once for every tenant of the project' },
+            'no-progress': { type: 'boolean', description: 'Do not draw the progress bar (it is only drawn on a terminal)' },
+            yes: { type: 'boolean', short: 'y', description: 'Skip the typed confirmation' }
+        },
+        run: logoutAll
+    },
+    'logout-user': {
+        summary: 'Log out a single user and verify the revocation',
+        args: [{ name: 'uid', required: true }],
+        options: {
+            immediate: { type: 'boolean', description: 'Terminate active sessions (disable, revoke, re-enable the account)' },
+            ...SIGNAL_OPTIONS,
+            ...TARGET_OPTIONS,
+            yes: { type: 'boolean', short: 'y', description: 'Skip the typed confirmation' }
+        },
+        run: logoutUser
+    },
+    'inspect-user': {
+        summary: 'Show a user\'s account and session state (read only)',
+        args: [{ name: 'uid', required: true }],
+        options: {
+            json: { type: 'boolean', description: 'Print the raw user record as JSON' },
+            ...TARGET_OPTIONS
+        },
+        run: inspectUser
+    },
+    verify: {
+        summary: 'Check that a user, or every user of a run, was really logged out',
+        args: [{ name: 'uid', required: false }],
+        options: {
+            run: { type: 'string', value: '<runId>', description: 'Verify every user the run logged out' },
+            repair: { type: 'boolean', description: 'With --run: revoke mismatched users again and re-enable those the run left disabled' },
+            since: { type: 'string', value: '<time>', description: 'Fail unless the user\'s tokens were revoked at or after this time (ISO 8601)' },
+            ...TARGET_OPTIONS
+        },
+        run: verify
+    },
+    recover: {
+        summary: 'Re-enable users an immediate-mode run left disabled',
+        args: [{ name: 'runId', required: false }],
+        options: {
+            all: { type: 'boolean', description: 'Recover every run that has a journal' }
+        },
+        run: recover
+    },
+    report: {
+        summary: 'List past runs, or report on one (optionally compared with an earlier run)',
+        args: [{ name: 'runId', required: false }],
+        options: {
+            format: { type: 'string', value: '<format>', description: 'json, csv (every user) or html (default: a text summary)' },
+            compare: { type: 'string', value: '<runId>', description: 'Baseline run: show who failed in both runs, newly failed or was created in between' },
+            output: { type: 'string', value: '<file>', description: 'Write the --format report to this file instead of stdout' },
+            status: { type: 'string', value: '<status>', description: 'When listing: only completed, cancelled or failed runs' },
+            limit: { type: 'string', value: '<n>', description: `When listing: at most this many runs, newest first (default ${DEFAULT_LISTED_RUNS})` }
+        },
+        run: report
+    },
+    seed: {
+        summary: 'Create synthetic users in the Auth Emulator for rehearsals',
+        args: [{ name: 'count', required: true }],
+        options: {
+            reset: { type: 'boolean', description: 'Delete every existing emulator user first' }
+        },
+        run: seed
+    },
+    serve: {
+        summary: 'Start the HTTP server',
+        args: [],
+        options: {
+            port: { type: 'string', value: '<n>', description: 'Port to listen on (default: PORT env variable or 3000)' }
+        },
+        run: serve
+    }
+};
+
+// Accepted by every command
+const COMMON_OPTIONS = {
+    emulator: { type: 'boolean', description: 'Use the Auth Emulator (FIREBASE_AUTH_EMULATOR_HOST, default 127.0.0.1:9099)' },
+    'project-id': { type: 'string', value: '<id>', description: 'Emulator project id (default: FIREBASE_PROJECT_ID or demo-logout)' },
+    'log-level': { type: 'string', value: '<level>', description: 'debug, info, warn or error (default: LOG_LEVEL or info)' },
+    'log-format': { type: 'string', value: '<format>', description: 'text or json (default: LOG_FORMAT or text)' },
+    redact: { type: 'string', value: '<mode>', description: 'Redact uids and emails in logs: none, mask or hash (default: LOG_REDACT or none)' },
+    help: { type: 'boolean', short: 'h', description: 'Show this help' }
+};
+
+function formatArgs(command) {
+    return command.args.map(arg => (arg.required ? `<${arg.name}>` : `[${arg.name}]`)).join(' ');
+}
+
+function printHelp() {
+    console.log(`Usage: ${CLI} <command> [options]\n`);
+    console.log('Commands:');
+    for (const [name, command] of Object.entries(COMMANDS)) {
+        console.log(`  ${name.padEnd(14)}${command.summary}`);
+    }
+    console.log(`\nRun "${CLI} <command> --help" for the options of a command.`);
+    console.log('\nExit codes: 0 success, 1 error, 2 invalid usage, 3 not confirmed, 4 finished with failures');
+}
+
+function printCommandHelp(name) {
+    const command = COMMANDS[name];
+    console.log(`Usage: ${[CLI, name, formatArgs(command), '[options]'].filter(Boolean).join(' ')}`);
+    console.log(`\n${command.summary}\n`);
+    console.log('Options:');
+    const options = { ...command.options, ...COMMON_OPTIONS };
+    for (const [flag, option] of Object.entries(options)) {
+        const names = `${option.short ? `-${option.short}, ` : ''}--${flag}${option.value ? ` ${option.value}` : ''}`;
+        console.log(`  ${names.padEnd(28)}${option.description}`);
+    }
+}
+
+/**
+ * Parse the command line and run the requested command
+ * @param {string[]} argv - Arguments after `node cli.js`
+ * @returns {Promise<number|null>} Exit code, or null when the command keeps running (serve)
+ */
+async function main(argv) {
+    const [name, ...rest] = argv;
+
+    if (!name || name === '--help' || name === '-h' || name === 'help') {
+        if (COMMANDS[rest[0]]) {
+            printCommandHelp(rest[0]);
+        } else {
+            printHelp();
+        }
+        return name ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+
+    const command = COMMANDS[name];
+    if (!command) {
+        throw usageError(`Unknown command "${name}"`);
+    }
+
+    const options = {};
+    for (const [flag, { type, short }] of Object.entries({ ...command.options, ...COMMON_OPTIONS })) {
+        options[flag] = short ? { type, short } : { type };
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args: rest, options, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw usageError(error.message, name);
+    }
+
+    if (parsed.values.help) {
+        printCommandHelp(name);
+        return EXIT_CODES.OK;
+    }
+
+    try {
+        configureLogger({ level: parsed.values['log-level'], format: parsed.values['log-format'], redact: parsed.values.redact });
+    } catch (error) {
+        if (error.code === 'log/invalid-option') throw usageError(error.message, name);
+        throw error;
+    }
+
+    if (parsed.values['project-id'] !== undefined && !parsed.values.emulator && !isEmulatorMode()) {
+        throw usageError('--project-id only applies with --emulator', name);
+    }
+    if (parsed.values.emulator) {
+        enableEmulator(parsed.values['project-id']);
+    }
+
+    const positionals = parsed.positionals;
+    if (positionals.length > command.args.length) {
+        throw usageError(`Unexpected argument "${positionals[command.args.length]}"`, name);
+    }
+    command.args.forEach((arg, index) => {
+        if (arg.required && !positionals[index]) {
+            throw usageError(`Missing required argument <${arg.name}>`, name);
+        }
+    });
+
+    try {
+        return await command.run(parsed.values, positionals);
+    } catch (error) {
+        if (error.code === 'cli/usage' && !error.command) error.command = name;
+        throw error;
+    }
+}
+
+module.exports = {
+    EXIT_CODES,
+    main
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(async (code) => {
+        // Let run notifications go out before exiting (see webhooks.js)
+        await flushWebhooks();
+        if (code !== null) process.exit(code);
+    }).catch(async (error) => {
+        await flushWebhooks();
+        if (error.code === 'cli/usage') {
+            console.error(`❌ ${error.message}`);
+            console.error(`Run "${CLI} ${error.command ? `${error.command} ` : ''}--help" for usage.`);
+            process.exit(EXIT_CODES.USAGE);
+        }
+        if (error.code === 'cli/not-confirmed') {
+            console.error(`❌ ${error.message}`);
+            process.exit(EXIT_CODES.ABORTED);
+        }
+        console.error('\n❌ Process failed:', error.message);
+        process.exit(EXIT_CODES.ERROR);
+    });
+}
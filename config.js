@@ -4,6 +4,51 @@
  */
 
 module.exports = {
+    // Safety switch for the server's logout endpoints (the LOGOUT_ENABLED env variable takes precedence)
+    logoutEnabled: false,
+
+    // Minutes a second operator has to approve a logout request before it expires (default 30)
+    // approvalWindowMinutes: 30,
+
+    // Optional: Admin API rate limits in operations/sec (defaults in rateLimiter.js)
+    // The limiters back off automatically on quota errors and ramp back up to these ceilings
+    // rateLimits: { updateUser: 10, revokeRefreshTokens: 50, listUsers: 5 },
+
+    // Optional: extra exclusion sources, merged with excludedUserIds below (see exclusions.js)
+    // Can also be set with the EXCLUSIONS_FILE, EXCLUDED_USER_IDS and EXCLUSION_CLAIMS env variables
+    // exclusionsFile: 'exclusions.json',   // JSON array, one uid per line, or CSV with a uid column
+    // exclusionClaims: { admin: true },    // exclude every user with these custom claims
+
+    // Optional: log settings (the LOG_LEVEL, LOG_FORMAT, LOG_REDACT and LOG_HASH_SALT env variables and CLI flags take precedence)
+    // redact: 'mask' or 'hash' keeps uids and emails out of the logs and logout_errors_*.json (see logger.js)
+    // logging: { level: 'info', format: 'json', redact: 'hash', hashSalt: '...' },
+
+    // Optional: notify other systems when a run starts, completes, fails or passes the failure threshold (see webhooks.js)
+    // Also set with the WEBHOOK_URL (+ WEBHOOK_SECRET), SLACK_WEBHOOK_URL and WEBHOOK_FAILURE_THRESHOLD env variables
+    // webhooks: {
+    //     failureThreshold: 50,   // run.failure-threshold fires once a run has more failed users than this
+    //     endpoints: [
+    //         { url: 'https://ops.example.com/hooks/logout', secret: '...' },   // JSON, HMAC-signed with the secret
+    //         { url: 'https://hooks.slack.com/services/...', format: 'slack', events: ['run.start', 'run.complete', 'run.failed'] }
+    //     ]
+    // },
+
+    // Optional: revocation markers apps listen to, so they sign out at once instead of at their
+    // next token refresh (see revocationSignal.js for the server side, revocationClient.js for apps)
+    // Also set with the REVOCATION_SIGNAL and REVOCATION_SIGNAL_ROOT env variables; --signal / --no-signal per run
+    // revocationSignal: { backend: 'firestore', root: 'logoutSignals' },   // backend: 'firestore' or 'rtdb'
+    // databaseURL: 'https://<project>-default-rtdb.firebaseio.com',       // needed by the rtdb backend (or FIREBASE_DATABASE_URL)
+
+    // Optional: more Firebase projects, selected with --project <name> or "project" in POST /force-logout
+    // Each has its own credential file and exclusion list; the settings above apply to the default project
+    // projects: {
+    //     staging: {
+    //         credential: 'service-staging.json',
+    //         excludedUserIds: ['...'],
+    //         // exclusionsFile, exclusionClaims, databaseURL and projectId (used by the emulator) work as above
+    //     }
+    // },
+
     // Add your admin and service account user IDs here
     excludedUserIds: [
         "R0Qxf09QPZcVOxeYXNheDJOKoUA3",
@@ -0,0 +1,180 @@
+/**
+ * Cron expressions for scheduled logout policies (see schedules.js)
+ * Five fields, evaluated in the server's local time:
+ *
+ *   minute (0-59)  hour (0-23)  day-of-month (1-31)  month (1-12 or JAN-DEC)  day-of-week (0-7 or SUN-SAT, 0 and 7 are Sunday)
+ *
+ * Each field accepts * (any), a value, a range (1-5), a list (1,15), and a step
+ * after a range or * (0-59/15, 10-50/10). Shortcuts: @hourly, @daily (@midnight),
+ * @weekly, @monthly, @yearly (@annually).
+ * As in Vixie cron, when both day-of-month and day-of-week are restricted a day
+ * matching either of them fires.
+ *
+ *   '0 22 * * SUN'   every Sunday at 22:00
+ *   '30 3 1 * *'     03:30 on the first of every month
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day-of-month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], offset: 1 },
+    { name: 'day-of-week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], offset: 0 }
+];
+
+const SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+// An expression that does not fire within this many years never will (e.g. '0 0 30 2 *')
+const SEARCH_YEARS = 5;
+
+function cronError(message) {
+    return Object.assign(new Error(message), { code: 'cron/invalid' });
+}
+
+function parseValue(text, field) {
+    const upper = text.toUpperCase();
+    if (field.names && field.names.includes(upper)) {
+        return field.names.indexOf(upper) + field.offset;
+    }
+    if (!/^\d+$/.test(text)) {
+        throw cronError(`Invalid ${field.name} value "${text}"`);
+    }
+    const value = Number(text);
+    if (value < field.min || value > field.max) {
+        throw cronError(`${field.name} value ${value} is out of range (${field.min}-${field.max})`);
+    }
+    return value;
+}
+
+/**
+ * Expand one field into the set of values it matches
+ */
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw cronError(`Invalid step "${stepText}" in ${field.name}`);
+        }
+
+        let from;
+        let to;
+        if (range === '*') {
+            [from, to] = [field.min, field.max];
+        } else if (range.includes('-')) {
+            const [start, end] = range.split('-');
+            [from, to] = [parseValue(start, field), parseValue(end, field)];
+            if (from > to) throw cronError(`Invalid ${field.name} range "${range}"`);
+        } else {
+            from = parseValue(range, field);
+            // "5/15" means every 15 starting at 5
+            to = stepText === undefined ? from : field.max;
+        }
+        for (let value = from; value <= to; value += step) values.add(value);
+    }
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression
+ * @returns {Object} Parsed expression, accepted by nextCronTime
+ * @throws {Error} code 'cron/invalid'
+ */
+function parseCron(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+        throw cronError('Cron expression must be a non-empty string');
+    }
+    const source = expression.trim();
+    const parts = (SHORTCUTS[source.toLowerCase()] || source).split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw cronError(`Cron expression must have 5 fields (minute hour day-of-month month day-of-week), got ${parts.length}`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (weekdays.delete(7)) weekdays.add(0);
+
+    return {
+        expression: source,
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        daysRestricted: !parts[2].startsWith('*'),
+        weekdaysRestricted: !parts[4].startsWith('*')
+    };
+}
+
+function matchesDay(cron, date) {
+    const dayMatches = cron.days.has(date.getDate());
+    const weekdayMatches = cron.weekdays.has(date.getDay());
+    if (cron.daysRestricted && cron.weekdaysRestricted) return dayMatches || weekdayMatches;
+    return dayMatches && weekdayMatches;
+}
+
+/**
+ * First time strictly after `after` that the expression fires
+ * @param {string|Object} cron - Expression or the result of parseCron
+ * @param {Date|number} [after=now]
+ * @returns {Date}
+ * @throws {Error} code 'cron/invalid' if the expression is invalid or never fires
+ */
+function nextCronTime(cron, after = new Date()) {
+    const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+    const time = new Date(after);
+    time.setSeconds(0, 0);
+    time.setMinutes(time.getMinutes() + 1);
+    const limit = new Date(time);
+    limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+    while (time < limit) {
+        if (!parsed.months.has(time.getMonth() + 1)) {
+            time.setMonth(time.getMonth() + 1, 1);
+            time.setHours(0, 0, 0, 0);
+        } else if (!matchesDay(parsed, time)) {
+            time.setDate(time.getDate() + 1);
+            time.setHours(0, 0, 0, 0);
+        } else if (!parsed.hours.has(time.getHours())) {
+            time.setHours(time.getHours() + 1, 0, 0, 0);
+        } else if (!parsed.minutes.has(time.getMinutes())) {
+            time.setMinutes(time.getMinutes() + 1, 0, 0);
+        } else {
+            return time;
+        }
+    }
+    throw cronError(`Cron expression "${parsed.expression}" never fires`);
+}
+
+/**
+ * The next few times an expression fires
+ * @param {string|Object} cron
+ * @param {number} [count=5]
+ * @param {Date|number} [after=now]
+ * @returns {Date[]}
+ */
+function nextCronTimes(cron, count = 5, after = new Date()) {
+    const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+    const times = [];
+    let last = after;
+    for (let i = 0; i < count; i++) {
+        last = nextCronTime(parsed, last);
+        times.push(last);
+    }
+    return times;
+}
+
+module.exports = {
+    parseCron,
+    nextCronTime,
+    nextCronTimes
+};
@@ -0,0 +1,180 @@
+const admin = require('firebase-admin');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'emulator' });
+
+/**
+ * Firebase Auth Emulator support for local rehearsals
+ * When FIREBASE_AUTH_EMULATOR_HOST is set (or --emulator is passed to the CLI),
+ * initializeFirebase() skips credentials entirely and every admin.auth() call goes
+ * to the local emulator, so a full run, including immediate mode, never touches a
+ * real project. --emulator also points revocation markers (see revocationSignal.js) at the
+ * Firestore and Realtime Database emulators, unless FIRESTORE_EMULATOR_HOST /
+ * FIREBASE_DATABASE_EMULATOR_HOST already say where they run.
+ *
+ * Rehearsal:
+ *   npm run emulator                                  # Auth 127.0.0.1:9099, Firestore :8080, Database :9000
+ *   node cli.js seed 5000 --emulator --reset          # synthetic users
+ *   node cli.js logout-all --immediate --emulator --yes
+ *   node cli.js logout-all --signal rtdb --emulator --yes
+ */
+
+const DEFAULT_EMULATOR_HOST = '127.0.0.1:9099';
+const DEFAULT_FIRESTORE_EMULATOR_HOST = '127.0.0.1:8080';
+const DEFAULT_DATABASE_EMULATOR_HOST = '127.0.0.1:9000';
+
+// "demo-" project ids are reserved for the emulators and can never reach a real project
+const DEFAULT_EMULATOR_PROJECT_ID = 'demo-logout';
+
+// importUsers accepts at most 1000 users per call
+const IMPORT_BATCH_SIZE = 1000;
+
+const EMAIL_DOMAINS = ['example.test', 'partner.test', 'staff.test'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether admin.auth() talks to the Auth Emulator
+ */
+function isEmulatorMode() {
+    return Boolean(process.env.FIREBASE_AUTH_EMULATOR_HOST);
+}
+
+/**
+ * Project id used in emulator mode (FIREBASE_PROJECT_ID, GCLOUD_PROJECT or demo-logout)
+ */
+function getEmulatorProjectId() {
+    return process.env.FIREBASE_PROJECT_ID || process.env.GCLOUD_PROJECT || DEFAULT_EMULATOR_PROJECT_ID;
+}
+
+/**
+ * Switch this process to emulator mode (must run before initializeFirebase)
+ * @param {string} [projectId] - Defaults to getEmulatorProjectId()
+ */
+function enableEmulator(projectId) {
+    if (!process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+        process.env.FIREBASE_AUTH_EMULATOR_HOST = DEFAULT_EMULATOR_HOST;
+    }
+    if (!process.env.FIRESTORE_EMULATOR_HOST) {
+        process.env.FIRESTORE_EMULATOR_HOST = DEFAULT_FIRESTORE_EMULATOR_HOST;
+    }
+    if (!process.env.FIREBASE_DATABASE_EMULATOR_HOST) {
+        process.env.FIREBASE_DATABASE_EMULATOR_HOST = DEFAULT_DATABASE_EMULATOR_HOST;
+    }
+    if (projectId) {
+        process.env.FIREBASE_PROJECT_ID = projectId;
+    }
+}
+
+/**
+ * Build synthetic user records with a mix of providers, claims and disabled states
+ *   - providers rotate through password, google.com, phone and password + google.com
+ *   - emails rotate through a few domains (handy for emailDomain selectors)
+ *   - every 25th user has { admin: true }, every 7th { role: 'beta' }
+ *   - every 10th user is disabled; about a third never signed in
+ * @param {number} count
+ * @param {number} [offset=0] - Index of the first user, so batches get distinct uids
+ * @returns {Object[]} UserImportRecord objects
+ */
+function buildSyntheticUsers(count, offset = 0) {
+    const now = Date.now();
+    const users = [];
+
+    for (let i = offset; i < offset + count; i++) {
+        const uid = `seed-${String(i).padStart(7, '0')}`;
+        const email = `seed${i}@${EMAIL_DOMAINS[i % EMAIL_DOMAINS.length]}`;
+        const user = {
+            uid,
+            displayName: `Seed User ${i}`,
+            disabled: i % 10 === 9,
+            metadata: {
+                creationTime: new Date(now - (i % 365) * DAY_MS).toUTCString(),
+                lastSignInTime: i % 3 === 2 ? undefined : new Date(now - (i % 30) * DAY_MS).toUTCString()
+            },
+            providerData: []
+        };
+
+        switch (i % 4) {
+            case 0:
+                Object.assign(user, { email, emailVerified: true });
+                user.providerData.push({ providerId: 'password', uid: email, email });
+                break;
+            case 1:
+                Object.assign(user, { email, emailVerified: true });
+                user.providerData.push({ providerId: 'google.com', uid: `google-${i}`, email });
+                break;
+            case 2:
+                user.phoneNumber = `+1555${String(i).padStart(7, '0')}`;
+                user.providerData.push({ providerId: 'phone', uid: user.phoneNumber, phoneNumber: user.phoneNumber });
+                break;
+            default:
+                Object.assign(user, { email, emailVerified: false });
+                user.providerData.push({ providerId: 'password', uid: email, email });
+                user.providerData.push({ providerId: 'google.com', uid: `google-${i}`, email });
+        }
+
+        if (i % 25 === 0) {
+            user.customClaims = { admin: true };
+        } else if (i % 7 === 0) {
+            user.customClaims = { role: 'beta' };
+        }
+
+        users.push(user);
+    }
+    return users;
+}
+
+/**
+ * Delete every user in the emulator's project
+ */
+async function clearEmulatorUsers() {
+    const url = `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/emulator/v1/projects/${getEmulatorProjectId()}/accounts`;
+    const response = await fetch(url, { method: 'DELETE' });
+    if (!response.ok) {
+        throw new Error(`Failed to clear emulator users: ${response.status} ${await response.text()}`);
+    }
+}
+
+/**
+ * Create synthetic users in the Auth Emulator
+ * Refuses to run unless emulator mode is on, so it can never seed a real project
+ * @param {number} count
+ * @param {Object} [options]
+ * @param {boolean} [options.reset=false] - Delete all existing emulator users first
+ * @returns {Promise<{created: number, failed: Array<{uid: string, error: string}>}>}
+ * @throws {Error} code 'emulator/not-enabled' outside emulator mode
+ */
+async function seedUsers(count, options = {}) {
+    if (!isEmulatorMode()) {
+        throw Object.assign(
+            new Error('Seeding only runs against the Auth Emulator: set FIREBASE_AUTH_EMULATOR_HOST or pass --emulator'),
+            { code: 'emulator/not-enabled' }
+        );
+    }
+
+    if (options.reset) {
+        await clearEmulatorUsers();
+        log.info('🧹 Cleared existing emulator users');
+    }
+
+    const summary = { created: 0, failed: [] };
+    for (let offset = 0; offset < count; offset += IMPORT_BATCH_SIZE) {
+        const batch = buildSyntheticUsers(Math.min(IMPORT_BATCH_SIZE, count - offset), offset);
+        const result = await admin.auth().importUsers(batch);
+
+        summary.created += result.successCount;
+        result.errors.forEach(({ index, error }) => summary.failed.push({ uid: batch[index].uid, error: error.message }));
+        log.info('Seeded {created}/{count} users...', { created: summary.created, count });
+    }
+    return summary;
+}
+
+module.exports = {
+    DEFAULT_EMULATOR_HOST,
+    DEFAULT_EMULATOR_PROJECT_ID,
+    isEmulatorMode,
+    getEmulatorProjectId,
+    enableEmulator,
+    buildSyntheticUsers,
+    seedUsers
+};
@@ -0,0 +1,173 @@
+const path = require('path');
+const crypto = require('crypto');
+const { loadConfig, CONFIG_PATH } = require('./settings');
+const { readUidFile } = require('./selectors');
+const { getAuth, getProjectConfig } = require('./projects');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'exclusions' });
+
+/**
+ * Exclusion list loading
+ * The effective exclusion list is the de-duplicated union of:
+ *   - config.js            excludedUserIds
+ *   - an exclusions file   EXCLUSIONS_FILE env var or config.exclusionsFile (JSON array, list or CSV with a uid column)
+ *   - an env variable      EXCLUDED_USER_IDS (comma separated)
+ *   - custom claims        EXCLUSION_CLAIMS env var (JSON) or config.exclusionClaims, e.g. { admin: true };
+ *                          every user whose claims match is excluded (requires a listUsers scan)
+ *
+ * A named project (see projects.js) only uses its own entries in config.js projects:
+ * excludedUserIds, exclusionsFile and exclusionClaims. The env variables apply to the default project.
+ * Claims are matched against the project's own user pool, not its tenants; exclude tenant users by uid.
+ */
+
+// Firebase uids are non-empty strings of at most 128 characters
+const MAX_UID_LENGTH = 128;
+
+// getUsers accepts at most 100 identifiers per call
+const GET_USERS_BATCH_SIZE = 100;
+
+/**
+ * Find every user whose custom claims match all given values
+ * @param {Object} claims - e.g. { admin: true }
+ * @param {Object} auth - Auth client of the project
+ * @returns {Promise<string[]>}
+ */
+async function findUsersWithClaims(claims, auth) {
+    const expected = Object.entries(claims);
+    const uids = [];
+    let nextPageToken;
+
+    do {
+        const result = await auth.listUsers(1000, nextPageToken);
+        for (const userRecord of result.users) {
+            const userClaims = userRecord.customClaims || {};
+            if (expected.every(([name, value]) => userClaims[name] === value)) {
+                uids.push(userRecord.uid);
+            }
+        }
+        nextPageToken = result.pageToken;
+    } while (nextPageToken);
+
+    return uids;
+}
+
+/**
+ * Return the uids that do not belong to an existing user
+ * @param {string[]} uids
+ * @param {Object} auth - Auth client of the project
+ * @returns {Promise<string[]>}
+ */
+async function findMissingUids(uids, auth) {
+    const missing = [];
+    for (let i = 0; i < uids.length; i += GET_USERS_BATCH_SIZE) {
+        const batch = uids.slice(i, i + GET_USERS_BATCH_SIZE).map(uid => ({ uid }));
+        const result = await auth.getUsers(batch);
+        result.notFound.forEach(identifier => missing.push(identifier.uid));
+    }
+    return missing;
+}
+
+/**
+ * Stable hash of an exclusion list (order independent), so two snapshots can be compared at a glance
+ * @param {string[]} uids
+ * @returns {string}
+ */
+function hashExclusions(uids) {
+    return crypto.createHash('sha256').update([...uids].sort().join('\n')).digest('hex');
+}
+
+function parseClaims(value, origin) {
+    try {
+        const claims = typeof value === 'string' ? JSON.parse(value) : value;
+        if (!claims || typeof claims !== 'object' || Array.isArray(claims) || Object.keys(claims).length === 0) {
+            throw new Error('expected a non-empty object such as {"admin": true}');
+        }
+        return claims;
+    } catch (error) {
+        throw new Error(`Invalid exclusion claims in ${origin}: ${error.message}`);
+    }
+}
+
+/**
+ * Load, merge and validate the exclusion list from every configured source
+ * @param {Object} [options]
+ * @param {boolean} [options.validate=false] - Check via getUsers that every uid exists (warns on unknown uids)
+ * @param {string} [options.project] - Named project from config.js (the default project when omitted)
+ * @returns {Promise<{project: (string|null), uids: string[], sources: Array<{source: string, count: number}>, invalid: Array, missing: string[], files: string[], loadedAt: string}>}
+ * @throws {Error} if a configured source cannot be read
+ */
+async function loadExclusions(options = {}) {
+    const { project } = options;
+    const config = project ? getProjectConfig(project) : loadConfig();
+    const useEnv = !project;
+    const sources = [];
+    const files = [CONFIG_PATH];
+    let auth;
+    const getProjectAuth = () => {
+        auth = auth || getAuth({ project });
+        return auth;
+    };
+
+    sources.push({ source: project ? `config.js:projects.${project}` : 'config.js', uids: config.excludedUserIds || [] });
+
+    const exclusionsFile = (useEnv && process.env.EXCLUSIONS_FILE) || config.exclusionsFile;
+    if (exclusionsFile) {
+        const filePath = path.resolve(__dirname, exclusionsFile);
+        files.push(filePath);
+        sources.push({ source: `file:${exclusionsFile}`, uids: readUidFile(filePath) });
+    }
+
+    if (useEnv && process.env.EXCLUDED_USER_IDS) {
+        const uids = process.env.EXCLUDED_USER_IDS.split(',').map(uid => uid.trim()).filter(Boolean);
+        sources.push({ source: 'env:EXCLUDED_USER_IDS', uids });
+    }
+
+    const claimsSetting = (useEnv && process.env.EXCLUSION_CLAIMS) || config.exclusionClaims;
+    if (claimsSetting) {
+        const origin = useEnv && process.env.EXCLUSION_CLAIMS ? 'EXCLUSION_CLAIMS' : 'config.js';
+        const claims = parseClaims(claimsSetting, origin);
+        sources.push({ source: `claims:${JSON.stringify(claims)}`, uids: await findUsersWithClaims(claims, getProjectAuth()) });
+    }
+
+    // Merge and de-duplicate, setting aside malformed entries
+    const merged = new Set();
+    const invalid = [];
+    for (const { source, uids } of sources) {
+        for (const uid of uids) {
+            if (typeof uid !== 'string' || uid.trim() === '' || uid.length > MAX_UID_LENGTH) {
+                invalid.push({ source, uid });
+                continue;
+            }
+            merged.add(uid.trim());
+        }
+    }
+    const uids = [...merged];
+
+    for (const entry of invalid) {
+        log.warn('⚠️  Ignoring invalid excluded uid from {source}: {uid}', { source: entry.source, uid: JSON.stringify(entry.uid) });
+    }
+
+    let missing = [];
+    if (options.validate && uids.length > 0) {
+        missing = await findMissingUids(uids, getProjectAuth());
+        if (missing.length > 0) {
+            log.warn('⚠️  {count} excluded uids do not exist in Firebase Auth: {uids}', { count: missing.length, uids: missing });
+        }
+    }
+
+    return {
+        project: project || null,
+        uids,
+        sources: sources.map(({ source, uids: sourceUids }) => ({ source, count: sourceUids.length })),
+        invalid,
+        missing,
+        files,
+        loadedAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    loadExclusions,
+    hashExclusions
+};
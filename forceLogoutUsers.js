@@ -1,229 +1,1098 @@
-const admin = require('firebase-admin');
-const path = require('path');
 const fs = require('fs');
 const pLimit = require('p-limit');
+const { createManifest, addTargeted, addSkipped, addNotSelected, writeManifest, discardManifest } = require('./manifest');
+const { generateRunId, openJournal, readJournal, forEachUserOutcome, getErrorLogPath } = require('./journal');
+const { createSelector } = require('./selectors');
+const { createAdminLimiters, getRates, isQuotaError } = require('./rateLimiter');
+const { hashExclusions } = require('./exclusions');
+const { recordAudit, getCliActor } = require('./audit');
+const { saveRun } = require('./runHistory');
+const { verifyLogout } = require('./verification');
+const { initializeFirebase, getAuth, listTenantIds, describeTarget } = require('./projects');
+const metrics = require('./metrics');
+const { createLogger, redactPii } = require('./logger');
+const { notifyWebhooks, getFailureThreshold } = require('./webhooks');
+const { resolveSignalBackend, createSignalWriter, signalUserLogout, MAX_GLOBAL_EXCLUSIONS } = require('./revocationSignal');
+const { createRevocationMiddleware, createTokenVerifier } = require('./revocationMiddleware');
+
+const log = createLogger({ component: 'engine' });
+
+// Max in-flight users; the per-method rate limiters decide how fast calls are actually made
+const DEFAULT_CONCURRENCY = 10;
+
+// How many times a user hit by quota errors is put back in the queue before counting as failed
+const MAX_QUOTA_ATTEMPTS = 10;
+
+// Users fetched per listUsers call (the Admin API maximum)
+const PAGE_SIZE = 1000;
+
+// The next listUsers page is only fetched once fewer users than this are queued or in flight
+const DEFAULT_HIGH_WATER_MARK = 1000;
+
+// Failed users whose details are kept in memory (and in the result); the rest are spilled to disk
+const DEFAULT_MAX_ERRORS_IN_MEMORY = 1000;
+
+// Logged out users are verified in chunks of this size as the run goes, not all at the end
+const VERIFY_CHUNK_SIZE = 10000;
 
 /**
  * Force logout all users except those in the exclusion list
+ * The targets can be narrowed further with include/exclude selector rules (see selectors.js)
  * Uses a sliding window concurrency model for maximum throughput
- * Handles rate limiting for "immediate" logout (updateUser quota is strict)
- * @param {string[]} excludedUserIds - Array of user IDs to exclude from logout
+ * Memory stays flat however many users the project has: pages are fetched only while the
+ * work queue is below a high-water mark, records are released once processed, logged out
+ * users are verified in chunks, and failed users past the first maxErrorsInMemory are
+ * spilled to runs/<runId>.errors.ndjson (see benchmark.js)
+ * Admin API calls go through adaptive per-method rate limiters (see rateLimiter.js)
+ * that back off on quota errors; users hit by a quota error are re-queued, not dropped
+ * Immediate mode is crash-safe: every disable is journaled with the user's original state,
+ * users that were already disabled are never re-enabled, and a final restore pass
+ * re-enables anyone the run left disabled (see `node cli.js recover` for after a crash)
+ * Every run and every per-user disable / revoke / enable is written to the audit log (see audit.js)
+ * Once a run ends (completed, cancelled or failed) its summary is saved to the run history (see runHistory.js)
+ * Once the queue has drained, every user logged out by the run is re-read and verified (see verification.js)
+ * Runs against the default project unless options.project / options.tenant name another target (see projects.js)
+ * Logs go through logger.js with the runId attached; uids and emails are redacted as configured there
+ * Users, runs, Admin API calls, quota errors and retries are counted in metrics.js (GET /metrics)
+ * Configured webhooks are notified when the run starts, completes or fails, and once its
+ * failed users exceed the failure threshold (see webhooks.js)
+ * With a revocation signal, apps are told to sign out: a run over every user writes one global
+ * marker once every user has been processed (not when it is cancelled or fails; a resumed run
+ * keeps the original start as the cutoff), a run with a selector one marker per logged out user
+ * (see revocationSignal.js)
+ * Live events are emitted on options.events, each payload carrying the runId:
+ *   'start'     { mode, resumed, project, tenant }
+ *   'page'      { page, users, queued } once a listUsers page is fetched
+ *   'user'      { uid, status: 'success'|'failed'|'skipped'|'requeued', error? }
+ *   'rate'      { method, rate, reason: 'backoff'|'recovery' } when a rate limiter adapts
+ *   'progress'  live counters (the same object onProgress receives)
+ *   'complete'  { success, failed, skipped, total, cancelled, unrestored, verified, mismatched }
+ *   'failed'    { error } when the run aborts with a fatal error
+ * @param {string[]} excludedUserIds - Array of user IDs to exclude from logout (a resumed run also keeps
+ *                                     excluding every user the original run excluded, as recorded in its journal)
  * @param {boolean} immediateLogout - If true, terminates active sessions by disabling/re-enabling accounts
- * @returns {Promise<{success: number, failed: number, skipped: number, errors: Array}>}
+ * @param {Object} [options]
+ * @param {Object} [options.selector] - Selector spec ({ include, exclude }) narrowing the targeted users
+ * @param {boolean} [options.dryRun] - If true, only builds a manifest of affected users (no writes to Firebase)
+ * @param {string} [options.manifestDir] - Where to write the dry-run manifest (defaults to ./manifests)
+ * @param {string} [options.runId] - Id for the checkpoint journal of a new run (generated if omitted)
+ * @param {string} [options.resume] - Id of an interrupted run to resume from its checkpoint journal
+ * @param {string} [options.journalDir] - Where checkpoint journals are kept (defaults to ./runs)
+ * @param {AbortSignal} [options.signal] - Cancels the run: no further pages are fetched and queued users are drained
+ * @param {Function} [options.onProgress] - Called with live counters whenever a page is fetched or a user settles
+ * @param {import('events').EventEmitter} [options.events] - Receives the live events listed above
+ * @param {Object} [options.rateLimits] - ops/sec ceilings per Admin API method ({ updateUser, revokeRefreshTokens, listUsers })
+ * @param {number} [options.concurrency] - Max users in flight at once (defaults to 10)
+ * @param {Object} [options.actor] - Who triggered the run, for the audit log (defaults to the local CLI user)
+ * @param {Object} [options.approval] - Approval the run was started under ({ requestId } or { policyId }, with
+ *                                      proposedBy / approvedBy), kept in the journal so a resume can be checked against it
+ * @param {boolean} [options.verify=true] - Verify (and retry) every logged out user once the queue has drained
+ * @param {string} [options.project] - Named project from config.js (a resumed run always uses the run's own target)
+ * @param {string} [options.tenant] - Identity Platform tenant id
+ * @param {number} [options.highWaterMark=1000] - Queued users above which no further page is fetched
+ * @param {number} [options.maxErrorsInMemory=1000] - Failed users kept in result.errors; the rest go to result.errorsFile
+ * @param {string|boolean} [options.revocationSignal] - 'firestore' or 'rtdb' to write revocation markers, false for none (defaults to revocationSignal in config.js)
+ * @returns {Promise<{runId: string, success: number, failed: number, skipped: number, notSelected: number, alreadyCompleted: number, cancelled: boolean, selectorStats: Array, unrestored: string[], verification: (Object|null), signal: (Object|null), errors: Array, errorsFile: (string|null)}>}
  */
-async function forceLogoutAllUsers(excludedUserIds = [], immediateLogout = false) {
+async function forceLogoutAllUsers(excludedUserIds = [], immediateLogout = false, options = {}) {
+    if (options.dryRun) {
+        return planLogout(excludedUserIds, immediateLogout, options);
+    }
+
     const excludedSet = new Set(excludedUserIds);
     let nextPageToken;
+    let pageIndex = 0;
     let totalProcessed = 0;
     let successCount = 0;
     let failedCount = 0;
     let skippedCount = 0;
+    let notSelectedCount = 0;
+    let alreadyCompletedCount = 0;
+    let cancelledCount = 0;
+    let requeuedCount = 0;
+    let queuedCount = 0;
+    let listingComplete = false;
     const errors = [];
+    let errorsFile = null;
+    const runStartedAt = new Date();
+    // uid => disabled state before the run, for users logged out since the last verification chunk
+    const verifyTargets = new Map();
+    const shouldVerify = options.verify !== false;
+
+    const emit = (event, payload) => {
+        if (options.events) options.events.emit(event, { runId, ...payload });
+    };
+    const limiters = createAdminLimiters(options.rateLimits, change => emit('rate', change));
+    const isCancelled = () => Boolean(options.signal && options.signal.aborted);
+    const reportProgress = () => {
+        if (!options.onProgress && !options.events) return;
+        const progress = {
+            queued: queuedCount,
+            processed: totalProcessed,
+            success: successCount,
+            failed: failedCount,
+            skipped: skippedCount,
+            notSelected: notSelectedCount,
+            alreadyCompleted: alreadyCompletedCount,
+            requeued: requeuedCount,
+            rates: getRates(limiters),
+            listingComplete
+        };
+        if (options.onProgress) options.onProgress(progress);
+        emit('progress', progress);
+    };
 
-    // DYNAMIC CONCURRENCY
-    // Immediate mode uses admin.auth().updateUser() which has stricter rate limits (approx 10-20/sec)
-    // Standard mode uses admin.auth().revokeRefreshTokens() which handles higher throughput but quota is shared
-    // User requested concurrency 10
-    const concurrency = immediateLogout ? 5 : 10;
+    // CHECKPOINT JOURNAL
+    // A resumed run continues from the first unsettled page of its journal
+    // and never touches uids that already succeeded
+    let loggedOut = new Set();
+    let alreadyLoggedOut = 0;
+    // uids this run disabled and has not yet confirmed re-enabled
+    const pendingRestore = new Set();
+    let runId = options.runId || generateRunId();
+    let selectorSpec = options.selector;
+    let target = { project: options.project, tenant: options.tenant };
+    // Cutoff of the global revocation marker, and whether an earlier attempt already wrote it
+    let signalValidAfter = runStartedAt;
+    let signalled = false;
+    if (options.resume) {
+        const checkpoint = await readJournal(options.resume, options.journalDir);
+        if (checkpoint.params.singleUser) {
+            throw Object.assign(
+                new Error(`Run ${options.resume} is a single-user run and cannot be resumed as a batch run`),
+                { code: 'run/not-resumable' }
+            );
+        }
+        if (checkpoint.completed || checkpoint.exhausted) {
+            throw Object.assign(
+                new Error(`Run ${options.resume} has already completed; nothing to resume`),
+                { code: 'run/already-completed' }
+            );
+        }
+        runId = checkpoint.runId;
+        loggedOut = checkpoint.loggedOut;
+        alreadyLoggedOut = checkpoint.succeeded;
+        nextPageToken = checkpoint.resumeToken;
+        pageIndex = checkpoint.resumePage;
+        // Always resume in the mode the run was started with
+        immediateLogout = checkpoint.params.immediateLogout === true;
+        selectorSpec = checkpoint.params.selector;
+        target = { project: checkpoint.params.project, tenant: checkpoint.params.tenant };
+        // e.g. a scheduled policy's own exclusions, or an approved request's snapshot
+        checkpoint.excludedUserIds.forEach(uid => excludedSet.add(uid));
+        // Users the interrupted run may have left disabled are checked by the restore pass
+        checkpoint.unrestored.forEach(uid => pendingRestore.add(uid));
+        if (checkpoint.startedAt) signalValidAfter = new Date(checkpoint.startedAt);
+        signalled = checkpoint.signalled;
+    }
+    const auth = getAuth(target);
+    const selector = createSelector(selectorSpec || {});
+    const signalBackend = resolveSignalBackend(options.revocationSignal);
+    const signalWriter = signalBackend ? createSignalWriter(signalBackend, target) : null;
+    // One global marker when every user is targeted, one per logged out user otherwise
+    const signalScope = selector.isEmpty && excludedSet.size <= MAX_GLOBAL_EXCLUSIONS ? 'global' : 'user';
+    const signal = signalWriter ? { backend: signalBackend, scope: signalScope, written: 0, failed: 0 } : null;
+    const journal = openJournal(runId, options.journalDir);
+    if (options.resume) {
+        journal.record('resume', { fromPage: pageIndex });
+    } else {
+        journal.record('start', {
+            params: { immediateLogout, excludedCount: excludedSet.size, selector: selectorSpec, ...target },
+            excludedUserIds: [...excludedSet],
+            approval: options.approval || null
+        });
+    }
+    const mode = immediateLogout ? 'immediate' : 'revoke';
+    const actor = options.actor || getCliActor();
+    const exclusionsHash = hashExclusions([...excludedSet]);
+    recordAudit('run.start', {
+        runId,
+        actor,
+        mode,
+        dryRun: false,
+        resumed: Boolean(options.resume),
+        ...target,
+        exclusions: { count: excludedSet.size, hash: exclusionsHash },
+        selector: selectorSpec || null
+    });
+    emit('start', { mode, resumed: Boolean(options.resume), ...target });
+    notifyWebhooks('run.start', {
+        runId,
+        mode,
+        resumed: Boolean(options.resume),
+        ...target,
+        actor,
+        excludedCount: excludedSet.size,
+        selector: selectorSpec || null
+    });
+    const failureThreshold = getFailureThreshold();
+    let failureThresholdNotified = false;
+
+    // RATE LIMITING
+    // p-limit only caps how many users are in flight; every Admin API call waits for a token
+    // from its method's limiter, so immediate mode is paced by the strict updateUser quota
+    // and standard mode by revokeRefreshTokens
+    const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
     const limit = pLimit(concurrency);
-    const allPromises = [];
 
-    console.log(`Starting optimized parallel logout process...`);
-    console.log(`Excluded users: ${excludedUserIds.length}`);
-    console.log(`Immediate logout mode: ${immediateLogout ? 'ENABLED (terminates active sessions)' : 'DISABLED (revoke tokens only)'}`);
-    console.log(`Concurrency Limit: ${concurrency} operations/sec (adjusted for rate limits)\n`);
+    // BACKPRESSURE
+    // Users are counted from the moment they are queued until they settle; nothing keeps
+    // their records or results once they have, and the page loop waits for the count to
+    // drop below the high-water mark before fetching more
+    const highWaterMark = options.highWaterMark || DEFAULT_HIGH_WATER_MARK;
+    let inFlight = 0;
+    let waiters = [];
+    // The first unexpected error thrown by a queued task; fails the run once the queue has drained
+    let taskError = null;
+    const waitForQueueBelow = mark => (inFlight < mark ? Promise.resolve() : new Promise(resolve => waiters.push({ mark, resolve })));
+    const release = () => {
+        inFlight--;
+        waiters = waiters.filter((waiter) => {
+            if (inFlight >= waiter.mark) return true;
+            waiter.resolve();
+            return false;
+        });
+    };
+
+    // Cancelled: drain the queue without touching Firebase.
+    // The page stays unsettled in the journal so a resume picks these users up.
+    const schedule = (task) => {
+        inFlight++;
+        limit(() => {
+            if (isCancelled() || taskError) {
+                cancelledCount++;
+                return { status: 'cancelled' };
+            }
+            return task();
+        }).catch((error) => {
+            taskError = taskError || error;
+        }).finally(release);
+    };
+
+    const runLog = log.child({ runId });
+    runLog.info(`${options.resume ? 'Resuming' : 'Starting'} optimized parallel logout process (run {runId})...`, { mode });
+    if (options.resume) {
+        runLog.info('Resuming from page {page} ({alreadyLoggedOut} users already logged out)', { page: pageIndex, alreadyLoggedOut });
+    }
+    runLog.info('Target: {target}', { target: describeTarget(target), ...target });
+    runLog.info('Excluded users: {excludedCount}', { excludedCount: excludedUserIds.length });
+    if (!selector.isEmpty) {
+        runLog.info('Selector rules: {rules}', { rules: selector.getStats().map(stat => `${stat.rule}`).join('; ') });
+    }
+    runLog.info(`Immediate logout mode: ${immediateLogout ? 'ENABLED (terminates active sessions)' : 'DISABLED (revoke tokens only)'}`);
+    runLog.info('Concurrency Limit: {concurrency} users in flight (next page fetched below {highWaterMark} queued)', { concurrency, highWaterMark });
+    runLog.info('Rate limits (ops/sec): {rates}\n', { rates: formatRates(getRates(limiters)) });
+
+    metrics.runsInProgress.inc({ mode });
+    const finishRunMetrics = (outcome) => {
+        metrics.runsInProgress.dec({ mode });
+        metrics.runsTotal.inc({ mode, outcome });
+        metrics.runDuration.observe({ mode }, (Date.now() - runStartedAt.getTime()) / 1000);
+    };
+
+    // Failed users past the first maxErrorsInMemory are appended to the run's error log instead
+    const maxErrorsInMemory = options.maxErrorsInMemory || DEFAULT_MAX_ERRORS_IN_MEMORY;
+    const recordError = (errorInfo) => {
+        if (errors.length < maxErrorsInMemory) {
+            errors.push(errorInfo);
+            return;
+        }
+        if (!errorsFile) {
+            errorsFile = getErrorLogPath(runId, options.journalDir);
+            runLog.warn('More than {max} failed users; further error details are written to {file}', { max: maxErrorsInMemory, file: errorsFile });
+        }
+        fs.appendFileSync(errorsFile, JSON.stringify(errorInfo) + '\n');
+    };
+
+    // RUN HISTORY
+    // A record that cannot be saved does not fail the run: the journal still has every outcome
+    const saveToHistory = (status, fields) => {
+        const finishedAt = new Date();
+        try {
+            saveRun({
+                runId,
+                status,
+                mode,
+                ...target,
+                actor,
+                params: {
+                    immediateLogout,
+                    excludedCount: excludedSet.size,
+                    exclusionsHash,
+                    selector: selectorSpec || null,
+                    concurrency,
+                    highWaterMark,
+                    verify: shouldVerify,
+                    revocationSignal: signalBackend
+                },
+                startedAt: runStartedAt.toISOString(),
+                finishedAt: finishedAt.toISOString(),
+                durationMs: finishedAt.getTime() - runStartedAt.getTime(),
+                counts: {
+                    success: successCount,
+                    failed: failedCount,
+                    skipped: skippedCount,
+                    notSelected: notSelectedCount,
+                    total: totalProcessed,
+                    alreadyCompleted: alreadyCompletedCount,
+                    requeued: requeuedCount,
+                    notProcessed: cancelledCount
+                },
+                verification: summarizeVerification(verification),
+                signal,
+                errorsFile,
+                ...fields
+            }, options.journalDir);
+        } catch (error) {
+            runLog.warn('⚠️  Could not save run {runId} to the run history: {error}', { error: error.message });
+        }
+    };
+
+    // VERIFICATION
+    // Success so far only means no call threw; logged out users are re-read in chunks
+    // (at a page boundary once VERIFY_CHUNK_SIZE have accumulated, and after the queue has drained)
+    let verification = null;
+    const verifyLoggedOutUsers = async () => {
+        if (verifyTargets.size === 0) return;
+        const targets = new Map(verifyTargets);
+        verifyTargets.clear();
+
+        runLog.info('\n🔎 Verifying {count} logged out users...', { count: targets.size });
+        let chunk;
+        try {
+            chunk = await verifyLogout(targets, {
+                since: runStartedAt,
+                call: (method, ...args) => withQuotaRetry(() => limitedCall(auth, limiters, method, ...args))
+            });
+        } catch (error) {
+            // The logouts themselves are done; report the run as unverified rather than failed
+            runLog.error('❌ Verification failed: {error}', { error: error.message });
+            runLog.error('   Verify this run later with: node cli.js verify --run {runId}');
+            chunk = { checked: targets.size, verified: 0, repaired: 0, mismatched: [], notFound: [], error: error.message };
+        }
+        const { mismatched, notFound, ...counts } = chunk;
+        journal.record('verified', { ...counts, notFound: notFound.length, mismatched });
+
+        verification = addVerification(verification, chunk);
+    };
+
+    // REVOCATION SIGNAL
+    // The global marker ends every session started before the run first started, so it is only
+    // written once the listing is done: a cancelled or failed run (even a resumed one) signs no one out
+    const signalEveryone = async () => {
+        if (signalled) return;
+        try {
+            await signalWriter.writeGlobal(signalValidAfter, { runId, excludedUids: [...excludedSet] });
+        } catch (error) {
+            signal.failed++;
+            runLog.warn('⚠️  Failed to write the global revocation marker: {error} (apps sign out at their next token refresh)', { error: error.message });
+            return;
+        }
+        signal.written++;
+        journal.record('signal', { backend: signalBackend, scope: 'global', validAfter: signalValidAfter.toISOString() });
+        recordAudit('run.signal', { runId, backend: signalBackend, scope: 'global' });
+        runLog.info('📣 Revocation marker written to {backend}: apps sign out every session started before {validAfter}', {
+            backend: signalBackend,
+            validAfter: signalValidAfter.toISOString()
+        });
+    };
 
     try {
         do {
-            // Fetch users in batches of 1000
-            const listUsersResult = await admin.auth().listUsers(1000, nextPageToken);
+            // Wait for the queue to drain below the high-water mark before fetching more users
+            await waitForQueueBelow(highWaterMark);
+            if (taskError) break;
+            if (verifyTargets.size >= VERIFY_CHUNK_SIZE) await verifyLoggedOutUsers();
+
+            const pageToken = nextPageToken;
+            const listUsersResult = await withQuotaRetry(() => limitedCall(auth, limiters, 'listUsers', PAGE_SIZE, pageToken));
+
+            runLog.info('Fetched batch of {users} users. Queuing for parallel processing...', { page: pageIndex, users: listUsersResult.users.length });
+
+            // Checkpoint: the page is settled once every one of its users has an outcome
+            const page = pageIndex++;
+            const pageNextToken = listUsersResult.pageToken;
+            let pagePending = listUsersResult.users.length;
+            journal.record('page', { page, pageToken: nextPageToken });
+            if (pagePending === 0) {
+                journal.record('pageDone', { page, nextPageToken: pageNextToken });
+            }
+            const settle = (uid, status, details = {}, error) => {
+                if (uid) {
+                    journal.record('user', error ? { uid, status, page, ...details, error } : { uid, status, page, ...details });
+                    metrics.usersTotal.inc({ mode, status });
+                    emit('user', error ? { uid, status, error } : { uid, status });
+                }
+                if (--pagePending === 0) {
+                    journal.record('pageDone', { page, nextPageToken: pageNextToken });
+                }
+                reportProgress();
+            };
+            queuedCount += listUsersResult.users.length;
+            emit('page', { page, users: listUsersResult.users.length, queued: queuedCount });
+            reportProgress();
+
+            // Log out one selected user. A quota error puts the user back at the end of the queue
+            // (the limiter has already slowed down) instead of counting it as failed.
+            const attemptLogout = async (userRecord, attempt) => {
+                const uid = userRecord.uid;
+                let step = 'revoke';
+                // Sessions started before the revocation end with it
+                let revokedAt;
+                try {
+                    if (immediateLogout && !userRecord.disabled) {
+                        // Journal the original state BEFORE touching the account, so a crash at any
+                        // point leaves a record of who has to be re-enabled
+                        pendingRestore.add(userRecord.uid);
+                        journal.record('disable', { uid: userRecord.uid, originalDisabled: false });
+
+                        // RETRY LOGIC for quota enforcement
+                        step = 'disable';
+                        await robustUpdateUser(userRecord.uid, { disabled: true }, 3, limiters, auth);
+                        recordAudit('user.disable', { runId, uid });
 
-            console.log(`Fetched batch of ${listUsersResult.users.length} users. Queuing for parallel processing...`);
+                        // Revoke refresh tokens (the account is disabled now, so retry in place rather than re-queue)
+                        step = 'revoke';
+                        revokedAt = new Date();
+                        await withQuotaRetry(() => limitedCall(auth, limiters, 'revokeRefreshTokens', userRecord.uid));
+                        recordAudit('user.revoke', { runId, uid });
+
+                        // Re-enable account
+                        step = 'enable';
+                        await robustUpdateUser(userRecord.uid, { disabled: false }, 3, limiters, auth);
+                        pendingRestore.delete(userRecord.uid);
+                        journal.record('restore', { uid: userRecord.uid });
+                        recordAudit('user.enable', { runId, uid });
+                    } else {
+                        // Already disabled accounts have no sessions to terminate and must stay
+                        // disabled, so immediate mode only revokes their tokens
+                        // Just revoke refresh tokens
+                        revokedAt = new Date();
+                        await limitedCall(auth, limiters, 'revokeRefreshTokens', userRecord.uid);
+                        recordAudit('user.revoke', { runId, uid });
+                    }
+                    // A marker that cannot be written does not fail the user (see signalUserLogout)
+                    if (signal && signalScope === 'user') {
+                        const written = await signalUserLogout(signalWriter, uid, revokedAt, { runId, log: runLog });
+                        signal[written ? 'written' : 'failed']++;
+                    }
+
+                    successCount++;
+                    // Log every 10 successes (immediate) or 100 (standard) to track progress better
+                    const logInterval = immediateLogout ? 10 : 100;
+                    if (successCount % logInterval === 0) {
+                        runLog.info('Progress: {success} users logged out... (rate: {rates})', { success: successCount, rates: formatRates(getRates(limiters)) });
+                    }
+                    if (shouldVerify) verifyTargets.set(uid, userRecord.disabled);
+                    settle(userRecord.uid, 'success', { originalDisabled: userRecord.disabled, createdAt: getCreatedAt(userRecord) });
+                    return { status: 'success', uid: userRecord.uid };
+                } catch (error) {
+                    if (isQuotaError(error) && attempt < MAX_QUOTA_ATTEMPTS) {
+                        requeuedCount++;
+                        metrics.requeuedUsers.inc();
+                        runLog.warn('Quota exceeded for user {uid} - re-queued (attempt {attempt}/{maxAttempts})', { uid, attempt, maxAttempts: MAX_QUOTA_ATTEMPTS });
+                        schedule(() => attemptLogout(userRecord, attempt + 1));
+                        emit('user', { uid, status: 'requeued', error: error.message });
+                        return { status: 'requeued', uid: userRecord.uid };
+                    }
+
+                    failedCount++;
+                    if (failedCount > failureThreshold && !failureThresholdNotified) {
+                        failureThresholdNotified = true;
+                        notifyWebhooks('run.failure-threshold', { runId, mode, ...target, actor, failed: failedCount, success: successCount, threshold: failureThreshold });
+                    }
+                    // Redacted as configured in logger.js: errors end up in job results and logout_errors_*.json
+                    const errorInfo = redactPii({
+                        uid: userRecord.uid,
+                        email: userRecord.email,
+                        error: error.message
+                    });
+                    recordError(errorInfo);
+                    recordAudit('user.failed', { runId, uid, step, error: error.message });
+                    runLog.error('Failed to logout user {uid}: {error}', { uid, step, error: error.message });
+                    settle(userRecord.uid, 'failed', { createdAt: getCreatedAt(userRecord) }, error.message);
+                    return { status: 'failed', uid: userRecord.uid, error: error.message };
+                }
+            };
 
             // Queue each user for processing
-            const batchPromises = listUsersResult.users.map(userRecord => {
-                return limit(async () => {
+            for (const userRecord of listUsersResult.users) {
+                schedule(async () => {
+                    // Already logged out by the interrupted run
+                    if (loggedOut.has(userRecord.uid)) {
+                        alreadyCompletedCount++;
+                        settle(null);
+                        return { status: 'already-completed', uid: userRecord.uid };
+                    }
+
                     totalProcessed++;
 
+                    // Evaluate selector rules for every user so each rule's match count is accurate
+                    const selection = selector.evaluate(userRecord);
+
                     // Skip excluded users
                     if (excludedSet.has(userRecord.uid)) {
                         skippedCount++;
-                        console.log(`Skipped user: ${userRecord.uid} (excluded)`);
+                        runLog.info('Skipped user: {uid} (excluded)', { uid: userRecord.uid });
+                        settle(userRecord.uid, 'skipped', { createdAt: getCreatedAt(userRecord) });
                         return { status: 'skipped', uid: userRecord.uid };
                     }
 
-                    try {
-                        if (immediateLogout) {
-                            // RETRY LOGIC for quota enforcement
-                            await robustUpdateUser(userRecord.uid, { disabled: true });
-
-                            // Revoke refresh tokens
-                            await admin.auth().revokeRefreshTokens(userRecord.uid);
-
-                            // Re-enable account
-                            await robustUpdateUser(userRecord.uid, { disabled: false });
-                        } else {
-                            // Just revoke refresh tokens
-                            // Add small delay to respect 10qps limit strictly
-                            await new Promise(resolve => setTimeout(resolve, 100));
-                            await admin.auth().revokeRefreshTokens(userRecord.uid);
-                        }
-
-                        successCount++;
-                        // Log every 10 successes (immediate) or 100 (standard) to track progress better
-                        const logInterval = immediateLogout ? 10 : 100;
-                        if (successCount % logInterval === 0) {
-                            console.log(`Progress: ${successCount} users logged out...`);
+                    // Skip users outside the selector (silently, a narrow selector leaves most users out)
+                    if (!selection.selected) {
+                        if (selection.reason === 'not-selected') {
+                            notSelectedCount++;
+                            settle(null);
+                            return { status: 'not-selected', uid: userRecord.uid };
                         }
-                        return { status: 'success', uid: userRecord.uid };
-                    } catch (error) {
-                        failedCount++;
-                        const errorInfo = {
-                            uid: userRecord.uid,
-                            email: userRecord.email,
-                            error: error.message
-                        };
-                        errors.push(errorInfo);
-                        // Only log errors if not quota related (to avoid spam if we hit limits despite throttling)
-                        if (!error.message.includes('quota')) {
-                            console.error(`Failed to logout user ${userRecord.uid}:`, error.message);
-                        } else {
-                            console.error(`Quota exceeded for user ${userRecord.uid} - skipping`);
-                        }
-                        return { status: 'failed', uid: userRecord.uid, error: error.message };
+                        skippedCount++;
+                        runLog.info('Skipped user: {uid} ({reason})', { uid: userRecord.uid, reason: selection.reason });
+                        settle(userRecord.uid, 'skipped', { createdAt: getCreatedAt(userRecord) });
+                        return { status: 'skipped', uid: userRecord.uid };
                     }
-                });
-            });
 
-            // Add batch promises to the main list
-            allPromises.push(...batchPromises);
+                    return attemptLogout(userRecord, 1);
+                });
+            }
 
-            // Move to next page immediately
             nextPageToken = listUsersResult.pageToken;
 
-        } while (nextPageToken);
+        } while (nextPageToken && !isCancelled() && !taskError);
+
+        listingComplete = !nextPageToken;
+        if (isCancelled()) {
+            runLog.warn('\n🛑 Cancellation requested. Draining queue (in-flight users will finish)...');
+        } else {
+            runLog.info('\nAll users queued. Waiting for completion...');
+        }
+
+        // Wait for all operations to complete, including users re-queued after quota errors
+        await waitForQueueBelow(1);
+        if (taskError) throw taskError;
+        reportProgress();
+
+        if (signal && signalScope === 'global' && !isCancelled()) {
+            await signalEveryone();
+        }
+
+        // RESTORE PASS
+        // Anyone still pending was disabled (or may have been) but never confirmed re-enabled
+        const unrestored = await restorePendingUsers(pendingRestore, journal, limiters, auth, runLog);
 
-        console.log('\nAll users queued. Waiting for completion...');
+        // Verify the users logged out since the last chunk
+        await verifyLoggedOutUsers();
+        if (verification) {
+            const { mismatched, notFound, ...counts } = verification;
+            recordAudit('run.verified', { runId, ...counts, notFound: notFound.length, mismatched });
+        }
 
-        // Wait for all operations to complete
-        await Promise.all(allPromises);
+        const cancelled = isCancelled();
+        runLog.info(`\n=== Logout Process ${cancelled ? 'Cancelled' : 'Complete'} ===`, { cancelled });
+        runLog.info('Total processed: {total}', { total: totalProcessed });
+        runLog.info('Successfully logged out: {success}', { success: successCount });
+        runLog.info('Failed: {failed}', { failed: failedCount });
+        runLog.info('Skipped (excluded): {skipped}', { skipped: skippedCount });
+        runLog.info('Re-queued after quota errors: {requeued}', { requeued: requeuedCount });
+        if (!selector.isEmpty) {
+            runLog.info('Not selected: {notSelected}', { notSelected: notSelectedCount });
+            for (const stat of selector.getStats()) {
+                runLog.info('   {kind} rule "{rule}" matched {matched} users', stat);
+            }
+        }
+        if (options.resume) {
+            runLog.info('Already completed before resume: {alreadyCompleted}', { alreadyCompleted: alreadyCompletedCount });
+        }
+
+        if (verification) {
+            runLog.info(`Verified: {verified}/{checked}${verification.repaired ? ' ({repaired} after a retry)' : ''}`, {
+                verified: verification.verified,
+                checked: verification.checked,
+                repaired: verification.repaired
+            });
+            if (verification.notFound.length > 0) {
+                runLog.info('Deleted during the run: {notFound}', { notFound: verification.notFound.length });
+            }
+            if (verification.mismatched.length > 0) {
+                runLog.error('\n🚨 {count} users could NOT be verified:', { count: verification.mismatched.length });
+                for (const { uid, problems, error } of verification.mismatched) {
+                    runLog.error(`   {uid}: {problems}${error ? ' ({error})' : ''}`, { uid, problems, error });
+                }
+            }
+        }
+
+        if (signal && signalScope === 'user') {
+            runLog.info('Revocation markers written to {backend}: {written}', { backend: signalBackend, written: signal.written });
+            if (signal.failed > 0) {
+                runLog.warn('Revocation markers that could not be written: {failed} (those apps sign out at their next token refresh)', { failed: signal.failed });
+            }
+        }
+
+        if (unrestored.length > 0) {
+            runLog.error('\n🚨 {count} users could NOT be re-enabled: {unrestored}', { count: unrestored.length, unrestored });
+            runLog.error('   Restore them with: node cli.js recover {runId}');
+        }
+
+        if (cancelled) {
+            runLog.info('Not processed (cancelled): {notProcessed}', { notProcessed: cancelledCount });
+            runLog.info('Resume this run later with: node cli.js logout-all --resume {runId}');
+        }
 
-        console.log('\n=== Logout Process Complete ===');
-        console.log(`Total processed: ${totalProcessed}`);
-        console.log(`Successfully logged out: ${successCount}`);
-        console.log(`Failed: ${failedCount}`);
-        console.log(`Skipped (excluded): ${skippedCount}`);
+        const totals = { success: successCount, failed: failedCount, skipped: skippedCount, total: totalProcessed };
+        journal.record(cancelled ? 'cancelled' : 'complete', { totals });
+        recordAudit(cancelled ? 'run.cancelled' : 'run.complete', {
+            runId,
+            totals: { ...totals, notSelected: notSelectedCount, alreadyCompleted: alreadyCompletedCount },
+            unrestored
+        });
+        finishRunMetrics(cancelled ? 'cancelled' : 'completed');
+        saveToHistory(cancelled ? 'cancelled' : 'completed', { unrestored });
+        emit('complete', {
+            ...totals,
+            cancelled,
+            unrestored: unrestored.length,
+            verified: verification ? verification.verified : null,
+            mismatched: verification ? verification.mismatched.length : null
+        });
+        notifyWebhooks('run.complete', {
+            runId,
+            mode,
+            ...target,
+            actor,
+            ...totals,
+            notSelected: notSelectedCount,
+            alreadyCompleted: alreadyCompletedCount,
+            cancelled,
+            unrestored: unrestored.length,
+            verified: verification ? verification.verified : null,
+            mismatched: verification ? verification.mismatched.length : null,
+            durationSeconds: Math.round((Date.now() - runStartedAt.getTime()) / 1000)
+        });
 
         return {
+            runId,
             success: successCount,
             failed: failedCount,
             skipped: skippedCount,
+            notSelected: notSelectedCount,
             total: totalProcessed,
-            errors: errors
+            alreadyCompleted: alreadyCompletedCount,
+            requeued: requeuedCount,
+            unrestored,
+            verification,
+            signal,
+            selectorStats: selector.getStats(),
+            cancelled,
+            notProcessed: cancelledCount,
+            errors: errors,
+            errorsFile
         };
 
     } catch (error) {
-        console.error('Fatal error during logout process:', error);
+        // Drop users that are still waiting in the queue; the journal lets a resume pick them up
+        limit.clearQueue();
+        recordAudit('run.failed', { runId, error: error.message });
+        finishRunMetrics('failed');
+        saveToHistory('failed', { unrestored: [...pendingRestore], ...redactPii({ error: error.message }) });
+        emit('failed', { error: error.message });
+        notifyWebhooks('run.failed', {
+            runId,
+            mode,
+            ...target,
+            actor,
+            success: successCount,
+            failed: failedCount,
+            skipped: skippedCount,
+            ...redactPii({ error: error.message })
+        });
+        runLog.error('Fatal error during logout process:', { error });
+        runLog.error('Resume this run later with: node cli.js logout-all --resume {runId}');
+        if (immediateLogout) {
+            runLog.error('Users left disabled can be restored with: node cli.js recover {runId}');
+        }
         throw error;
     }
 }
 
 /**
- * Helper to retry updateUser on failure (simple improved reliability)
+ * Run forceLogoutAllUsers once per tenant of a project, one tenant after the other
+ * Each tenant gets its own run (and journal), so an interrupted tenant is resumed
+ * on its own with --resume <runId>. Cancelling stops before the next tenant.
+ * @param {string[]} excludedUserIds - Applied to every tenant
+ * @param {boolean} immediateLogout
+ * @param {Object} [options] - As for forceLogoutAllUsers (except runId, resume and tenant)
+ * @returns {Promise<{tenants: Array<Object>, success: number, failed: number, skipped: number, cancelled: boolean}>}
  */
-async function robustUpdateUser(uid, properties, retries = 3) {
-    for (let i = 0; i < retries; i++) {
-        try {
-            await admin.auth().updateUser(uid, properties);
-            return;
-        } catch (error) {
-            if (i === retries - 1) throw error; // Last retry failed
+async function forceLogoutAllTenants(excludedUserIds = [], immediateLogout = false, options = {}) {
+    const { runId, resume, tenant, ...runOptions } = options;
+    const tenantIds = await listTenantIds({ project: options.project });
+    const summary = { tenants: [], success: 0, failed: 0, skipped: 0, cancelled: false };
 
-            // Wait before retry (exponential backoff: 500ms, 1000ms, 2000ms)
-            const delay = 500 * Math.pow(2, i);
-            await new Promise(resolve => setTimeout(resolve, delay));
+    log.info('Found {count} tenants in the {target}', { count: tenantIds.length, target: describeTarget({ project: options.project }) });
+    for (const tenantId of tenantIds) {
+        if (options.signal && options.signal.aborted) {
+            summary.cancelled = true;
+            break;
         }
+
+        log.info('\n=== Tenant {tenant} ===', { tenant: tenantId });
+        const result = await forceLogoutAllUsers(excludedUserIds, immediateLogout, { ...runOptions, tenant: tenantId });
+        summary.tenants.push({ tenantId, ...result });
+        summary.success += result.success || 0;
+        summary.failed += result.failed || 0;
+        summary.skipped += result.skipped || 0;
+        summary.cancelled = summary.cancelled || Boolean(result.cancelled);
     }
+    return summary;
 }
 
 /**
- * Initialize Firebase Admin SDK (if not already initialized)
+ * Dry-run variant of forceLogoutAllUsers
+ * Walks every listUsers page and applies the exclusion set, but never calls
+ * revokeRefreshTokens or updateUser. Writes a JSON + CSV manifest for review, streaming
+ * its rows to disk page by page so only the totals stay in memory (see manifest.js).
+ * Supports options.signal, options.onProgress and options.events ('start', 'page',
+ * 'progress', 'complete') like forceLogoutAllUsers; a cancelled dry run writes no manifest.
+ * @returns {Promise<{dryRun: boolean, targeted: number, skipped: number, total: number, manifest: Object}>}
  */
-function initializeFirebase() {
-    if (!admin.apps.length) {
-        // Try to find service account key
-        const serviceAccountPath = path.join(__dirname, 'service.json');
-
-        if (fs.existsSync(serviceAccountPath)) {
-            const serviceAccount = require(serviceAccountPath);
-            admin.initializeApp({
-                credential: admin.credential.cert(serviceAccount)
-            });
-            console.log('Firebase Admin initialized with service account key');
-        } else {
-            // Fallback methods...
-            admin.initializeApp({
-                credential: admin.credential.applicationDefault()
-            });
-            console.log('Firebase Admin initialized with application default credentials');
+async function planLogout(excludedUserIds = [], immediateLogout = false, options = {}) {
+    const target = { project: options.project, tenant: options.tenant };
+    const auth = getAuth(target);
+    const excludedSet = new Set(excludedUserIds);
+    const selector = createSelector(options.selector || {});
+    const emit = (event, payload) => {
+        if (options.events) options.events.emit(event, { runId: null, dryRun: true, ...payload });
+    };
+    const limiters = createAdminLimiters(options.rateLimits, change => emit('rate', change));
+    const manifest = createManifest({
+        immediateLogout,
+        excludedCount: excludedSet.size,
+        selector: options.selector,
+        ...target
+    }, options.manifestDir);
+    let nextPageToken;
+
+    recordAudit('run.start', {
+        runId: null,
+        actor: options.actor || getCliActor(),
+        mode: immediateLogout ? 'immediate' : 'revoke',
+        dryRun: true,
+        ...target,
+        exclusions: { count: excludedSet.size, hash: hashExclusions([...excludedSet]) },
+        selector: options.selector || null
+    });
+
+    emit('start', { mode: immediateLogout ? 'immediate' : 'revoke', resumed: false, ...target });
+
+    log.info('Starting DRY RUN (no users will be logged out)...', { dryRun: true });
+    log.info('Target: {target}', { target: describeTarget(target), ...target });
+    log.info('Excluded users: {excludedCount}\n', { excludedCount: excludedUserIds.length });
+
+    // Rows go to disk as they are planned; a dry run that fails leaves no part files behind
+    try {
+        do {
+            const pageToken = nextPageToken;
+            const listUsersResult = await withQuotaRetry(() => limitedCall(auth, limiters, 'listUsers', 1000, pageToken));
+            log.info('Fetched batch of {users} users. Evaluating...', { users: listUsersResult.users.length });
+
+            for (const userRecord of listUsersResult.users) {
+                const selection = selector.evaluate(userRecord);
+                if (excludedSet.has(userRecord.uid)) {
+                    addSkipped(manifest, userRecord, 'excluded');
+                } else if (selection.reason === 'not-selected') {
+                    addNotSelected(manifest);
+                } else if (!selection.selected) {
+                    addSkipped(manifest, userRecord, selection.reason);
+                } else {
+                    addTargeted(manifest, userRecord);
+                }
+            }
+
+            nextPageToken = listUsersResult.pageToken;
+            emit('page', { users: listUsersResult.users.length, queued: manifest.totals.total });
+            const progress = {
+                queued: manifest.totals.total,
+                processed: manifest.totals.total,
+                targeted: manifest.totals.targeted,
+                skipped: manifest.totals.skipped,
+                notSelected: manifest.totals.notSelected,
+                listingComplete: !nextPageToken
+            };
+            if (options.onProgress) options.onProgress(progress);
+            emit('progress', progress);
+        } while (nextPageToken && !(options.signal && options.signal.aborted));
+    } catch (error) {
+        discardManifest(manifest);
+        throw error;
+    }
+
+    if (nextPageToken) {
+        discardManifest(manifest);
+        log.warn('\n🛑 Dry run cancelled. No manifest written.');
+        recordAudit('run.cancelled', { runId: null, dryRun: true });
+        emit('complete', { ...manifest.totals, cancelled: true });
+        return {
+            dryRun: true,
+            cancelled: true,
+            targeted: manifest.totals.targeted,
+            skipped: manifest.totals.skipped,
+            total: manifest.totals.total,
+            manifest: null
+        };
+    }
+
+    const selectorStats = selector.getStats();
+    const files = writeManifest(manifest, selectorStats);
+    recordAudit('run.complete', { runId: null, dryRun: true, totals: manifest.totals, manifest: files.jsonPath });
+    emit('complete', { ...manifest.totals, cancelled: false, manifest: files.jsonPath });
+
+    log.info('\n=== Dry Run Complete ===');
+    log.info('Total users: {total}', { total: manifest.totals.total });
+    log.info('Would be logged out: {targeted}', { targeted: manifest.totals.targeted });
+    log.info('Would be skipped: {skipped}', { skipped: manifest.totals.skipped });
+    if (!selector.isEmpty) {
+        log.info('Not selected: {notSelected}', { notSelected: manifest.totals.notSelected });
+        for (const stat of selectorStats) {
+            log.info('   {kind} rule "{rule}" matched {matched} users', stat);
         }
     }
+    log.info('Manifest (JSON): {path}', { path: files.jsonPath });
+    log.info('Manifest (CSV): {path}', { path: files.csvPath });
+
+    return {
+        dryRun: true,
+        targeted: manifest.totals.targeted,
+        skipped: manifest.totals.skipped,
+        notSelected: manifest.totals.notSelected,
+        total: manifest.totals.total,
+        selectorStats,
+        manifest: files
+    };
 }
 
-// Example usage
-async function main() {
+/**
+ * Call an Admin API method, counting the call, its latency and quota errors (see metrics.js)
+ * @param {Object} auth - Auth client of the run's target (see projects.js)
+ * @param {string} method - Auth method name
+ */
+async function instrumentedCall(auth, method, ...args) {
+    const startedAt = process.hrtime.bigint();
+    let outcome = 'success';
     try {
-        initializeFirebase();
+        return await auth[method](...args);
+    } catch (error) {
+        outcome = isQuotaError(error) ? 'quota-error' : 'error';
+        if (outcome === 'quota-error') metrics.quotaErrors.inc({ method });
+        throw error;
+    } finally {
+        metrics.adminCalls.inc({ method, outcome });
+        metrics.adminCallDuration.observe({ method }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    }
+}
 
-        // Load excluded user IDs
-        let excludedUserIds = [];
-        const configPath = path.join(__dirname, 'config.js');
-        if (fs.existsSync(configPath)) {
-            const config = require('./config');
-            excludedUserIds = config.excludedUserIds || [];
-            console.log(`Loaded ${excludedUserIds.length} excluded IDs from config.js`);
-        }
+/**
+ * Call an Admin API method through its rate limiter
+ * Feeds the outcome back so the limiter can back off or ramp up
+ * @param {Object} auth - Auth client of the run's target (see projects.js)
+ * @param {Object} limiters - From createAdminLimiters()
+ * @param {string} method - Auth method name
+ */
+async function limitedCall(auth, limiters, method, ...args) {
+    const limiter = limiters[method];
+    await limiter.acquire();
+    try {
+        const result = await instrumentedCall(auth, method, ...args);
+        limiter.reportSuccess();
+        return result;
+    } catch (error) {
+        if (isQuotaError(error)) limiter.reportQuotaError();
+        throw error;
+    }
+}
 
-        const immediateMode = process.argv.includes('--immediate');
+/**
+ * Retry an operation in place while it fails with quota errors
+ * Used where re-queueing is not an option (listUsers paging, mid-sequence immediate logout)
+ */
+async function withQuotaRetry(operation, attempts = MAX_QUOTA_ATTEMPTS) {
+    for (let i = 1; ; i++) {
+        try {
+            return await operation();
+        } catch (error) {
+            if (!isQuotaError(error) || i >= attempts) throw error;
+        }
+    }
+}
 
-        console.log('\n⚠️  WARNING: This will logout ALL users except those in the exclusion list!');
-        console.log(`Excluded IDs: ${excludedUserIds.length} users`);
-        console.log(`Immediate logout: ${immediateMode ? 'YES (terminates active sessions)' : 'NO (revoke tokens only)'}`);
-        console.log('\nStarting in 3 seconds...\n');
+/**
+ * Re-enable a user that a logout run disabled, if it is still disabled
+ * @param {string} uid
+ * @param {Object} [limiters] - Rate limiters to route the calls through
+ * @param {number} [retries=5] - updateUser attempts (independent of the logout's own retries)
+ * @param {Object} [auth] - Auth client of the run's target (defaults to the default project)
+ * @returns {Promise<'restored'|'not-disabled'|'not-found'>}
+ */
+async function restoreUser(uid, limiters = null, retries = 5, auth = getAuth()) {
+    let userRecord;
+    try {
+        userRecord = limiters
+            ? await withQuotaRetry(() => limitedCall(auth, limiters, 'getUser', uid))
+            : await instrumentedCall(auth, 'getUser', uid);
+    } catch (error) {
+        if (error.code === 'auth/user-not-found') return 'not-found';
+        throw error;
+    }
 
-        await new Promise(resolve => setTimeout(resolve, 3000));
+    if (!userRecord.disabled) return 'not-disabled';
 
-        const result = await forceLogoutAllUsers(excludedUserIds, immediateMode);
+    await robustUpdateUser(uid, { disabled: false }, retries, limiters, auth);
+    return 'restored';
+}
 
-        console.log('\n=== Final Results Summary ===');
-        console.log(`Success: ${result.success}`);
-        console.log(`Failed: ${result.failed}`);
+/**
+ * Restore every user in the pending set, journaling each confirmed restore
+ * @returns {Promise<string[]>} uids that are still disabled
+ */
+async function restorePendingUsers(pendingRestore, journal, limiters, auth, runLog) {
+    if (pendingRestore.size === 0) return [];
 
-        if (result.failed > 0) {
-            console.log(`See logs for details on failures.`);
-            // Write errors to a file for better debugging
-            const errorLogPath = path.join(__dirname, 'logout_errors.json');
-            fs.writeFileSync(errorLogPath, JSON.stringify(result.errors, null, 2));
-            console.log(`Detailed errors saved to: ${errorLogPath}`);
+    runLog.info('\n🔧 Restore pass: checking {count} users that were not confirmed re-enabled...', { count: pendingRestore.size });
+    const unrestored = [];
+    for (const uid of pendingRestore) {
+        try {
+            const outcome = await restoreUser(uid, limiters, 5, auth);
+            journal.record('restore', { uid, outcome });
+            recordAudit('user.enable', { runId: journal.runId, uid, outcome, by: 'restore-pass' });
+            runLog.info('   {uid}: {outcome}', { uid, outcome });
+        } catch (error) {
+            unrestored.push(uid);
+            recordAudit('user.failed', { runId: journal.runId, uid, step: 'enable', by: 'restore-pass', error: error.message });
+            runLog.error('   ❌ {uid}: failed to re-enable ({error})', { uid, error: error.message });
         }
+    }
+    return unrestored;
+}
 
-    } catch (error) {
-        console.error('Error in main execution:', error);
-        process.exit(1);
+/**
+ * Verify a finished (or interrupted) run from its journal
+ * Checks every user the run logged out (or left disabled) against the run start time and the disabled
+ * state recorded before the run (see verification.js). This may be long after the run,
+ * so mismatches are only reported unless options.repair is set; even then, only users
+ * the journal shows the run left disabled are re-enabled, never users disabled since.
+ * Uses the project / tenant the run was started against
+ * @param {string} runId
+ * @param {Object} [options]
+ * @param {boolean} [options.repair=false] - Re-revoke users whose tokens were not revoked and re-enable users the run left disabled
+ * @param {string} [options.journalDir]
+ * @param {Object} [options.rateLimits] - ops/sec ceilings per Admin API method
+ * @param {Object} [options.actor] - Who runs the verification, for the audit log (defaults to the local CLI user)
+ * @returns {Promise<Object>} The verification summary, plus runId
+ */
+async function verifyRun(runId, options = {}) {
+    const state = await readJournal(runId, options.journalDir);
+    log.info('Run {runId}: verifying the users it logged out (run started {startedAt})...', { runId, startedAt: state.startedAt });
+    const limiters = createAdminLimiters(options.rateLimits);
+    const auth = getAuth({ project: state.params.project, tenant: state.params.tenant });
+
+    // Users are checked in chunks as the journal is read, so a large run is never held in memory
+    let verification = null;
+    let targets = new Map();
+    const verifyTargets = async () => {
+        const chunk = await verifyLogout(targets, {
+            since: new Date(state.startedAt),
+            call: (method, ...args) => withQuotaRetry(() => limitedCall(auth, limiters, method, ...args)),
+            retries: options.repair ? undefined : 0,
+            canRestore: uid => state.unrestored.has(uid)
+        });
+        targets = new Map();
+        verification = addVerification(verification, chunk);
+    };
+
+    await forEachUserOutcome(runId, async (uid, { status, originalDisabled }) => {
+        if (status !== 'success' || state.unrestored.has(uid)) return;
+        targets.set(uid, originalDisabled);
+        if (targets.size >= VERIFY_CHUNK_SIZE) await verifyTargets();
+    }, options.journalDir);
+    // Users the run disabled and could not re-enable were enabled before it
+    for (const uid of state.unrestored) targets.set(uid, false);
+    if (targets.size > 0 || !verification) await verifyTargets();
+
+    const { mismatched, notFound, ...counts } = verification;
+    openJournal(runId, options.journalDir).record('verified', { ...counts, notFound: notFound.length, mismatched, by: 'verify' });
+    recordAudit('run.verified', { runId, ...counts, notFound: notFound.length, mismatched, actor: options.actor || getCliActor() });
+    return { runId, ...verification };
+}
+
+/**
+ * Add a chunk's verification result to the total so far (null before the first chunk)
+ */
+function addVerification(total, chunk) {
+    return total ? {
+        checked: total.checked + chunk.checked,
+        verified: total.verified + chunk.verified,
+        repaired: total.repaired + chunk.repaired,
+        mismatched: total.mismatched.concat(chunk.mismatched),
+        notFound: total.notFound.concat(chunk.notFound),
+        ...(total.error || chunk.error ? { error: total.error || chunk.error } : {})
+    } : chunk;
+}
+
+/**
+ * Counts of a verification result, for the run history (the uids are in the journal)
+ */
+function summarizeVerification(verification) {
+    if (!verification) return null;
+    const { mismatched, notFound, ...counts } = verification;
+    return { ...counts, mismatched: mismatched.length, notFound: notFound.length };
+}
+
+/**
+ * Creation time of a user as an ISO timestamp, journaled so runs can be compared (see runHistory.js)
+ */
+function getCreatedAt(userRecord) {
+    const creationTime = userRecord.metadata && userRecord.metadata.creationTime;
+    return creationTime ? new Date(creationTime).toISOString() : undefined;
+}
+
+/**
+ * Format limiter rates for progress output
+ */
+function formatRates(rates) {
+    return Object.entries(rates).map(([method, rate]) => `${method} ${rate}/s`).join(', ');
+}
+
+/**
+ * Helper to retry updateUser on failure (simple improved reliability)
+ * When limiters are given, each attempt waits for an updateUser token
+ * auth defaults to the default project (see projects.js)
+ */
+async function robustUpdateUser(uid, properties, retries = 3, limiters = null, auth = getAuth()) {
+    for (let i = 0; i < retries; i++) {
+        try {
+            if (limiters) {
+                await limitedCall(auth, limiters, 'updateUser', uid, properties);
+            } else {
+                await instrumentedCall(auth, 'updateUser', uid, properties);
+            }
+            return;
+        } catch (error) {
+            if (i === retries - 1) throw error; // Last retry failed
+            metrics.updateUserRetries.inc();
+
+            // Wait before retry (exponential backoff: 500ms, 1000ms, 2000ms)
+            const delay = 500 * Math.pow(2, i);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
     }
 }
 
 module.exports = {
     forceLogoutAllUsers,
-    initializeFirebase
+    forceLogoutAllTenants,
+    initializeFirebase,
+    robustUpdateUser,
+    restoreUser,
+    verifyRun,
+    // For other services: revocation-checking ID token middleware (see revocationMiddleware.js)
+    createRevocationMiddleware,
+    createTokenVerifier
 };
-
-if (require.main === module) {
-    main().then(() => {
-        console.log('\n✅ Process completed successfully');
-        process.exit(0);
-    }).catch((error) => {
-        console.error('\n❌ Process failed:', error);
-        process.exit(1);
-    });
-}
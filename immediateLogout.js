@@ -1,113 +1,209 @@
-const { initializeFirebase } = require('./forceLogoutUsers');
-const admin = require('firebase-admin');
+const { robustUpdateUser, restoreUser } = require('./forceLogoutUsers');
+const { generateRunId, openJournal } = require('./journal');
+const { recordAudit, getCliActor } = require('./audit');
+const { getAuth, describeTarget } = require('./projects');
+const { createLogger } = require('./logger');
+const { saveSingleUserRun } = require('./runHistory');
+const { resolveSignalBackend, createSignalWriter, signalUserLogout } = require('./revocationSignal');
+
+const log = createLogger({ component: 'immediate-logout' });
 
 /**
  * Immediately logout a user by disabling their account, revoking tokens, and re-enabling
  * This terminates ALL active sessions immediately
+ * The disable is journaled (runs/<runId>.jsonl) so `node cli.js recover <runId>` can
+ * re-enable the account if this process dies halfway. Accounts that were already
+ * disabled are only revoked and stay disabled.
+ * Once confirmed, the logout is saved to the run history like a batch run (see runHistory.js).
+ * Every step is written to the audit log (see audit.js); the uid and email are logged through
+ * logger.js, so they are redacted when redaction is configured.
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {Function} [options.confirm] - async (userRecord) => boolean, asked after the user is shown; nothing is changed unless it resolves true
+ * @param {string} [options.project] - Named project from config.js (default project when omitted)
+ * @param {string} [options.tenant] - Identity Platform tenant id
+ * @param {string|boolean} [options.revocationSignal] - 'firestore' or 'rtdb' to write the user's revocation marker, false for none (defaults to revocationSignal in config.js)
+ * @returns {Promise<{runId: string, alreadyDisabled: boolean, aborted: boolean}>}
+ * @throws {Error} if the user cannot be fetched or the logout fails (after attempting to re-enable the account)
  */
-async function immediateLogout(userId) {
+async function immediateLogout(userId, options = {}) {
     if (!userId) {
-        console.error('❌ Error: User ID is required');
-        console.log('\nUsage: node immediateLogout.js <user-id>');
-        console.log('Example: node immediateLogout.js abc123xyz456');
-        process.exit(1);
+        throw Object.assign(new Error('User ID is required'), { code: 'cli/usage' });
     }
 
-    console.log('=== Immediate User Logout ===\n');
-    console.log(`Target User ID: ${userId}`);
+    log.info('=== Immediate User Logout ===\n');
+    const target = { project: options.project, tenant: options.tenant };
+    const runId = generateRunId('single');
+    const userLog = log.child({ runId, uid: userId });
+    userLog.info('Target User ID: {uid}');
+    userLog.info('Target: {target}', { target: describeTarget(target) });
+
+    // Set once the logout is confirmed; the catch block records the failure in it
+    let journal = null;
+    let startedAt = null;
+    // Set once the account is about to be disabled; the catch block only re-enables when set
+    let disabling = false;
+    let signal = null;
+    // A record that cannot be saved does not fail the logout: the journal has its outcome
+    const saveToHistory = (fields = {}) => {
+        try {
+            saveSingleUserRun({ runId, uid: userId, mode: 'immediate', target, actor: getCliActor(), startedAt, signal, ...fields });
+        } catch (error) {
+            userLog.warn('⚠️  Could not save run {runId} to the run history: {error}', { error: error.message });
+        }
+    };
 
     try {
         // Initialize Firebase
-        initializeFirebase();
-        console.log('✅ Firebase initialized successfully\n');
+        const auth = getAuth(target);
+        const signalBackend = resolveSignalBackend(options.revocationSignal);
+        const signalWriter = signalBackend ? createSignalWriter(signalBackend, target) : null;
+        signal = signalWriter ? { backend: signalBackend, scope: 'user', written: 0, failed: 0 } : null;
+        // Tell the user's apps to sign out now rather than at their next token refresh (see revocationSignal.js)
+        const signalLogout = async (revokedAt) => {
+            if (!signalWriter) return;
+            const written = await signalUserLogout(signalWriter, userId, revokedAt, { runId, log: userLog });
+            signal[written ? 'written' : 'failed']++;
+            if (written) {
+                userLog.info('📣 Revocation marker written to {backend}', { backend: signalBackend });
+            }
+        };
+        userLog.info('✅ Firebase initialized successfully\n');
 
         // Fetch user details
-        console.log('Fetching user details...');
+        userLog.info('Fetching user details...');
         let userRecord;
         try {
-            userRecord = await admin.auth().getUser(userId);
-            console.log('✅ User found:');
-            console.log(`   - UID: ${userRecord.uid}`);
-            console.log(`   - Email: ${userRecord.email || 'N/A'}`);
-            console.log(`   - Display Name: ${userRecord.displayName || 'N/A'}`);
-            console.log(`   - Disabled: ${userRecord.disabled}`);
-            console.log(`   - Last Sign In: ${userRecord.metadata.lastSignInTime ? new Date(userRecord.metadata.lastSignInTime).toLocaleString() : 'Never'}\n`);
+            userRecord = await auth.getUser(userId);
+            userLog.info('✅ User found:');
+            userLog.info('   - UID: {uid}');
+            userLog.info('   - Email: {email}', { email: userRecord.email });
+            userLog.info('   - Display Name: {displayName}', { displayName: userRecord.displayName });
+            userLog.info('   - Disabled: {disabled}', { disabled: userRecord.disabled });
+            userLog.info('   - Last Sign In: {lastSignIn}\n', {
+                lastSignIn: userRecord.metadata.lastSignInTime ? new Date(userRecord.metadata.lastSignInTime).toLocaleString() : 'Never'
+            });
         } catch (error) {
-            console.error(`❌ Failed to fetch user: ${error.message}`);
-            process.exit(1);
+            userLog.error('❌ Failed to fetch user: {error}', { error: error.message });
+            throw error;
         }
 
         // Warning
-        console.log('⚠️  WARNING: This will IMMEDIATELY terminate all active sessions!');
-        console.log('The process will:');
-        console.log('   1. Disable the user account (terminates all sessions)');
-        console.log('   2. Revoke all refresh tokens');
-        console.log('   3. Re-enable the user account');
-        console.log('\nProceeding in 3 seconds...\n');
+        if (userRecord.disabled) {
+            userLog.warn('⚠️  User account is already disabled. Only its refresh tokens will be revoked (account stays disabled).\n');
+        } else {
+            userLog.warn('⚠️  WARNING: This will IMMEDIATELY terminate all active sessions!');
+            userLog.info('The process will:');
+            userLog.info('   1. Disable the user account (terminates all sessions)');
+            userLog.info('   2. Revoke all refresh tokens');
+            userLog.info('   3. Re-enable the user account\n');
+        }
 
-        // Wait 3 seconds
-        await new Promise(resolve => setTimeout(resolve, 3000));
+        if (options.confirm && !(await options.confirm(userRecord))) {
+            userLog.info('Aborted. No changes were made.');
+            return { runId: null, alreadyDisabled: userRecord.disabled, aborted: true };
+        }
+
+        startedAt = new Date();
+        recordAudit('run.start', { runId, actor: getCliActor(), mode: 'immediate', dryRun: false, singleUser: userId, ...target });
+        journal = openJournal(runId);
+        journal.record('start', { params: { immediateLogout: true, singleUser: userId, ...target } });
+        const createdAt = new Date(userRecord.metadata.creationTime).toISOString();
+
+        // Already disabled accounts have no active sessions and must never be re-enabled by us
+        if (userRecord.disabled) {
+            const revokedAt = new Date();
+            await auth.revokeRefreshTokens(userId);
+            recordAudit('user.revoke', { runId, uid: userId });
+            await signalLogout(revokedAt);
+            journal.record('user', { uid: userId, status: 'success', originalDisabled: true, createdAt });
+            journal.record('complete', {});
+            recordAudit('run.complete', { runId, totals: { success: 1 } });
+            saveToHistory();
+            userLog.info('✅ Refresh tokens revoked\n');
+            userLog.info('=== Immediate Logout Complete ===\n');
+            return { runId, alreadyDisabled: true, aborted: false };
+        }
+
+        // Journal the original state before touching the account
+        disabling = true;
+        journal.record('disable', { uid: userId, originalDisabled: false });
+        userLog.info('Recovery journal: {path}\n', { path: journal.path });
 
         // Step 1: Disable the user
-        console.log('Step 1/3: Disabling user account...');
-        await admin.auth().updateUser(userId, {
+        userLog.info('Step 1/3: Disabling user account...');
+        await auth.updateUser(userId, {
             disabled: true
         });
-        console.log('✅ User account disabled (all sessions terminated)\n');
+        recordAudit('user.disable', { runId, uid: userId });
+        userLog.info('✅ User account disabled (all sessions terminated)\n');
 
         // Small delay to ensure the disable takes effect
         await new Promise(resolve => setTimeout(resolve, 500));
 
         // Step 2: Revoke refresh tokens
-        console.log('Step 2/3: Revoking refresh tokens...');
-        await admin.auth().revokeRefreshTokens(userId);
-        console.log('✅ Refresh tokens revoked\n');
+        userLog.info('Step 2/3: Revoking refresh tokens...');
+        const revokedAt = new Date();
+        await auth.revokeRefreshTokens(userId);
+        recordAudit('user.revoke', { runId, uid: userId });
+        await signalLogout(revokedAt);
+        userLog.info('✅ Refresh tokens revoked\n');
 
         // Step 3: Re-enable the user
-        console.log('Step 3/3: Re-enabling user account...');
-        await admin.auth().updateUser(userId, {
-            disabled: false
-        });
-        console.log('✅ User account re-enabled\n');
+        userLog.info('Step 3/3: Re-enabling user account...');
+        await robustUpdateUser(userId, { disabled: false }, 5, null, auth);
+        journal.record('restore', { uid: userId });
+        journal.record('user', { uid: userId, status: 'success', originalDisabled: false, createdAt });
+        journal.record('complete', {});
+        recordAudit('user.enable', { runId, uid: userId });
+        recordAudit('run.complete', { runId, totals: { success: 1 } });
+        saveToHistory();
+        userLog.info('✅ User account re-enabled\n');
 
         // Verify
-        console.log('Verifying final state...');
-        const updatedUser = await admin.auth().getUser(userId);
-        console.log(`   - Disabled: ${updatedUser.disabled}`);
-        console.log(`   - Tokens Valid After: ${new Date(updatedUser.tokensValidAfterTime).toLocaleString()}\n`);
+        userLog.info('Verifying final state...');
+        const updatedUser = await auth.getUser(userId);
+        userLog.info('   - Disabled: {disabled}', { disabled: updatedUser.disabled });
+        userLog.info('   - Tokens Valid After: {tokensValidAfter}\n', { tokensValidAfter: new Date(updatedUser.tokensValidAfterTime).toLocaleString() });
 
-        console.log('✅ SUCCESS: User has been immediately logged out!');
-        console.log('   - All active sessions have been terminated');
-        console.log('   - All refresh tokens have been revoked');
-        console.log('   - User account is active and can log in again\n');
+        userLog.info('✅ SUCCESS: User has been immediately logged out!');
+        userLog.info('   - All active sessions have been terminated');
+        userLog.info('   - All refresh tokens have been revoked');
+        userLog.info('   - User account is active and can log in again\n');
 
-        console.log('=== Immediate Logout Complete ===\n');
+        userLog.info('=== Immediate Logout Complete ===\n');
+        return { runId, alreadyDisabled: false, aborted: false };
 
     } catch (error) {
-        console.error('\n❌ Immediate logout failed:', error.message);
-        console.error('\nFull error:', error);
-
-        // Try to re-enable the user if something went wrong
-        console.log('\nAttempting to re-enable user account...');
-        try {
-            await admin.auth().updateUser(userId, { disabled: false });
-            console.log('✅ User account re-enabled');
-        } catch (reEnableError) {
-            console.error('❌ Failed to re-enable user:', reEnableError.message);
+        userLog.error('\n❌ Immediate logout failed: {error}', { error: error.message });
+        userLog.error('\nFull error:', { error });
+        recordAudit('run.failed', { runId, uid: userId, error: error.message });
+
+        // Re-enable the user only if we disabled it (never an account that was already disabled)
+        let unrestored = [];
+        if (disabling) {
+            userLog.warn('\nAttempting to re-enable user account...');
+            try {
+                const outcome = await restoreUser(userId, null, 5, getAuth(target));
+                journal.record('restore', { uid: userId, outcome });
+                recordAudit('user.enable', { runId, uid: userId, outcome, by: 'rollback' });
+                userLog.info(`✅ User account ${outcome === 'restored' ? 're-enabled' : 'was not disabled'}`, { outcome });
+            } catch (reEnableError) {
+                userLog.error('❌ Failed to re-enable user: {error}', { error: reEnableError.message });
+                recordAudit('user.failed', { runId, uid: userId, step: 'enable', by: 'rollback', error: reEnableError.message });
+                userLog.error('   Restore it later with: node cli.js recover {runId}');
+                unrestored = [userId];
+            }
+        }
+        if (journal) {
+            journal.record('user', { uid: userId, status: 'failed', error: error.message });
+            saveToHistory({ error, unrestored });
         }
 
-        process.exit(1);
+        throw error;
     }
 }
 
-// Get user ID from command line argument or use hardcoded value
-const userId = process.argv[2] || '4C5TKE0NXLSnUpdIswq1WNLGXsM2';
-
-// Run the immediate logout
-immediateLogout(userId).then(() => {
-    console.log('✅ Process completed successfully');
-    process.exit(0);
-}).catch((error) => {
-    console.error('❌ Process failed:', error);
-    process.exit(1);
-});
+module.exports = {
+    immediateLogout
+};
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { estimateProgress } = require('./progress');
+const metrics = require('./metrics');
+const { withLogContext } = require('./logger');
+
+/**
+ * In-memory job registry for long running logout processes
+ * The server starts a job and returns its id immediately; callers poll the
+ * job for live progress (or follow job.events, see GET /jobs/:id/events) and
+ * may cancel it. Only one destructive job (a job that touches user accounts)
+ * may be running at any time.
+ */
+
+const MAX_FINISHED_JOBS = 100;
+
+const jobs = new Map();
+
+const isActive = job => job.status === 'running' || job.status === 'cancelling';
+
+// Job state for GET /metrics, computed at scrape time
+metrics.createGauge({
+    name: 'logout_jobs_active',
+    help: 'Jobs currently running or cancelling, by type and status',
+    labelNames: ['type', 'status'],
+    collect: () => {
+        const samples = new Map();
+        for (const job of jobs.values()) {
+            if (!isActive(job)) continue;
+            const key = `${job.type}/${job.status}`;
+            if (!samples.has(key)) samples.set(key, { labels: { type: job.type, status: job.status }, value: 0 });
+            samples.get(key).value++;
+        }
+        return [...samples.values()];
+    }
+});
+metrics.createGauge({
+    name: 'logout_job_active_duration_seconds',
+    help: 'How long the active destructive job has been running (0 when none is)',
+    collect: () => {
+        const active = getActiveDestructiveJob();
+        return active ? Math.round((Date.now() - Date.parse(active.createdAt)) / 1000) : 0;
+    }
+});
+const jobsFinished = metrics.createCounter({
+    name: 'logout_jobs_finished_total',
+    help: 'Finished jobs, by type and status (completed|cancelled|failed)',
+    labelNames: ['type', 'status']
+});
+const jobDuration = metrics.createHistogram({
+    name: 'logout_job_duration_seconds',
+    help: 'Duration of finished jobs, by type',
+    labelNames: ['type'],
+    buckets: metrics.DURATION_BUCKETS
+});
+
+/**
+ * Generate a new job id
+ * @returns {string}
+ */
+function generateJobId() {
+    return `job-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Return the currently running destructive job, if any
+ * @returns {Object|undefined}
+ */
+function getActiveDestructiveJob() {
+    for (const job of jobs.values()) {
+        if (job.destructive && isActive(job)) {
+            return job;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Start a job in the background
+ * @param {Object} params
+ * @param {string} params.type - Job type (e.g. 'logout', 'dry-run', 'resume')
+ * @param {boolean} params.destructive - Whether the job touches user accounts
+ * @param {Object} [params.params] - Parameters recorded on the job for reference
+ * @param {Function} params.run - async ({ signal, onProgress, events }) => result; events is passed on to the engine.
+ *   Everything logged while it runs carries the job id (see logger.js)
+ * @returns {Object} The created job; job.events re-emits the engine's events and emits 'end' with describeJob(job) once it finishes
+ * @throws {Error} code 'job/conflict' if a destructive job is already running
+ */
+function startJob({ type, destructive, params = {}, run }) {
+    if (destructive) {
+        const active = getActiveDestructiveJob();
+        if (active) {
+            throw Object.assign(
+                new Error(`Job ${active.id} is already running; only one logout job may run at a time`),
+                { code: 'job/conflict', activeJobId: active.id }
+            );
+        }
+    }
+
+    const controller = new AbortController();
+    const events = new EventEmitter();
+    // Every SSE client adds listeners
+    events.setMaxListeners(0);
+    const job = {
+        id: generateJobId(),
+        type,
+        destructive,
+        params,
+        status: 'running',
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        progress: {},
+        result: null,
+        error: null,
+        controller,
+        events
+    };
+    jobs.set(job.id, job);
+
+    const onProgress = (progress) => {
+        job.progress = progress;
+    };
+
+    Promise.resolve()
+        .then(() => withLogContext({ jobId: job.id }, () => run({ signal: controller.signal, onProgress, events })))
+        .then((result) => {
+            job.result = result;
+            job.status = controller.signal.aborted ? 'cancelled' : 'completed';
+        })
+        .catch((error) => {
+            job.error = error.message;
+            job.status = 'failed';
+        })
+        .finally(() => {
+            job.finishedAt = new Date().toISOString();
+            jobsFinished.inc({ type: job.type, status: job.status });
+            jobDuration.observe({ type: job.type }, (Date.parse(job.finishedAt) - Date.parse(job.createdAt)) / 1000);
+            pruneFinishedJobs();
+            events.emit('end', describeJob(job));
+            events.removeAllListeners();
+        });
+
+    return job;
+}
+
+/**
+ * Request cancellation of a running job
+ * The engine stops fetching pages and drains its queue without calling Firebase;
+ * users that are already in flight are allowed to finish.
+ * @param {string} id
+ * @returns {Object|undefined} The job, or undefined if it does not exist
+ */
+function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return undefined;
+
+    if (job.status === 'running') {
+        job.status = 'cancelling';
+        job.controller.abort();
+    }
+    return job;
+}
+
+/**
+ * Keep only the most recent finished jobs in memory
+ */
+function pruneFinishedJobs() {
+    const finished = [...jobs.values()].filter(job => job.finishedAt);
+    const excess = finished.length - MAX_FINISHED_JOBS;
+    for (let i = 0; i < excess; i++) {
+        jobs.delete(finished[i].id);
+    }
+}
+
+/**
+ * Build the public (JSON-safe) view of a job, including rate and ETA
+ * @param {Object} job
+ * @returns {Object}
+ */
+function describeJob(job) {
+    const progress = job.progress || {};
+    const processed = progress.processed || 0;
+    const end = job.finishedAt ? Date.parse(job.finishedAt) : Date.now();
+    const elapsedSeconds = Math.max((end - Date.parse(job.createdAt)) / 1000, 0.001);
+    const { ratePerSecond, etaSeconds, etaIsEstimate } = estimateProgress(progress, elapsedSeconds);
+
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        destructive: job.destructive,
+        params: job.params,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        progress: {
+            ...progress,
+            processed,
+            elapsedSeconds: Math.round(elapsedSeconds),
+            ratePerSecond,
+            etaSeconds: job.status === 'running' ? etaSeconds : null,
+            etaIsEstimate
+        },
+        result: job.result,
+        error: job.error
+    };
+}
+
+/**
+ * Look up a job by id
+ */
+function getJob(id) {
+    return jobs.get(id);
+}
+
+/**
+ * List all known jobs, newest first
+ */
+function listJobs() {
+    return [...jobs.values()].reverse();
+}
+
+module.exports = {
+    startJob,
+    cancelJob,
+    getJob,
+    listJobs,
+    describeJob,
+    getActiveDestructiveJob
+};
@@ -0,0 +1,255 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const readline = require('readline');
+
+/**
+ * Checkpoint journal for batch logout runs
+ * Every run appends JSON lines to runs/<runId>.jsonl as it progresses:
+ *   - start:    run parameters, the users the run excludes and the approval it was started under
+ *   - page:     a listUsers page was fetched (with the token used to fetch it)
+ *   - user:     per-uid outcome (success / failed / skipped), with its page, the error of a
+ *               failed user and when the user was created
+ *   - pageDone: every user of a page has settled (with the token of the next page)
+ *   - disable:  immediate mode is about to disable a user (with its original disabled state)
+ *   - restore:  a user disabled by the run has been re-enabled (or found enabled)
+ *   - signal:   the global revocation marker was written (see revocationSignal.js)
+ *   - verified: outcome of the post-run verification pass
+ *   - complete: final totals
+ * Writes are synchronous so the journal survives a crash at any point.
+ * Reads stream the file and keep per-user state only for pages that have not settled,
+ * so a journal of millions of users is never held in memory.
+ * Once a run ends, its summary is saved next to the journal as runs/<runId>.json (see runHistory.js).
+ */
+
+// JOURNAL_DIR env variable, or runs/
+const DEFAULT_JOURNAL_DIR = process.env.JOURNAL_DIR
+    ? path.resolve(process.env.JOURNAL_DIR)
+    : path.join(__dirname, 'runs');
+
+/**
+ * Generate a new, sortable run id
+ * @param {string} [prefix='run'] - e.g. 'single' for single-user scripts
+ * @returns {string}
+ */
+function generateRunId(prefix = 'run') {
+    const stamp = new Date().toISOString().replace(/[-:.TZ]/g, '').slice(0, 14);
+    return `${prefix}-${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Resolve the journal file path of a run
+ * Run ids are restricted to safe characters since they may come from HTTP requests
+ */
+function getJournalPath(runId, journalDir = DEFAULT_JOURNAL_DIR) {
+    if (!/^[A-Za-z0-9_-]+$/.test(runId || '')) {
+        throw Object.assign(new Error(`Invalid run id: ${runId}`), { code: 'run/invalid-id' });
+    }
+    return path.join(journalDir, `${runId}.jsonl`);
+}
+
+/**
+ * Path of a run's spilled error details (one JSON object per line), next to its journal
+ * Failed users beyond the engine's in-memory limit are written here (see forceLogoutUsers.js)
+ */
+function getErrorLogPath(runId, journalDir = DEFAULT_JOURNAL_DIR) {
+    return getJournalPath(runId, journalDir).replace(/\.jsonl$/, '.errors.ndjson');
+}
+
+/**
+ * Path of a run's history record (see runHistory.js), next to its journal
+ */
+function getRunRecordPath(runId, journalDir = DEFAULT_JOURNAL_DIR) {
+    return getJournalPath(runId, journalDir).replace(/\.jsonl$/, '.json');
+}
+
+/**
+ * Open (or create) the journal of a run for appending
+ * @param {string} runId
+ * @param {string} [journalDir]
+ * @returns {{runId: string, path: string, record: Function}}
+ */
+function openJournal(runId, journalDir = DEFAULT_JOURNAL_DIR) {
+    const journalPath = getJournalPath(runId, journalDir);
+    fs.mkdirSync(journalDir, { recursive: true });
+
+    return {
+        runId,
+        path: journalPath,
+        record(type, data = {}) {
+            const entry = { type, at: new Date().toISOString(), ...data };
+            fs.appendFileSync(journalPath, JSON.stringify(entry) + '\n');
+        }
+    };
+}
+
+/**
+ * Call (and await) fn with every entry of a run journal, in order
+ * @throws {Error} code 'run/not-found'
+ */
+async function forEachEntry(runId, journalDir, fn) {
+    const journalPath = getJournalPath(runId, journalDir);
+    if (!fs.existsSync(journalPath)) {
+        throw Object.assign(new Error(`No journal found for run ${runId}`), { code: 'run/not-found' });
+    }
+
+    const lines = readline.createInterface({ input: fs.createReadStream(journalPath), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (e) {
+            // A crash mid-write can leave a truncated last line; ignore it
+            continue;
+        }
+        await fn(entry);
+    }
+}
+
+/**
+ * Read a run journal and rebuild its checkpoint state
+ * @param {string} runId
+ * @param {string} [journalDir]
+ * @returns {Promise<{runId: string, params: Object, startedAt: (string|null), excludedUserIds: string[], approval: (Object|null), completed: boolean, exhausted: boolean, resumeToken: (string|undefined), resumePage: number, signalled: boolean, succeeded: number, loggedOut: Set<string>, unrestored: Set<string>}>}
+ * @throws {Error} code 'run/not-found'
+ */
+async function readJournal(runId, journalDir = DEFAULT_JOURNAL_DIR) {
+    const state = {
+        runId,
+        params: {},
+        startedAt: null,
+        // users the run was started with excluded (none recorded by older journals)
+        excludedUserIds: [],
+        // approval the run was started under (see server.js)
+        approval: null,
+        completed: false,
+        exhausted: false,
+        resumeToken: undefined,
+        resumePage: 0,
+        // the global revocation marker has been written
+        signalled: false,
+        // users logged out by every attempt so far
+        succeeded: 0,
+        // uids logged out on pages that have not settled: the only ones a resumed run fetches again
+        loggedOut: new Set(),
+        // uids the run disabled and has not (yet) confirmed re-enabled
+        unrestored: new Set()
+    };
+    const pages = new Map();
+    const donePages = new Map();
+    // page => uids it logged out, dropped once the page and every page before it have settled
+    // (journals written before user entries recorded their page keep every uid under undefined)
+    const loggedOutByPage = new Map();
+    let settledPages = 0;
+
+    await forEachEntry(runId, journalDir, (entry) => {
+        switch (entry.type) {
+            case 'start':
+                state.params = entry.params || {};
+                state.startedAt = entry.at;
+                state.excludedUserIds = entry.excludedUserIds || [];
+                state.approval = entry.approval || null;
+                break;
+            case 'page':
+                pages.set(entry.page, entry.pageToken);
+                break;
+            case 'pageDone':
+                donePages.set(entry.page, entry.nextPageToken);
+                while (donePages.has(settledPages)) loggedOutByPage.delete(settledPages++);
+                break;
+            case 'user':
+                if (entry.status !== 'success') break;
+                state.succeeded++;
+                if (!loggedOutByPage.has(entry.page)) loggedOutByPage.set(entry.page, new Set());
+                loggedOutByPage.get(entry.page).add(entry.uid);
+                break;
+            case 'disable':
+                if (entry.originalDisabled === false) state.unrestored.add(entry.uid);
+                break;
+            case 'restore':
+                state.unrestored.delete(entry.uid);
+                break;
+            case 'signal':
+                state.signalled = true;
+                break;
+            case 'complete':
+                state.completed = true;
+                break;
+        }
+    });
+
+    for (const uids of loggedOutByPage.values()) {
+        uids.forEach(uid => state.loggedOut.add(uid));
+    }
+
+    // Resume from the first page that was fetched but never fully settled.
+    // If every fetched page settled, continue from the token after the last one.
+    const page = settledPages;
+    state.resumePage = page;
+    if (pages.has(page)) {
+        state.resumeToken = pages.get(page);
+    } else if (page > 0) {
+        state.resumeToken = donePages.get(page - 1);
+        // The last settled page had no successor: every page has been processed
+        state.exhausted = !state.resumeToken;
+    }
+
+    return state;
+}
+
+/**
+ * Call (and await) fn with the outcome of every user a run settled, once per user
+ * A page's outcomes are final once it has settled, since a resumed run only fetches unsettled
+ * pages again; those of pages that never settled are passed last (the last one counts).
+ * @param {string} runId
+ * @param {Function} fn - async (uid, {status, error, createdAt, originalDisabled}) => void
+ * @param {string} [journalDir]
+ * @returns {Promise<void>}
+ * @throws {Error} code 'run/not-found'
+ */
+async function forEachUserOutcome(runId, fn, journalDir = DEFAULT_JOURNAL_DIR) {
+    // page => (uid => outcome) of the pages that have not settled yet
+    const pending = new Map();
+    const flush = async (outcomes) => {
+        for (const [uid, outcome] of outcomes) await fn(uid, outcome);
+    };
+
+    await forEachEntry(runId, journalDir, async (entry) => {
+        if (entry.type === 'user') {
+            if (!pending.has(entry.page)) pending.set(entry.page, new Map());
+            const { status, error, createdAt, originalDisabled } = entry;
+            pending.get(entry.page).set(entry.uid, { status, error, createdAt, originalDisabled });
+        } else if (entry.type === 'pageDone' && pending.has(entry.page)) {
+            const outcomes = pending.get(entry.page);
+            pending.delete(entry.page);
+            await flush(outcomes);
+        }
+    });
+    for (const outcomes of pending.values()) await flush(outcomes);
+}
+
+/**
+ * List the ids of every run that has a journal, oldest first
+ * @param {string} [journalDir]
+ * @returns {string[]}
+ */
+function listRunIds(journalDir = DEFAULT_JOURNAL_DIR) {
+    if (!fs.existsSync(journalDir)) return [];
+    return fs.readdirSync(journalDir)
+        .filter(file => file.endsWith('.jsonl'))
+        .map(file => file.slice(0, -'.jsonl'.length))
+        .sort();
+}
+
+module.exports = {
+    DEFAULT_JOURNAL_DIR,
+    generateRunId,
+    openJournal,
+    readJournal,
+    forEachUserOutcome,
+    listRunIds,
+    getErrorLogPath,
+    getRunRecordPath
+};
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { loadConfig } = require('./settings');
+
+/**
+ * Shared structured logger
+ * Messages are templates whose {placeholders} are filled from the fields passed
+ * with them, e.g. log.info('Skipped user: {uid} (excluded)', { uid }), so user
+ * identifiers only ever reach the output through the redaction below.
+ *
+ * Settings (CLI flags > env variables > `logging` in config.js):
+ *   level     LOG_LEVEL      debug | info (default) | warn | error
+ *   format    LOG_FORMAT     text (default, the familiar console lines) | json (one object per line)
+ *   redact    LOG_REDACT     none (default) | mask (jo***@example.com, abcd***) | hash (uid:3f9a0c1b2d4e)
+ *   hashSalt  LOG_HASH_SALT  Salt for hash mode, so hashes cannot be matched against known uids
+ *
+ * JSON lines carry time, level, msg and every field, plus the context bound with
+ * child() (e.g. runId) or withLogContext() (e.g. jobId, set for everything a job runs).
+ * Output goes through console.log / warn / error, so the CLI progress bar and tests see it.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['text', 'json'];
+const REDACT_MODES = ['none', 'mask', 'hash'];
+
+const DEFAULT_SETTINGS = { level: 'info', format: 'text', redact: 'none', hashSalt: '' };
+
+// Fields holding user identifiers or emails
+const PII_FIELDS = new Set(['uid', 'uids', 'email', 'emails', 'mismatched', 'unrestored']);
+const EMAIL_PATTERN = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[A-Za-z]{2,}/g;
+
+// Emoji (and the spacing after them) are dropped from JSON messages
+const LEADING_EMOJI = /^[\s\p{Extended_Pictographic}\uFE0F\u200D]+/u;
+
+const contextStorage = new AsyncLocalStorage();
+let settings = null;
+
+function invalidOption(message) {
+    return Object.assign(new Error(message), { code: 'log/invalid-option' });
+}
+
+function resolveSettings(overrides = {}) {
+    const config = loadConfig().logging || {};
+    const resolved = {};
+    for (const [key, fallback] of Object.entries(DEFAULT_SETTINGS)) {
+        const envName = key === 'hashSalt' ? 'LOG_HASH_SALT' : `LOG_${key.toUpperCase()}`;
+        resolved[key] = overrides[key] || process.env[envName] || config[key] || fallback;
+    }
+    resolved.level = String(resolved.level).toLowerCase();
+
+    if (!LEVELS[resolved.level]) {
+        throw invalidOption(`Unknown log level "${resolved.level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+    }
+    if (!FORMATS.includes(resolved.format)) {
+        throw invalidOption(`Unknown log format "${resolved.format}" (expected ${FORMATS.join(' or ')})`);
+    }
+    if (!REDACT_MODES.includes(resolved.redact)) {
+        throw invalidOption(`Unknown redaction mode "${resolved.redact}" (expected ${REDACT_MODES.join(', ')})`);
+    }
+    return resolved;
+}
+
+/**
+ * Apply logger settings, e.g. from CLI flags
+ * @param {Object} [overrides] - { level, format, redact, hashSalt }; unset keys fall back to env / config.js
+ * @returns {Object} The settings in effect
+ * @throws {Error} code 'log/invalid-option' for an unknown level, format or redaction mode
+ */
+function configureLogger(overrides = {}) {
+    settings = resolveSettings(overrides);
+    return settings;
+}
+
+/**
+ * Settings in effect, resolved on first use
+ * A bad env / config.js value is reported once and the defaults are used instead,
+ * since a log call must never throw
+ */
+function getLoggerSettings() {
+    if (!settings) {
+        try {
+            settings = resolveSettings();
+        } catch (error) {
+            settings = { ...DEFAULT_SETTINGS };
+            console.warn(`⚠️  Invalid logging settings, using defaults: ${error.message}`);
+        }
+    }
+    return settings;
+}
+
+/**
+ * Redact one uid or email according to the redaction mode
+ */
+function redactIdentifier(value, isEmail, { redact, hashSalt }) {
+    if (redact === 'none' || value === null || value === undefined || value === '') return value;
+    const text = String(value);
+
+    if (redact === 'hash') {
+        const digest = crypto.createHash('sha256').update(`${hashSalt}${text}`).digest('hex').slice(0, 12);
+        return `${isEmail ? 'email' : 'uid'}:${digest}`;
+    }
+    if (isEmail && text.includes('@')) {
+        const [local, domain] = text.split('@');
+        return `${local.slice(0, 2)}***@${domain}`;
+    }
+    return text.length > 6 ? `${text.slice(0, 4)}***` : '***';
+}
+
+const isEmailField = (name, value) => name.startsWith('email') || String(value).includes('@');
+
+/**
+ * Redact a field value: identifiers in PII fields, emails anywhere in strings
+ */
+function redactValue(name, value, current) {
+    if (Array.isArray(value)) return value.map(item => redactValue(name, item, current));
+    if (value && typeof value === 'object') return redactFields(value, current);
+    if (PII_FIELDS.has(name)) return redactIdentifier(value, isEmailField(name, value), current);
+    if (typeof value === 'string') return value.replace(EMAIL_PATTERN, email => redactIdentifier(email, true, current));
+    return value;
+}
+
+function redactFields(fields, current) {
+    const redacted = {};
+    for (const [name, value] of Object.entries(fields)) {
+        redacted[name] = redactValue(name, value, current);
+    }
+    return redacted;
+}
+
+/**
+ * Redact a record, then replace the raw uids / emails of its PII fields wherever
+ * else they appear (error messages often quote the uid)
+ */
+function redactRecord(record, current) {
+    const known = [];
+    for (const name of PII_FIELDS) {
+        const values = Array.isArray(record[name]) ? record[name] : [record[name]];
+        for (const value of values) {
+            if (typeof value === 'string' && value.length > 0) {
+                known.push([value, redactIdentifier(value, isEmailField(name, value), current)]);
+            }
+        }
+    }
+
+    const scrub = (value, name) => {
+        if (typeof value === 'string' && !PII_FIELDS.has(name)) {
+            return known.reduce((text, [raw, replacement]) => text.split(raw).join(replacement), value);
+        }
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, scrub(item, key)]));
+        }
+        return value;
+    };
+    return scrub(redactFields(record, current), '');
+}
+
+/**
+ * Redact the uids and emails in a record (e.g. a failed user written to logout_errors_*.json)
+ * using the configured redaction mode
+ * @param {Object} record
+ * @returns {Object} A redacted copy (the record itself when redaction is off)
+ */
+function redactPii(record) {
+    const current = getLoggerSettings();
+    return current.redact === 'none' ? record : redactRecord(record, current);
+}
+
+function serializeError(error) {
+    return { message: error.message, ...(error.code ? { code: error.code } : {}), stack: error.stack };
+}
+
+function interpolate(message, fields) {
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in fields)) return placeholder;
+        const value = fields[name];
+        if (value === null || value === undefined) return 'N/A';
+        if (value && typeof value === 'object' && !Array.isArray(value)) return value.message || JSON.stringify(value);
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    });
+}
+
+function write(level, bindings, message, fields = {}) {
+    const current = getLoggerSettings();
+    if (LEVELS[level] < LEVELS[current.level]) return;
+
+    const all = { ...contextStorage.getStore(), ...bindings, ...fields };
+    for (const [name, value] of Object.entries(all)) {
+        if (value instanceof Error) all[name] = serializeError(value);
+    }
+    const redacted = current.redact === 'none' ? all : redactRecord({ ...all, message }, current);
+    const text = interpolate(redacted.message || message, redacted);
+    delete redacted.message;
+
+    const method = level === 'error' ? 'error' : level === 'warn' ? 'warn' : 'log';
+    if (current.format === 'json') {
+        const entry = { time: new Date().toISOString(), level, msg: text.replace(LEADING_EMOJI, '').trim(), ...redacted };
+        console[method](JSON.stringify(entry));
+        return;
+    }
+
+    // Text: the message itself, plus the stack of an error that is not part of the message
+    if (fields.error instanceof Error && !message.includes('{error}')) {
+        console[method](text, redacted.error.stack);
+    } else {
+        console[method](text);
+    }
+}
+
+/**
+ * Create a logger with bound context fields
+ * @param {Object} [bindings] - Fields added to every entry, e.g. { component: 'engine', runId }
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}}
+ *   Each level takes (message, fields); child(moreBindings) returns a logger with extra context
+ */
+function createLogger(bindings = {}) {
+    return {
+        debug: (message, fields) => write('debug', bindings, message, fields),
+        info: (message, fields) => write('info', bindings, message, fields),
+        warn: (message, fields) => write('warn', bindings, message, fields),
+        error: (message, fields) => write('error', bindings, message, fields),
+        child: more => createLogger({ ...bindings, ...more })
+    };
+}
+
+/**
+ * Run fn with context fields attached to every entry logged while it runs (including async work)
+ * @param {Object} fields - e.g. { jobId }
+ * @param {Function} fn
+ */
+function withLogContext(fields, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+module.exports = {
+    LEVELS,
+    FORMATS,
+    REDACT_MODES,
+    createLogger,
+    configureLogger,
+    getLoggerSettings,
+    withLogContext,
+    redactPii
+};
@@ -0,0 +1,226 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Dry-run manifest helpers
+ * A manifest lists every user a logout run WOULD touch, so it can be reviewed
+ * and approved by a second person before the real run is started
+ */
+
+// MANIFEST_DIR env variable, or manifests/
+const DEFAULT_MANIFEST_DIR = process.env.MANIFEST_DIR
+    ? path.resolve(process.env.MANIFEST_DIR)
+    : path.join(__dirname, 'manifests');
+
+// Rows held in memory per list before they are appended to its part files (one listUsers page)
+const FLUSH_ROWS = 1000;
+
+// Chunk size when copying the part files into the manifest
+const COPY_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Start a manifest that is written to disk while users are evaluated
+ * Rows are appended to part files as they come (targeted and skipped apart, so each
+ * list stays in one piece) and writeManifest assembles the JSON and CSV files from
+ * them; only the totals and one page of rows are held in memory.
+ * @param {Object} params - Run parameters recorded in the manifest header
+ * @param {string} [outputDir] - Directory to write into (created if missing)
+ * @returns {Object}
+ */
+function createManifest(params = {}, outputDir = DEFAULT_MANIFEST_DIR) {
+    const generatedAt = new Date().toISOString();
+    const base = path.join(outputDir, `logout_manifest_${generatedAt.replace(/[:.]/g, '-')}`);
+    return {
+        generatedAt,
+        params,
+        totals: {
+            total: 0,
+            targeted: 0,
+            skipped: 0,
+            notSelected: 0
+        },
+        outputDir,
+        base,
+        // Rows not yet appended to the part files, per list
+        pending: { targeted: createPending(), skipped: createPending() }
+    };
+}
+
+function createPending() {
+    return { json: [], csv: [] };
+}
+
+function partPath(manifest, list, format) {
+    return `${manifest.base}.${list}.${format}.part`;
+}
+
+/**
+ * Queue a row of one list, appending the queue to the part files once it is a page long
+ */
+function addRow(manifest, list, entry, csvRow) {
+    const pending = manifest.pending[list];
+    // Every row of a list but its first starts with the comma separating it from the one before
+    const separator = manifest.totals[list] > 1 ? ',\n' : '';
+    pending.json.push(`${separator}    ${JSON.stringify(entry)}`);
+    pending.csv.push(`${csvRow.map(csvField).join(',')}\n`);
+    if (pending.json.length >= FLUSH_ROWS) flushList(manifest, list);
+}
+
+function flushList(manifest, list) {
+    const pending = manifest.pending[list];
+    if (pending.json.length === 0) return;
+    fs.mkdirSync(manifest.outputDir, { recursive: true });
+    fs.appendFileSync(partPath(manifest, list, 'json'), pending.json.join(''));
+    fs.appendFileSync(partPath(manifest, list, 'csv'), pending.csv.join(''));
+    manifest.pending[list] = createPending();
+}
+
+/**
+ * Extract the sign-in provider ids of a user record
+ * @param {Object} userRecord - Firebase UserRecord
+ * @returns {string[]}
+ */
+function getProviders(userRecord) {
+    return (userRecord.providerData || []).map(provider => provider.providerId);
+}
+
+/**
+ * Record a user that would be logged out
+ */
+function addTargeted(manifest, userRecord) {
+    manifest.totals.total++;
+    manifest.totals.targeted++;
+    const providers = getProviders(userRecord);
+    addRow(manifest, 'targeted', {
+        uid: userRecord.uid,
+        email: userRecord.email || null,
+        providers
+    }, ['logout', userRecord.uid, userRecord.email, providers.join(';'), '']);
+}
+
+/**
+ * Record a user that would be skipped, with the reason why
+ */
+function addSkipped(manifest, userRecord, reason) {
+    manifest.totals.total++;
+    manifest.totals.skipped++;
+    const providers = getProviders(userRecord);
+    addRow(manifest, 'skipped', {
+        uid: userRecord.uid,
+        email: userRecord.email || null,
+        providers,
+        reason
+    }, ['skip', userRecord.uid, userRecord.email, providers.join(';'), reason]);
+}
+
+/**
+ * Count a user that falls outside the selector
+ * These are only counted, not listed, since a narrow selector leaves out most users
+ */
+function addNotSelected(manifest) {
+    manifest.totals.total++;
+    manifest.totals.notSelected++;
+}
+
+/**
+ * Escape a single CSV field (RFC 4180)
+ * Values a spreadsheet would read as a formula (starting with =, +, -, @, tab or carriage
+ * return) are prefixed with a single quote so they open as plain text
+ */
+function csvField(value) {
+    let str = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(str)) {
+        str = `'${str}`;
+    }
+    if (/[",\r\n]/.test(str)) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+}
+
+/**
+ * Append the contents of a file to an open file, a chunk at a time
+ */
+function copyInto(fd, file) {
+    if (!fs.existsSync(file)) return;
+    const buffer = Buffer.alloc(COPY_CHUNK_BYTES);
+    const source = fs.openSync(file, 'r');
+    try {
+        let bytes;
+        while ((bytes = fs.readSync(source, buffer, 0, buffer.length, null)) > 0) {
+            fs.writeSync(fd, buffer, 0, bytes);
+        }
+    } finally {
+        fs.closeSync(source);
+    }
+}
+
+/**
+ * Write a manifest to disk as both JSON and CSV (one row per user, targeted first)
+ * The rows are copied from the part files, which are removed afterwards
+ * @param {Object} manifest - From createManifest
+ * @param {Object[]} [selectorStats] - Per-rule match counts (see selectors.js)
+ * @returns {{jsonPath: string, csvPath: string}}
+ */
+function writeManifest(manifest, selectorStats) {
+    flushList(manifest, 'targeted');
+    flushList(manifest, 'skipped');
+    fs.mkdirSync(manifest.outputDir, { recursive: true });
+
+    const jsonPath = `${manifest.base}.json`;
+    const csvPath = `${manifest.base}.csv`;
+
+    const header = JSON.stringify({ generatedAt: manifest.generatedAt, params: manifest.params, totals: manifest.totals, selectorStats }, null, 2);
+    const json = fs.openSync(jsonPath, 'w');
+    try {
+        // The header object without its closing brace, then each list
+        fs.writeSync(json, header.slice(0, -2));
+        for (const list of ['targeted', 'skipped']) {
+            if (manifest.totals[list] === 0) {
+                fs.writeSync(json, `,\n  "${list}": []`);
+                continue;
+            }
+            fs.writeSync(json, `,\n  "${list}": [\n`);
+            copyInto(json, partPath(manifest, list, 'json'));
+            fs.writeSync(json, '\n  ]');
+        }
+        fs.writeSync(json, '\n}\n');
+    } finally {
+        fs.closeSync(json);
+    }
+
+    const csv = fs.openSync(csvPath, 'w');
+    try {
+        fs.writeSync(csv, 'action,uid,email,providers,reason\n');
+        copyInto(csv, partPath(manifest, 'targeted', 'csv'));
+        copyInto(csv, partPath(manifest, 'skipped', 'csv'));
+    } finally {
+        fs.closeSync(csv);
+    }
+
+    discardManifest(manifest);
+    return { jsonPath, csvPath };
+}
+
+/**
+ * Remove the part files of a manifest that will not be written (e.g. a cancelled dry run)
+ */
+function discardManifest(manifest) {
+    for (const list of ['targeted', 'skipped']) {
+        manifest.pending[list] = createPending();
+        for (const format of ['json', 'csv']) {
+            fs.rmSync(partPath(manifest, list, format), { force: true });
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_MANIFEST_DIR,
+    createManifest,
+    addTargeted,
+    addSkipped,
+    addNotSelected,
+    csvField,
+    writeManifest,
+    discardManifest
+};
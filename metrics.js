@@ -0,0 +1,295 @@
+/**
+ * Prometheus metrics for the logout service
+ * A small in-process registry rendered in the Prometheus text exposition format
+ * (served by GET /metrics in server.js). The engine feeds the counters directly
+ * (see forceLogoutUsers.js); gauges that describe current state are computed at
+ * scrape time by a collect function.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Admin API latencies in seconds
+const LATENCY_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Run and job durations in seconds (a full logout of a large project takes hours)
+const DURATION_BUCKETS = [1, 10, 60, 300, 900, 1800, 3600, 7200, 14400, 28800];
+
+const registry = new Map();
+
+function register(metric) {
+    if (registry.has(metric.name)) {
+        throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    registry.set(metric.name, metric);
+    return metric;
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Look up (or create) the series of a labelled metric
+ * Only the metric's declared label names are kept, in declaration order
+ */
+function getSeries(series, labelNames, labels, create) {
+    const picked = {};
+    for (const name of labelNames) picked[name] = labels[name] === undefined ? '' : String(labels[name]);
+    const key = JSON.stringify(Object.values(picked));
+    if (!series.has(key)) series.set(key, create(picked));
+    return series.get(key);
+}
+
+/**
+ * Samples of a metric: its own series, or whatever its collect function reports
+ * (a number or an array of { labels, value }) at scrape time
+ */
+function collectSamples(series, collect) {
+    if (!collect) return [...series.values()].map(({ labels, value }) => ({ labels, value }));
+    const collected = collect();
+    return Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+}
+
+/**
+ * Create a counter (a value that only goes up)
+ * @param {Object} params
+ * @param {string} params.name
+ * @param {string} params.help
+ * @param {string[]} [params.labelNames]
+ * @param {Function} [params.collect] - Computes the value at scrape time (see collectSamples)
+ * @returns {{inc: Function, get: Function}}
+ */
+function createCounter({ name, help, labelNames = [], collect }) {
+    const series = new Map();
+    return register({
+        name,
+        help,
+        type: 'counter',
+        inc(labels = {}, amount = 1) {
+            getSeries(series, labelNames, labels, picked => ({ labels: picked, value: 0 })).value += amount;
+        },
+        get(labels = {}) {
+            return getSeries(series, labelNames, labels, picked => ({ labels: picked, value: 0 })).value;
+        },
+        samples: () => collectSamples(series, collect)
+    });
+}
+
+/**
+ * Create a gauge
+ * @param {Object} params
+ * @param {string} params.name
+ * @param {string} params.help
+ * @param {string[]} [params.labelNames]
+ * @param {Function} [params.collect] - Computes the value at scrape time (see collectSamples)
+ * @returns {{set: Function, inc: Function, dec: Function}}
+ */
+function createGauge({ name, help, labelNames = [], collect }) {
+    const series = new Map();
+    const entry = labels => getSeries(series, labelNames, labels, picked => ({ labels: picked, value: 0 }));
+    return register({
+        name,
+        help,
+        type: 'gauge',
+        set(labels = {}, value) {
+            entry(labels).value = value;
+        },
+        inc(labels = {}, amount = 1) {
+            entry(labels).value += amount;
+        },
+        dec(labels = {}, amount = 1) {
+            entry(labels).value -= amount;
+        },
+        samples: () => collectSamples(series, collect)
+    });
+}
+
+/**
+ * Create a histogram
+ * @param {Object} params
+ * @param {string} params.name
+ * @param {string} params.help
+ * @param {string[]} [params.labelNames]
+ * @param {number[]} [params.buckets] - Upper bounds, ascending (+Inf is added)
+ * @returns {{observe: Function, get: Function}}
+ */
+function createHistogram({ name, help, labelNames = [], buckets = LATENCY_BUCKETS }) {
+    const series = new Map();
+    const entry = labels => getSeries(series, labelNames, labels, picked => ({
+        labels: picked,
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0
+    }));
+    return register({
+        name,
+        help,
+        type: 'histogram',
+        observe(labels = {}, value) {
+            const histogram = entry(labels);
+            buckets.forEach((bound, i) => {
+                if (value <= bound) histogram.counts[i]++;
+            });
+            histogram.sum += value;
+            histogram.count++;
+        },
+        get(labels = {}) {
+            const { sum, count } = entry(labels);
+            return { sum, count };
+        },
+        samples() {
+            const samples = [];
+            for (const { labels, counts, sum, count } of series.values()) {
+                buckets.forEach((bound, i) => {
+                    samples.push({ suffix: '_bucket', labels: { ...labels, le: String(bound) }, value: counts[i] });
+                });
+                samples.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count });
+                samples.push({ suffix: '_sum', labels, value: sum });
+                samples.push({ suffix: '_count', labels, value: count });
+            }
+            return samples;
+        }
+    });
+}
+
+/**
+ * Render every registered metric in the Prometheus text format
+ * @returns {string}
+ */
+function renderMetrics() {
+    const lines = [];
+    for (const metric of registry.values()) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        for (const { suffix = '', labels = {}, value } of metric.samples()) {
+            lines.push(`${metric.name}${suffix}${formatLabels(labels)} ${value}`);
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// ==========================================
+// Logout engine (fed from forceLogoutUsers.js)
+// ==========================================
+
+const usersTotal = createCounter({
+    name: 'logout_users_total',
+    help: 'Users settled by logout runs, by mode (revoke|immediate) and status (success|failed|skipped)',
+    labelNames: ['mode', 'status']
+});
+
+const runsTotal = createCounter({
+    name: 'logout_runs_total',
+    help: 'Finished logout runs, by mode and outcome (completed|cancelled|failed)',
+    labelNames: ['mode', 'outcome']
+});
+
+const runsInProgress = createGauge({
+    name: 'logout_runs_in_progress',
+    help: 'Logout runs currently in progress',
+    labelNames: ['mode']
+});
+
+const runDuration = createHistogram({
+    name: 'logout_run_duration_seconds',
+    help: 'Duration of finished logout runs',
+    labelNames: ['mode'],
+    buckets: DURATION_BUCKETS
+});
+
+const adminCalls = createCounter({
+    name: 'firebase_admin_calls_total',
+    help: 'Firebase Admin API calls, by method and outcome (success|error|quota-error)',
+    labelNames: ['method', 'outcome']
+});
+
+const adminCallDuration = createHistogram({
+    name: 'firebase_admin_call_duration_seconds',
+    help: 'Firebase Admin API call latency, by method',
+    labelNames: ['method']
+});
+
+const quotaErrors = createCounter({
+    name: 'firebase_admin_quota_errors_total',
+    help: 'Quota / rate limiting errors returned by the Firebase Admin API, by method',
+    labelNames: ['method']
+});
+
+const updateUserRetries = createCounter({
+    name: 'logout_update_user_retries_total',
+    help: 'updateUser attempts retried by robustUpdateUser'
+});
+
+const requeuedUsers = createCounter({
+    name: 'logout_requeued_users_total',
+    help: 'Users put back in the queue after a quota error'
+});
+
+// ==========================================
+// Process health
+// ==========================================
+
+const processStartSeconds = Math.round(Date.now() / 1000 - process.uptime());
+
+createGauge({
+    name: 'process_start_time_seconds',
+    help: 'Start time of the process since unix epoch in seconds',
+    collect: () => processStartSeconds
+});
+createGauge({
+    name: 'process_uptime_seconds',
+    help: 'Seconds since the process started',
+    collect: () => Math.round(process.uptime())
+});
+createCounter({
+    name: 'process_cpu_seconds_total',
+    help: 'User and system CPU time spent by the process in seconds',
+    labelNames: ['mode'],
+    collect: () => {
+        const { user, system } = process.cpuUsage();
+        return [
+            { labels: { mode: 'user' }, value: user / 1e6 },
+            { labels: { mode: 'system' }, value: system / 1e6 }
+        ];
+    }
+});
+createGauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory size in bytes',
+    collect: () => process.memoryUsage().rss
+});
+createGauge({
+    name: 'nodejs_heap_bytes',
+    help: 'V8 heap size in bytes, by kind (used|total)',
+    labelNames: ['kind'],
+    collect: () => {
+        const { heapUsed, heapTotal } = process.memoryUsage();
+        return [
+            { labels: { kind: 'used' }, value: heapUsed },
+            { labels: { kind: 'total' }, value: heapTotal }
+        ];
+    }
+});
+
+module.exports = {
+    CONTENT_TYPE,
+    DURATION_BUCKETS,
+    createCounter,
+    createGauge,
+    createHistogram,
+    renderMetrics,
+    usersTotal,
+    runsTotal,
+    runsInProgress,
+    runDuration,
+    adminCalls,
+    adminCallDuration,
+    quotaErrors,
+    updateUserRetries,
+    requeuedUsers
+};
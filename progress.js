@@ -0,0 +1,129 @@
+/**
+ * Progress reporting shared by the job registry and the CLI
+ * Rates and ETAs are derived from the engine's live counters (see the
+ * 'progress' event of forceLogoutAllUsers).
+ */
+
+// Redraw the progress bar at most this often
+const RENDER_INTERVAL_MS = 100;
+
+/**
+ * Throughput and ETA of a run from its live counters
+ * The total user count is only known once every listUsers page has been fetched,
+ * so the ETA covers the users queued so far until listing is complete
+ * @param {Object} progress - Live counters ({ queued, processed, alreadyCompleted, listingComplete })
+ * @param {number} elapsedSeconds
+ * @returns {{ratePerSecond: number, etaSeconds: (number|null), etaIsEstimate: boolean}}
+ */
+function estimateProgress(progress, elapsedSeconds) {
+    const processed = progress.processed || 0;
+    const rate = processed / Math.max(elapsedSeconds, 0.001);
+
+    let etaSeconds = null;
+    if (rate > 0 && progress.queued !== undefined) {
+        const settled = processed + (progress.alreadyCompleted || 0);
+        etaSeconds = Math.round(Math.max(progress.queued - settled, 0) / rate);
+    }
+
+    return {
+        ratePerSecond: Math.round(rate * 100) / 100,
+        etaSeconds,
+        etaIsEstimate: !progress.listingComplete
+    };
+}
+
+/**
+ * Format seconds as m:ss or h:mm:ss
+ */
+function formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Render the engine's events as a single-line progress bar with ETA
+ * While the bar is shown, console output is routed around it (the bar is cleared,
+ * the line printed, then the bar redrawn) so engine logs never end up mid-bar.
+ * @param {import('events').EventEmitter} events - Passed as options.events to forceLogoutAllUsers
+ * @param {Object} [options]
+ * @param {import('stream').Writable} [options.stream=process.stderr]
+ * @param {number} [options.width=30] - Bar width in characters
+ * @returns {{stop: Function}} Call stop() once the run has finished
+ */
+function createProgressBar(events, { stream = process.stderr, width = 30 } = {}) {
+    let startedAt = Date.now();
+    let progress = null;
+    let line = '';
+    let lastRenderAt = 0;
+    let stopped = false;
+
+    const clear = () => {
+        if (line) stream.write('\r\x1b[K');
+    };
+    const draw = () => {
+        if (line) stream.write(line);
+    };
+
+    const render = (force = false) => {
+        const now = Date.now();
+        if (!progress || (!force && now - lastRenderAt < RENDER_INTERVAL_MS)) return;
+        lastRenderAt = now;
+
+        const settled = (progress.processed || 0) + (progress.alreadyCompleted || 0);
+        const total = progress.queued || 0;
+        const ratio = total > 0 ? Math.min(settled / total, 1) : 0;
+        const filled = Math.round(ratio * width);
+        const { ratePerSecond, etaSeconds, etaIsEstimate } = estimateProgress(progress, (now - startedAt) / 1000);
+        const eta = etaSeconds === null ? '--:--' : `${etaIsEstimate ? '~' : ''}${formatDuration(etaSeconds)}`;
+        const failed = progress.failed ? ` | ${progress.failed} failed` : '';
+
+        clear();
+        line = `[${'#'.repeat(filled)}${'.'.repeat(width - filled)}] ${Math.floor(ratio * 100)}% ` +
+            `${settled}/${total}${progress.listingComplete ? '' : '+'} users | ${ratePerSecond}/s | ETA ${eta}${failed}`;
+        draw();
+    };
+
+    const onProgress = (next) => {
+        progress = next;
+        render();
+    };
+    // Every tenant of an all-tenants run starts over
+    const onStart = () => {
+        startedAt = Date.now();
+        progress = null;
+    };
+    events.on('progress', onProgress);
+    events.on('start', onStart);
+
+    // Route console output around the bar
+    const originals = {};
+    for (const method of ['log', 'warn', 'error']) {
+        originals[method] = console[method];
+        console[method] = (...args) => {
+            clear();
+            originals[method](...args);
+            draw();
+        };
+    }
+
+    return {
+        stop() {
+            if (stopped) return;
+            stopped = true;
+            events.off('progress', onProgress);
+            events.off('start', onStart);
+            render(true);
+            Object.assign(console, originals);
+            if (line) stream.write('\n');
+        }
+    };
+}
+
+module.exports = {
+    estimateProgress,
+    formatDuration,
+    createProgressBar
+};
@@ -0,0 +1,186 @@
+const admin = require('firebase-admin');
+const path = require('path');
+const fs = require('fs');
+const { loadConfig } = require('./settings');
+const { isEmulatorMode, getEmulatorProjectId } = require('./emulator');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'projects' });
+
+/**
+ * Firebase projects and Identity Platform tenants
+ * Without a project name everything runs against the default app (service.json,
+ * application default credentials or the Auth Emulator). Named projects are
+ * configured in config.js, each with its own credential file and exclusion list:
+ *
+ *   projects: {
+ *       production: { credential: 'service-production.json', excludedUserIds: [...] },
+ *       staging: { credential: 'service-staging.json', exclusionsFile: 'staging-exclusions.csv' }
+ *   }
+ *
+ * A target is { project, tenant }; with a tenant id, calls go through
+ * tenantManager().authForTenant(tenant) of that project.
+ *
+ * Apps get their Realtime Database URL (for revocation markers, see revocationSignal.js)
+ * from databaseURL in config.js or FIREBASE_DATABASE_URL for the default project, and from
+ * the project's own databaseURL otherwise; with the Database Emulator running it is derived
+ * from FIREBASE_DATABASE_EMULATOR_HOST.
+ */
+
+function projectError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Realtime Database URL for an app's options, or nothing when none is known
+ * @param {string} [databaseURL] - Configured URL
+ * @param {string} [projectId] - Emulator namespace
+ */
+function databaseOptions(databaseURL, projectId) {
+    if (process.env.FIREBASE_DATABASE_EMULATOR_HOST && projectId) {
+        return { databaseURL: `http://${process.env.FIREBASE_DATABASE_EMULATOR_HOST}?ns=${projectId}` };
+    }
+    return databaseURL ? { databaseURL } : {};
+}
+
+/**
+ * Initialize the default Firebase Admin app (if not already initialized)
+ */
+function initializeFirebase() {
+    if (!admin.apps.some(app => app.name === '[DEFAULT]')) {
+        // Auth Emulator: no credentials, and service.json is ignored so a real project is never touched
+        if (isEmulatorMode()) {
+            const projectId = getEmulatorProjectId();
+            admin.initializeApp({ projectId, ...databaseOptions(undefined, projectId) });
+            log.info('🧪 EMULATOR MODE: Firebase Admin initialized for {projectId} (Auth Emulator at {emulatorHost})', { projectId, emulatorHost: process.env.FIREBASE_AUTH_EMULATOR_HOST });
+            return;
+        }
+
+        const database = databaseOptions(process.env.FIREBASE_DATABASE_URL || loadConfig().databaseURL);
+
+        // Try to find service account key
+        const serviceAccountPath = path.join(__dirname, 'service.json');
+
+        if (fs.existsSync(serviceAccountPath)) {
+            const serviceAccount = require(serviceAccountPath);
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount),
+                ...database
+            });
+            log.info('Firebase Admin initialized with service account key');
+        } else {
+            // Fallback methods...
+            admin.initializeApp({
+                credential: admin.credential.applicationDefault(),
+                ...database
+            });
+            log.info('Firebase Admin initialized with application default credentials');
+        }
+    }
+}
+
+/**
+ * Names of the projects configured in config.js
+ * @returns {string[]}
+ */
+function listProjects() {
+    return Object.keys(loadConfig().projects || {});
+}
+
+/**
+ * Settings of a named project
+ * @param {string} name
+ * @returns {{credential?: string, projectId?: string, databaseURL?: string, excludedUserIds?: string[], exclusionsFile?: string, exclusionClaims?: Object}}
+ * @throws {Error} code 'project/not-found'
+ */
+function getProjectConfig(name) {
+    const projects = loadConfig().projects || {};
+    if (!Object.prototype.hasOwnProperty.call(projects, name)) {
+        const known = Object.keys(projects);
+        throw projectError('project/not-found', `Unknown project "${name}"${known.length ? ` (configured: ${known.join(', ')})` : ' (no projects configured in config.js)'}`);
+    }
+    return projects[name];
+}
+
+/**
+ * Firebase app of a project, initialized on first use
+ * @param {string} [project] - Named project from config.js; the default app when omitted
+ * @returns {import('firebase-admin').app.App}
+ */
+function getProjectApp(project) {
+    if (!project) {
+        initializeFirebase();
+        return admin.app();
+    }
+
+    const existing = admin.apps.find(app => app.name === project);
+    if (existing) return existing;
+
+    const settings = getProjectConfig(project);
+    if (isEmulatorMode()) {
+        const projectId = settings.projectId || project;
+        log.info('🧪 EMULATOR MODE: Firebase Admin initialized for project {project} ({projectId})', { project, projectId });
+        return admin.initializeApp({ projectId, ...databaseOptions(undefined, projectId) }, project);
+    }
+
+    let credential;
+    if (settings.credential) {
+        const credentialPath = path.resolve(__dirname, settings.credential);
+        if (!fs.existsSync(credentialPath)) {
+            throw projectError('project/no-credential', `Credential file for project "${project}" not found: ${credentialPath}`);
+        }
+        credential = admin.credential.cert(require(credentialPath));
+    } else {
+        credential = admin.credential.applicationDefault();
+    }
+    const app = admin.initializeApp({ credential, projectId: settings.projectId, ...databaseOptions(settings.databaseURL) }, project);
+    log.info('Firebase Admin initialized for project {project}', { project });
+    return app;
+}
+
+/**
+ * Auth client for a target
+ * @param {Object} [target]
+ * @param {string} [target.project] - Named project from config.js (default app when omitted)
+ * @param {string} [target.tenant] - Identity Platform tenant id
+ * @returns {Object} Auth, or TenantAwareAuth for a tenant
+ */
+function getAuth({ project, tenant } = {}) {
+    const auth = admin.auth(getProjectApp(project));
+    return tenant ? auth.tenantManager().authForTenant(tenant) : auth;
+}
+
+/**
+ * Ids of every tenant of a project
+ * @param {Object} [target]
+ * @param {string} [target.project]
+ * @returns {Promise<string[]>}
+ */
+async function listTenantIds({ project } = {}) {
+    const tenantManager = admin.auth(getProjectApp(project)).tenantManager();
+    const tenantIds = [];
+    let nextPageToken;
+    do {
+        const result = await tenantManager.listTenants(1000, nextPageToken);
+        result.tenants.forEach(tenant => tenantIds.push(tenant.tenantId));
+        nextPageToken = result.pageToken;
+    } while (nextPageToken);
+    return tenantIds;
+}
+
+/**
+ * Human readable name of a target for logs
+ */
+function describeTarget({ project, tenant } = {}) {
+    return `${project ? `project ${project}` : 'default project'}${tenant ? `, tenant ${tenant}` : ''}`;
+}
+
+module.exports = {
+    initializeFirebase,
+    listProjects,
+    getProjectConfig,
+    getProjectApp,
+    getAuth,
+    listTenantIds,
+    describeTarget
+};
@@ -0,0 +1,179 @@
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'rate-limiter' });
+
+/**
+ * Adaptive token-bucket rate limiter for Firebase Admin API calls
+ * Each Admin API method gets its own bucket with a configured ops/sec ceiling.
+ * On a quota error the rate is cut (multiplicative decrease) and the bucket is
+ * drained; once no quota errors have been seen for a while the rate climbs back
+ * towards the ceiling in small steps (additive increase).
+ */
+
+// Default ceilings in operations/sec per Admin API method
+// updateUser shares the strict account-update quota, so it is kept low
+const DEFAULT_RATE_LIMITS = {
+    updateUser: 10,
+    revokeRefreshTokens: 50,
+    listUsers: 5,
+    getUser: 20,
+    getUsers: 10
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Detect quota / rate limiting errors from the Admin SDK
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isQuotaError(error) {
+    if (!error) return false;
+    const code = String(error.code || '');
+    const message = String(error.message || '');
+    return code === 'auth/quota-exceeded' ||
+        code === 'auth/too-many-requests' ||
+        error.status === 429 ||
+        error.httpErrorCode === 429 ||
+        /quota|too many requests|rate limit|RESOURCE_EXHAUSTED/i.test(message);
+}
+
+/**
+ * Create a single adaptive token bucket
+ * @param {Object} params
+ * @param {string} params.name - Method name, used in log output
+ * @param {number} params.ratePerSecond - Ceiling (and starting rate) in ops/sec
+ * @param {number} [params.minRate=1] - Rate never drops below this
+ * @param {number} [params.backoffFactor=0.5] - Multiplier applied on a quota error
+ * @param {number} [params.recoveryIntervalMs=5000] - Error-free time required before each step up
+ * @param {number} [params.recoveryStep=0.1] - Step up as a fraction of the ceiling
+ * @param {Function} [params.onRateChange] - Called with ({ method, rate, reason: 'backoff'|'recovery' }) whenever the rate changes
+ * @returns {{name: string, acquire: Function, reportSuccess: Function, reportQuotaError: Function, getRate: Function}}
+ */
+function createRateLimiter({
+    name,
+    ratePerSecond,
+    minRate = 1,
+    backoffFactor = 0.5,
+    recoveryIntervalMs = 5000,
+    recoveryStep = 0.1,
+    onRateChange
+}) {
+    if (!(ratePerSecond > 0)) {
+        throw new Error(`Rate limit for ${name} must be a positive number (got ${ratePerSecond})`);
+    }
+
+    const maxRate = ratePerSecond;
+    const capacity = Math.max(1, Math.ceil(maxRate)); // at most one second of burst
+    let rate = maxRate;
+    let tokens = capacity;
+    let lastRefill = Date.now();
+    let lastErrorAt = 0;
+    let lastChangeAt = 0;
+    let queue = Promise.resolve();
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * rate);
+        lastRefill = now;
+    };
+
+    return {
+        name,
+
+        /**
+         * Wait for a token. Callers are served in FIFO order.
+         * @returns {Promise<void>}
+         */
+        acquire() {
+            const ticket = queue.then(async () => {
+                refill();
+                while (tokens < 1) {
+                    await sleep(Math.ceil(((1 - tokens) / rate) * 1000));
+                    refill();
+                }
+                tokens -= 1;
+            });
+            queue = ticket.catch(() => {});
+            return ticket;
+        },
+
+        /**
+         * Record a successful call; ramps the rate back up after an error-free interval
+         */
+        reportSuccess() {
+            const now = Date.now();
+            if (rate >= maxRate) return;
+            if (now - lastErrorAt < recoveryIntervalMs || now - lastChangeAt < recoveryIntervalMs) return;
+
+            refill();
+            rate = Math.min(maxRate, rate + maxRate * recoveryStep);
+            lastChangeAt = now;
+            log.info('📈 {method}: no quota errors for {seconds}s, raising rate to {rate} ops/sec', { method: name, seconds: recoveryIntervalMs / 1000, rate: formatRate(rate) });
+            if (onRateChange) onRateChange({ method: name, rate: formatRate(rate), reason: 'recovery' });
+        },
+
+        /**
+         * Record a quota error; cuts the rate and drains the bucket
+         * Concurrent failures from the same burst only cause a single cut
+         */
+        reportQuotaError() {
+            const now = Date.now();
+            lastErrorAt = now;
+            if (now - lastChangeAt < 1000) return;
+
+            refill();
+            rate = Math.max(minRate, rate * backoffFactor);
+            tokens = 0;
+            lastChangeAt = now;
+            log.warn('📉 {method}: quota error, backing off to {rate} ops/sec', { method: name, rate: formatRate(rate) });
+            if (onRateChange) onRateChange({ method: name, rate: formatRate(rate), reason: 'backoff' });
+        },
+
+        /**
+         * Current allowed rate in ops/sec
+         */
+        getRate() {
+            return rate;
+        }
+    };
+}
+
+function formatRate(rate) {
+    return Math.round(rate * 10) / 10;
+}
+
+/**
+ * Create one limiter per Admin API method used by the logout engine
+ * @param {Object} [rateLimits] - Overrides of DEFAULT_RATE_LIMITS (ops/sec per method)
+ * @param {Function} [onRateChange] - Passed to every limiter (see createRateLimiter)
+ * @returns {Object<string, Object>} Limiters keyed by method name
+ */
+function createAdminLimiters(rateLimits = {}, onRateChange) {
+    const limits = { ...DEFAULT_RATE_LIMITS, ...rateLimits };
+    const limiters = {};
+    for (const [name, ratePerSecond] of Object.entries(limits)) {
+        limiters[name] = createRateLimiter({ name, ratePerSecond, onRateChange });
+    }
+    return limiters;
+}
+
+/**
+ * Snapshot of the current rate of every limiter, rounded for display
+ * @returns {Object<string, number>}
+ */
+function getRates(limiters) {
+    const rates = {};
+    for (const [name, limiter] of Object.entries(limiters)) {
+        rates[name] = formatRate(limiter.getRate());
+    }
+    return rates;
+}
+
+module.exports = {
+    DEFAULT_RATE_LIMITS,
+    isQuotaError,
+    createRateLimiter,
+    createAdminLimiters,
+    getRates
+};
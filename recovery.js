@@ -0,0 +1,84 @@
+const { restoreUser } = require('./forceLogoutUsers');
+const { openJournal, readJournal, listRunIds } = require('./journal');
+const { recordAudit, getCliActor } = require('./audit');
+const { getAuth } = require('./projects');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'recovery' });
+
+/**
+ * Recovery for immediate-mode runs
+ * Immediate mode journals every user it disables together with the user's
+ * original state. If a run crashed (or a re-enable kept failing), this scans
+ * the journal and re-enables every account that is still disabled by us.
+ * Accounts that were already disabled before the run are never touched.
+ * Each run is recovered in the project / tenant it was started against.
+ */
+
+/**
+ * Restore all users a single run left disabled
+ * @param {string} runId
+ * @param {Object} [options]
+ * @param {string} [options.journalDir]
+ * @param {Object} [options.actor] - Who runs the recovery, for the audit log (defaults to the local CLI user)
+ * @returns {Promise<{runId: string, checked: number, restored: number, notDisabled: number, notFound: number, failed: Array}>}
+ */
+async function recoverRun(runId, options = {}) {
+    const state = await readJournal(runId, options.journalDir);
+    const summary = { runId, checked: 0, restored: 0, notDisabled: 0, notFound: 0, failed: [] };
+
+    if (state.unrestored.size === 0) {
+        log.info('Run {runId}: nothing to recover', { runId });
+        return summary;
+    }
+
+    log.warn('Run {runId}: {count} users were disabled and never confirmed re-enabled', { runId, count: state.unrestored.size });
+    const journal = openJournal(runId, options.journalDir);
+    const auth = getAuth({ project: state.params.project, tenant: state.params.tenant });
+    const actor = options.actor || getCliActor();
+
+    for (const uid of state.unrestored) {
+        summary.checked++;
+        try {
+            const outcome = await restoreUser(uid, null, 5, auth);
+            journal.record('restore', { uid, outcome, by: 'recover' });
+            recordAudit('user.enable', { runId, uid, outcome, by: 'recover', actor });
+
+            if (outcome === 'restored') {
+                summary.restored++;
+                log.info('   ✅ {uid}: re-enabled', { runId, uid });
+            } else if (outcome === 'not-disabled') {
+                summary.notDisabled++;
+                log.info('   {uid}: already enabled', { runId, uid });
+            } else {
+                summary.notFound++;
+                log.info('   {uid}: user no longer exists', { runId, uid });
+            }
+        } catch (error) {
+            summary.failed.push({ uid, error: error.message });
+            recordAudit('user.failed', { runId, uid, step: 'enable', by: 'recover', actor, error: error.message });
+            log.error('   ❌ {uid}: failed to re-enable ({error})', { runId, uid, error: error.message });
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Restore users left disabled by any run that has a journal
+ * @param {Object} [options]
+ * @param {string} [options.journalDir]
+ * @returns {Promise<Array>} One summary per run
+ */
+async function recoverAllRuns(options = {}) {
+    const summaries = [];
+    for (const runId of listRunIds(options.journalDir)) {
+        summaries.push(await recoverRun(runId, options));
+    }
+    return summaries;
+}
+
+module.exports = {
+    recoverRun,
+    recoverAllRuns
+};
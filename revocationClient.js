@@ -0,0 +1,135 @@
+/**
+ * Client helper for revocation markers (see revocationSignal.js)
+ * Revoked refresh tokens only bite when the app next refreshes its ID token, up to an
+ * hour later. Apps that watch the revocation markers sign out as soon as a marker
+ * covers their current sign-in, i.e. the ID token's auth_time is before the marker's
+ * validAfterSeconds (the same rule verifyIdToken(token, true) applies to tokensValidAfterTime).
+ *
+ * Has no dependencies, so it can be bundled into web or React Native apps as is; the
+ * app passes in how to listen to a path with its own Firebase SDK:
+ *
+ *   // Firestore (modular SDK)
+ *   const stop = watchRevocation({
+ *       user: auth.currentUser,
+ *       subscribe: (path, onMarker) => onSnapshot(doc(db, path), snapshot => onMarker(snapshot.data())),
+ *       signOut: () => signOut(auth)
+ *   });
+ *
+ *   // Realtime Database
+ *   watchRevocation({
+ *       user: auth.currentUser,
+ *       backend: 'rtdb',
+ *       subscribe: (path, onMarker) => onValue(ref(database, path), snapshot => onMarker(snapshot.val())),
+ *       signOut: () => signOut(auth)
+ *   });
+ *
+ * Markers live under <root> (logoutSignals by default), per scope: "default", or
+ * "tenant-<tenantId>" for Identity Platform tenants:
+ *
+ *   Firestore                           Realtime Database
+ *   <root>/<scope>                      <root>/<scope>/global          every user of the scope
+ *   <root>/<scope>/users/<uid>          <root>/<scope>/users/<uid>     one user
+ *
+ * The global marker lists excludedUids, who stay signed in. Apps need read access to
+ * both paths (security rules), and no write access.
+ */
+
+const BACKENDS = ['firestore', 'rtdb'];
+
+const DEFAULT_ROOT = 'logoutSignals';
+
+/**
+ * Encode a uid or tenant id for use as a path segment
+ * Percent-encodes the characters Firestore ids and Realtime Database keys cannot contain
+ * @param {string} id
+ * @returns {string}
+ */
+function encodeMarkerKey(id) {
+    return String(id).replace(/[%./#$[\]]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+/**
+ * Paths of the global marker and of a user's marker
+ * @param {string} backend - 'firestore' or 'rtdb'
+ * @param {Object} [params]
+ * @param {string} [params.root=logoutSignals]
+ * @param {string} [params.tenant] - Identity Platform tenant id
+ * @param {string} [params.uid] - Also return the path of this user's marker
+ * @returns {{global: string, user?: string}}
+ */
+function getMarkerPaths(backend, { root = DEFAULT_ROOT, tenant, uid } = {}) {
+    if (!BACKENDS.includes(backend)) {
+        throw Object.assign(new Error(`Unknown revocation signal backend "${backend}" (expected ${BACKENDS.join(' or ')})`), { code: 'signal/invalid-config' });
+    }
+    const scope = `${root}/${tenant ? `tenant-${encodeMarkerKey(tenant)}` : 'default'}`;
+    const paths = { global: backend === 'firestore' ? scope : `${scope}/global` };
+    if (uid !== undefined) {
+        paths.user = `${scope}/users/${encodeMarkerKey(uid)}`;
+    }
+    return paths;
+}
+
+/**
+ * Whether a marker ends a session
+ * @param {Object|null} marker - Marker document / value ({ validAfterSeconds, excludedUids? })
+ * @param {number} authTime - The ID token's auth_time claim (seconds)
+ * @param {string} [uid] - The signed in user, checked against the marker's excludedUids
+ * @returns {boolean}
+ */
+function isRevokedBy(marker, authTime, uid) {
+    if (!marker || typeof marker.validAfterSeconds !== 'number') return false;
+    if (uid !== undefined && Array.isArray(marker.excludedUids) && marker.excludedUids.includes(uid)) return false;
+    return authTime < marker.validAfterSeconds;
+}
+
+/**
+ * Sign the user out as soon as a revocation marker covers their session
+ * @param {Object} params
+ * @param {Object} params.user - The signed in Firebase user ({ uid, tenantId, getIdTokenResult() })
+ * @param {Function} params.subscribe - (path, onMarker) => unsubscribe; calls onMarker with the marker (or null) on every change
+ * @param {Function} params.signOut - async (marker) => void; called at most once
+ * @param {string} [params.backend='firestore'] - 'firestore' or 'rtdb'
+ * @param {string} [params.root=logoutSignals]
+ * @param {string} [params.tenant] - Defaults to user.tenantId
+ * @param {Function} [params.onError] - Called if reading the ID token or signing out fails (defaults to console.error)
+ * @returns {Function} Stops watching
+ */
+function watchRevocation({ user, subscribe, signOut, backend = 'firestore', root = DEFAULT_ROOT, tenant = user.tenantId, onError = console.error }) {
+    const paths = getMarkerPaths(backend, { root, tenant, uid: user.uid });
+    // auth_time is the time of the sign-in and stays the same across token refreshes
+    const authTime = Promise.resolve()
+        .then(() => user.getIdTokenResult())
+        .then(result => Number(result.claims.auth_time));
+    let unsubscribes = [];
+    let stopped = false;
+
+    const stop = () => {
+        stopped = true;
+        unsubscribes.forEach(unsubscribe => unsubscribe && unsubscribe());
+        unsubscribes = [];
+    };
+
+    const check = async (marker) => {
+        if (!marker || stopped) return;
+        try {
+            if (isRevokedBy(marker, await authTime, user.uid) && !stopped) {
+                stop();
+                await signOut(marker);
+            }
+        } catch (error) {
+            onError(error);
+        }
+    };
+
+    unsubscribes = [subscribe(paths.global, check), subscribe(paths.user, check)];
+    return stop;
+}
+
+module.exports = {
+    BACKENDS,
+    DEFAULT_ROOT,
+    encodeMarkerKey,
+    getMarkerPaths,
+    isRevokedBy,
+    watchRevocation
+};
@@ -0,0 +1,198 @@
+const { getAuth } = require('./projects');
+const { resolveSignalBackend, readGlobalMarker } = require('./revocationSignal');
+const { isRevokedBy } = require('./revocationClient');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'revocation-middleware' });
+
+/**
+ * ID token verification with revocation checks, for our other services
+ * After a logout, old ID tokens stay valid for up to an hour unless every request
+ * calls verifyIdToken(token, true), which looks the user up each time. This verifies
+ * the token locally and checks it against caches instead:
+ *   - each user's tokensValidAfterTime and disabled state (getUser on a miss, trusted for cacheTtlMs)
+ *   - the global revocation marker of the last all-user run (see revocationSignal.js), re-read every markerTtlMs
+ * A token is rejected as revoked when its auth_time is before either of them.
+ * So a logout reaches a user whose entry is cached within cacheTtlMs, and an all-user
+ * run (with a signal backend) reaches everyone within markerTtlMs.
+ * Firebase is initialized the same way as for the tools (initializeFirebase, see projects.js).
+ *
+ *   const { createRevocationMiddleware } = require('force-logout-users');
+ *   app.use('/api', createRevocationMiddleware({ cacheTtlMs: 30000 }));
+ *   app.get('/api/me', (req, res) => res.json({ uid: req.user.uid }));
+ *
+ * server.js checks its operators' ID tokens with the same verifier (see auth.js).
+ */
+
+const DEFAULT_CACHE_TTL_MS = 60 * 1000;
+const DEFAULT_MAX_CACHE_ENTRIES = 10000;
+const DEFAULT_MARKER_TTL_MS = 30 * 1000;
+
+function tokenError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Create an ID token verifier with local revocation caches
+ * @param {Object} [options]
+ * @param {string} [options.project] - Named project from config.js (default project when omitted)
+ * @param {string} [options.tenant] - Identity Platform tenant id
+ * @param {number} [options.cacheTtlMs=60000] - How long a user's state is trusted (0 looks the user up on every request)
+ * @param {number} [options.maxCacheEntries=10000] - Users kept in the cache; the least recently used are dropped
+ * @param {number} [options.markerTtlMs=30000] - How long the global revocation marker is trusted
+ * @param {string|boolean} [options.revocationSignal] - Backend of the global marker, false to ignore it (defaults to revocationSignal in config.js)
+ * @returns {{verify: Function, invalidate: Function, clear: Function}}
+ */
+function createTokenVerifier({
+    project,
+    tenant,
+    cacheTtlMs = DEFAULT_CACHE_TTL_MS,
+    maxCacheEntries = DEFAULT_MAX_CACHE_ENTRIES,
+    markerTtlMs = DEFAULT_MARKER_TTL_MS,
+    revocationSignal
+} = {}) {
+    const target = { project, tenant };
+    // uid => { expiresAt, state: Promise<{validAfterMs, disabled}> }, least recently used first
+    const users = new Map();
+    let marker = { expiresAt: 0, value: Promise.resolve(null) };
+
+    // Concurrent requests of one user share a single lookup
+    const getUserState = (uid) => {
+        const now = Date.now();
+        const cached = users.get(uid);
+        users.delete(uid);
+        if (cached && cached.expiresAt > now) {
+            users.set(uid, cached);
+            return cached.state;
+        }
+
+        const state = getAuth(target).getUser(uid).then(userRecord => ({
+            validAfterMs: userRecord.tokensValidAfterTime ? Date.parse(userRecord.tokensValidAfterTime) : 0,
+            disabled: userRecord.disabled === true
+        }));
+        const entry = { expiresAt: now + cacheTtlMs, state };
+        users.set(uid, entry);
+        state.catch(() => {
+            if (users.get(uid) === entry) users.delete(uid);
+        });
+        if (users.size > maxCacheEntries) {
+            users.delete(users.keys().next().value);
+        }
+        return state;
+    };
+
+    // A marker that cannot be read keeps the last one read: the per-user check still applies
+    const getGlobalMarker = () => {
+        if (marker.expiresAt > Date.now()) return marker.value;
+        const backend = resolveSignalBackend(revocationSignal);
+        const previous = marker.value;
+        const value = backend
+            ? readGlobalMarker(backend, target).catch((error) => {
+                log.warn('⚠️  Could not read the global revocation marker: {error} (keeping the last one read)', { error: error.message });
+                return previous;
+            })
+            : Promise.resolve(null);
+        marker = { expiresAt: Date.now() + markerTtlMs, value };
+        return value;
+    };
+
+    return {
+        /**
+         * Verify an ID token and check that it was not revoked
+         * @param {string} idToken
+         * @returns {Promise<Object>} The decoded token
+         * @throws {Error} code 'auth/id-token-revoked' or 'auth/user-disabled', or verifyIdToken's and getUser's errors
+         */
+        async verify(idToken) {
+            const decoded = await getAuth(target).verifyIdToken(idToken);
+            const [user, globalMarker] = await Promise.all([getUserState(decoded.uid), getGlobalMarker()]);
+            if (user.disabled) {
+                throw tokenError('auth/user-disabled', 'The user account has been disabled.');
+            }
+            if (decoded.auth_time * 1000 < user.validAfterMs || isRevokedBy(globalMarker, decoded.auth_time, decoded.uid)) {
+                throw tokenError('auth/id-token-revoked', 'The Firebase ID token has been revoked.');
+            }
+            return decoded;
+        },
+
+        /**
+         * Forget a user's cached state, e.g. right after logging them out
+         * @param {string} uid
+         */
+        invalidate(uid) {
+            users.delete(uid);
+        },
+
+        /**
+         * Forget every cached user and the global marker
+         */
+        clear() {
+            users.clear();
+            marker = { expiresAt: 0, value: Promise.resolve(null) };
+        }
+    };
+}
+
+// Errors that mean the token itself is bad; any other error (quota, permissions,
+// credentials, network, marker reads) means it could not be checked
+const TOKEN_ERROR_CODES = new Set([
+    'auth/argument-error',
+    'auth/id-token-expired',
+    'auth/id-token-revoked',
+    'auth/invalid-id-token',
+    'auth/user-disabled',
+    'auth/user-not-found',
+    'auth/tenant-id-mismatch'
+]);
+
+/**
+ * Whether a verification error is the token's fault (invalid, expired, revoked, disabled or
+ * deleted user) rather than a failure to check it
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isTokenError(error) {
+    return TOKEN_ERROR_CODES.has(error.code);
+}
+
+/**
+ * Express middleware that only lets requests with a valid, unrevoked ID token through
+ * The token is read from "Authorization: Bearer <token>"; the decoded token is set on req.user.
+ * Invalid, expired and revoked tokens get a 401; a failing Firebase lookup gets a 503.
+ * @param {Object} [options] - As for createTokenVerifier, plus:
+ * @param {string} [options.requestProperty='user'] - Where on req the decoded token goes
+ * @returns {Function} Express middleware, with its verifier as .verifier (for invalidate / clear)
+ */
+function createRevocationMiddleware({ requestProperty = 'user', ...options } = {}) {
+    const verifier = createTokenVerifier(options);
+
+    async function requireIdToken(req, res, next) {
+        const authorization = req.get('authorization') || '';
+        if (!authorization.startsWith('Bearer ')) {
+            return res.status(401).json({ error: 'Unauthorized', message: 'Missing credentials: send "Authorization: Bearer <Firebase ID token>"' });
+        }
+
+        let decoded;
+        try {
+            decoded = await verifier.verify(authorization.slice('Bearer '.length).trim());
+        } catch (error) {
+            if (isTokenError(error)) {
+                return res.status(401).json({ error: 'Unauthorized', code: error.code, message: error.message });
+            }
+            log.error('❌ ID token check failed for {method} {path}: {error}', { method: req.method, path: req.path, error: error.message });
+            return res.status(503).json({ error: 'Service Unavailable', message: 'Could not check the ID token' });
+        }
+
+        req[requestProperty] = decoded;
+        return next();
+    }
+
+    requireIdToken.verifier = verifier;
+    return requireIdToken;
+}
+
+module.exports = {
+    createTokenVerifier,
+    createRevocationMiddleware,
+    isTokenError
+};
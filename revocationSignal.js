@@ -0,0 +1,169 @@
+const admin = require('firebase-admin');
+const { loadConfig } = require('./settings');
+const { getProjectApp } = require('./projects');
+const { BACKENDS, DEFAULT_ROOT, getMarkerPaths } = require('./revocationClient');
+
+/**
+ * Revocation markers for instant client-side logout
+ * Revoking refresh tokens leaves ID tokens valid for up to an hour. With a signal
+ * backend, logouts also write a marker with the new tokensValidAfterTime to Firestore
+ * or the Realtime Database; apps listening with revocationClient.js sign out at once,
+ * without immediate mode's disable / re-enable (and its updateUser quota).
+ *
+ *   - a run over every user writes one global marker (listing the excluded uids) once every
+ *     user has been processed, with the run's (first) start as the cutoff; a cancelled or
+ *     failed run writes none until it is resumed to the end
+ *   - a run with a selector, and a single-user logout, write one marker per logged out user
+ *
+ * Marker: { validAfterSeconds, tokensValidAfterTime, runId, excludedUids?, writtenAt }
+ * Paths are described in revocationClient.js. Backends check the global marker through
+ * revocationMiddleware.js.
+ *
+ * Settings come from `revocationSignal` in config.js ({ backend, root }), or the
+ * REVOCATION_SIGNAL (firestore | rtdb) and REVOCATION_SIGNAL_ROOT env variables.
+ * The rtdb backend needs the project's databaseURL (config.js / FIREBASE_DATABASE_URL;
+ * set automatically for the Database Emulator).
+ */
+
+// A global marker is one document (Firestore caps those at 1 MiB); longer exclusion lists get per-user markers
+const MAX_GLOBAL_EXCLUSIONS = 10000;
+
+function signalError(message) {
+    return Object.assign(new Error(message), { code: 'signal/invalid-config' });
+}
+
+/**
+ * Signal settings, read fresh from config.js and the environment
+ * @returns {{backend: (string|null), root: string}} backend is null when no signal is configured
+ * @throws {Error} code 'signal/invalid-config'
+ */
+function getSignalSettings() {
+    const config = loadConfig().revocationSignal || {};
+    const settings = {
+        backend: process.env.REVOCATION_SIGNAL || config.backend || null,
+        root: process.env.REVOCATION_SIGNAL_ROOT || config.root || DEFAULT_ROOT
+    };
+    if (settings.backend !== null && !BACKENDS.includes(settings.backend)) {
+        throw signalError(`Unknown revocation signal backend "${settings.backend}" (expected ${BACKENDS.join(' or ')})`);
+    }
+    return settings;
+}
+
+/**
+ * Backend a logout signals through
+ * @param {string|boolean} [option] - A backend name, false to turn signalling off, or undefined for the configured backend
+ * @returns {string|null}
+ * @throws {Error} code 'signal/invalid-config'
+ */
+function resolveSignalBackend(option) {
+    if (option === false) return null;
+    if (option === undefined || option === true) {
+        const { backend } = getSignalSettings();
+        if (option === true && !backend) {
+            throw signalError('No revocation signal backend configured (set revocationSignal.backend in config.js or REVOCATION_SIGNAL)');
+        }
+        return backend;
+    }
+    if (!BACKENDS.includes(option)) {
+        throw signalError(`Unknown revocation signal backend "${option}" (expected ${BACKENDS.join(' or ')})`);
+    }
+    return option;
+}
+
+function buildMarker(validAfter, fields) {
+    const validAfterSeconds = Math.floor(validAfter.getTime() / 1000);
+    return {
+        validAfterSeconds,
+        tokensValidAfterTime: new Date(validAfterSeconds * 1000).toUTCString(),
+        ...fields,
+        writtenAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Marker writer for a target
+ * @param {string} backend - 'firestore' or 'rtdb'
+ * @param {Object} [target]
+ * @param {string} [target.project] - Named project from config.js (default project when omitted)
+ * @param {string} [target.tenant] - Identity Platform tenant id
+ * @returns {{backend: string, writeGlobal: Function, writeUser: Function}}
+ */
+function createSignalWriter(backend, { project, tenant } = {}) {
+    const { root } = getSignalSettings();
+    resolveSignalBackend(backend);
+    const app = getProjectApp(project);
+    const write = backend === 'firestore'
+        ? (path, marker) => admin.firestore(app).doc(path).set(marker)
+        : (path, marker) => admin.database(app).ref(path).set(marker);
+
+    return {
+        backend,
+
+        /**
+         * Sign out every user of the target whose session started before validAfter, except excludedUids
+         * @param {Date} validAfter
+         * @param {{runId: string, excludedUids: string[]}} fields
+         */
+        async writeGlobal(validAfter, { runId, excludedUids }) {
+            await write(getMarkerPaths(backend, { root, tenant }).global, buildMarker(validAfter, { runId, excludedUids }));
+        },
+
+        /**
+         * Sign out one user whose session started before validAfter
+         * @param {string} uid
+         * @param {Date} validAfter
+         * @param {{runId: string}} fields
+         */
+        async writeUser(uid, validAfter, { runId }) {
+            await write(getMarkerPaths(backend, { root, tenant, uid }).user, buildMarker(validAfter, { runId }));
+        }
+    };
+}
+
+/**
+ * Read the global marker of a target
+ * @param {string} backend - 'firestore' or 'rtdb'
+ * @param {Object} [target] - { project, tenant }, as for createSignalWriter
+ * @returns {Promise<Object|null>} null when no all-user run has written one
+ */
+async function readGlobalMarker(backend, { project, tenant } = {}) {
+    const { root } = getSignalSettings();
+    const markerPath = getMarkerPaths(backend, { root, tenant }).global;
+    const app = getProjectApp(project);
+    if (backend === 'firestore') {
+        const snapshot = await admin.firestore(app).doc(markerPath).get();
+        return snapshot.exists ? snapshot.data() : null;
+    }
+    const snapshot = await admin.database(app).ref(markerPath).get();
+    return snapshot.val();
+}
+
+/**
+ * Write a logged out user's marker, logging rather than throwing on failure: the tokens are
+ * already revoked, so the app only signs out later (at its next token refresh)
+ * @param {Object} writer - From createSignalWriter
+ * @param {string} uid
+ * @param {Date} validAfter - When the user's tokens were revoked
+ * @param {Object} params
+ * @param {string} params.runId
+ * @param {Object} params.log - Logger (see logger.js)
+ * @returns {Promise<boolean>} Whether the marker was written
+ */
+async function signalUserLogout(writer, uid, validAfter, { runId, log }) {
+    try {
+        await writer.writeUser(uid, validAfter, { runId });
+        return true;
+    } catch (error) {
+        log.warn('⚠️  Failed to write the revocation marker of user {uid}: {error} (the app signs out at its next token refresh)', { uid, error: error.message });
+        return false;
+    }
+}
+
+module.exports = {
+    MAX_GLOBAL_EXCLUSIONS,
+    getSignalSettings,
+    resolveSignalBackend,
+    createSignalWriter,
+    readGlobalMarker,
+    signalUserLogout
+};
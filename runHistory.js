@@ -0,0 +1,166 @@
+const fs = require('fs');
+const { DEFAULT_JOURNAL_DIR, getRunRecordPath, forEachUserOutcome } = require('./journal');
+const { redactPii } = require('./logger');
+
+/**
+ * Run history
+ * Every batch run (CLI, server or schedule) and every single-user logout (CLI logout-user
+ * and test-user) saves a summary when it ends, next to its journal as runs/<runId>.json: parameters, timings, counts, verification and revocation
+ * marker results. The per-user outcomes stay in the journal, which already holds one
+ * line per user. A resumed run updates its record and adds to its attempts.
+ *
+ * Record: { runId, status, mode, project, tenant, actor, params, startedAt, finishedAt,
+ *           durationMs, counts, verification, signal, unrestored, errorsFile, error?, attempts }
+ * status is 'completed', 'cancelled' or 'failed'. Runs from before the history store only
+ * have their journal; dry runs have their manifest instead (see manifest.js).
+ */
+
+const RUN_STATUSES = ['completed', 'cancelled', 'failed'];
+
+// GET /runs and `report` list at most this many runs unless a smaller limit is asked for
+const MAX_LISTED_RUNS = 1000;
+
+function historyError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Save the summary of a run that has ended
+ * A record already saved for the run (by an earlier attempt) keeps its start time and attempts
+ * @param {Object} record - See the record shape above (without attempts)
+ * @param {string} [journalDir]
+ * @returns {Object} The saved record
+ */
+function saveRun(record, journalDir = DEFAULT_JOURNAL_DIR) {
+    const target = getRunRecordPath(record.runId, journalDir);
+    const previous = fs.existsSync(target) ? JSON.parse(fs.readFileSync(target, 'utf8')) : null;
+    const attempt = { startedAt: record.startedAt, finishedAt: record.finishedAt, status: record.status, counts: record.counts };
+    const saved = {
+        ...record,
+        startedAt: previous ? previous.startedAt : record.startedAt,
+        attempts: [...(previous ? previous.attempts : []), attempt]
+    };
+
+    fs.mkdirSync(journalDir, { recursive: true });
+    // Write then rename so a crash never leaves a half-written record
+    fs.writeFileSync(`${target}.tmp`, JSON.stringify(saved, null, 2));
+    fs.renameSync(`${target}.tmp`, target);
+    return saved;
+}
+
+/**
+ * Save the summary of a single-user logout that has ended (see immediateLogout.js and testSingleUser.js)
+ * @param {Object} params
+ * @param {string} params.runId
+ * @param {string} params.uid
+ * @param {string} params.mode - 'immediate' or 'revoke'
+ * @param {Object} params.target - { project, tenant }
+ * @param {Object} params.actor
+ * @param {Date} params.startedAt
+ * @param {Error} [params.error] - Set when the logout failed
+ * @param {string[]} [params.unrestored] - The uid, when a failed immediate logout left the account disabled
+ * @param {Object} [params.signal] - Revocation marker results ({ backend, scope, written, failed })
+ * @param {string} [journalDir]
+ * @returns {Object} The saved record
+ */
+function saveSingleUserRun({ runId, uid, mode, target, actor, startedAt, error, unrestored = [], signal = null }, journalDir = DEFAULT_JOURNAL_DIR) {
+    const finishedAt = new Date();
+    return saveRun({
+        runId,
+        status: error ? 'failed' : 'completed',
+        mode,
+        ...target,
+        actor,
+        params: { immediateLogout: mode === 'immediate', singleUser: uid, excludedCount: 0, selector: null },
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt.getTime() - startedAt.getTime(),
+        counts: { success: error ? 0 : 1, failed: error ? 1 : 0, skipped: 0, notSelected: 0, total: 1 },
+        verification: null,
+        signal,
+        unrestored,
+        errorsFile: null,
+        ...(error ? redactPii({ error: error.message }) : {})
+    }, journalDir);
+}
+
+/**
+ * Load the record of a run
+ * @throws {Error} code 'run/not-found' or 'run/invalid-id'
+ */
+function getRun(runId, journalDir = DEFAULT_JOURNAL_DIR) {
+    const file = getRunRecordPath(runId, journalDir);
+    if (!fs.existsSync(file)) {
+        throw historyError('run/not-found', `No history for run ${runId}`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * List run records, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - 'completed', 'cancelled' or 'failed'
+ * @param {string} [filters.project]
+ * @param {string} [filters.tenant]
+ * @param {number} [filters.limit=1000]
+ * @param {string} [journalDir]
+ * @returns {Object[]}
+ * @throws {Error} code 'run/invalid-filter'
+ */
+function listRuns({ status, project, tenant, limit = MAX_LISTED_RUNS } = {}, journalDir = DEFAULT_JOURNAL_DIR) {
+    if (status !== undefined && !RUN_STATUSES.includes(status)) {
+        throw historyError('run/invalid-filter', `Unknown run status "${status}" (expected ${RUN_STATUSES.join(', ')})`);
+    }
+    if (!fs.existsSync(journalDir)) return [];
+
+    return fs.readdirSync(journalDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => getRun(file.slice(0, -'.json'.length), journalDir))
+        .filter(run => (status === undefined || run.status === status)
+            && (project === undefined || run.project === project)
+            && (tenant === undefined || run.tenant === tenant))
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+        .slice(0, Math.min(limit, MAX_LISTED_RUNS));
+}
+
+/**
+ * Compare the per-user outcomes of a run with those of an earlier (baseline) run
+ * Users created between the runs are those of the run created after the baseline
+ * started (journals written before creation times were recorded have none).
+ * Both journals are streamed; only the baseline's failed users are kept in memory.
+ * @param {string} baselineRunId
+ * @param {string} runId
+ * @param {string} [journalDir]
+ * @returns {Promise<{baseline: string, runId: string, failedInBoth: string[], newlyFailed: string[], resolved: string[], createdBetween: string[]}>}
+ * @throws {Error} code 'run/not-found' or 'run/invalid-id'
+ */
+async function compareRuns(baselineRunId, runId, journalDir = DEFAULT_JOURNAL_DIR) {
+    const baselineStart = Date.parse(getRun(baselineRunId, journalDir).startedAt);
+    const failedInBaseline = new Set();
+    await forEachUserOutcome(baselineRunId, (uid, { status }) => {
+        if (status === 'failed') failedInBaseline.add(uid);
+    }, journalDir);
+
+    const comparison = { baseline: baselineRunId, runId, failedInBoth: [], newlyFailed: [], resolved: [], createdBetween: [] };
+    await forEachUserOutcome(runId, (uid, outcome) => {
+        const failedBefore = failedInBaseline.has(uid);
+        if (outcome.status === 'failed') {
+            comparison[failedBefore ? 'failedInBoth' : 'newlyFailed'].push(uid);
+        } else if (failedBefore && outcome.status === 'success') {
+            comparison.resolved.push(uid);
+        }
+        if (outcome.createdAt && Date.parse(outcome.createdAt) > baselineStart) {
+            comparison.createdBetween.push(uid);
+        }
+    }, journalDir);
+    return comparison;
+}
+
+module.exports = {
+    RUN_STATUSES,
+    saveRun,
+    saveSingleUserRun,
+    getRun,
+    listRuns,
+    compareRuns
+};
@@ -0,0 +1,208 @@
+const { DEFAULT_JOURNAL_DIR, forEachUserOutcome } = require('./journal');
+const { getRun, compareRuns } = require('./runHistory');
+const { csvField } = require('./manifest');
+const { redactPii } = require('./logger');
+
+/**
+ * Reports of past runs (see runHistory.js), as JSON, CSV or HTML
+ *   - json: the run's record, its user counts, its failed users and the comparison
+ *   - csv:  one row per user the run settled (uid, status, error, createdAt), plus each
+ *           user's change since the baseline when comparing
+ *   - html: a page with the summary, the failed users and the comparison
+ * With a baseline run, the report also lists the users that failed in both runs, failed
+ * only in this one, succeeded after failing in the baseline, or were created in between.
+ * uids, emails and errors are redacted as configured for the logs (see logger.js).
+ * The run's journal is streamed: only its failed users (and the CSV's rows) are kept in memory.
+ */
+
+const REPORT_FORMATS = {
+    json: 'application/json; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    html: 'text/html; charset=utf-8'
+};
+
+// Comparison lists (see runHistory.js's compareRuns), in the order they are shown, with the change each stands for in the CSV
+const COMPARISON_LISTS = [
+    { key: 'failedInBoth', change: 'failed-in-both', title: 'Failed in both runs' },
+    { key: 'newlyFailed', change: 'newly-failed', title: 'Failed in this run only' },
+    { key: 'resolved', change: 'resolved', title: 'Logged out after failing in the baseline' },
+    { key: 'createdBetween', change: 'created-between', title: 'Created between the runs' }
+];
+
+function reportError(message) {
+    return Object.assign(new Error(message), { code: 'report/invalid-format' });
+}
+
+function redactUid(uid) {
+    return redactPii({ uid }).uid;
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Describe a duration for people, e.g. "2m 5s"
+ * @param {number} ms
+ * @returns {string}
+ */
+function describeDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    return minutes < 60 ? `${minutes}m ${seconds % 60}s` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Report of a run, optionally compared with a baseline run
+ * @param {string} runId
+ * @param {Object} [options]
+ * @param {string} [options.compare] - Baseline run id
+ * @param {string} [options.journalDir]
+ * @returns {Promise<{generatedAt: string, run: Object, users: Object, failedUsers: Array, comparison: (Object|null)}>}
+ * @throws {Error} code 'run/not-found' or 'run/invalid-id'
+ */
+async function createRunReport(runId, options = {}) {
+    return (await buildReport(runId, options)).report;
+}
+
+/**
+ * Build the report of a run; with withRows, also collect one [uid, status, error, createdAt] row per user for the CSV
+ */
+async function buildReport(runId, { compare, journalDir = DEFAULT_JOURNAL_DIR } = {}, withRows = false) {
+    const run = getRun(runId, journalDir);
+    const comparison = compare ? await compareRuns(compare, runId, journalDir) : null;
+
+    const users = { total: 0, success: 0, failed: 0, skipped: 0 };
+    const failedUsers = [];
+    const rows = withRows ? [] : null;
+    await forEachUserOutcome(runId, (uid, { status, error, createdAt }) => {
+        users.total++;
+        users[status] = (users[status] || 0) + 1;
+        if (status === 'failed') failedUsers.push(redactPii({ uid, error: error || null }));
+        if (rows) rows.push([uid, status, error, createdAt]);
+    }, journalDir);
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        run,
+        users,
+        failedUsers,
+        comparison: comparison && {
+            baseline: comparison.baseline,
+            ...Object.fromEntries(COMPARISON_LISTS.map(({ key }) => [key, comparison[key].map(redactUid)]))
+        }
+    };
+    return { report, rows, comparison };
+}
+
+function toCsv({ rows, comparison }) {
+    const changes = new Map();
+    if (comparison) {
+        // A user created between the runs may also have failed; the failure is the change that matters
+        for (const { key, change } of [...COMPARISON_LISTS].reverse()) {
+            for (const uid of comparison[key]) changes.set(uid, change);
+        }
+    }
+
+    const header = ['uid', 'status', 'error', 'createdAt', ...(comparison ? ['change'] : [])];
+    const lines = [header.join(',')];
+    for (const [uid, status, error, createdAt] of rows) {
+        const redacted = redactPii({ uid, error: error || '' });
+        const row = [redacted.uid, status, redacted.error, createdAt || ''];
+        if (comparison) row.push(changes.get(uid) || '');
+        lines.push(row.map(csvField).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function toHtml({ report }) {
+    const { run, users, failedUsers, comparison } = report;
+    const rows = [
+        ['Status', run.status],
+        ['Mode', run.mode],
+        ['Project', run.project || 'default'],
+        ['Tenant', run.tenant || '-'],
+        ['Triggered by', run.actor ? `${run.actor.type}: ${run.actor.id}` : '-'],
+        ['Started', run.startedAt],
+        ['Finished', run.finishedAt],
+        ['Duration', describeDuration(run.durationMs)],
+        ['Attempts', run.attempts.length],
+        ['Excluded users', run.params.excludedCount],
+        ['Selector', run.params.selector ? JSON.stringify(run.params.selector) : 'every user'],
+        ['Logged out', users.success],
+        ['Failed', users.failed],
+        ['Skipped', users.skipped],
+        ['Not selected', run.counts.notSelected],
+        ['Verified', run.verification ? `${run.verification.verified}/${run.verification.checked}` : 'not verified'],
+        ['Revocation markers', run.signal ? `${run.signal.backend} (${run.signal.scope}): ${run.signal.written} written, ${run.signal.failed} failed` : 'none'],
+        ['Left disabled', run.unrestored.length],
+        ...(run.error ? [['Error', run.error]] : [])
+    ];
+    const table = (headers, body) => `<table>\n<tr>${headers.map(name => `<th>${escapeHtml(name)}</th>`).join('')}</tr>\n`
+        + body.map(cells => `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')
+        + '\n</table>';
+
+    const sections = [
+        `<h1>Logout run ${escapeHtml(run.runId)}</h1>`,
+        table(['', ''], rows),
+        `<h2>Failed users (${failedUsers.length})</h2>`,
+        failedUsers.length ? table(['uid', 'error'], failedUsers.map(user => [user.uid, user.error])) : '<p>None</p>'
+    ];
+    if (comparison) {
+        sections.push(`<h2>Compared with run ${escapeHtml(comparison.baseline)}</h2>`);
+        for (const { key, title } of COMPARISON_LISTS) {
+            sections.push(`<h3>${escapeHtml(title)} (${comparison[key].length})</h3>`);
+            sections.push(comparison[key].length ? `<ul>\n${comparison[key].map(uid => `<li>${escapeHtml(uid)}</li>`).join('\n')}\n</ul>` : '<p>None</p>');
+        }
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Logout run ${escapeHtml(run.runId)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+</style>
+</head>
+<body>
+${sections.join('\n')}
+<p><small>Generated ${escapeHtml(report.generatedAt)}</small></p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the report of a run
+ * @param {string} runId
+ * @param {string} [format='json'] - 'json', 'csv' or 'html'
+ * @param {Object} [options] - As for createRunReport
+ * @returns {Promise<{contentType: string, body: string}>}
+ * @throws {Error} code 'report/invalid-format', 'run/not-found' or 'run/invalid-id'
+ */
+async function renderRunReport(runId, format = 'json', options = {}) {
+    if (!Object.hasOwn(REPORT_FORMATS, format)) {
+        throw reportError(`Unknown report format "${format}" (expected ${Object.keys(REPORT_FORMATS).join(', ')})`);
+    }
+    const built = await buildReport(runId, options, format === 'csv');
+    const body = format === 'csv' ? toCsv(built)
+        : format === 'html' ? toHtml(built)
+            : JSON.stringify(built.report, null, 2);
+    return { contentType: REPORT_FORMATS[format], body };
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    COMPARISON_LISTS,
+    createRunReport,
+    renderRunReport,
+    describeDuration
+};
@@ -0,0 +1,437 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { parseCron, nextCronTime, nextCronTimes } = require('./cron');
+const { createSelector } = require('./selectors');
+const { createLogger } = require('./logger');
+const { checkDistinctApprover } = require('./approvals');
+
+/**
+ * Scheduled and recurring logout policies
+ * A policy pairs a cron expression (see cron.js) with the run it starts: mode,
+ * selector rules, target project / tenant and extra excluded users on top of the
+ * project's exclusion list. As with one-off runs (see approvals.js), a policy only
+ * fires once a second operator has approved it, and any change to what it runs
+ * puts it back to pending. Policies and their recent executions are stored as JSON
+ * files in schedules/ so they survive a restart.
+ *
+ * A policy never overlaps itself: when it comes due while its previous run is still
+ * going, the execution is recorded as skipped. Runs missed while the server was
+ * down are not caught up.
+ */
+
+const log = createLogger({ component: 'scheduler' });
+
+// SCHEDULES_DIR env variable, or schedules/
+const DEFAULT_SCHEDULES_DIR = process.env.SCHEDULES_DIR
+    ? path.resolve(process.env.SCHEDULES_DIR)
+    : path.join(__dirname, 'schedules');
+
+// Executions kept per policy, newest first
+const MAX_HISTORY = 50;
+
+// How often the scheduler looks for due policies
+const DEFAULT_TICK_MS = 30 * 1000;
+
+// Changing any of these changes what the policy does, so it needs approving again
+const RUN_FIELDS = ['cron', 'immediate', 'selector', 'target', 'excludedUserIds'];
+const EDITABLE_FIELDS = ['name', 'enabled', ...RUN_FIELDS];
+
+function scheduleError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+function generateId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function policyPath(id, dir) {
+    if (!/^[A-Za-z0-9_-]+$/.test(id || '')) {
+        throw scheduleError('schedule/not-found', `No schedule with id ${id}`);
+    }
+    return path.join(dir, `${id}.json`);
+}
+
+function save(policy, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const target = policyPath(policy.id, dir);
+    // Write then rename so a crash never leaves a half-written policy
+    fs.writeFileSync(`${target}.tmp`, JSON.stringify(policy, null, 2));
+    fs.renameSync(`${target}.tmp`, target);
+}
+
+/**
+ * Whether the scheduler may fire a policy
+ */
+function isRunnable(policy) {
+    return policy.enabled && policy.approval.status === 'approved';
+}
+
+/**
+ * Set nextRunAt from the cron expression (null while the policy cannot fire)
+ */
+function scheduleNextRun(policy, after = Date.now()) {
+    policy.nextRunAt = isRunnable(policy) ? nextCronTime(policy.cron, after).toISOString() : null;
+    return policy;
+}
+
+/**
+ * Validate policy fields (all of them, or only those present when updating)
+ * @throws {Error} code 'schedule/invalid'
+ */
+function validateFields(fields) {
+    const invalid = message => scheduleError('schedule/invalid', message);
+
+    if (fields.name !== undefined && (typeof fields.name !== 'string' || fields.name.trim() === '')) {
+        throw invalid('name must be a non-empty string');
+    }
+    if (fields.cron !== undefined) {
+        try {
+            // Also rejects expressions that never fire, such as '0 0 30 2 *'
+            nextCronTime(parseCron(fields.cron));
+        } catch (error) {
+            throw invalid(`Invalid cron expression: ${error.message}`);
+        }
+    }
+    for (const name of ['enabled', 'immediate']) {
+        if (fields[name] !== undefined && typeof fields[name] !== 'boolean') {
+            throw invalid(`${name} must be true or false`);
+        }
+    }
+    if (fields.selector !== undefined && fields.selector !== null) {
+        try {
+            // uidFile is not allowed since it would read server files
+            createSelector(fields.selector, { allowFiles: false });
+        } catch (error) {
+            throw invalid(`Invalid selector: ${error.message}`);
+        }
+    }
+    if (fields.excludedUserIds !== undefined && (!Array.isArray(fields.excludedUserIds) ||
+        fields.excludedUserIds.some(uid => typeof uid !== 'string' || uid === ''))) {
+        throw invalid('excludedUserIds must be an array of user IDs');
+    }
+}
+
+/**
+ * Create a policy, pending approval by a second operator
+ * @param {Object} params
+ * @param {string} params.name
+ * @param {string} params.cron - Cron expression (see cron.js)
+ * @param {boolean} [params.enabled=true]
+ * @param {boolean} [params.immediate=false] - Immediate logout mode
+ * @param {Object} [params.selector] - Selector spec narrowing the targets (see selectors.js)
+ * @param {Object} [params.target] - Project / tenant to run against ({ project, tenant, allTenants }, see projects.js)
+ * @param {string[]} [params.excludedUserIds] - Excluded on top of the project's exclusion list
+ * @param {Object} params.createdBy - Caller creating the policy ({ id, email, ip })
+ * @param {string} [dir]
+ * @returns {Object} The stored policy
+ * @throws {Error} code 'schedule/invalid'
+ */
+function createPolicy({ name, cron, enabled = true, immediate = false, selector, target = {}, excludedUserIds = [], createdBy }, dir = DEFAULT_SCHEDULES_DIR) {
+    validateFields({ name, cron, enabled, immediate, selector, excludedUserIds });
+    if (name === undefined || cron === undefined) {
+        throw scheduleError('schedule/invalid', 'name and cron are required');
+    }
+
+    const now = new Date().toISOString();
+    const policy = {
+        id: generateId('pol'),
+        name: name.trim(),
+        cron: cron.trim(),
+        enabled,
+        immediate,
+        selector: selector || null,
+        target: { project: target.project, tenant: target.tenant, allTenants: target.allTenants === true },
+        excludedUserIds,
+        createdAt: now,
+        updatedAt: now,
+        createdBy,
+        approval: { status: 'pending', proposedBy: createdBy, approvedBy: null, approvedAt: null },
+        nextRunAt: null,
+        lastRun: null,
+        history: []
+    };
+    save(policy, dir);
+    return policy;
+}
+
+/**
+ * Load a policy by id
+ * @throws {Error} code 'schedule/not-found'
+ */
+function getPolicy(id, dir = DEFAULT_SCHEDULES_DIR) {
+    const file = policyPath(id, dir);
+    if (!fs.existsSync(file)) {
+        throw scheduleError('schedule/not-found', `No schedule with id ${id}`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * List all policies, oldest first
+ */
+function listPolicies(dir = DEFAULT_SCHEDULES_DIR) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => getPolicy(file.slice(0, -'.json'.length), dir))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Update a policy
+ * Changing the cron expression, mode, selector, target or exclusions puts the
+ * policy back to pending approval, with the caller as its proposer
+ * @param {string} id
+ * @param {Object} changes - Any of name, enabled, cron, immediate, selector, target, excludedUserIds
+ * @param {Object} caller
+ * @param {string} [dir]
+ * @returns {Object} The updated policy
+ * @throws {Error} code 'schedule/not-found' or 'schedule/invalid'
+ */
+function updatePolicy(id, changes, caller, dir = DEFAULT_SCHEDULES_DIR) {
+    const policy = getPolicy(id, dir);
+    const unknown = Object.keys(changes).filter(key => !EDITABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        throw scheduleError('schedule/invalid', `Cannot change ${unknown.join(', ')}`);
+    }
+    validateFields(changes);
+
+    const normalized = { ...changes };
+    if (typeof normalized.name === 'string') normalized.name = normalized.name.trim();
+    if (typeof normalized.cron === 'string') normalized.cron = normalized.cron.trim();
+    if ('selector' in normalized) normalized.selector = normalized.selector || null;
+    if (normalized.target) {
+        const { project, tenant, allTenants } = normalized.target;
+        normalized.target = { project, tenant, allTenants: allTenants === true };
+    }
+
+    const runChanged = RUN_FIELDS.some(field =>
+        field in normalized && JSON.stringify(normalized[field]) !== JSON.stringify(policy[field]));
+    Object.assign(policy, normalized, { updatedAt: new Date().toISOString() });
+    if (runChanged) {
+        policy.approval = { status: 'pending', proposedBy: caller, approvedBy: null, approvedAt: null };
+    }
+    save(scheduleNextRun(policy), dir);
+    return policy;
+}
+
+/**
+ * Approve a pending policy so the scheduler starts firing it
+ * As for logout requests, the API key cannot approve and the approver must not share the proposer's id or email
+ * @throws {Error} code 'schedule/not-found', 'schedule/not-pending', 'schedule/anonymous-approver' or 'schedule/same-operator'
+ */
+function approvePolicy(id, approver, dir = DEFAULT_SCHEDULES_DIR) {
+    const policy = getPolicy(id, dir);
+    if (policy.approval.status !== 'pending') {
+        throw scheduleError('schedule/not-pending', `Schedule ${id} is already ${policy.approval.status}`);
+    }
+    checkDistinctApprover(approver, policy.approval.proposedBy, (code, message) => scheduleError(`schedule/${code}`, message));
+    policy.approval = { ...policy.approval, status: 'approved', approvedBy: approver, approvedAt: new Date().toISOString() };
+    save(scheduleNextRun(policy), dir);
+    return policy;
+}
+
+/**
+ * Delete a policy (a run in progress is not cancelled)
+ * @throws {Error} code 'schedule/not-found'
+ */
+function deletePolicy(id, dir = DEFAULT_SCHEDULES_DIR) {
+    const policy = getPolicy(id, dir);
+    fs.rmSync(policyPath(id, dir));
+    return policy;
+}
+
+/**
+ * Add or update an execution in a policy's history (newest first by start time)
+ * @returns {Object|null} The updated policy, or null if it has been deleted meanwhile
+ */
+function recordExecution(id, execution, dir = DEFAULT_SCHEDULES_DIR) {
+    let policy;
+    try {
+        policy = getPolicy(id, dir);
+    } catch (error) {
+        if (error.code === 'schedule/not-found') return null;
+        throw error;
+    }
+    const index = policy.history.findIndex(entry => entry.id === execution.id);
+    if (index === -1) {
+        policy.history = [execution, ...policy.history].slice(0, MAX_HISTORY);
+    } else {
+        policy.history[index] = execution;
+    }
+    policy.lastRun = policy.history[0];
+    save(policy, dir);
+    return policy;
+}
+
+/**
+ * Upcoming run times of a cron expression
+ * @param {string} cron
+ * @param {number} [count=5]
+ * @returns {string[]} ISO timestamps
+ * @throws {Error} code 'cron/invalid'
+ */
+function previewRuns(cron, count = 5) {
+    return nextCronTimes(cron, count).map(time => time.toISOString());
+}
+
+/**
+ * Counts kept in a policy's history from a run result (the full result stays on the job)
+ */
+function summarizeResult(result) {
+    if (!result) return null;
+    const { runId, success, failed, skipped, notSelected, cancelled, tenants } = result;
+    return tenants
+        ? { success, failed, skipped, cancelled, tenants: tenants.map(({ tenantId, runId: tenantRunId }) => ({ tenantId, runId: tenantRunId })) }
+        : { runId, success, failed, skipped, notSelected, cancelled };
+}
+
+/**
+ * Create the scheduler that fires due policies
+ * @param {Object} params
+ * @param {Function} params.runPolicy - async (policy, execution) => job started by jobs.js's startJob
+ * @param {string} [params.dir]
+ * @param {number} [params.intervalMs] - How often to look for due policies
+ * @returns {{start: Function, stop: Function, tick: Function, trigger: Function, isRunning: Function}}
+ */
+function createScheduler({ runPolicy, dir = DEFAULT_SCHEDULES_DIR, intervalMs = DEFAULT_TICK_MS }) {
+    // Policy id => job id of its run in progress (null while the job is starting)
+    const running = new Map();
+    let timer = null;
+    let ticking = false;
+
+    /**
+     * Start a policy's run now
+     * @param {string} id
+     * @param {Object} [options]
+     * @param {string} [options.trigger='manual'] - 'schedule' or 'manual'
+     * @param {Object} [options.caller] - Operator who asked for a manual run
+     * @param {string} [options.scheduledFor] - Due time of a scheduled run
+     * @returns {Promise<{execution: Object, job: Object}>}
+     * @throws {Error} code 'schedule/not-found', 'schedule/overlap' (with activeJobId), or whatever runPolicy throws
+     */
+    async function trigger(id, { trigger: source = 'manual', caller = null, scheduledFor = null } = {}) {
+        const policy = getPolicy(id, dir);
+        const execution = {
+            id: generateId('exe'),
+            trigger: source,
+            triggeredBy: caller,
+            scheduledFor,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            status: 'running',
+            jobId: null,
+            result: null,
+            error: null
+        };
+
+        if (running.has(id)) {
+            const activeJobId = running.get(id);
+            const error = scheduleError('schedule/overlap', `Schedule ${id} is still running${activeJobId ? ` (job ${activeJobId})` : ''}`);
+            recordExecution(id, { ...execution, status: 'skipped', finishedAt: execution.startedAt, error: error.message }, dir);
+            throw Object.assign(error, { activeJobId });
+        }
+
+        running.set(id, null);
+        let job;
+        try {
+            job = await runPolicy(policy, execution);
+        } catch (error) {
+            running.delete(id);
+            // The run never started (logout disabled, another logout job running, ...)
+            recordExecution(id, { ...execution, status: 'skipped', finishedAt: new Date().toISOString(), error: error.message }, dir);
+            throw error;
+        }
+
+        running.set(id, job.id);
+        execution.jobId = job.id;
+        recordExecution(id, execution, dir);
+        job.events.once('end', (described) => {
+            running.delete(id);
+            try {
+                recordExecution(id, {
+                    ...execution,
+                    status: described.status,
+                    finishedAt: described.finishedAt,
+                    result: summarizeResult(described.result),
+                    error: described.error
+                }, dir);
+            } catch (error) {
+                log.error('❌ Could not record the result of schedule {policyId}: {error}', { policyId: id, error });
+            }
+        });
+        return { execution, job };
+    }
+
+    /**
+     * Fire every enabled, approved policy that is due
+     * @param {number} [now=Date.now()]
+     */
+    async function tick(now = Date.now()) {
+        if (ticking) return;
+        ticking = true;
+        try {
+            for (const policy of listPolicies(dir)) {
+                if (!isRunnable(policy) || !policy.nextRunAt || Date.parse(policy.nextRunAt) > now) continue;
+
+                // Move on to the next occurrence first, so a run that cannot start is not retried every tick
+                const scheduledFor = policy.nextRunAt;
+                save(scheduleNextRun(policy, now), dir);
+
+                log.info('⏰ Schedule {policyId} ({name}) is due ({scheduledFor})', { policyId: policy.id, name: policy.name, scheduledFor });
+                try {
+                    await trigger(policy.id, { trigger: 'schedule', scheduledFor });
+                } catch (error) {
+                    log.warn('⏭️  Skipped scheduled run of {policyId}: {error}', { policyId: policy.id, error: error.message });
+                }
+            }
+        } finally {
+            ticking = false;
+        }
+    }
+
+    return {
+        trigger,
+        tick,
+
+        /**
+         * Whether a policy's run is in progress
+         */
+        isRunning: id => running.has(id),
+
+        /**
+         * Plan every policy's next run from now and start checking for due policies
+         */
+        start() {
+            if (timer) return;
+            for (const policy of listPolicies(dir)) {
+                save(scheduleNextRun(policy), dir);
+            }
+            timer = setInterval(() => {
+                tick().catch(error => log.error('❌ Scheduler tick failed: {error}', { error }));
+            }, intervalMs);
+            // Never keep the process alive just for the scheduler
+            timer.unref();
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_TICK_MS,
+    MAX_HISTORY,
+    createPolicy,
+    getPolicy,
+    listPolicies,
+    updatePolicy,
+    approvePolicy,
+    deletePolicy,
+    recordExecution,
+    previewRuns,
+    createScheduler
+};
@@ -0,0 +1,274 @@
+const fs = require('fs');
+
+/**
+ * Target selectors for logout runs
+ * A selector narrows a run down from "everyone" to the users an incident needs:
+ *
+ *   {
+ *     include: [ { emailDomain: 'contractor.example.com' }, { uids: ['abc', 'def'] } ],
+ *     exclude: [ { claims: { admin: true } } ]
+ *   }
+ *
+ * All conditions inside one rule must match (AND). A user is selected when it
+ * matches ANY include rule (or there are no include rules) and NO exclude rule.
+ * Every rule is evaluated for every user so the summary can report how many
+ * users each rule matched.
+ *
+ * Rule conditions:
+ *   - name:              label used in the summary (optional)
+ *   - uids:              explicit list of uids
+ *   - uidFile:           path to a JSON array, plain list or CSV with a "uid" column
+ *   - emailDomain:       domain or list of domains (case-insensitive)
+ *   - provider:          sign-in provider id or list ('password', 'google.com', 'phone', ...)
+ *   - claims:            custom claim values that must all be equal, e.g. { role: 'contractor' }
+ *   - disabled:          true / false
+ *   - createdAfter / createdBefore:       ISO dates compared with metadata.creationTime
+ *   - lastSignInAfter / lastSignInBefore: ISO dates compared with metadata.lastSignInTime
+ *                                         (users that never signed in do not match)
+ *   - idleDays:          no sign-in for at least this many days, counted back from when the
+ *                        selector is created (users that never signed in count from their creation);
+ *                        unlike the dates above it stays meaningful in a recurring policy (see schedules.js)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CONDITION_KEYS = [
+    'uids',
+    'uidFile',
+    'emailDomain',
+    'provider',
+    'claims',
+    'disabled',
+    'createdAfter',
+    'createdBefore',
+    'lastSignInAfter',
+    'lastSignInBefore',
+    'idleDays'
+];
+
+function selectorError(message) {
+    return Object.assign(new Error(message), { code: 'selector/invalid' });
+}
+
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+function parseDate(value, key, label) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw selectorError(`${label}: ${key} is not a valid date (${value})`);
+    }
+    return time;
+}
+
+/**
+ * Read uids from a file
+ * Accepts a JSON array, one uid per line (or comma separated), or a CSV with a
+ * "uid" header column such as the dry-run manifest
+ * @param {string} filePath
+ * @returns {string[]}
+ */
+function readUidFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw selectorError(`uid file not found: ${filePath}`);
+    }
+    const content = fs.readFileSync(filePath, 'utf8').trim();
+
+    if (content.startsWith('[')) {
+        return JSON.parse(content).map(String);
+    }
+
+    const lines = content.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+    const header = lines[0] ? lines[0].split(',').map(cell => cell.trim()) : [];
+    const uidColumn = header.indexOf('uid');
+    if (uidColumn !== -1) {
+        return lines.slice(1).map(line => line.split(',')[uidColumn].trim()).filter(Boolean);
+    }
+
+    return lines.flatMap(line => line.split(',')).map(uid => uid.trim()).filter(Boolean);
+}
+
+/**
+ * Describe a rule for the summary when it has no explicit name
+ */
+function describeRule(rule) {
+    return CONDITION_KEYS
+        .filter(key => rule[key] !== undefined)
+        .map(key => {
+            if (key === 'uids') return `uids(${rule.uids.length})`;
+            if (key === 'claims') return `claims=${JSON.stringify(rule.claims)}`;
+            return `${key}=${Array.isArray(rule[key]) ? rule[key].join('|') : rule[key]}`;
+        })
+        .join(' & ');
+}
+
+/**
+ * Compile one rule into a predicate over UserRecords
+ */
+function compileRule(rule, kind, index, { allowFiles }) {
+    const label = `${kind}[${index}]`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw selectorError(`${label}: rule must be an object`);
+    }
+
+    const unknown = Object.keys(rule).filter(key => key !== 'name' && !CONDITION_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw selectorError(`${label}: unknown condition(s) ${unknown.join(', ')}`);
+    }
+    if (!CONDITION_KEYS.some(key => rule[key] !== undefined)) {
+        throw selectorError(`${label}: rule has no conditions`);
+    }
+
+    const tests = [];
+
+    if (rule.uids !== undefined || rule.uidFile !== undefined) {
+        const uids = new Set(rule.uids ? toList(rule.uids).map(String) : []);
+        if (rule.uidFile !== undefined) {
+            if (!allowFiles) {
+                throw selectorError(`${label}: uidFile is not allowed here, pass uids instead`);
+            }
+            readUidFile(rule.uidFile).forEach(uid => uids.add(uid));
+        }
+        tests.push(user => uids.has(user.uid));
+    }
+
+    if (rule.emailDomain !== undefined) {
+        const domains = toList(rule.emailDomain).map(domain => String(domain).toLowerCase().replace(/^@/, ''));
+        tests.push(user => {
+            const email = (user.email || '').toLowerCase();
+            return domains.some(domain => email.endsWith(`@${domain}`));
+        });
+    }
+
+    if (rule.provider !== undefined) {
+        const providers = toList(rule.provider).map(String);
+        tests.push(user => (user.providerData || []).some(provider => providers.includes(provider.providerId)));
+    }
+
+    if (rule.claims !== undefined) {
+        if (!rule.claims || typeof rule.claims !== 'object') {
+            throw selectorError(`${label}: claims must be an object of claim name to value`);
+        }
+        const expected = Object.entries(rule.claims);
+        tests.push(user => {
+            const claims = user.customClaims || {};
+            return expected.every(([name, value]) => claims[name] === value);
+        });
+    }
+
+    if (rule.disabled !== undefined) {
+        if (typeof rule.disabled !== 'boolean') {
+            throw selectorError(`${label}: disabled must be true or false`);
+        }
+        tests.push(user => Boolean(user.disabled) === rule.disabled);
+    }
+
+    const metadataTime = (user, field) => {
+        const value = user.metadata && user.metadata[field];
+        return value ? Date.parse(value) : NaN;
+    };
+    if (rule.createdAfter !== undefined) {
+        const after = parseDate(rule.createdAfter, 'createdAfter', label);
+        tests.push(user => metadataTime(user, 'creationTime') >= after);
+    }
+    if (rule.createdBefore !== undefined) {
+        const before = parseDate(rule.createdBefore, 'createdBefore', label);
+        tests.push(user => metadataTime(user, 'creationTime') < before);
+    }
+    if (rule.lastSignInAfter !== undefined) {
+        const after = parseDate(rule.lastSignInAfter, 'lastSignInAfter', label);
+        tests.push(user => metadataTime(user, 'lastSignInTime') >= after);
+    }
+    if (rule.lastSignInBefore !== undefined) {
+        const before = parseDate(rule.lastSignInBefore, 'lastSignInBefore', label);
+        tests.push(user => metadataTime(user, 'lastSignInTime') < before);
+    }
+
+    if (rule.idleDays !== undefined) {
+        if (typeof rule.idleDays !== 'number' || !(rule.idleDays > 0)) {
+            throw selectorError(`${label}: idleDays must be a positive number of days`);
+        }
+        const cutoff = Date.now() - rule.idleDays * DAY_MS;
+        tests.push(user => {
+            const lastActive = metadataTime(user, 'lastSignInTime');
+            return (Number.isNaN(lastActive) ? metadataTime(user, 'creationTime') : lastActive) < cutoff;
+        });
+    }
+
+    return {
+        kind,
+        label: rule.name ? String(rule.name) : `${label} ${describeRule(rule)}`,
+        matched: 0,
+        test: user => tests.every(test => test(user))
+    };
+}
+
+/**
+ * Create a selector from its JSON spec
+ * @param {Object} [spec] - { include: Rule[], exclude: Rule[] }
+ * @param {Object} [options]
+ * @param {boolean} [options.allowFiles=true] - Whether rules may read uidFile from disk
+ * @returns {{isEmpty: boolean, evaluate: Function, getStats: Function}}
+ * @throws {Error} code 'selector/invalid' when the spec is malformed
+ */
+function createSelector(spec = {}, { allowFiles = true } = {}) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw selectorError('selector must be an object with include and/or exclude rules');
+    }
+    const unknown = Object.keys(spec).filter(key => key !== 'include' && key !== 'exclude');
+    if (unknown.length > 0) {
+        throw selectorError(`unknown selector field(s) ${unknown.join(', ')}`);
+    }
+
+    const include = toList(spec.include || []).map((rule, i) => compileRule(rule, 'include', i, { allowFiles }));
+    const exclude = toList(spec.exclude || []).map((rule, i) => compileRule(rule, 'exclude', i, { allowFiles }));
+
+    return {
+        isEmpty: include.length === 0 && exclude.length === 0,
+
+        /**
+         * Decide whether a user is targeted
+         * @param {Object} userRecord
+         * @returns {{selected: boolean, reason: (string|undefined)}}
+         */
+        evaluate(userRecord) {
+            let included = include.length === 0;
+            for (const rule of include) {
+                if (rule.test(userRecord)) {
+                    rule.matched++;
+                    included = true;
+                }
+            }
+
+            let excludedBy;
+            for (const rule of exclude) {
+                if (rule.test(userRecord)) {
+                    rule.matched++;
+                    excludedBy = excludedBy || rule.label;
+                }
+            }
+
+            if (!included) return { selected: false, reason: 'not-selected' };
+            if (excludedBy) return { selected: false, reason: `excluded-by-rule: ${excludedBy}` };
+            return { selected: true };
+        },
+
+        /**
+         * Per-rule match counts for the run summary
+         * @returns {Array<{kind: string, rule: string, matched: number}>}
+         */
+        getStats() {
+            return [...include, ...exclude].map(rule => ({
+                kind: rule.kind,
+                rule: rule.label,
+                matched: rule.matched
+            }));
+        }
+    };
+}
+
+module.exports = {
+    createSelector,
+    readUidFile
+};
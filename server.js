@@ -1,8 +1,25 @@
 const express = require('express');
-const { forceLogoutAllUsers, initializeFirebase } = require('./forceLogoutUsers');
-const path = require('path');
+const { forceLogoutAllUsers, forceLogoutAllTenants, initializeFirebase } = require('./forceLogoutUsers');
+const { generateRunId, readJournal } = require('./journal');
+const { startJob, cancelJob, getJob, listJobs, describeJob } = require('./jobs');
+const { createSelector } = require('./selectors');
+const { loadExclusions, hashExclusions } = require('./exclusions');
+const { loadConfig } = require('./settings');
+const { createOperatorAuth, DEFAULT_OPERATOR_CLAIM, safeEqual } = require('./auth');
+const { createTokenVerifier } = require('./revocationMiddleware');
+const approvals = require('./approvals');
+const { readAudit, recordAudit } = require('./audit');
+const { listRuns } = require('./runHistory');
+const { renderRunReport } = require('./runReport');
+const { listProjects, getProjectConfig, describeTarget } = require('./projects');
+const metrics = require('./metrics');
+const { createLogger } = require('./logger');
+const schedules = require('./schedules');
+const webhooks = require('./webhooks');
 const fs = require('fs');
 
+const log = createLogger({ component: 'server' });
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -14,22 +31,72 @@ app.use(express.json());
 // ==========================================
 
 // ⚠️ ENABLE THIS ONLY WHEN YOU WANT TO RUN THE LOGOUT PROCESS
-// Change this to true to enable the logout endpoint
-const LOGOUT_ENABLED = true;
+// Set LOGOUT_ENABLED=true in the environment, or logoutEnabled: true in config.js.
+// Checked on every request, so the config.js switch takes effect without a restart.
+function isLogoutEnabled() {
+    if (process.env.LOGOUT_ENABLED !== undefined) {
+        return process.env.LOGOUT_ENABLED === 'true';
+    }
+    try {
+        return loadConfig().logoutEnabled === true;
+    } catch (error) {
+        log.error('Error loading config, treating logout as disabled: {error}', { error: error.message });
+        return false;
+    }
+}
+
+// Shared API key for automation, sent in the x-api-key header (never in the query string)
+// Leave API_SECRET unset to only accept Firebase ID tokens
+const DEFAULT_API_SECRET = 'changeme';
+const API_SECRET = process.env.API_SECRET || '';
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+// Operators authenticate with a Firebase ID token carrying this custom claim
+const OPERATOR_CLAIM = process.env.OPERATOR_CLAIM || DEFAULT_OPERATOR_CLAIM;
+
+function getRevocationCacheTtlMs() {
+    if (process.env.REVOCATION_CACHE_TTL_MS === undefined) return undefined;
+    const ttlMs = Number(process.env.REVOCATION_CACHE_TTL_MS);
+    if (!Number.isFinite(ttlMs) || ttlMs < 0) {
+        log.warn('⚠️  Ignoring invalid REVOCATION_CACHE_TTL_MS "{value}"', { value: process.env.REVOCATION_CACHE_TTL_MS });
+        return undefined;
+    }
+    return ttlMs;
+}
+
+if (API_SECRET === DEFAULT_API_SECRET) {
+    if (IS_PRODUCTION) {
+        log.error(`❌ Refusing to start: API_SECRET is still the default "${DEFAULT_API_SECRET}" in production`);
+        process.exit(1);
+    }
+    log.warn(`⚠️  API_SECRET is the default "${DEFAULT_API_SECRET}". Set a real secret before deploying.`);
+}
+
+// Operator ID tokens are checked for revocation against a local cache rather than a lookup per request
+// (see revocationMiddleware.js); REVOCATION_CACHE_TTL_MS bounds how long a logged out operator keeps access
+const tokenVerifier = createTokenVerifier({ cacheTtlMs: getRevocationCacheTtlMs() });
+const requireOperator = createOperatorAuth({ apiSecret: API_SECRET, operatorClaim: OPERATOR_CLAIM, verifyIdToken: tokenVerifier.verify });
 
-// Secret key for simple authentication (optional but recommended)
-// Pass this as a query param ?key=YOUR_SECRET_KEY or header x-api-key
-const API_SECRET = process.env.API_SECRET || 'changeme';
+// Prometheus scrapers send this as "Authorization: Bearer <token>"; leave unset to serve /metrics openly
+// (it only carries counts, never uids or emails)
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+// Destructive runs need a second operator's approval within this window
+// Set APPROVAL_WINDOW_MINUTES in the environment, or approvalWindowMinutes in config.js
+function getApprovalWindowMs() {
+    const minutes = Number(process.env.APPROVAL_WINDOW_MINUTES || loadConfig().approvalWindowMinutes);
+    return minutes > 0 ? minutes * 60 * 1000 : approvals.DEFAULT_APPROVAL_WINDOW_MS;
+}
 
 // ==========================================
 
 // Initialize Firebase on server start
 try {
     initializeFirebase();
-    console.log('✅ Firebase initialized successfully');
+    log.info('✅ Firebase initialized successfully');
 } catch (error) {
-    console.error('❌ Failed to initialize Firebase:', error.message);
-    console.error('Server will start but logout functions may fail');
+    log.error('❌ Failed to initialize Firebase: {error}', { error: error.message });
+    log.error('Server will start but logout functions may fail');
 }
 
 // Basic health check
@@ -37,84 +104,1082 @@ app.get('/', (req, res) => {
     res.json({
         status: 'online',
         service: 'Firebase Logout Service',
-        logoutEnabled: LOGOUT_ENABLED
+        logoutEnabled: isLogoutEnabled()
     });
 });
 
-// The Force Logout Endpoint
-app.post('/force-logout', async (req, res) => {
-    // 1. Security Check: Feature Flag
-    if (!LOGOUT_ENABLED) {
-        console.log('🛑 Blocked attempt to call /force-logout (feature disabled)');
-        return res.status(403).json({
+// Prometheus metrics (see metrics.js)
+app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN && !safeEqual(req.get('authorization') || '', `Bearer ${METRICS_TOKEN}`)) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'A valid metrics token is required' });
+    }
+    res.set('content-type', metrics.CONTENT_TYPE).send(metrics.renderMetrics());
+});
+
+/**
+ * Security Check: Feature Flag
+ * Authentication is handled by the requireOperator middleware on every logout route
+ * Sends the rejection response and returns false when a destructive request is not allowed
+ */
+function checkLogoutEnabled(req, res) {
+    if (!isLogoutEnabled()) {
+        log.warn('🛑 Blocked attempt to call {path} by {caller} from {ip} (feature disabled)', { path: req.path, caller: req.caller.id, ip: req.ip });
+        res.status(403).json({
             error: 'Forbidden',
-            message: 'Logout functionality is currently DISABLED by default. Please enable it in server.js to use this feature.'
+            message: 'Logout functionality is currently DISABLED by default. Set LOGOUT_ENABLED=true (or logoutEnabled in config.js) to use this feature.'
+        });
+        return false;
+    }
+    return true;
+}
+
+// ==========================================
+// 🛡️ EXCLUSION LIST
+// ==========================================
+// Loaded from every configured source (see exclusions.js) at startup and reloaded
+// when config.js or the exclusions file changes, or via POST /exclusions/reload.
+// Every project configured in config.js has its own list (see projects.js).
+// A failed reload keeps the previous list; if no list was ever loaded, logout is refused.
+
+// Project name ('' for the default project) => { ready, current }
+const exclusionState = new Map();
+const watchedFiles = new Set();
+
+function getExclusionState(project) {
+    const key = project || '';
+    if (!exclusionState.has(key)) {
+        exclusionState.set(key, { ready: Promise.reject(new Error(`Exclusion list for the ${describeTarget({ project })} was never loaded`)), current: null });
+        exclusionState.get(key).ready.catch(() => {});
+    }
+    return exclusionState.get(key);
+}
+
+/**
+ * (Re)load the exclusion list of one project in the background
+ * @returns {Promise<Object>} Resolves with the new exclusions, rejects if this load failed
+ */
+function reloadExclusions(reason, project) {
+    const state = getExclusionState(project);
+    const attempt = loadExclusions({ validate: true, project }).then((exclusions) => {
+        state.current = exclusions;
+        watchExclusionFiles(exclusions.files);
+        log.info('🛡️  Exclusion list loaded for the {target} ({reason}): {count} users from {sources}', {
+            target: describeTarget({ project }),
+            reason,
+            count: exclusions.uids.length,
+            sources: exclusions.sources.map(s => `${s.source}=${s.count}`).join(', ')
+        });
+        return exclusions;
+    });
+
+    // New runs wait for this load, falling back to the previous list if it fails
+    state.ready = attempt.catch((error) => {
+        log.error('❌ Failed to load exclusion list for the {target} ({reason}): {error}', { target: describeTarget({ project }), reason, error: error.message });
+        if (state.current) {
+            log.error('   Keeping the previously loaded list');
+            return state.current;
+        }
+        throw error;
+    });
+
+    // Avoid unhandled rejections when nobody is waiting for this load
+    state.ready.catch(() => {});
+    attempt.catch(() => {});
+    return attempt;
+}
+
+/**
+ * Reload the exclusion lists of the default project and every configured project
+ * @returns {Promise<Object[]>} Rejects if any load failed
+ */
+function reloadAllExclusions(reason) {
+    let projects = [];
+    try {
+        projects = listProjects();
+    } catch (error) {
+        log.error('Error loading config, only reloading the default project: {error}', { error: error.message });
+    }
+    return Promise.all([undefined, ...projects].map(project => reloadExclusions(reason, project)));
+}
+
+/**
+ * Watch the exclusion source files and reload when they change
+ */
+function watchExclusionFiles(files) {
+    for (const file of files) {
+        if (watchedFiles.has(file)) continue;
+        watchedFiles.add(file);
+        fs.watchFile(file, { interval: 2000 }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                reloadAllExclusions(`${file} changed`).catch(() => {});
+            }
         });
     }
+}
+
+/**
+ * Excluded user IDs for a new run in a project
+ * @throws {Error} if the project's exclusion list has never been loaded successfully
+ */
+async function getExcludedUserIds(project) {
+    const exclusions = await getExclusionState(project).ready;
+    return exclusions.uids;
+}
 
-    // 2. Security Check: API Key (Simple auth)
-    const providedKey = req.query.key || req.headers['x-api-key'];
-    if (API_SECRET !== 'changeme' && providedKey !== API_SECRET) {
-        console.log('🛑 Blocked attempt to call /force-logout (invalid key)');
-        return res.status(401).json({ error: 'Unauthorized', message: 'Invalid API key' });
+/**
+ * Read and validate the target of a request body ({ project, tenant, allTenants })
+ * @returns {{project: (string|undefined), tenant: (string|undefined), allTenants: boolean}}
+ * @throws {Error} with a message fit for a 400 response
+ */
+function parseTarget(body) {
+    const { project, tenant } = body;
+    const allTenants = body.allTenants === true;
+    for (const [name, value] of Object.entries({ project, tenant })) {
+        if (value !== undefined && (typeof value !== 'string' || value === '')) {
+            throw new Error(`${name} must be a non-empty string`);
+        }
+    }
+    if (allTenants && tenant !== undefined) {
+        throw new Error('Pass either tenant or allTenants, not both');
     }
+    if (project !== undefined) getProjectConfig(project);
+    return { project, tenant, allTenants };
+}
+
+/**
+ * Run a logout for a parsed target, once per tenant when allTenants is set
+ */
+function runForTarget(excludedUserIds, immediate, { allTenants, ...target }, options) {
+    const run = allTenants ? forceLogoutAllTenants : forceLogoutAllUsers;
+    return run(excludedUserIds, immediate, { ...options, ...target });
+}
+
+function respondExclusionsUnavailable(res, error) {
+    return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Exclusion list could not be loaded; refusing to start a logout run',
+        details: error.message
+    });
+}
+
+/**
+ * Start a logout run as a background job and answer 202 with the job id
+ * Responds 409 if another destructive job is still running
+ */
+function respondWithJob(res, jobParams) {
+    let job;
+    try {
+        job = startJob(jobParams);
+    } catch (error) {
+        if (error.code === 'job/conflict') {
+            log.warn('🛑 Rejected new {type} job: {error}', { type: jobParams.type, error: error.message });
+            return res.status(409).json({
+                error: 'Conflict',
+                message: error.message,
+                activeJobId: error.activeJobId
+            });
+        }
+        throw error;
+    }
+
+    log.info('⏳ Started {type} job {jobId}', { type: job.type, jobId: job.id });
+    return res.status(202).json({
+        status: 'accepted',
+        message: `${job.type} job started`,
+        jobId: job.id,
+        statusUrl: `/jobs/${job.id}`
+    });
+}
+
+// Engine events forwarded by GET /jobs/:id/events (see forceLogoutAllUsers)
+const ENGINE_EVENTS = ['start', 'page', 'user', 'rate', 'progress', 'complete', 'failed'];
+const SSE_PROGRESS_INTERVAL_MS = 250;
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Describe a caller for approval records and the audit log
+ */
+function describeCaller(req) {
+    return { id: req.caller.id, type: req.caller.type, email: req.caller.email, ip: req.ip };
+}
+
+/**
+ * Estimate how many users a pending request would log out with a background dry run
+ * The dry run manifest lets the approver review exactly who would be affected
+ */
+function startEstimate(request) {
+    const job = startJob({
+        type: 'dry-run',
+        destructive: false,
+        params: { requestId: request.id, selector: request.selector || undefined, excludedCount: request.exclusions.count, ...request.target },
+        run: async ({ signal, onProgress, events }) => {
+            try {
+                const result = await runForTarget(request.exclusions.uids, request.immediate, request.target, {
+                    dryRun: true,
+                    selector: request.selector || undefined,
+                    actor: { ...request.proposer, requestId: request.id },
+                    rateLimits: loadConfig().rateLimits,
+                    signal,
+                    onProgress,
+                    events
+                });
+                approvals.setEstimate(request.id, describeEstimate(result));
+                return result;
+            } catch (error) {
+                approvals.setEstimate(request.id, { status: 'failed', error: error.message });
+                throw error;
+            }
+        }
+    });
+    return job;
+}
+
+/**
+ * Estimate stored on a request from a dry run result (one per tenant when iterating tenants)
+ */
+function describeEstimate(result) {
+    if (result.tenants) {
+        if (result.cancelled || result.tenants.some(tenant => !tenant.manifest)) return { status: 'cancelled' };
+        return {
+            status: 'ready',
+            targeted: result.tenants.reduce((sum, tenant) => sum + tenant.targeted, 0),
+            tenants: result.tenants.map(({ tenantId, targeted, skipped, total, manifest }) => ({ tenantId, targeted, skipped, total, manifest }))
+        };
+    }
+    return result.manifest ? {
+        status: 'ready',
+        targeted: result.targeted,
+        skipped: result.skipped,
+        notSelected: result.notSelected,
+        total: result.total,
+        manifest: result.manifest
+    } : { status: 'cancelled' };
+}
+
+function respondApprovalError(res, error) {
+    const statuses = {
+        'approval/not-found': 404,
+        'approval/anonymous-approver': 403,
+        'approval/same-operator': 403,
+        'approval/expired': 410,
+        'approval/not-pending': 409,
+        'approval/estimate-not-ready': 409
+    };
+    if (!statuses[error.code]) throw error;
+    return res.status(statuses[error.code]).json({ error: error.code, message: error.message });
+}
+
+// ==========================================
+// ⏰ SCHEDULED POLICIES
+// ==========================================
+// Recurring logout runs (see schedules.js). A policy only fires once a second
+// operator has approved it, and never while logout is disabled.
+
+/**
+ * Start the logout job of a policy (called by the scheduler and POST /schedules/:id/run)
+ * The policy's extra exclusions are added to its project's current exclusion list
+ */
+async function runPolicy(policy, execution) {
+    if (!isLogoutEnabled()) {
+        throw Object.assign(new Error('Logout functionality is currently DISABLED'), { code: 'schedule/logout-disabled' });
+    }
+
+    let projectExclusions;
+    try {
+        projectExclusions = await getExcludedUserIds(policy.target.project);
+    } catch (error) {
+        throw Object.assign(error, { code: 'schedule/exclusions-unavailable' });
+    }
+    const excludedUserIds = [...new Set([...projectExclusions, ...policy.excludedUserIds])];
+    const selector = policy.selector || undefined;
+    const runId = generateRunId();
+
+    log.info('\n⏰ Running schedule {policyId} ({name}), {trigger} run', { policyId: policy.id, name: policy.name, trigger: execution.trigger });
+    log.info('   Target: {target}', { target: policy.target.allTenants ? `every tenant of the ${describeTarget(policy.target)}` : describeTarget(policy.target) });
+    log.info('   Mode: {mode}', { mode: policy.immediate ? 'IMMEDIATE (terminate sessions)' : 'Revoke tokens only' });
+    log.info('   Excluded IDs: {excludedCount}', { excludedCount: excludedUserIds.length });
+    log.info('   Selector: {selector}', { selector: selector ? JSON.stringify(selector) : 'all users' });
+
+    return startJob({
+        type: 'scheduled-logout',
+        destructive: true,
+        params: {
+            policyId: policy.id,
+            executionId: execution.id,
+            trigger: execution.trigger,
+            immediate: policy.immediate,
+            excludedCount: excludedUserIds.length,
+            selector,
+            runId,
+            requestedBy: execution.triggeredBy ? execution.triggeredBy.id : `policy:${policy.id}`,
+            approvedBy: policy.approval.approvedBy.id,
+            ...policy.target
+        },
+        run: ({ signal, onProgress, events }) => runForTarget(excludedUserIds, policy.immediate, policy.target, {
+            selector,
+            // Every tenant gets its own run id when iterating tenants
+            runId: policy.target.allTenants ? undefined : runId,
+            actor: {
+                type: 'schedule',
+                id: `policy:${policy.id}`,
+                policyId: policy.id,
+                executionId: execution.id,
+                triggeredBy: execution.triggeredBy,
+                proposer: policy.approval.proposedBy,
+                approvedBy: policy.approval.approvedBy
+            },
+            approval: { policyId: policy.id, proposedBy: policy.approval.proposedBy.id, approvedBy: policy.approval.approvedBy.id },
+            rateLimits: loadConfig().rateLimits,
+            signal,
+            onProgress,
+            events
+        })
+    });
+}
+
+const scheduler = schedules.createScheduler({ runPolicy });
+
+function respondScheduleError(res, error) {
+    const statuses = {
+        'schedule/not-found': 404,
+        'schedule/invalid': 400,
+        'cron/invalid': 400,
+        'schedule/anonymous-approver': 403,
+        'schedule/same-operator': 403,
+        'schedule/logout-disabled': 403,
+        'schedule/not-pending': 409,
+        'schedule/not-approved': 409,
+        'schedule/overlap': 409,
+        'job/conflict': 409
+    };
+    if (!statuses[error.code]) throw error;
+    return res.status(statuses[error.code]).json({ error: error.code, message: error.message, activeJobId: error.activeJobId });
+}
+
+/**
+ * Policy fields from a request body; the target is top-level like POST /force-logout
+ * ({ project, tenant, allTenants }) and only included when one of them is present
+ * @throws {Error} code 'schedule/invalid'
+ */
+function parsePolicyBody(body) {
+    const fields = {};
+    for (const name of ['name', 'cron', 'enabled', 'immediate', 'selector', 'excludedUserIds']) {
+        if (body[name] !== undefined) fields[name] = body[name];
+    }
+    if (['project', 'tenant', 'allTenants'].some(name => body[name] !== undefined)) {
+        try {
+            fields.target = parseTarget(body);
+        } catch (error) {
+            throw Object.assign(new Error(`Invalid target: ${error.message}`), { code: 'schedule/invalid' });
+        }
+    }
+    return fields;
+}
+
+// Number of upcoming runs listed by the preview endpoints (?count=, at most 50)
+function parsePreviewCount(value) {
+    const count = Number(value);
+    return Number.isInteger(count) && count > 0 ? Math.min(count, 50) : 5;
+}
+
+app.get('/schedules', requireOperator, (req, res) => {
+    const policies = schedules.listPolicies().map(({ history, ...policy }) => ({
+        ...policy,
+        running: scheduler.isRunning(policy.id)
+    }));
+    res.json({ schedules: policies });
+});
+
+// Upcoming run times of a cron expression, to check it before saving a policy
+app.get('/schedules/preview', requireOperator, (req, res) => {
+    try {
+        res.json({ cron: req.query.cron, nextRuns: schedules.previewRuns(req.query.cron, parsePreviewCount(req.query.count)) });
+    } catch (error) {
+        respondScheduleError(res, error);
+    }
+});
+
+// Create a policy; a different operator must approve it before it fires
+app.post('/schedules', requireOperator, (req, res) => {
+    try {
+        const caller = describeCaller(req);
+        const policy = schedules.createPolicy({ ...parsePolicyBody(req.body || {}), createdBy: caller });
+        recordAudit('schedule.create', { policyId: policy.id, name: policy.name, cron: policy.cron, actor: caller });
+        log.info('📝 Schedule {policyId} ({name}, "{cron}") created by {caller}; awaiting approval by a second operator', {
+            policyId: policy.id,
+            name: policy.name,
+            cron: policy.cron,
+            caller: caller.id
+        });
+        res.status(201).json(policy);
+    } catch (error) {
+        respondScheduleError(res, error);
+    }
+});
+
+app.get('/schedules/:id', requireOperator, (req, res) => {
+    try {
+        const policy = schedules.getPolicy(req.params.id);
+        res.json({ ...policy, running: scheduler.isRunning(policy.id) });
+    } catch (error) {
+        respondScheduleError(res, error);
+    }
+});
+
+// Change a policy; changing what it runs (not just its name or enabled flag) needs approving again
+app.patch('/schedules/:id', requireOperator, (req, res) => {
+    try {
+        const caller = describeCaller(req);
+        const changes = parsePolicyBody(req.body || {});
+        const policy = schedules.updatePolicy(req.params.id, changes, caller);
+        recordAudit('schedule.update', { policyId: policy.id, changed: Object.keys(changes), approval: policy.approval.status, actor: caller });
+        log.info('✏️  Schedule {policyId} updated by {caller} ({approval})', { policyId: policy.id, caller: caller.id, approval: policy.approval.status });
+        res.json(policy);
+    } catch (error) {
+        respondScheduleError(res, error);
+    }
+});
+
+app.delete('/schedules/:id', requireOperator, (req, res) => {
+    try {
+        const caller = describeCaller(req);
+        const policy = schedules.deletePolicy(req.params.id);
+        recordAudit('schedule.delete', { policyId: policy.id, name: policy.name, actor: caller });
+        log.info('🗑️  Schedule {policyId} deleted by {caller}', { policyId: policy.id, caller: caller.id });
+        res.json({ status: 'deleted', id: policy.id });
+    } catch (error) {
+        respondScheduleError(res, error);
+    }
+});
+
+app.post('/schedules/:id/approve', requireOperator, (req, res) => {
+    const approver = describeCaller(req);
+    try {
+        const policy = schedules.approvePolicy(req.params.id, approver);
+        recordAudit('schedule.approve', { policyId: policy.id, proposedBy: policy.approval.proposedBy, actor: approver });
+        log.info('✅ Schedule {policyId} approved by {caller}; next run {nextRunAt}', { policyId: policy.id, caller: approver.id, nextRunAt: policy.nextRunAt });
+        res.json(policy);
+    } catch (error) {
+        if (error.code === 'schedule/same-operator') {
+            log.warn('🛑 {caller} tried to approve their own schedule {policyId}', { caller: approver.id, policyId: req.params.id });
+        }
+        respondScheduleError(res, error);
+    }
+});
+
+// Run an approved policy now, outside its schedule (also works while it is disabled)
+app.post('/schedules/:id/run', requireOperator, async (req, res) => {
+    if (!checkLogoutEnabled(req, res)) return;
+
+    const caller = describeCaller(req);
+    try {
+        const policy = schedules.getPolicy(req.params.id);
+        if (policy.approval.status !== 'approved') {
+            throw Object.assign(new Error(`Schedule ${policy.id} has not been approved yet`), { code: 'schedule/not-approved' });
+        }
+        const { execution, job } = await scheduler.trigger(policy.id, { trigger: 'manual', caller });
+        recordAudit('schedule.run', { policyId: policy.id, executionId: execution.id, jobId: job.id, actor: caller });
+        return res.status(202).json({
+            status: 'accepted',
+            message: 'Scheduled logout job started',
+            policyId: policy.id,
+            executionId: execution.id,
+            jobId: job.id,
+            statusUrl: `/jobs/${job.id}`
+        });
+    } catch (error) {
+        if (error.code === 'schedule/overlap' || error.code === 'job/conflict') {
+            log.warn('🛑 Could not run schedule {policyId}: {error}', { policyId: req.params.id, error: error.message });
+        }
+        if (error.code === 'schedule/exclusions-unavailable') return respondExclusionsUnavailable(res, error);
+        return respondScheduleError(res, error);
+    }
+});
+
+// Next run times of a policy
+app.get('/schedules/:id/next', requireOperator, (req, res) => {
+    try {
+        const policy = schedules.getPolicy(req.params.id);
+        res.json({
+            id: policy.id,
+            cron: policy.cron,
+            enabled: policy.enabled,
+            approval: policy.approval.status,
+            nextRunAt: policy.nextRunAt,
+            nextRuns: schedules.previewRuns(policy.cron, parsePreviewCount(req.query.count))
+        });
+    } catch (error) {
+        respondScheduleError(res, error);
+    }
+});
+
+// The Force Logout Endpoint
+// Dry runs start right away; real runs create a pending logout request
+// that a second operator must approve via POST /logout-requests/:id/approve
+app.post('/force-logout', requireOperator, async (req, res) => {
+    // Express 5 leaves req.body undefined when the request has no JSON body
+    const body = req.body || {};
+
+    // Dry runs never touch user accounts, so they are allowed while the safety lock is on
+    const dryRun = body.dryRun === true || req.query.dryRun === 'true';
+
+    if (!dryRun && !checkLogoutEnabled(req, res)) return;
 
     // 3. Configuration
-    const immediateMode = req.body.immediate === true || req.query.immediate === 'true';
+    const immediateMode = body.immediate === true || req.query.immediate === 'true';
 
-    // Load excluded users
-    let excludedUserIds = [];
-    const configPath = path.join(__dirname, 'config.js');
-    if (fs.existsSync(configPath)) {
+    // Optional selector narrowing the targets; uidFile is not allowed since it would read server files
+    const selector = body.selector;
+    if (selector !== undefined) {
         try {
-            const config = require('./config');
-            excludedUserIds = config.excludedUserIds || [];
-        } catch (e) {
-            console.error('Error loading config:', e);
+            createSelector(selector, { allowFiles: false });
+        } catch (error) {
+            return res.status(400).json({ error: 'Bad Request', message: `Invalid selector: ${error.message}` });
         }
     }
 
-    console.log(`\n🚀 Received logout request from ${req.ip}`);
-    console.log(`   Mode: ${immediateMode ? 'IMMEDIATE (terminate sessions)' : 'Revoke tokens only'}`);
-    console.log(`   Excluded IDs: ${excludedUserIds.length}`);
+    // Optional project / tenant (see projects.js); allTenants runs once per tenant of the project
+    let target;
+    try {
+        target = parseTarget(body);
+    } catch (error) {
+        return res.status(400).json({ error: 'Bad Request', message: `Invalid target: ${error.message}` });
+    }
+
+    // Load excluded users
+    let excludedUserIds;
+    try {
+        excludedUserIds = await getExcludedUserIds(target.project);
+    } catch (error) {
+        return respondExclusionsUnavailable(res, error);
+    }
+
+    log.info('\n🚀 Received logout request from {caller} ({ip})', { caller: req.caller.id, ip: req.ip });
+    log.info('   Target: {target}', { target: target.allTenants ? `every tenant of the ${describeTarget(target)}` : describeTarget(target) });
+    log.info('   Mode: {mode}', { mode: immediateMode ? 'IMMEDIATE (terminate sessions)' : 'Revoke tokens only' });
+    log.info('   Excluded IDs: {excludedCount}', { excludedCount: excludedUserIds.length });
+    log.info(`   Dry run: ${dryRun ? 'YES (manifest only)' : 'NO'}`, { dryRun });
+    log.info('   Selector: {selector}', { selector: selector ? JSON.stringify(selector) : 'all users' });
+
+    // 4. Execution
+    // Large tenants take far longer than an HTTP request may stay open,
+    // so the run happens in a background job that callers poll via /jobs/:id
+    if (dryRun) {
+        return respondWithJob(res, {
+            type: 'dry-run',
+            destructive: false,
+            params: { immediate: immediateMode, excludedCount: excludedUserIds.length, selector, requestedBy: req.caller.id, ...target },
+            run: ({ signal, onProgress, events }) => runForTarget(excludedUserIds, immediateMode, target, {
+                dryRun,
+                selector,
+                actor: describeCaller(req),
+                rateLimits: loadConfig().rateLimits,
+                signal,
+                onProgress,
+                events
+            })
+        });
+    }
+
+    // 5. Two-person rule: record a pending request with the exclusion list as it is now
+    const request = approvals.createRequest({
+        proposer: describeCaller(req),
+        immediate: immediateMode,
+        selector,
+        target,
+        excludedUserIds,
+        windowMs: getApprovalWindowMs()
+    });
+    const estimateJob = startEstimate(request);
+
+    log.info('📝 Logout request {requestId} is awaiting approval by a second operator until {expiresAt}', { requestId: request.id, expiresAt: request.expiresAt });
+    return res.status(202).json({
+        status: 'pending-approval',
+        message: 'Logout request created; a different operator must approve it before it runs',
+        requestId: request.id,
+        expiresAt: request.expiresAt,
+        estimateJobId: estimateJob.id,
+        statusUrl: `/logout-requests/${request.id}`
+    });
+});
+
+// Pending and past logout requests (exclusion uids omitted; see exclusions.count and hash)
+app.get('/logout-requests', requireOperator, (req, res) => {
+    const requests = approvals.listRequests().map(({ exclusions, ...request }) => ({
+        ...request,
+        exclusions: { count: exclusions.count, hash: exclusions.hash }
+    }));
+    res.json({ requests });
+});
+
+app.get('/logout-requests/:id', requireOperator, (req, res) => {
+    try {
+        res.json(approvals.getRequest(req.params.id));
+    } catch (error) {
+        respondApprovalError(res, error);
+    }
+});
+
+// Approve a pending request and start the logout run it describes
+app.post('/logout-requests/:id/approve', requireOperator, async (req, res) => {
+    if (!checkLogoutEnabled(req, res)) return;
+
+    const approver = describeCaller(req);
+    let request;
+    try {
+        request = approvals.checkApprovable(req.params.id, approver);
+    } catch (error) {
+        if (error.code === 'approval/same-operator') {
+            log.warn('🛑 {caller} tried to approve their own logout request {requestId}', { caller: approver.id, requestId: req.params.id });
+        }
+        return respondApprovalError(res, error);
+    }
+
+    // The run uses the snapshot the proposer saw; flag it if the live list has changed since
+    let exclusionsChanged = null;
+    try {
+        exclusionsChanged = hashExclusions(await getExcludedUserIds(request.target.project)) !== request.exclusions.hash;
+    } catch (error) {
+        // The snapshot is self-contained, so an unavailable live list does not block the run
+    }
+    if (exclusionsChanged) {
+        log.warn('⚠️  Exclusion list changed since request {requestId} was proposed; running with the approved snapshot', { requestId: request.id });
+    }
+
+    const excludedUserIds = request.exclusions.uids;
+    const selector = request.selector || undefined;
+    const runId = generateRunId();
+
+    log.info('\n🚀 Logout request {requestId} approved by {caller} ({ip}), proposed by {proposer}', {
+        requestId: request.id,
+        caller: approver.id,
+        ip: req.ip,
+        proposer: request.proposer.id
+    });
+    log.info('   Target: {target}', { target: request.target.allTenants ? `every tenant of the ${describeTarget(request.target)}` : describeTarget(request.target) });
+    log.info('   Mode: {mode}', { mode: request.immediate ? 'IMMEDIATE (terminate sessions)' : 'Revoke tokens only' });
+    log.info('   Excluded IDs: {excludedCount}', { excludedCount: excludedUserIds.length });
+    log.info('   Selector: {selector}', { selector: selector ? JSON.stringify(selector) : 'all users' });
+
+    // Record the approval (checking the window once more) before anything runs, so a
+    // started run is always backed by an approved request
+    try {
+        approvals.markApproved(request.id, approver);
+    } catch (error) {
+        return respondApprovalError(res, error);
+    }
 
+    let job;
     try {
-        // 4. Execution
-        // Run asynchronously and return ID, or await and return result?
-        // For 20k users, this might take a while, so we'll run it and stream logs or just return "started"
+        job = startJob({
+            type: 'logout',
+            destructive: true,
+            params: {
+                immediate: request.immediate,
+                excludedCount: excludedUserIds.length,
+                selector,
+                runId,
+                requestId: request.id,
+                requestedBy: request.proposer.id,
+                approvedBy: approver.id,
+                ...request.target
+            },
+            run: ({ signal, onProgress, events }) => runForTarget(excludedUserIds, request.immediate, request.target, {
+                selector,
+                // Every tenant gets its own run id when iterating tenants
+                runId: request.target.allTenants ? undefined : runId,
+                actor: { ...approver, requestId: request.id, proposer: request.proposer },
+                approval: { requestId: request.id, proposedBy: request.proposer.id, approvedBy: approver.id },
+                rateLimits: loadConfig().rateLimits,
+                signal,
+                onProgress,
+                events
+            })
+        });
+    } catch (error) {
+        // The request goes back to pending so it can be approved once the other job finishes
+        approvals.reopenRequest(request.id);
+        if (error.code !== 'job/conflict') throw error;
+        log.warn('🛑 Could not start approved request {requestId}: {error}', { requestId: request.id, error: error.message });
+        return res.status(409).json({ error: 'Conflict', message: error.message, activeJobId: error.activeJobId });
+    }
 
-        // Option A: Wait for completion (might timeout for very large user bases)
-        console.log('⏳ Starting logout process...');
-        const result = await forceLogoutAllUsers(excludedUserIds, immediateMode);
+    approvals.recordJob(request.id, job.id);
+    log.info('⏳ Started logout job {jobId} for request {requestId}', { jobId: job.id, requestId: request.id });
+    return res.status(202).json({
+        status: 'accepted',
+        message: 'Logout request approved; logout job started',
+        requestId: request.id,
+        jobId: job.id,
+        runId: request.target.allTenants ? null : runId,
+        exclusionsChanged,
+        statusUrl: `/jobs/${job.id}`
+    });
+});
 
-        console.log('✅ Logout process completed locally');
-        return res.json({
-            status: 'success',
-            message: 'Logout process completed',
-            details: result
+// Reject a pending request (either the proposer or another operator)
+app.post('/logout-requests/:id/reject', requireOperator, (req, res) => {
+    const body = req.body || {};
+    try {
+        const request = approvals.rejectRequest(req.params.id, describeCaller(req), body.reason || null);
+        log.info(`🗑️  Logout request {requestId} rejected by {caller} ({ip})${request.reason ? ': {reason}' : ''}`, {
+            requestId: request.id,
+            caller: req.caller.id,
+            ip: req.ip,
+            reason: request.reason
         });
+        res.json({ status: 'rejected', request });
+    } catch (error) {
+        respondApprovalError(res, error);
+    }
+});
+
+/**
+ * Whether a run was started under a second operator's approval (see the journal's start entry)
+ * A run started from a logout request only counts while that request is still recorded as approved
+ */
+function wasApproved(checkpoint) {
+    const { approval } = checkpoint;
+    if (!approval || !approval.approvedBy) return false;
+    if (!approval.requestId) return true;
+    try {
+        return approvals.getRequest(approval.requestId).status === 'approved';
+    } catch (error) {
+        if (error.code === 'approval/not-found') return false;
+        throw error;
+    }
+}
+
+// Resume an interrupted run from its checkpoint journal
+// Only runs a second operator approved (a logout request or a scheduled policy) can be resumed
+app.post('/force-logout/resume/:runId', requireOperator, async (req, res) => {
+    if (!checkLogoutEnabled(req, res)) return;
 
+    const { runId } = req.params;
+
+    // Validate the journal up front so an unknown or finished run is a 400, not a failed job
+    let checkpoint;
+    try {
+        checkpoint = await readJournal(runId);
     } catch (error) {
-        console.error('❌ Logout process failed:', error);
-        return res.status(500).json({
+        return res.status(400).json({ status: 'error', message: 'Run cannot be resumed', error: error.message });
+    }
+    if (checkpoint.params.singleUser) {
+        return res.status(400).json({
+            status: 'error',
+            message: 'Run cannot be resumed',
+            error: `Run ${runId} is a single-user run`
+        });
+    }
+    if (checkpoint.completed || checkpoint.exhausted) {
+        return res.status(400).json({
+            status: 'error',
+            message: 'Run cannot be resumed',
+            error: `Run ${runId} has already completed; nothing to resume`
+        });
+    }
+    if (!wasApproved(checkpoint)) {
+        log.warn('🛑 {caller} tried to resume run {runId}, which was not started from an approved request', { caller: req.caller.id, runId });
+        return res.status(403).json({
             status: 'error',
-            message: 'Internal server error during logout process',
+            message: 'Run cannot be resumed',
+            error: `Run ${runId} was not started from an approved logout request or schedule; propose a new logout instead`
+        });
+    }
+
+    // The run continues in its own project, with that project's current exclusion list on top of
+    // the users the run was started with excluded (e.g. a policy's own exclusions, see its journal)
+    let excludedUserIds;
+    try {
+        excludedUserIds = await getExcludedUserIds(checkpoint.params.project);
+    } catch (error) {
+        return respondExclusionsUnavailable(res, error);
+    }
+    // A run started from a logout request also keeps the exclusion snapshot its approver signed off,
+    // so a uid removed from the list since the approval is not logged out without a new one
+    if (checkpoint.approval.requestId) {
+        const { exclusions } = approvals.getRequest(checkpoint.approval.requestId);
+        excludedUserIds = [...new Set([...excludedUserIds, ...exclusions.uids])];
+    }
+
+    log.info('\n🔁 Received resume request for run {runId} from {caller} ({ip})', { runId, caller: req.caller.id, ip: req.ip });
+    log.info('   Approved by: {approvedBy}', { approvedBy: checkpoint.approval.approvedBy });
+    log.info('   Target: {target}', { target: describeTarget(checkpoint.params) });
+    log.info('   Excluded IDs: {excludedCount}', { excludedCount: excludedUserIds.length });
+
+    return respondWithJob(res, {
+        type: 'resume',
+        destructive: true,
+        params: { runId, excludedCount: excludedUserIds.length, requestedBy: req.caller.id, approvedBy: checkpoint.approval.approvedBy },
+        run: ({ signal, onProgress, events }) => forceLogoutAllUsers(excludedUserIds, false, {
+            resume: runId,
+            actor: { ...describeCaller(req), approval: checkpoint.approval },
+            rateLimits: loadConfig().rateLimits,
+            signal,
+            onProgress,
+            events
+        })
+    });
+});
+
+// Effective exclusion list of the default project, or of ?project=<name>
+app.get('/exclusions', requireOperator, async (req, res) => {
+    const project = req.query.project;
+    if (project !== undefined && !listProjects().includes(project)) {
+        return res.status(404).json({ error: 'Not Found', message: `Unknown project "${project}"` });
+    }
+    try {
+        const exclusions = await getExclusionState(project).ready;
+        res.json(exclusions);
+    } catch (error) {
+        respondExclusionsUnavailable(res, error);
+    }
+});
+
+// Reload the exclusion lists of every project from their sources without a restart
+app.post('/exclusions/reload', requireOperator, async (req, res) => {
+    try {
+        const [exclusions, ...projects] = await reloadAllExclusions(`requested by ${req.caller.id}`);
+        res.json({ status: 'success', exclusions, projects });
+    } catch (error) {
+        if ([...exclusionState.values()].some(state => !state.current)) return respondExclusionsUnavailable(res, error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Reload failed; the previously loaded exclusion list is still in effect',
             error: error.message
         });
     }
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`\n🚀 Server running on port ${PORT}`);
-    console.log(`👉 Health check: http://localhost:${PORT}/`);
-    console.log(`👉 Logout endpoint: http://localhost:${PORT}/force-logout`);
-    console.log(`🔒 Safety Lock: ${LOGOUT_ENABLED ? '🔴 UNLOCKED (Enabled)' : '🟢 LOCKED (Disabled)'}`);
+// Audit log, filtered by uid, runId, event and time range (ISO timestamps)
+// e.g. GET /audit?uid=abc123&since=2024-01-01T00:00:00Z&until=2024-01-31T23:59:59Z
+app.get('/audit', requireOperator, async (req, res) => {
+    const filters = { uid: req.query.uid, runId: req.query.runId, event: req.query.event };
 
-    if (!LOGOUT_ENABLED) {
-        console.log('\nTo enable logout functionality:');
-        console.log('1. Open server.js');
-        console.log('2. Change LOGOUT_ENABLED to true');
-        console.log('3. Restart the server');
+    for (const bound of ['since', 'until']) {
+        if (req.query[bound] === undefined) continue;
+        const date = new Date(req.query[bound]);
+        if (Number.isNaN(date.getTime())) {
+            return res.status(400).json({ error: 'Bad Request', message: `Invalid ${bound} timestamp: ${req.query[bound]}` });
+        }
+        filters[bound] = date;
+    }
+
+    if (req.query.limit !== undefined) {
+        const limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return res.status(400).json({ error: 'Bad Request', message: 'limit must be a positive integer' });
+        }
+        filters.limit = limit;
+    }
+
+    try {
+        res.json(await readAudit(filters));
+    } catch (error) {
+        log.error('Error reading audit log: {error}', { error: error.message });
+        res.status(500).json({ status: 'error', message: 'Failed to read audit log', error: error.message });
     }
 });
+
+// Run history (see runHistory.js), newest first, filtered by ?status=, ?project=, ?tenant= and ?limit=
+app.get('/runs', requireOperator, (req, res) => {
+    let limit;
+    if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return res.status(400).json({ error: 'Bad Request', message: 'limit must be a positive integer' });
+        }
+    }
+
+    try {
+        res.json({ runs: listRuns({ status: req.query.status, project: req.query.project, tenant: req.query.tenant, limit }) });
+    } catch (error) {
+        if (error.code === 'run/invalid-filter') {
+            return res.status(400).json({ error: 'Bad Request', message: error.message });
+        }
+        log.error('Error reading run history: {error}', { error: error.message });
+        res.status(500).json({ status: 'error', message: 'Failed to read run history', error: error.message });
+    }
+});
+
+// Report of a run (see runReport.js): ?format=json (default), csv or html
+// ?compare=<runId> adds who failed in both runs, failed in this one only, was logged out after failing
+// in the baseline, or was created in between
+// e.g. GET /runs/<runId>/report?format=csv&compare=<earlier runId>
+app.get('/runs/:id/report', requireOperator, async (req, res) => {
+    const format = req.query.format || 'json';
+    let report;
+    try {
+        report = await renderRunReport(req.params.id, format, { compare: req.query.compare });
+    } catch (error) {
+        if (error.code === 'report/invalid-format') {
+            return res.status(400).json({ error: 'Bad Request', message: error.message });
+        }
+        if (error.code === 'run/not-found' || error.code === 'run/invalid-id') {
+            return res.status(404).json({ error: 'Not Found', message: error.message });
+        }
+        log.error('Error building the report of run {runId}: {error}', { runId: req.params.id, error: error.message });
+        return res.status(500).json({ status: 'error', message: 'Failed to build the report', error: error.message });
+    }
+
+    if (format === 'csv') {
+        res.attachment(`${req.params.id}.csv`);
+    }
+    res.type(report.contentType).send(report.body);
+});
+
+// Job status endpoints
+app.get('/jobs', requireOperator, (req, res) => {
+    res.json({ jobs: listJobs().map(describeJob) });
+});
+
+app.get('/jobs/:id', requireOperator, (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Not Found', message: `No job with id ${req.params.id}` });
+    }
+    res.json(describeJob(job));
+});
+
+// Live events of a job as Server-Sent Events, e.g. curl -N -H "x-api-key: ..." /jobs/<id>/events
+// Starts with a 'snapshot' (the GET /jobs/:id view), then streams the engine's events
+// ('start', 'page', 'user', 'rate', 'progress', 'complete', 'failed') and ends with 'end'.
+// ?events=progress,complete limits the stream to those events ('snapshot' and 'end' are always sent).
+app.get('/jobs/:id/events', requireOperator, (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Not Found', message: `No job with id ${req.params.id}` });
+    }
+
+    const wanted = req.query.events ? new Set(String(req.query.events).split(',').map(name => name.trim())) : null;
+    res.writeHead(200, {
+        'content-type': 'text/event-stream',
+        'cache-control': 'no-cache',
+        connection: 'keep-alive',
+        'x-accel-buffering': 'no'
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send('snapshot', describeJob(job));
+    if (job.finishedAt) {
+        send('end', describeJob(job));
+        return res.end();
+    }
+
+    // Progress fires for every settled user; a few updates per second are enough for a dashboard
+    let lastProgressAt = 0;
+    const listeners = {};
+    for (const event of ENGINE_EVENTS) {
+        if (wanted && !wanted.has(event)) continue;
+        listeners[event] = (data) => {
+            if (event === 'progress') {
+                const now = Date.now();
+                if (now - lastProgressAt < SSE_PROGRESS_INTERVAL_MS) return;
+                lastProgressAt = now;
+            }
+            send(event, data);
+        };
+    }
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        for (const [event, listener] of Object.entries(listeners)) job.events.off(event, listener);
+        job.events.off('end', onEnd);
+    };
+    const onEnd = (description) => {
+        cleanup();
+        send('end', description);
+        res.end();
+    };
+
+    for (const [event, listener] of Object.entries(listeners)) job.events.on(event, listener);
+    job.events.on('end', onEnd);
+    req.on('close', cleanup);
+});
+
+// Cancel a running job: stops fetching pages and drains the queue
+app.delete('/jobs/:id', requireOperator, (req, res) => {
+    const job = cancelJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Not Found', message: `No job with id ${req.params.id}` });
+    }
+
+    log.warn('🛑 Cancellation requested for job {jobId} by {caller} ({ip}) (status: {status})', { jobId: job.id, caller: req.caller.id, ip: req.ip, status: job.status });
+    res.status(job.status === 'cancelling' ? 202 : 200).json(describeJob(job));
+});
+
+// Recent webhook deliveries (see webhooks.js), filtered by ?runId= and ?event=
+app.get('/webhooks/deliveries', requireOperator, (req, res) => {
+    const limit = Number(req.query.limit);
+    res.json({
+        deliveries: webhooks.readDeliveries({
+            runId: req.query.runId,
+            event: req.query.event,
+            limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, 1000) : undefined
+        })
+    });
+});
+
+// Send a test notification to every configured endpoint and report how each delivery went
+app.post('/webhooks/test', requireOperator, async (req, res) => {
+    try {
+        webhooks.getWebhookSettings();
+    } catch (error) {
+        return res.status(400).json({ error: error.code, message: error.message });
+    }
+    log.info('🔔 Webhook test requested by {caller} ({ip})', { caller: req.caller.id, ip: req.ip });
+    const deliveries = await webhooks.notifyWebhooks('webhook.test', { sentBy: describeCaller(req) });
+    res.json({ deliveries });
+});
+
+/**
+ * Load the exclusion list and start listening
+ * @param {number|string} [port] - Defaults to the PORT env variable or 3000 (0 picks a free port)
+ * @returns {import('http').Server} Closing it also stops watching the exclusion files
+ */
+function startServer(port = PORT) {
+    reloadAllExclusions('startup').catch(() => {});
+
+    const server = app.listen(port, () => {
+        const actualPort = server.address().port;
+        log.info('\n🚀 Server running on port {port}', { port: actualPort, logoutEnabled: isLogoutEnabled() });
+        log.info(`👉 Health check: http://localhost:${actualPort}/`);
+        log.info(`👉 Logout endpoint: http://localhost:${actualPort}/force-logout`);
+        log.info(`👉 Resume endpoint: http://localhost:${actualPort}/force-logout/resume/:runId`);
+        log.info(`👉 Logout requests: http://localhost:${actualPort}/logout-requests`);
+        log.info(`👉 Jobs: http://localhost:${actualPort}/jobs (live events: /jobs/:id/events)`);
+        log.info(`👉 Exclusions: http://localhost:${actualPort}/exclusions`);
+        log.info(`👉 Audit log: http://localhost:${actualPort}/audit`);
+        log.info(`👉 Run history: http://localhost:${actualPort}/runs (reports: /runs/:id/report)`);
+        log.info(`👉 Schedules: http://localhost:${actualPort}/schedules`);
+        log.info(`👉 Webhook deliveries: http://localhost:${actualPort}/webhooks/deliveries`);
+        log.info(`👉 Metrics: http://localhost:${actualPort}/metrics${METRICS_TOKEN ? ' (bearer token required)' : ''}`);
+        log.info(`🔒 Safety Lock: ${isLogoutEnabled() ? '🔴 UNLOCKED (Enabled)' : '🟢 LOCKED (Disabled)'}`);
+        log.info(`🔑 Auth: Firebase ID tokens with the "${OPERATOR_CLAIM}" claim${API_SECRET ? ' or the x-api-key header' : ' (API key auth disabled)'}`);
+
+        if (!isLogoutEnabled()) {
+            log.info('\nTo enable logout functionality:');
+            log.info('1. Set LOGOUT_ENABLED=true (or logoutEnabled: true in config.js)');
+            log.info('2. Call the endpoints with an operator ID token or the API key');
+        }
+    });
+
+    scheduler.start();
+
+    server.on('close', () => {
+        scheduler.stop();
+        for (const file of watchedFiles) fs.unwatchFile(file);
+        watchedFiles.clear();
+    });
+    return server;
+}
+
+module.exports = {
+    app,
+    startServer
+};
+
+if (require.main === module) {
+    startServer();
+}
@@ -0,0 +1,27 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Shared access to config.js
+ * config.js is re-read on every call (bypassing the require cache) so a running
+ * server picks up edits without a restart.
+ */
+
+const CONFIG_PATH = path.join(__dirname, 'config.js');
+
+/**
+ * Load config.js fresh from disk
+ * A broken config.js throws rather than silently yielding an empty exclusion list
+ * @returns {Object} The config, or an empty object if the file does not exist
+ */
+function loadConfig() {
+    if (!fs.existsSync(CONFIG_PATH)) return {};
+
+    delete require.cache[require.resolve(CONFIG_PATH)];
+    return require(CONFIG_PATH);
+}
+
+module.exports = {
+    CONFIG_PATH,
+    loadConfig
+};
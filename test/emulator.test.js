@@ -0,0 +1,89 @@
+const { describe, test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logout-emulator-'));
+process.env.JOURNAL_DIR = path.join(dataDir, 'runs');
+process.env.MANIFEST_DIR = path.join(dataDir, 'manifests');
+process.env.AUDIT_LOG = path.join(dataDir, 'audit.jsonl');
+
+const { installFakeAuth } = require('./fakeAuth');
+const { buildSyntheticUsers, seedUsers } = require('../emulator');
+const { forceLogoutAllUsers } = require('../forceLogoutUsers');
+const { main } = require('../cli');
+
+const RATE_LIMITS = { updateUser: 10000, revokeRefreshTokens: 10000, listUsers: 10000, getUser: 10000, getUsers: 10000 };
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('buildSyntheticUsers', () => {
+    test('varies providers, claims and disabled states', () => {
+        const users = buildSyntheticUsers(100);
+        const providers = new Set(users.flatMap(user => user.providerData.map(provider => provider.providerId)));
+
+        assert.deepEqual([...providers].sort(), ['google.com', 'password', 'phone']);
+        assert.equal(users.filter(user => user.disabled).length, 10);
+        assert.ok(users.some(user => user.customClaims && user.customClaims.admin));
+        assert.ok(users.some(user => user.customClaims && user.customClaims.role === 'beta'));
+        assert.equal(new Set(users.map(user => user.uid)).size, 100);
+    });
+});
+
+describe('seedUsers', () => {
+    let fake;
+    let previousHost;
+
+    beforeEach(() => {
+        previousHost = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+        fake = installFakeAuth();
+    });
+
+    afterEach(() => {
+        fake.restore();
+        if (previousHost === undefined) {
+            delete process.env.FIREBASE_AUTH_EMULATOR_HOST;
+        } else {
+            process.env.FIREBASE_AUTH_EMULATOR_HOST = previousHost;
+        }
+    });
+
+    test('refuses to run outside emulator mode', async () => {
+        delete process.env.FIREBASE_AUTH_EMULATOR_HOST;
+
+        await assert.rejects(seedUsers(10), { code: 'emulator/not-enabled' });
+        await assert.rejects(main(['seed', '10']), { code: 'cli/usage' });
+        assert.equal(fake.callsTo('importUsers').length, 0);
+    });
+
+    test('imports users in batches and a full immediate run restores them', async () => {
+        process.env.FIREBASE_AUTH_EMULATOR_HOST = '127.0.0.1:9099';
+
+        const summary = await seedUsers(2500);
+        assert.equal(summary.created, 2500);
+        assert.equal(fake.callsTo('importUsers').length, 3);
+
+        const result = await forceLogoutAllUsers([], true, { rateLimits: RATE_LIMITS });
+        assert.equal(result.success, 2500);
+        assert.equal([...fake.users.values()].filter(user => user.disabled).length, 250);
+    });
+
+    test('reports uids that already exist', async () => {
+        process.env.FIREBASE_AUTH_EMULATOR_HOST = '127.0.0.1:9099';
+        await seedUsers(5);
+
+        const summary = await seedUsers(5);
+        assert.equal(summary.created, 0);
+        assert.equal(summary.failed.length, 5);
+    });
+});
@@ -0,0 +1,219 @@
+const admin = require('firebase-admin');
+
+/**
+ * In-memory fake of the admin.auth() surface the logout tools use
+ * (listUsers paging, getUser, getUsers, updateUser, revokeRefreshTokens, importUsers, verifyIdToken,
+ * and tenantManager() with listTenants / authForTenant).
+ * Installing it replaces admin.auth() for the whole process (for every app), so no test ever talks to Firebase.
+ * Each tenant has its own users; calls made through a tenant are recorded with its tenantId.
+ *
+ * Faults can be injected per method (and optionally per uid):
+ *   fake.failNext('updateUser', { times: 2, error: quotaError() })
+ *   fake.failNext('revokeRefreshTokens', { uid: 'user-3', error: new Error('boom') })
+ * and every call can be slowed down with { latencyMs }.
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function authError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+function quotaError() {
+    return authError('auth/quota-exceeded', 'Exceeded quota for updating account information.');
+}
+
+/**
+ * Build synthetic user records
+ * @param {number} count
+ * @param {Function} [customize] - (user, index) => void, to vary providers, claims, disabled, ...
+ */
+function makeUsers(count, customize = () => {}) {
+    const users = [];
+    for (let i = 0; i < count; i++) {
+        const user = {
+            uid: `user-${i}`,
+            email: `user${i}@example.com`,
+            displayName: `User ${i}`,
+            disabled: false,
+            providerData: [{ providerId: i % 2 ? 'password' : 'google.com' }],
+            customClaims: undefined,
+            metadata: {
+                creationTime: new Date(Date.UTC(2024, 0, 1) + i * 60000).toUTCString(),
+                lastSignInTime: null
+            },
+            tokensValidAfterTime: new Date(Date.UTC(2024, 0, 1)).toUTCString()
+        };
+        customize(user, i);
+        users.push(user);
+    }
+    return users;
+}
+
+/**
+ * Replace admin.auth() with an in-memory fake
+ * @param {Object} [options]
+ * @param {Object[]} [options.users] - Initial user records (see makeUsers)
+ * @param {number} [options.latencyMs=0] - Delay added to every call
+ * @param {Object<string, Object>} [options.idTokens] - ID token => decoded claims, for verifyIdToken
+ * @param {Object<string, Object[]>} [options.tenants] - Tenant id => user records of that tenant
+ * @returns {Object} The fake, with users, calls, tenants, failNext(), callsTo() and restore()
+ */
+function installFakeAuth({ users = [], latencyMs = 0, idTokens = {}, tenants = {} } = {}) {
+    const faults = [];
+    const calls = [];
+    const previousAuth = admin.auth;
+
+    // The tools call initializeFirebase(); give them an app that never needs credentials
+    if (!admin.apps.length) {
+        admin.initializeApp({ projectId: 'fake-project' });
+    }
+
+    // Record the call, wait the configured latency and throw an injected fault if one matches
+    const enter = async (method, uid, args, tenantId) => {
+        calls.push({ method, uid, args, tenantId });
+        if (latencyMs) await sleep(latencyMs);
+        const index = faults.findIndex(fault => fault.method === method && (fault.uid === undefined || fault.uid === uid));
+        if (index !== -1) {
+            const fault = faults[index];
+            if (--fault.times === 0) faults.splice(index, 1);
+            throw fault.error;
+        }
+    };
+
+    const fake = createClient(users, enter, idTokens);
+    const tenantClients = new Map(Object.entries(tenants).map(([tenantId, tenantUsers]) =>
+        [tenantId, createClient(tenantUsers, (method, uid, args) => enter(method, uid, args, tenantId), idTokens, tenantId)]));
+
+    Object.assign(fake, {
+        calls,
+        tenants: tenantClients,
+
+        tenantManager() {
+            return {
+                async listTenants(maxResults = 1000, pageToken) {
+                    await enter('listTenants', undefined, [maxResults, pageToken]);
+                    const all = [...tenantClients.keys()];
+                    const start = pageToken ? Number(pageToken) : 0;
+                    const next = start + maxResults < all.length ? String(start + maxResults) : undefined;
+                    return { tenants: all.slice(start, start + maxResults).map(tenantId => ({ tenantId })), pageToken: next };
+                },
+                authForTenant(tenantId) {
+                    if (!tenantClients.has(tenantId)) throw authError('auth/tenant-not-found', `There is no tenant corresponding to the provided identifier: ${tenantId}`);
+                    return tenantClients.get(tenantId);
+                }
+            };
+        },
+
+        /**
+         * Make the next call(s) of a method fail
+         * @param {string} method
+         * @param {Object} [fault]
+         * @param {string} [fault.uid] - Only calls for this uid
+         * @param {number} [fault.times=1]
+         * @param {Error} [fault.error] - Defaults to a generic internal error
+         */
+        failNext(method, { uid, times = 1, error = authError('auth/internal-error', 'Injected failure') } = {}) {
+            faults.push({ method, uid, times, error });
+        },
+
+        /**
+         * Calls made to a method (optionally for a single uid), oldest first
+         */
+        callsTo(method, uid) {
+            return calls.filter(call => call.method === method && (uid === undefined || call.uid === uid));
+        },
+
+        restore() {
+            Object.defineProperty(admin, 'auth', { value: previousAuth, configurable: true, writable: true });
+        }
+    });
+
+    Object.defineProperty(admin, 'auth', { value: () => fake, configurable: true, writable: true });
+    return fake;
+}
+
+/**
+ * One user pool (the project's own users, or a tenant's) with the Auth methods the tools call
+ */
+function createClient(users, enter, idTokens, tenantId) {
+    const byUid = new Map(users.map(user => [user.uid, tenantId ? { ...user, tenantId } : user]));
+
+    const findUser = (uid) => {
+        const user = byUid.get(uid);
+        if (!user) throw authError('auth/user-not-found', `There is no user record corresponding to the provided identifier: ${uid}`);
+        return user;
+    };
+
+    return {
+        tenantId,
+        users: byUid,
+
+        async listUsers(maxResults = 1000, pageToken) {
+            await enter('listUsers', undefined, [maxResults, pageToken]);
+            const all = [...byUid.values()];
+            const start = pageToken ? Number(pageToken) : 0;
+            const page = all.slice(start, start + maxResults);
+            const next = start + maxResults < all.length ? String(start + maxResults) : undefined;
+            return { users: page.map(user => ({ ...user })), pageToken: next };
+        },
+
+        async getUser(uid) {
+            await enter('getUser', uid, [uid]);
+            return { ...findUser(uid) };
+        },
+
+        async getUsers(identifiers) {
+            await enter('getUsers', undefined, [identifiers]);
+            const found = [];
+            const notFound = [];
+            for (const identifier of identifiers) {
+                const user = byUid.get(identifier.uid);
+                if (user) {
+                    found.push({ ...user });
+                } else {
+                    notFound.push(identifier);
+                }
+            }
+            return { users: found, notFound };
+        },
+
+        async updateUser(uid, properties) {
+            await enter('updateUser', uid, [uid, properties]);
+            const user = findUser(uid);
+            Object.assign(user, properties);
+            return { ...user };
+        },
+
+        async revokeRefreshTokens(uid) {
+            await enter('revokeRefreshTokens', uid, [uid]);
+            findUser(uid).tokensValidAfterTime = new Date().toUTCString();
+        },
+
+        async importUsers(records) {
+            await enter('importUsers', undefined, [records]);
+            const errors = [];
+            records.forEach((record, index) => {
+                if (byUid.has(record.uid)) {
+                    errors.push({ index, error: authError('auth/uid-already-exists', 'The user with the provided uid already exists.') });
+                    return;
+                }
+                byUid.set(record.uid, { disabled: false, ...record, tokensValidAfterTime: new Date().toUTCString() });
+            });
+            return { successCount: records.length - errors.length, failureCount: errors.length, errors };
+        },
+
+        async verifyIdToken(idToken) {
+            await enter('verifyIdToken', undefined, [idToken]);
+            if (!idTokens[idToken]) throw authError('auth/argument-error', 'Decoding Firebase ID token failed.');
+            return idTokens[idToken];
+        }
+    };
+}
+
+module.exports = {
+    installFakeAuth,
+    makeUsers,
+    quotaError,
+    authError
+};
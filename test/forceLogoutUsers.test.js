@@ -0,0 +1,409 @@
+const { describe, test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep journals, manifests and the audit log out of the repository
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logout-engine-'));
+process.env.JOURNAL_DIR = path.join(dataDir, 'runs');
+process.env.MANIFEST_DIR = path.join(dataDir, 'manifests');
+process.env.AUDIT_LOG = path.join(dataDir, 'audit.jsonl');
+
+const { installFakeAuth, makeUsers, quotaError } = require('./fakeAuth');
+const { forceLogoutAllUsers, forceLogoutAllTenants, robustUpdateUser, verifyRun } = require('../forceLogoutUsers');
+const { recoverRun } = require('../recovery');
+const { readJournal, forEachUserOutcome } = require('../journal');
+const metrics = require('../metrics');
+
+// Fast enough that the limiters never get in the way
+const RATE_LIMITS = { updateUser: 10000, revokeRefreshTokens: 10000, listUsers: 10000, getUser: 10000, getUsers: 10000 };
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('forceLogoutAllUsers', () => {
+    let fake;
+
+    afterEach(() => fake.restore());
+
+    const run = (excludedUserIds, immediate, options = {}) =>
+        forceLogoutAllUsers(excludedUserIds, immediate, { rateLimits: RATE_LIMITS, ...options });
+
+    describe('standard mode', () => {
+        beforeEach(() => {
+            fake = installFakeAuth({ users: makeUsers(2500) });
+        });
+
+        test('pages through every listUsers page', async () => {
+            const result = await run([], false);
+
+            const pageTokens = fake.callsTo('listUsers').map(call => call.args[1]);
+            assert.deepEqual(pageTokens, [undefined, '1000', '2000']);
+            assert.equal(result.total, 2500);
+            assert.equal(result.success, 2500);
+            assert.equal(fake.callsTo('revokeRefreshTokens').length, 2500);
+            assert.equal(fake.callsTo('updateUser').length, 0);
+        });
+
+        test('skips excluded users and counts them', async () => {
+            const result = await run(['user-0', 'user-1500', 'not-a-user'], false);
+
+            assert.equal(result.skipped, 2);
+            assert.equal(result.success, 2498);
+            assert.equal(result.failed, 0);
+            assert.equal(fake.callsTo('revokeRefreshTokens', 'user-0').length, 0);
+            assert.equal(fake.callsTo('revokeRefreshTokens', 'user-1500').length, 0);
+        });
+
+        test('counts failures and reports their errors', async () => {
+            fake.failNext('revokeRefreshTokens', { uid: 'user-42' });
+
+            const result = await run([], false, { verify: false });
+
+            assert.equal(result.failed, 1);
+            assert.equal(result.success, 2499);
+            assert.deepEqual(result.errors.map(error => error.uid), ['user-42']);
+            const failed = [];
+            await forEachUserOutcome(result.runId, (uid, { status }) => status === 'failed' && failed.push(uid));
+            assert.deepEqual(failed, ['user-42']);
+        });
+
+        test('re-queues users hit by quota errors instead of failing them', async () => {
+            fake.failNext('revokeRefreshTokens', { uid: 'user-7', times: 2, error: quotaError() });
+
+            const result = await run([], false);
+
+            assert.equal(result.failed, 0);
+            assert.equal(result.requeued, 2);
+            assert.equal(result.success, 2500);
+            assert.equal(fake.callsTo('revokeRefreshTokens', 'user-7').length, 3);
+        });
+
+        test('retries listUsers quota errors in place', async () => {
+            fake.failNext('listUsers', { times: 2, error: quotaError() });
+
+            const result = await run([], false);
+
+            assert.equal(result.success, 2500);
+            assert.equal(fake.callsTo('listUsers').length, 5);
+        });
+
+        test('dry run writes a manifest and never touches accounts', async () => {
+            const result = await run(['user-1'], false, { dryRun: true });
+
+            assert.equal(result.targeted, 2499);
+            assert.equal(result.skipped, 1);
+            const manifest = JSON.parse(fs.readFileSync(result.manifest.jsonPath, 'utf8'));
+            assert.equal(manifest.totals.targeted, 2499);
+            assert.equal(manifest.targeted.length, 2499);
+            assert.deepEqual(manifest.skipped, [{ uid: 'user-1', email: 'user1@example.com', providers: ['password'], reason: 'excluded' }]);
+            const csv = fs.readFileSync(result.manifest.csvPath, 'utf8').trim().split('\n');
+            assert.equal(csv.length, 2501);
+            assert.equal(csv.at(-1).split(',').slice(0, 2).join(','), 'skip,user-1');
+            assert.deepEqual(fs.readdirSync(path.dirname(result.manifest.jsonPath)).filter(file => file.endsWith('.part')), []);
+            assert.equal(fake.callsTo('revokeRefreshTokens').length, 0);
+            assert.equal(fake.callsTo('updateUser').length, 0);
+        });
+
+        test('a cancelled dry run leaves no manifest or part files behind', async () => {
+            const manifestDir = path.join(dataDir, 'cancelled-manifests');
+            const controller = new AbortController();
+            const result = await run([], false, { dryRun: true, manifestDir, signal: controller.signal, onProgress: () => controller.abort() });
+
+            assert.equal(result.cancelled, true);
+            assert.equal(result.targeted, 1000);
+            assert.deepEqual(fs.existsSync(manifestDir) ? fs.readdirSync(manifestDir) : [], []);
+        });
+
+        test('emits live events for pages, users and completion', async () => {
+            fake.failNext('revokeRefreshTokens', { uid: 'user-3' });
+            const events = new EventEmitter();
+            const seen = { start: [], page: [], user: [], progress: [], complete: [] };
+            for (const name of Object.keys(seen)) events.on(name, payload => seen[name].push(payload));
+
+            const result = await run(['user-0'], false, { events, verify: false });
+
+            assert.equal(seen.start.length, 1);
+            assert.equal(seen.start[0].runId, result.runId);
+            assert.deepEqual(seen.page.map(page => page.users), [1000, 1000, 500]);
+            assert.equal(seen.user.filter(user => user.status === 'success').length, 2498);
+            assert.deepEqual(seen.user.filter(user => user.status !== 'success').map(user => [user.uid, user.status]), [['user-0', 'skipped'], ['user-3', 'failed']]);
+            assert.equal(seen.progress.at(-1).processed, 2500);
+            assert.deepEqual(seen.complete, [{ runId: result.runId, success: 2498, failed: 1, skipped: 1, total: 2500, cancelled: false, unrestored: 0, verified: null, mismatched: null }]);
+        });
+
+        test('feeds the metrics counters', async () => {
+            fake.failNext('revokeRefreshTokens', { uid: 'user-3' });
+            fake.failNext('revokeRefreshTokens', { uid: 'user-4', error: quotaError() });
+            const before = {
+                success: metrics.usersTotal.get({ mode: 'revoke', status: 'success' }),
+                failed: metrics.usersTotal.get({ mode: 'revoke', status: 'failed' }),
+                skipped: metrics.usersTotal.get({ mode: 'revoke', status: 'skipped' }),
+                revokes: metrics.adminCalls.get({ method: 'revokeRefreshTokens', outcome: 'success' }),
+                quotaErrors: metrics.quotaErrors.get({ method: 'revokeRefreshTokens' }),
+                requeued: metrics.requeuedUsers.get(),
+                runs: metrics.runsTotal.get({ mode: 'revoke', outcome: 'completed' })
+            };
+
+            await run(['user-0'], false, { verify: false });
+
+            assert.equal(metrics.usersTotal.get({ mode: 'revoke', status: 'success' }) - before.success, 2498);
+            assert.equal(metrics.usersTotal.get({ mode: 'revoke', status: 'failed' }) - before.failed, 1);
+            assert.equal(metrics.usersTotal.get({ mode: 'revoke', status: 'skipped' }) - before.skipped, 1);
+            assert.equal(metrics.adminCalls.get({ method: 'revokeRefreshTokens', outcome: 'success' }) - before.revokes, 2498);
+            assert.equal(metrics.quotaErrors.get({ method: 'revokeRefreshTokens' }) - before.quotaErrors, 1);
+            assert.equal(metrics.requeuedUsers.get() - before.requeued, 1);
+            assert.equal(metrics.runsTotal.get({ mode: 'revoke', outcome: 'completed' }) - before.runs, 1);
+            assert.equal(metrics.runsInProgress.samples().find(sample => sample.labels.mode === 'revoke').value, 0);
+        });
+
+        test('fetches the next page only once the queue is below the high-water mark', async () => {
+            const result = await run([], false, { highWaterMark: 200 });
+            assert.equal(result.success, 2500);
+
+            // Users queued but not yet revoked whenever another page was fetched
+            let listed = 0;
+            let revoked = 0;
+            for (const call of fake.calls) {
+                if (call.method === 'revokeRefreshTokens') revoked++;
+                if (call.method !== 'listUsers') continue;
+                // Up to concurrency (10) revokes may have started without settling yet
+                assert.ok(listed - revoked < 200 + 10, `page fetched with ${listed - revoked} users still queued`);
+                listed += 1000;
+            }
+        });
+
+        test('spills error details past the in-memory limit to disk', async () => {
+            for (const uid of ['user-1', 'user-2', 'user-3', 'user-4', 'user-5']) {
+                fake.failNext('revokeRefreshTokens', { uid, error: new Error('boom') });
+            }
+
+            const result = await run([], false, { maxErrorsInMemory: 2 });
+
+            assert.equal(result.failed, 5);
+            assert.equal(result.errors.length, 2);
+            const spilled = fs.readFileSync(result.errorsFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            assert.equal(spilled.length, 3);
+            assert.deepEqual(Object.keys(spilled[0]), ['uid', 'email', 'error']);
+        });
+
+        test('cancelling stops the run and leaves it resumable', async () => {
+            const controller = new AbortController();
+            controller.abort();
+
+            const result = await run([], false, { signal: controller.signal });
+
+            assert.equal(result.cancelled, true);
+            assert.equal(result.success, 0);
+            assert.equal(result.notProcessed, 1000);
+
+            const resumed = await run([], false, { resume: result.runId });
+            assert.equal(resumed.success, 2500);
+        });
+    });
+
+    describe('immediate mode', () => {
+        beforeEach(() => {
+            fake = installFakeAuth({
+                users: makeUsers(20, (user, i) => {
+                    user.disabled = i === 3;
+                })
+            });
+        });
+
+        test('disables, revokes, then re-enables each user', async () => {
+            const result = await run([], true);
+            assert.equal(result.success, 20);
+
+            const sequence = fake.calls
+                .filter(call => call.uid === 'user-5' && call.method !== 'getUsers')
+                .map(call => (call.method === 'updateUser' ? `disabled=${call.args[1].disabled}` : call.method));
+            assert.deepEqual(sequence, ['disabled=true', 'revokeRefreshTokens', 'disabled=false']);
+            assert.equal(fake.users.get('user-5').disabled, false);
+        });
+
+        test('only revokes users that were already disabled', async () => {
+            await run([], true);
+
+            assert.equal(fake.callsTo('updateUser', 'user-3').length, 0);
+            assert.equal(fake.callsTo('revokeRefreshTokens', 'user-3').length, 1);
+            assert.equal(fake.users.get('user-3').disabled, true);
+        });
+
+        test('re-enables a user in the restore pass when the re-enable keeps failing', async () => {
+            // The disable goes through, then the run's three re-enable attempts
+            // and the restore pass's first attempt fail
+            const updateUser = fake.updateUser;
+            fake.updateUser = async (uid, properties) => {
+                const result = await updateUser(uid, properties);
+                if (uid === 'user-8' && properties.disabled) {
+                    fake.failNext('updateUser', { uid, times: 4 });
+                }
+                return result;
+            };
+
+            const result = await run([], true);
+
+            assert.equal(result.failed, 1);
+            assert.equal(fake.callsTo('updateUser', 'user-8').length, 6);
+            assert.deepEqual(result.unrestored, []);
+            assert.equal(fake.users.get('user-8').disabled, false);
+            assert.equal((await readJournal(result.runId)).unrestored.size, 0);
+        });
+    });
+
+    describe('verification', () => {
+        beforeEach(() => {
+            fake = installFakeAuth({ users: makeUsers(150) });
+        });
+
+        test('re-revokes users whose revocation did not stick', async () => {
+            const revoke = fake.revokeRefreshTokens;
+            let lost = false;
+            fake.revokeRefreshTokens = async (uid) => {
+                if (uid === 'user-120' && !lost) {
+                    lost = true;
+                    return;
+                }
+                return revoke(uid);
+            };
+
+            const result = await run([], false);
+
+            assert.equal(result.verification.checked, 150);
+            assert.equal(result.verification.verified, 150);
+            assert.equal(result.verification.repaired, 1);
+            assert.deepEqual(result.verification.mismatched, []);
+        });
+
+        test('verifyRun only reports a user disabled since the run, even with repair', async () => {
+            const result = await run([], false, { verify: false });
+            fake.users.get('user-9').disabled = true;
+
+            const summary = await verifyRun(result.runId);
+            assert.equal(summary.repaired, 0);
+            assert.deepEqual(summary.mismatched, [{ uid: 'user-9', problems: ['disabled-mismatch'] }]);
+            assert.equal(fake.users.get('user-9').disabled, true);
+
+            const repaired = await verifyRun(result.runId, { repair: true });
+            assert.deepEqual(repaired.mismatched, [{ uid: 'user-9', problems: ['disabled-mismatch'] }]);
+            assert.equal(fake.users.get('user-9').disabled, true);
+            assert.equal(fake.callsTo('updateUser', 'user-9').length, 0);
+        });
+
+        test('verifyRun with repair re-enables only the users the run left disabled', async () => {
+            const updateUser = fake.updateUser;
+            fake.updateUser = async (uid, properties) => {
+                if (uid === 'user-3' && properties.disabled === false) throw new Error('re-enable failed');
+                return updateUser(uid, properties);
+            };
+            const result = await run([], true, { verify: false });
+            assert.deepEqual(result.unrestored, ['user-3']);
+            fake.updateUser = updateUser;
+            fake.users.get('user-9').disabled = true;
+
+            const reported = await verifyRun(result.runId);
+            assert.deepEqual(reported.mismatched.map(mismatch => mismatch.uid).sort(), ['user-3', 'user-9']);
+            assert.equal(fake.users.get('user-3').disabled, true);
+
+            const summary = await verifyRun(result.runId, { repair: true });
+            assert.equal(summary.repaired, 1);
+            assert.equal(fake.users.get('user-3').disabled, false);
+            assert.equal(fake.users.get('user-9').disabled, true);
+        });
+    });
+});
+
+describe('projects and tenants', () => {
+    let fake;
+
+    beforeEach(() => {
+        fake = installFakeAuth({
+            users: makeUsers(10),
+            tenants: { 'tenant-a': makeUsers(5), 'tenant-b': makeUsers(3) }
+        });
+    });
+
+    afterEach(() => fake.restore());
+
+    test('a tenant run only touches that tenant and is recorded in the journal', async () => {
+        const result = await forceLogoutAllUsers(['user-0'], true, { tenant: 'tenant-a', rateLimits: RATE_LIMITS });
+
+        assert.equal(result.success, 4);
+        assert.ok(fake.calls.filter(call => call.method === 'revokeRefreshTokens').every(call => call.tenantId === 'tenant-a'));
+        assert.equal((await readJournal(result.runId)).params.tenant, 'tenant-a');
+
+        fake.tenants.get('tenant-a').users.get('user-2').disabled = true;
+        const summary = await verifyRun(result.runId);
+        assert.equal(summary.verified, 3);
+        assert.deepEqual(summary.mismatched, [{ uid: 'user-2', problems: ['disabled-mismatch'] }]);
+        assert.equal(fake.tenants.get('tenant-a').users.get('user-2').disabled, true);
+    });
+
+    test('recovery re-enables users in the tenant the run was started against', async () => {
+        const updateUser = fake.tenants.get('tenant-b').updateUser;
+        fake.tenants.get('tenant-b').updateUser = async (uid, properties) => {
+            if (uid === 'user-1' && properties.disabled === false) throw new Error('re-enable failed');
+            return updateUser(uid, properties);
+        };
+
+        const result = await forceLogoutAllUsers([], true, { tenant: 'tenant-b', rateLimits: RATE_LIMITS, verify: false });
+        assert.deepEqual(result.unrestored, ['user-1']);
+
+        fake.tenants.get('tenant-b').updateUser = updateUser;
+        const summary = await recoverRun(result.runId);
+        assert.equal(summary.restored, 1);
+        assert.equal(fake.tenants.get('tenant-b').users.get('user-1').disabled, false);
+        assert.equal(fake.users.get('user-1').disabled, false);
+    });
+
+    test('forceLogoutAllTenants runs once per tenant', async () => {
+        const summary = await forceLogoutAllTenants([], false, { rateLimits: RATE_LIMITS });
+
+        assert.deepEqual(summary.tenants.map(tenant => tenant.tenantId), ['tenant-a', 'tenant-b']);
+        assert.equal(summary.success, 8);
+        assert.notEqual(summary.tenants[0].runId, summary.tenants[1].runId);
+        assert.equal(fake.callsTo('revokeRefreshTokens').filter(call => call.tenantId === undefined).length, 0);
+    });
+
+    test('rejects unknown projects', async () => {
+        await assert.rejects(forceLogoutAllUsers([], false, { project: 'missing' }), { code: 'project/not-found' });
+    });
+});
+
+describe('robustUpdateUser', () => {
+    let fake;
+
+    beforeEach(() => {
+        fake = installFakeAuth({ users: makeUsers(1) });
+    });
+
+    afterEach(() => fake.restore());
+
+    test('retries until the update succeeds', async () => {
+        fake.failNext('updateUser', { times: 2 });
+
+        await robustUpdateUser('user-0', { disabled: true }, 3);
+
+        assert.equal(fake.callsTo('updateUser').length, 3);
+        assert.equal(fake.users.get('user-0').disabled, true);
+    });
+
+    test('throws the last error once the retries are used up', async () => {
+        fake.failNext('updateUser', { times: 2 });
+
+        await assert.rejects(robustUpdateUser('user-0', { disabled: true }, 2), /Injected failure/);
+        assert.equal(fake.callsTo('updateUser').length, 2);
+        assert.equal(fake.users.get('user-0').disabled, false);
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger, configureLogger, withLogContext, redactPii } = require('../logger');
+
+describe('logger', () => {
+    let lines;
+
+    beforeEach(() => {
+        lines = [];
+        for (const method of ['log', 'warn', 'error']) {
+            mock.method(console, method, (...args) => lines.push({ method, text: args.join(' ') }));
+        }
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        configureLogger({ level: 'info', format: 'text', redact: 'none' });
+    });
+
+    test('fills message templates and routes levels to the console', () => {
+        configureLogger({ level: 'info', format: 'text', redact: 'none' });
+        const log = createLogger({ component: 'test' });
+
+        log.debug('hidden');
+        log.info('Skipped user: {uid} ({reason})', { uid: 'user-1', reason: 'excluded' });
+        log.error('Failed: {error}', { error: new Error('boom') });
+
+        assert.deepEqual(lines, [
+            { method: 'log', text: 'Skipped user: user-1 (excluded)' },
+            { method: 'error', text: 'Failed: boom' }
+        ]);
+    });
+
+    test('writes JSON lines with bound and async context', async () => {
+        configureLogger({ level: 'debug', format: 'json', redact: 'none' });
+        const log = createLogger({ component: 'engine' }).child({ runId: 'run-1' });
+
+        await withLogContext({ jobId: 'job-1' }, async () => {
+            await new Promise(resolve => setImmediate(resolve));
+            log.warn('\n🛑 Cancelled after {count} users', { count: 3 });
+        });
+
+        const { time, ...entry } = JSON.parse(lines[0].text);
+        assert.equal(lines[0].method, 'warn');
+        assert.ok(Date.parse(time));
+        assert.deepEqual(entry, {
+            level: 'warn', msg: 'Cancelled after 3 users', jobId: 'job-1', component: 'engine', runId: 'run-1', count: 3
+        });
+    });
+
+    test('masks uids and emails, including inside other fields', () => {
+        configureLogger({ format: 'json', redact: 'mask' });
+
+        createLogger().error('Failed to logout user {uid}: {error}', {
+            uid: 'abcdef123',
+            email: 'jane@example.com',
+            error: 'No user abcdef123 (contact jane@example.com)'
+        });
+
+        const entry = JSON.parse(lines[0].text);
+        assert.equal(entry.msg, 'Failed to logout user abcd***: No user abcd*** (contact ja***@example.com)');
+        assert.equal(entry.uid, 'abcd***');
+        assert.equal(entry.email, 'ja***@example.com');
+    });
+
+    test('hashes identifiers consistently and redacts error records', () => {
+        configureLogger({ redact: 'hash', hashSalt: 'salt' });
+
+        const first = redactPii({ uid: 'user-1', email: 'jane@example.com', error: 'user-1 is gone' });
+        const second = redactPii({ uid: 'user-1' });
+
+        assert.match(first.uid, /^uid:[0-9a-f]{12}$/);
+        assert.match(first.email, /^email:[0-9a-f]{12}$/);
+        assert.equal(first.error, `${first.uid} is gone`);
+        assert.equal(second.uid, first.uid);
+    });
+
+    test('rejects unknown settings', () => {
+        assert.throws(() => configureLogger({ level: 'loud' }), { code: 'log/invalid-option' });
+        assert.throws(() => configureLogger({ redact: 'blur' }), { code: 'log/invalid-option' });
+    });
+});
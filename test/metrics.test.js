@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCounter, createGauge, createHistogram, renderMetrics } = require('../metrics');
+
+test('renders counters, gauges and histograms in the Prometheus text format', () => {
+    const counter = createCounter({ name: 'test_things_total', help: 'Things', labelNames: ['kind'] });
+    counter.inc({ kind: 'a "quoted"\nvalue' });
+    counter.inc({ kind: 'b', ignored: 'x' }, 2);
+    createGauge({ name: 'test_level', help: 'Level', collect: () => 7 });
+    const histogram = createHistogram({ name: 'test_latency_seconds', help: 'Latency', buckets: [0.1, 1] });
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.5);
+
+    const text = renderMetrics();
+    assert.ok(text.includes([
+        '# HELP test_things_total Things',
+        '# TYPE test_things_total counter',
+        'test_things_total{kind="a \\"quoted\\"\\nvalue"} 1',
+        'test_things_total{kind="b"} 2',
+        '# HELP test_level Level',
+        '# TYPE test_level gauge',
+        'test_level 7',
+        '# HELP test_latency_seconds Latency',
+        '# TYPE test_latency_seconds histogram',
+        'test_latency_seconds_bucket{le="0.1"} 1',
+        'test_latency_seconds_bucket{le="1"} 2',
+        'test_latency_seconds_bucket{le="+Inf"} 2',
+        'test_latency_seconds_sum 0.55',
+        'test_latency_seconds_count 2'
+    ].join('\n')));
+    assert.throws(() => createGauge({ name: 'test_level', help: 'Again' }), /already registered/);
+});
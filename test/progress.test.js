@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { estimateProgress, formatDuration, createProgressBar } = require('../progress');
+
+test('estimates rate and ETA from the live counters', () => {
+    assert.deepEqual(
+        estimateProgress({ queued: 1000, processed: 200, alreadyCompleted: 300, listingComplete: true }, 10),
+        { ratePerSecond: 20, etaSeconds: 25, etaIsEstimate: false }
+    );
+    assert.equal(estimateProgress({ queued: 1000 }, 10).etaSeconds, null);
+    assert.equal(formatDuration(59), '0:59');
+    assert.equal(formatDuration(3725), '1:02:05');
+});
+
+test('draws the progress bar and keeps console output off it', () => {
+    const written = [];
+    const stream = { write: chunk => written.push(chunk) };
+    const events = new EventEmitter();
+    const log = console.log;
+    console.log = () => written.push('<log>');
+
+    try {
+        const bar = createProgressBar(events, { stream, width: 10 });
+        events.emit('progress', { queued: 1000, processed: 500, failed: 2, listingComplete: false });
+        console.log('engine output');
+        bar.stop();
+    } finally {
+        console.log = log;
+    }
+
+    const output = written.join('');
+    assert.match(output, /\[#####\.\.\.\.\.\] 50% 500\/1000\+ users \| [\d.]+\/s \| ETA ~\d+:\d\d \| 2 failed/);
+    assert.ok(output.includes('\r\x1b[K<log>[#####'));
+    assert.ok(output.endsWith('\n'));
+});
@@ -0,0 +1,139 @@
+const { describe, test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const { installFakeAuth, makeUsers, authError } = require('./fakeAuth');
+const { createRevocationMiddleware } = require('../revocationMiddleware');
+
+const SIGNED_IN_AT = Math.floor(Date.UTC(2025, 0, 1) / 1000);
+
+/**
+ * Call the middleware with a bearer token
+ * @returns {Promise<{status: number, body: Object, user: Object, passed: boolean}>}
+ */
+async function call(middleware, token) {
+    const req = { method: 'GET', path: '/api', get: name => (name === 'authorization' && token ? `Bearer ${token}` : undefined) };
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+        }
+    };
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    return { status: res.statusCode, body: res.body, user: req.user, passed };
+}
+
+describe('createRevocationMiddleware', () => {
+    let fake;
+    let globalMarker;
+    let previousFirestore;
+    let markerReads;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    beforeEach(() => {
+        fake = installFakeAuth({
+            users: makeUsers(3),
+            idTokens: {
+                'token-0': { uid: 'user-0', auth_time: SIGNED_IN_AT },
+                'token-1': { uid: 'user-1', auth_time: SIGNED_IN_AT },
+                'token-2': { uid: 'user-2', auth_time: SIGNED_IN_AT }
+            }
+        });
+
+        // The global marker, read from a fake Firestore
+        globalMarker = null;
+        markerReads = 0;
+        previousFirestore = admin.firestore;
+        const doc = () => ({
+            async get() {
+                markerReads++;
+                return { exists: Boolean(globalMarker), data: () => globalMarker };
+            }
+        });
+        Object.defineProperty(admin, 'firestore', { value: () => ({ doc }), configurable: true, writable: true });
+    });
+
+    afterEach(() => {
+        Object.defineProperty(admin, 'firestore', { value: previousFirestore, configurable: true, writable: true });
+        fake.restore();
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    test('attaches the decoded token and caches the user lookup', async () => {
+        const middleware = createRevocationMiddleware({ revocationSignal: false });
+
+        const first = await call(middleware, 'token-1');
+        const second = await call(middleware, 'token-1');
+        assert.ok(first.passed && second.passed);
+        assert.equal(second.user.uid, 'user-1');
+        assert.equal(fake.callsTo('getUser', 'user-1').length, 1);
+    });
+
+    test('rejects tokens issued before a revocation once the cached state expires or is invalidated', async () => {
+        const middleware = createRevocationMiddleware({ revocationSignal: false });
+        assert.ok((await call(middleware, 'token-1')).passed);
+
+        await fake.revokeRefreshTokens('user-1');
+        // Still cached
+        assert.ok((await call(middleware, 'token-1')).passed);
+
+        middleware.verifier.invalidate('user-1');
+        const revoked = await call(middleware, 'token-1');
+        assert.equal(revoked.status, 401);
+        assert.equal(revoked.body.code, 'auth/id-token-revoked');
+        assert.equal(revoked.passed, false);
+
+        fake.users.get('user-2').disabled = true;
+        const uncached = createRevocationMiddleware({ revocationSignal: false, cacheTtlMs: 0 });
+        assert.equal((await call(uncached, 'token-2')).body.code, 'auth/user-disabled');
+    });
+
+    test('checks the global marker of the last all-user run, sparing excluded users', async () => {
+        const middleware = createRevocationMiddleware({ revocationSignal: 'firestore', markerTtlMs: 0 });
+        assert.ok((await call(middleware, 'token-1')).passed);
+
+        globalMarker = { validAfterSeconds: SIGNED_IN_AT + 60, excludedUids: ['user-0'] };
+        assert.equal((await call(middleware, 'token-1')).body.code, 'auth/id-token-revoked');
+        assert.ok((await call(middleware, 'token-0')).passed);
+        // Without any user lookup beyond the first of each user
+        assert.equal(fake.callsTo('getUser').length, 2);
+
+        const cachedMarker = createRevocationMiddleware({ revocationSignal: 'firestore' });
+        markerReads = 0;
+        await call(cachedMarker, 'token-0');
+        await call(cachedMarker, 'token-0');
+        assert.equal(markerReads, 1);
+    });
+
+    test('answers 401 without a valid token and 503 when Firebase cannot be reached', async () => {
+        const middleware = createRevocationMiddleware({ revocationSignal: false });
+        assert.equal((await call(middleware, undefined)).status, 401);
+        assert.equal((await call(middleware, 'forged')).body.code, 'auth/argument-error');
+
+        fake.failNext('getUser', { error: authError('app/network-error', 'socket hang up') });
+        const unavailable = await call(middleware, 'token-1');
+        assert.equal(unavailable.status, 503);
+        assert.equal(unavailable.passed, false);
+        // A failed lookup is not cached
+        assert.ok((await call(middleware, 'token-1')).passed);
+
+        // Quota and permission errors are Firebase's, not the token's
+        fake.failNext('getUser', { error: authError('auth/quota-exceeded', 'Quota exceeded for getUser') });
+        assert.equal((await call(middleware, 'token-2')).status, 503);
+        fake.failNext('getUser', { error: authError('auth/insufficient-permission', 'Missing permission') });
+        assert.equal((await call(middleware, 'token-2')).status, 503);
+    });
+});
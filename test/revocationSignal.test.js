@@ -0,0 +1,216 @@
+const { describe, test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const admin = require('firebase-admin');
+
+// Keep journals and the audit log out of the repository
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logout-signal-'));
+process.env.JOURNAL_DIR = path.join(dataDir, 'runs');
+process.env.AUDIT_LOG = path.join(dataDir, 'audit.jsonl');
+
+const { installFakeAuth, makeUsers } = require('./fakeAuth');
+const { forceLogoutAllUsers } = require('../forceLogoutUsers');
+const { immediateLogout } = require('../immediateLogout');
+const { createSignalWriter } = require('../revocationSignal');
+const { readJournal } = require('../journal');
+const { encodeMarkerKey, getMarkerPaths, watchRevocation } = require('../revocationClient');
+
+const RATE_LIMITS = { updateUser: 10000, revokeRefreshTokens: 10000, listUsers: 10000, getUser: 10000, getUsers: 10000 };
+
+// Run against the emulators with: firebase emulators:exec --only auth,database "node --test test/revocationSignal.test.js"
+const EMULATORS_RUNNING = Boolean(process.env.FIREBASE_AUTH_EMULATOR_HOST && process.env.FIREBASE_DATABASE_EMULATOR_HOST);
+
+/**
+ * Replace admin.firestore() and admin.database() with in-memory stores
+ * Every write is kept by '<backend>:<path>'; writes to a path in `failing` are rejected
+ */
+function installFakeStores(onWrite = () => {}) {
+    const stores = { writes: new Map(), failing: new Set() };
+    const previous = { firestore: admin.firestore, database: admin.database };
+    const handle = backend => markerPath => ({
+        async set(value) {
+            if (stores.failing.has(markerPath)) throw new Error('PERMISSION_DENIED');
+            onWrite(backend, markerPath);
+            stores.writes.set(`${backend}:${markerPath}`, value);
+        }
+    });
+    Object.defineProperty(admin, 'firestore', { value: () => ({ doc: handle('firestore') }), configurable: true, writable: true });
+    Object.defineProperty(admin, 'database', { value: () => ({ ref: handle('rtdb') }), configurable: true, writable: true });
+    stores.restore = () => {
+        for (const [name, value] of Object.entries(previous)) {
+            Object.defineProperty(admin, name, { value, configurable: true, writable: true });
+        }
+    };
+    return stores;
+}
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// First, so the default app is initialized for the emulators before the fakes reuse it
+describe('Realtime Database emulator', { skip: !EMULATORS_RUNNING && 'needs the Auth and Database emulators (npm run emulator)' }, () => {
+    test('a listening client signs out when the marker is written', async () => {
+        const app = require('../projects').getProjectApp();
+        const writer = createSignalWriter('rtdb', { tenant: 'emulator-test' });
+        const user = { uid: 'user-1', tenantId: 'emulator-test', getIdTokenResult: async () => ({ claims: { auth_time: Math.floor(Date.now() / 1000) - 60 } }) };
+        const database = admin.database(app);
+
+        const signedOut = new Promise((resolve) => {
+            watchRevocation({
+                user,
+                backend: 'rtdb',
+                subscribe: (markerPath, onMarker) => {
+                    const ref = database.ref(markerPath);
+                    const listener = ref.on('value', snapshot => onMarker(snapshot.val()));
+                    return () => ref.off('value', listener);
+                },
+                signOut: resolve
+            });
+        });
+        await writer.writeUser('user-1', new Date(), { runId: 'emulator-run' });
+
+        const marker = await signedOut;
+        assert.equal(marker.runId, 'emulator-run');
+        await database.ref('logoutSignals/tenant-emulator-test').remove();
+        database.goOffline();
+    });
+});
+
+describe('revocation markers', () => {
+    let fake;
+    let stores;
+    let revokesAtWrite;
+
+    beforeEach(() => {
+        fake = installFakeAuth({ users: makeUsers(6), tenants: { 'tenant-a': makeUsers(4) } });
+        revokesAtWrite = [];
+        stores = installFakeStores(() => revokesAtWrite.push(fake.callsTo('revokeRefreshTokens').length));
+    });
+
+    afterEach(() => {
+        stores.restore();
+        fake.restore();
+    });
+
+    test('a run over every user writes one global marker once every user is processed', async () => {
+        const startedAt = Math.floor(Date.now() / 1000);
+        const result = await forceLogoutAllUsers(['user-0'], false, { rateLimits: RATE_LIMITS, revocationSignal: 'firestore' });
+
+        assert.deepEqual([...stores.writes.keys()], ['firestore:logoutSignals/default']);
+        assert.deepEqual(revokesAtWrite, [5]);
+        const marker = stores.writes.get('firestore:logoutSignals/default');
+        assert.deepEqual(marker.excludedUids, ['user-0']);
+        assert.equal(marker.runId, result.runId);
+        assert.ok(marker.validAfterSeconds >= startedAt && marker.validAfterSeconds <= Date.now() / 1000);
+        assert.equal(Date.parse(marker.tokensValidAfterTime), marker.validAfterSeconds * 1000);
+        assert.deepEqual(result.signal, { backend: 'firestore', scope: 'global', written: 1, failed: 0 });
+        assert.equal(result.success, 5);
+    });
+
+    test('a cancelled or failed run writes no global marker; its resume uses the original start as the cutoff', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const cancelled = await forceLogoutAllUsers([], false, { rateLimits: RATE_LIMITS, revocationSignal: 'firestore', signal: controller.signal });
+        assert.equal(stores.writes.size, 0);
+        assert.deepEqual(cancelled.signal, { backend: 'firestore', scope: 'global', written: 0, failed: 0 });
+
+        fake.failNext('listUsers', { error: new Error('listUsers is down') });
+        await assert.rejects(forceLogoutAllUsers([], false, { rateLimits: RATE_LIMITS, revocationSignal: 'firestore' }), /listUsers is down/);
+        assert.equal(stores.writes.size, 0);
+
+        const { startedAt } = await readJournal(cancelled.runId);
+        // Resumed at least a second later, so a cutoff taken at the resume would show
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        await forceLogoutAllUsers([], false, { rateLimits: RATE_LIMITS, revocationSignal: 'firestore', resume: cancelled.runId });
+        const marker = stores.writes.get('firestore:logoutSignals/default');
+        assert.equal(marker.validAfterSeconds, Math.floor(Date.parse(startedAt) / 1000));
+        assert.equal((await readJournal(cancelled.runId)).signalled, true);
+    });
+
+    test('a selector run writes a marker per logged out user; one that fails does not fail the user', async () => {
+        stores.failing.add('logoutSignals/tenant-tenant-a/users/user-2');
+        const result = await forceLogoutAllUsers([], false, {
+            rateLimits: RATE_LIMITS,
+            tenant: 'tenant-a',
+            selector: { include: [{ uids: ['user-1', 'user-2', 'user-3'] }] },
+            revocationSignal: 'rtdb'
+        });
+
+        assert.deepEqual([...stores.writes.keys()].sort(), [
+            'rtdb:logoutSignals/tenant-tenant-a/users/user-1',
+            'rtdb:logoutSignals/tenant-tenant-a/users/user-3'
+        ]);
+        assert.equal(result.success, 3);
+        assert.equal(result.failed, 0);
+        assert.deepEqual(result.signal, { backend: 'rtdb', scope: 'user', written: 2, failed: 1 });
+    });
+
+    test('runs write no marker unless a backend is configured or asked for', async () => {
+        const result = await forceLogoutAllUsers([], false, { rateLimits: RATE_LIMITS });
+        assert.equal(result.signal, null);
+        assert.equal(stores.writes.size, 0);
+        await assert.rejects(forceLogoutAllUsers([], false, { rateLimits: RATE_LIMITS, revocationSignal: 'kafka' }), { code: 'signal/invalid-config' });
+    });
+
+    test('an immediate logout writes the user\'s marker right after the revocation', async () => {
+        await immediateLogout('user-4', { revocationSignal: 'firestore' });
+
+        const marker = stores.writes.get('firestore:logoutSignals/default/users/user-4');
+        assert.ok(marker);
+        assert.deepEqual(revokesAtWrite, [1]);
+        assert.equal(marker.excludedUids, undefined);
+    });
+});
+
+describe('revocationClient', () => {
+    // A user whose session started at authTime (seconds), and markers pushed by path
+    const setup = (authTime, { uid = 'user-1', tenantId, backend } = {}) => {
+        const listeners = new Map();
+        const signOut = mock.fn(async () => {});
+        const user = { uid, tenantId, getIdTokenResult: async () => ({ claims: { auth_time: authTime } }) };
+        const subscribe = (markerPath, onMarker) => {
+            listeners.set(markerPath, onMarker);
+            return () => listeners.delete(markerPath);
+        };
+        const stop = watchRevocation({ user, subscribe, signOut, backend });
+        const push = async (markerPath, marker) => {
+            if (listeners.has(markerPath)) await listeners.get(markerPath)(marker);
+        };
+        return { listeners, signOut, stop, push };
+    };
+
+    test('signs out once a marker covers the session, but not excluded users or newer sessions', async () => {
+        const watched = setup(1000);
+        await watched.push('logoutSignals/default', { validAfterSeconds: 1000 });
+        await watched.push('logoutSignals/default', { validAfterSeconds: 2000, excludedUids: ['user-1'] });
+        assert.equal(watched.signOut.mock.callCount(), 0);
+
+        await watched.push('logoutSignals/default/users/user-1', { validAfterSeconds: 1001 });
+        assert.equal(watched.signOut.mock.callCount(), 1);
+        // Stops listening once signed out
+        assert.equal(watched.listeners.size, 0);
+    });
+
+    test('watches the tenant\'s paths of the chosen backend', () => {
+        const watched = setup(1000, { uid: 'a/b.c', tenantId: 'tenant-a', backend: 'rtdb' });
+        assert.deepEqual([...watched.listeners.keys()], [
+            'logoutSignals/tenant-tenant-a/global',
+            'logoutSignals/tenant-tenant-a/users/a%2Fb%2Ec'
+        ]);
+        watched.stop();
+        assert.equal(watched.listeners.size, 0);
+
+        assert.equal(encodeMarkerKey('50%$#[]'), '50%25%24%23%5B%5D');
+        assert.throws(() => getMarkerPaths('kafka'), { code: 'signal/invalid-config' });
+    });
+});
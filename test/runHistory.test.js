@@ -0,0 +1,217 @@
+const { describe, test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep journals, run records and the audit log out of the repository
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logout-history-'));
+process.env.JOURNAL_DIR = path.join(dataDir, 'runs');
+process.env.AUDIT_LOG = path.join(dataDir, 'audit.jsonl');
+
+const { installFakeAuth, makeUsers, authError } = require('./fakeAuth');
+const { forceLogoutAllUsers } = require('../forceLogoutUsers');
+const { immediateLogout } = require('../immediateLogout');
+const { testSingleUserLogout } = require('../testSingleUser');
+const { openJournal, readJournal, forEachUserOutcome } = require('../journal');
+const { getRun, listRuns, compareRuns } = require('../runHistory');
+const { createRunReport, renderRunReport } = require('../runReport');
+const { csvField } = require('../manifest');
+
+const RATE_LIMITS = { updateUser: 10000, revokeRefreshTokens: 10000, listUsers: 10000, getUser: 10000, getUsers: 10000 };
+
+// Final outcome of every user of a run, from its journal
+async function readOutcomes(runId) {
+    const outcomes = new Map();
+    await forEachUserOutcome(runId, (uid, outcome) => outcomes.set(uid, outcome));
+    return outcomes;
+}
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('run history', () => {
+    let fake;
+
+    const run = (excludedUserIds, options = {}) =>
+        forceLogoutAllUsers(excludedUserIds, false, { rateLimits: RATE_LIMITS, ...options });
+
+    beforeEach(() => {
+        fake = installFakeAuth({ users: makeUsers(6) });
+    });
+
+    afterEach(() => fake.restore());
+
+    test('every run saves its parameters, timings and counts; the journal keeps each user\'s outcome', async () => {
+        fake.failNext('revokeRefreshTokens', { uid: 'user-3', error: new Error('Backend error for user-3') });
+        const result = await run(['user-0']);
+
+        const record = getRun(result.runId);
+        assert.equal(record.status, 'completed');
+        assert.equal(record.mode, 'revoke');
+        assert.equal(record.params.excludedCount, 1);
+        assert.deepEqual(
+            { success: record.counts.success, failed: record.counts.failed, skipped: record.counts.skipped },
+            { success: 4, failed: 1, skipped: 1 }
+        );
+        assert.ok(Date.parse(record.finishedAt) >= Date.parse(record.startedAt));
+        assert.equal(record.durationMs, Date.parse(record.finishedAt) - Date.parse(record.startedAt));
+        assert.equal(record.verification.verified, 4);
+        assert.equal(record.attempts.length, 1);
+
+        const outcomes = await readOutcomes(result.runId);
+        assert.deepEqual(outcomes.get('user-3'), {
+            status: 'failed',
+            error: 'Backend error for user-3',
+            createdAt: new Date(fake.users.get('user-3').metadata.creationTime).toISOString(),
+            originalDisabled: undefined
+        });
+        assert.equal(outcomes.get('user-0').status, 'skipped');
+        assert.equal(listRuns({ status: 'completed' })[0].runId, result.runId);
+    });
+
+    test('a resumed run keeps its start time and adds an attempt; a failed run is recorded too', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const cancelled = await run([], { signal: controller.signal });
+        assert.equal(getRun(cancelled.runId).status, 'cancelled');
+
+        await run([], { resume: cancelled.runId });
+        const resumed = getRun(cancelled.runId);
+        assert.equal(resumed.status, 'completed');
+        assert.deepEqual(resumed.attempts.map(attempt => attempt.status), ['cancelled', 'completed']);
+        assert.equal(resumed.startedAt, resumed.attempts[0].startedAt);
+
+        fake.failNext('listUsers', { error: authError('auth/internal-error', 'listUsers is down') });
+        await assert.rejects(run([], { runId: 'run-history-failed' }), /listUsers is down/);
+        assert.equal(getRun('run-history-failed').status, 'failed');
+        assert.equal(getRun('run-history-failed').error, 'listUsers is down');
+        assert.throws(() => listRuns({ status: 'running' }), { code: 'run/invalid-filter' });
+    });
+
+    test('single-user logouts save a run record and a report like batch runs', async () => {
+        const immediate = await immediateLogout('user-1', { revocationSignal: false });
+        const revoked = await testSingleUserLogout('user-2', { revocationSignal: false });
+
+        const immediateRecord = getRun(immediate.runId);
+        assert.equal(immediateRecord.status, 'completed');
+        assert.equal(immediateRecord.mode, 'immediate');
+        assert.equal(immediateRecord.params.singleUser, 'user-1');
+        assert.deepEqual(immediateRecord.counts, { success: 1, failed: 0, skipped: 0, notSelected: 0, total: 1 });
+        assert.equal(immediateRecord.durationMs, Date.parse(immediateRecord.finishedAt) - Date.parse(immediateRecord.startedAt));
+        assert.equal(getRun(revoked.runId).mode, 'revoke');
+        assert.equal(getRun(revoked.runId).params.singleUser, 'user-2');
+        assert.deepEqual((await createRunReport(revoked.runId)).users, { total: 1, success: 1, failed: 0, skipped: 0 });
+
+        fake.failNext('revokeRefreshTokens', { uid: 'user-3', error: new Error('Backend error for user-3') });
+        await assert.rejects(testSingleUserLogout('user-3', { revocationSignal: false }), /Backend error for user-3/);
+        const failed = listRuns({ status: 'failed' }).find(record => record.params.singleUser === 'user-3');
+        assert.deepEqual({ success: failed.counts.success, failed: failed.counts.failed }, { success: 0, failed: 1 });
+        assert.equal(failed.error, 'Backend error for user-3');
+        assert.equal((await readOutcomes(failed.runId)).get('user-3').status, 'failed');
+    });
+
+    test('comparing two runs finds users that failed in both, newly failed, recovered or were created in between', async () => {
+        fake.failNext('revokeRefreshTokens', { uid: 'user-1' });
+        fake.failNext('revokeRefreshTokens', { uid: 'user-2' });
+        const baseline = await run([]);
+
+        const createdAt = new Date(Date.parse(getRun(baseline.runId).startedAt) + 1000);
+        fake.users.set('user-new', { ...makeUsers(1)[0], uid: 'user-new', metadata: { creationTime: createdAt.toUTCString(), lastSignInTime: null } });
+        fake.failNext('revokeRefreshTokens', { uid: 'user-2' });
+        fake.failNext('revokeRefreshTokens', { uid: 'user-4' });
+        const latest = await run([]);
+
+        assert.deepEqual(await compareRuns(baseline.runId, latest.runId), {
+            baseline: baseline.runId,
+            runId: latest.runId,
+            failedInBoth: ['user-2'],
+            newlyFailed: ['user-4'],
+            resolved: ['user-1'],
+            createdBetween: ['user-new']
+        });
+
+        const report = await createRunReport(latest.runId, { compare: baseline.runId });
+        assert.deepEqual(report.users, { total: 7, success: 5, failed: 2, skipped: 0 });
+        assert.deepEqual(report.failedUsers.map(user => user.uid).sort(), ['user-2', 'user-4']);
+        assert.deepEqual(report.comparison.failedInBoth, ['user-2']);
+    });
+
+    test('renders reports as CSV and HTML', async () => {
+        fake.failNext('revokeRefreshTokens', { uid: 'user-5', error: new Error('<script>alert("user-5")</script>') });
+        const baseline = await run([]);
+        const latest = await run([]);
+
+        const csv = await renderRunReport(baseline.runId, 'csv');
+        assert.equal(csv.contentType, 'text/csv; charset=utf-8');
+        const lines = csv.body.trim().split('\n');
+        assert.equal(lines[0], 'uid,status,error,createdAt');
+        assert.equal(lines.length, 7);
+        assert.ok(lines.includes(`user-5,failed,"<script>alert(""user-5"")</script>",${new Date(fake.users.get('user-5').metadata.creationTime).toISOString()}`));
+
+        fake.failNext('revokeRefreshTokens', { uid: 'user-2', error: new Error('=HYPERLINK("http://example.com","user-2")') });
+        const injected = (await renderRunReport((await run([])).runId, 'csv')).body;
+        assert.ok(injected.includes('user-2,failed,"\'=HYPERLINK(""http://example.com"",""user-2"")",'));
+        assert.deepEqual(['+1', '-1', '@SUM(A1)', '\tx', 'a=b'].map(csvField), ["'+1", "'-1", "'@SUM(A1)", "'\tx", 'a=b']);
+
+        const compared = (await renderRunReport(latest.runId, 'csv', { compare: baseline.runId })).body.split('\n');
+        assert.equal(compared[0], 'uid,status,error,createdAt,change');
+        assert.ok(compared.some(line => line.startsWith('user-5,success,,') && line.endsWith(',resolved')));
+
+        const html = (await renderRunReport(baseline.runId, 'html')).body;
+        assert.match(html, /<h2>Failed users \(1\)<\/h2>/);
+        assert.ok(html.includes('&lt;script&gt;alert(&quot;user-5&quot;)&lt;/script&gt;'));
+        assert.ok(!html.includes('<script>'));
+
+        await assert.rejects(renderRunReport(baseline.runId, 'xml'), { code: 'report/invalid-format' });
+        await assert.rejects(renderRunReport('run-missing', 'json'), { code: 'run/not-found' });
+    });
+});
+
+describe('journal', () => {
+    test('a resumed run only keeps the uids of unsettled pages; each user\'s last outcome is read once', async () => {
+        const journal = openJournal('run-journal-streaming');
+        journal.record('start', { params: { immediateLogout: false } });
+        journal.record('page', { page: 0 });
+        journal.record('user', { uid: 'a', status: 'success', page: 0 });
+        journal.record('user', { uid: 'b', status: 'failed', page: 0, error: 'boom' });
+        journal.record('pageDone', { page: 0, nextPageToken: 'b' });
+        journal.record('page', { page: 1, pageToken: 'b' });
+        journal.record('page', { page: 2, pageToken: 'd' });
+        journal.record('user', { uid: 'c', status: 'success', page: 1 });
+        journal.record('user', { uid: 'd', status: 'success', page: 2 });
+        journal.record('pageDone', { page: 2 });
+        journal.record('user', { uid: 'e', status: 'failed', page: 1, error: 'boom' });
+
+        // Interrupted: page 1 never settled, so it and page 2 are fetched again
+        const checkpoint = await readJournal('run-journal-streaming');
+        assert.equal(checkpoint.resumePage, 1);
+        assert.equal(checkpoint.resumeToken, 'b');
+        assert.equal(checkpoint.succeeded, 3);
+        assert.deepEqual([...checkpoint.loggedOut].sort(), ['c', 'd']);
+
+        journal.record('resume', { fromPage: 1 });
+        journal.record('page', { page: 1, pageToken: 'b' });
+        journal.record('user', { uid: 'e', status: 'success', page: 1 });
+        journal.record('pageDone', { page: 1, nextPageToken: 'd' });
+        journal.record('page', { page: 2, pageToken: 'd' });
+        journal.record('pageDone', { page: 2 });
+        journal.record('complete', {});
+
+        const resumed = await readJournal('run-journal-streaming');
+        assert.equal(resumed.completed, true);
+        assert.equal(resumed.loggedOut.size, 0);
+        const outcomes = [];
+        await forEachUserOutcome('run-journal-streaming', (uid, { status }) => outcomes.push(`${uid}:${status}`));
+        assert.deepEqual(outcomes.sort(), ['a:success', 'b:failed', 'c:success', 'd:success', 'e:success']);
+        await assert.rejects(readJournal('run-missing'), { code: 'run/not-found' });
+    });
+});
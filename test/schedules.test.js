@@ -0,0 +1,157 @@
+const { describe, test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { parseCron, nextCronTime, nextCronTimes } = require('../cron');
+const schedules = require('../schedules');
+
+const ALICE = { id: 'alice' };
+const BOB = { id: 'bob' };
+
+describe('cron', () => {
+    test('finds the next matching minute in local time', () => {
+        const after = new Date(2026, 0, 5, 10, 17, 42); // Monday
+        assert.deepEqual(nextCronTime('*/15 * * * *', after), new Date(2026, 0, 5, 10, 30));
+        assert.deepEqual(nextCronTime('0 22 * * SUN', after), new Date(2026, 0, 11, 22, 0));
+        assert.deepEqual(nextCronTime('30 3 1 * *', after), new Date(2026, 1, 1, 3, 30));
+        assert.deepEqual(nextCronTime('@yearly', after), new Date(2027, 0, 1, 0, 0));
+    });
+
+    test('fires on either day field when both are restricted', () => {
+        const times = nextCronTimes('0 0 13 * FRI', 3, new Date(2026, 1, 1));
+        assert.deepEqual(times, [new Date(2026, 1, 6), new Date(2026, 1, 13), new Date(2026, 1, 20)]);
+    });
+
+    test('rejects malformed or impossible expressions', () => {
+        for (const expression of ['', '* * * *', '60 * * * *', '5-1 * * * *', '*/0 * * * *', '0 0 * * FUNDAY']) {
+            assert.throws(() => parseCron(expression), { code: 'cron/invalid' }, expression);
+        }
+        assert.throws(() => nextCronTime('0 0 30 2 *'), { code: 'cron/invalid' });
+    });
+});
+
+describe('schedules', () => {
+    let dir;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logout-schedules-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    const create = (fields = {}) => schedules.createPolicy({ name: 'Weekly', cron: '0 22 * * SUN', createdBy: ALICE, ...fields }, dir);
+
+    test('a policy only gets a next run once a different operator approves it', () => {
+        const policy = create();
+        assert.equal(policy.approval.status, 'pending');
+        assert.equal(policy.nextRunAt, null);
+
+        assert.throws(() => schedules.approvePolicy(policy.id, ALICE, dir), { code: 'schedule/same-operator' });
+        const approved = schedules.approvePolicy(policy.id, BOB, dir);
+        assert.equal(approved.approval.approvedBy.id, 'bob');
+        assert.equal(new Date(approved.nextRunAt).getDay(), 0);
+        assert.throws(() => schedules.approvePolicy(policy.id, BOB, dir), { code: 'schedule/not-pending' });
+    });
+
+    test('neither the API key nor the proposer under another caller id can approve a policy', () => {
+        const policy = create({ createdBy: { id: 'alice', type: 'firebase', email: 'alice@example.com' } });
+
+        assert.throws(() => schedules.approvePolicy(policy.id, { id: 'api-key', type: 'api-key', email: null }, dir), { code: 'schedule/anonymous-approver' });
+        assert.throws(() => schedules.approvePolicy(policy.id, { id: 'alice-2', type: 'firebase', email: 'Alice@example.com' }, dir), { code: 'schedule/same-operator' });
+        assert.equal(schedules.getPolicy(policy.id, dir).approval.status, 'pending');
+    });
+
+    test('changing what a policy runs needs a new approval, renaming it does not', () => {
+        const policy = create();
+        schedules.approvePolicy(policy.id, BOB, dir);
+
+        assert.equal(schedules.updatePolicy(policy.id, { name: 'Sunday night' }, BOB, dir).approval.status, 'approved');
+        const changed = schedules.updatePolicy(policy.id, { selector: { include: [{ idleDays: 90 }] } }, BOB, dir);
+        assert.equal(changed.approval.status, 'pending');
+        assert.equal(changed.approval.proposedBy.id, 'bob');
+        assert.equal(changed.nextRunAt, null);
+        assert.equal(schedules.approvePolicy(policy.id, ALICE, dir).approval.status, 'approved');
+    });
+
+    test('rejects invalid fields', () => {
+        assert.throws(() => create({ cron: '0 0 30 2 *' }), { code: 'schedule/invalid' });
+        assert.throws(() => create({ selector: { include: [{ uidFile: '/etc/passwd' }] } }), { code: 'schedule/invalid' });
+        assert.throws(() => create({ excludedUserIds: 'user-1' }), { code: 'schedule/invalid' });
+        const policy = create();
+        assert.throws(() => schedules.updatePolicy(policy.id, { history: [] }, ALICE, dir), { code: 'schedule/invalid' });
+        assert.throws(() => schedules.getPolicy('pol-missing', dir), { code: 'schedule/not-found' });
+    });
+
+    test('the scheduler fires due policies without overlapping runs and records each execution', async () => {
+        const policy = create({ cron: '* * * * *' });
+        schedules.approvePolicy(policy.id, BOB, dir);
+
+        const started = [];
+        const runPolicy = async (stored, execution) => {
+            const job = { id: `job-${started.length + 1}`, events: new EventEmitter() };
+            started.push({ job, execution });
+            return job;
+        };
+        const scheduler = schedules.createScheduler({ runPolicy, dir });
+        const due = Date.parse(schedules.getPolicy(policy.id, dir).nextRunAt);
+
+        await scheduler.tick(due - 1000);
+        assert.equal(started.length, 0);
+
+        await scheduler.tick(due);
+        assert.equal(started.length, 1);
+        assert.equal(started[0].execution.trigger, 'schedule');
+        assert.ok(scheduler.isRunning(policy.id));
+
+        // Still running when the next occurrence comes due
+        await scheduler.tick(due + 60 * 1000);
+        await assert.rejects(scheduler.trigger(policy.id, { caller: ALICE }), { code: 'schedule/overlap', activeJobId: 'job-1' });
+        assert.equal(started.length, 1);
+
+        started[0].job.events.emit('end', {
+            status: 'completed',
+            finishedAt: new Date().toISOString(),
+            result: { runId: 'run-1', success: 3, failed: 0, skipped: 1, notSelected: 0, cancelled: false, errors: [] },
+            error: null
+        });
+        assert.equal(scheduler.isRunning(policy.id), false);
+
+        const { history, lastRun, nextRunAt } = schedules.getPolicy(policy.id, dir);
+        assert.deepEqual(history.map(entry => [entry.trigger, entry.status]), [
+            ['manual', 'skipped'],
+            ['schedule', 'skipped'],
+            ['schedule', 'completed']
+        ]);
+        assert.deepEqual(history[2].result, { runId: 'run-1', success: 3, failed: 0, skipped: 1, notSelected: 0, cancelled: false });
+        assert.equal(lastRun.id, history[0].id);
+        assert.ok(Date.parse(nextRunAt) > due + 60 * 1000);
+    });
+
+    test('a run that cannot start is recorded as skipped', async () => {
+        const policy = create();
+        schedules.approvePolicy(policy.id, BOB, dir);
+        const runPolicy = async () => {
+            throw Object.assign(new Error('Logout functionality is currently DISABLED'), { code: 'schedule/logout-disabled' });
+        };
+        const scheduler = schedules.createScheduler({ runPolicy, dir });
+
+        await assert.rejects(scheduler.trigger(policy.id), { code: 'schedule/logout-disabled' });
+        const { lastRun } = schedules.getPolicy(policy.id, dir);
+        assert.equal(lastRun.status, 'skipped');
+        assert.match(lastRun.error, /DISABLED/);
+        assert.equal(scheduler.isRunning(policy.id), false);
+    });
+});
@@ -0,0 +1,428 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Server settings are read when server.js is loaded, so set them first
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logout-server-'));
+process.env.JOURNAL_DIR = path.join(dataDir, 'runs');
+process.env.MANIFEST_DIR = path.join(dataDir, 'manifests');
+process.env.APPROVALS_DIR = path.join(dataDir, 'approvals');
+process.env.SCHEDULES_DIR = path.join(dataDir, 'schedules');
+process.env.WEBHOOK_LOG = path.join(dataDir, 'deliveries.jsonl');
+process.env.AUDIT_LOG = path.join(dataDir, 'audit.jsonl');
+process.env.API_SECRET = 'test-secret';
+// Look operators up on every request, so a revocation shows at once
+process.env.REVOCATION_CACHE_TTL_MS = '0';
+// Operators are excluded, or the runs below would revoke their own ID tokens
+process.env.EXCLUDED_USER_IDS = 'user-0,alice,bob,mallory';
+
+const { installFakeAuth, makeUsers, authError } = require('./fakeAuth');
+
+// Operator tokens are checked for revocation against their user records (see revocationMiddleware.js)
+const signedInAt = Math.floor(Date.now() / 1000);
+const operators = ['alice', 'bob', 'mallory'].map(uid => ({ ...makeUsers(1)[0], uid, email: `${uid}@example.com` }));
+
+const fake = installFakeAuth({
+    users: [...makeUsers(30), ...operators],
+    tenants: { 'tenant-a': makeUsers(4) },
+    idTokens: {
+        'alice-token': { uid: 'alice', email: 'alice@example.com', auth_time: signedInAt, logoutOperator: true },
+        'bob-token': { uid: 'bob', email: 'bob@example.com', auth_time: signedInAt, logoutOperator: true },
+        'mallory-token': { uid: 'mallory', email: 'mallory@example.com', auth_time: signedInAt }
+    }
+});
+
+const { startServer } = require('../server');
+const { forceLogoutAllUsers } = require('../forceLogoutUsers');
+const approvals = require('../approvals');
+
+const ALICE = { authorization: 'Bearer alice-token' };
+const BOB = { authorization: 'Bearer bob-token' };
+
+let server;
+let baseUrl;
+
+/**
+ * Minimal supertest-style request helper
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function request(method, url, { headers = {}, body } = {}) {
+    const response = await fetch(baseUrl + url, {
+        method,
+        headers: { 'content-type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function waitForJob(jobId) {
+    for (let i = 0; i < 200; i++) {
+        const { body } = await request('GET', `/jobs/${jobId}`, { headers: ALICE });
+        if (!['running', 'cancelling'].includes(body.status)) return body;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+}
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+
+    server = startServer(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fake.restore();
+    mock.restoreAll();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('authentication', () => {
+    test('health check is public', async () => {
+        const { status, body } = await request('GET', '/');
+        assert.equal(status, 200);
+        assert.equal(body.status, 'online');
+    });
+
+    test('rejects requests without credentials', async () => {
+        const { status } = await request('GET', '/jobs');
+        assert.equal(status, 401);
+    });
+
+    test('rejects ID tokens without the operator claim', async () => {
+        const { status } = await request('GET', '/jobs', { headers: { authorization: 'Bearer mallory-token' } });
+        assert.equal(status, 403);
+    });
+
+    test('rejects an operator\'s ID token once the operator is logged out', async () => {
+        const bob = fake.users.get('bob');
+        const { tokensValidAfterTime } = bob;
+        bob.tokensValidAfterTime = new Date((signedInAt + 1) * 1000).toUTCString();
+        try {
+            assert.equal((await request('GET', '/jobs', { headers: BOB })).status, 401);
+        } finally {
+            bob.tokensValidAfterTime = tokensValidAfterTime;
+        }
+        assert.equal((await request('GET', '/jobs', { headers: BOB })).status, 200);
+    });
+
+    test('answers 503 without counting a failed attempt when an operator\'s token cannot be checked', async () => {
+        fake.failNext('getUser', { uid: 'bob', times: 5, error: authError('app/network-error', 'socket hang up') });
+        fake.failNext('getUser', { uid: 'bob', times: 5, error: authError('auth/quota-exceeded', 'Quota exceeded for getUser') });
+        for (let i = 0; i < 10; i++) {
+            assert.equal((await request('GET', '/jobs', { headers: BOB })).status, 503);
+        }
+        // Ten failures would have blocked this IP
+        assert.equal((await request('GET', '/jobs', { headers: BOB })).status, 200);
+    });
+
+    test('accepts the API key in the header but not in the query string', async () => {
+        assert.equal((await request('GET', '/jobs', { headers: { 'x-api-key': 'test-secret' } })).status, 200);
+        assert.equal((await request('GET', '/jobs?key=test-secret')).status, 401);
+    });
+});
+
+describe('POST /force-logout', () => {
+    test('is refused while logout is disabled', async () => {
+        process.env.LOGOUT_ENABLED = 'false';
+        const { status } = await request('POST', '/force-logout', { headers: ALICE });
+        assert.equal(status, 403);
+    });
+
+    test('rejects an invalid selector', async () => {
+        process.env.LOGOUT_ENABLED = 'true';
+        const { status } = await request('POST', '/force-logout', { headers: ALICE, body: { selector: { include: [{ bogus: 1 }] } } });
+        assert.equal(status, 400);
+    });
+
+    test('rejects an unknown project or a tenant combined with allTenants', async () => {
+        process.env.LOGOUT_ENABLED = 'true';
+        assert.equal((await request('POST', '/force-logout', { headers: ALICE, body: { project: 'missing' } })).status, 400);
+        assert.equal((await request('POST', '/force-logout', { headers: ALICE, body: { tenant: 'tenant-a', allTenants: true } })).status, 400);
+    });
+
+    test('dry runs every tenant of the project with allTenants', async () => {
+        const { body } = await request('POST', '/force-logout', { headers: ALICE, body: { dryRun: true, allTenants: true } });
+
+        const job = await waitForJob(body.jobId);
+        assert.equal(job.status, 'completed');
+        assert.deepEqual(job.result.tenants.map(tenant => [tenant.tenantId, tenant.targeted]), [['tenant-a', 3]]);
+    });
+
+    test('starts a dry run job even while logout is disabled', async () => {
+        process.env.LOGOUT_ENABLED = 'false';
+        const { status, body } = await request('POST', '/force-logout', { headers: ALICE, body: { dryRun: true } });
+        assert.equal(status, 202);
+
+        const job = await waitForJob(body.jobId);
+        assert.equal(job.status, 'completed');
+        assert.equal(job.result.targeted, 29);
+        assert.equal(job.result.skipped, 4);
+        assert.equal(fake.callsTo('revokeRefreshTokens').length, 0);
+    });
+});
+
+describe('two-person approval', () => {
+    before(() => {
+        process.env.LOGOUT_ENABLED = 'true';
+    });
+
+    test('a proposed logout runs only once a second operator approves it', async () => {
+        const proposal = await request('POST', '/force-logout', { headers: ALICE });
+        assert.equal(proposal.status, 202);
+        assert.equal(proposal.body.status, 'pending-approval');
+        assert.equal(fake.callsTo('revokeRefreshTokens').length, 0);
+
+        const estimate = await waitForJob(proposal.body.estimateJobId);
+        assert.equal(estimate.result.targeted, 29);
+
+        const selfApproval = await request('POST', `/logout-requests/${proposal.body.requestId}/approve`, { headers: ALICE });
+        assert.equal(selfApproval.status, 403);
+
+        const approval = await request('POST', `/logout-requests/${proposal.body.requestId}/approve`, { headers: BOB });
+        assert.equal(approval.status, 202);
+
+        const job = await waitForJob(approval.body.jobId);
+        assert.equal(job.status, 'completed');
+        assert.equal(job.result.success, 29);
+        assert.equal(fake.callsTo('revokeRefreshTokens', 'user-0').length, 0);
+
+        const { body: stored } = await request('GET', `/logout-requests/${proposal.body.requestId}`, { headers: ALICE });
+        assert.equal(stored.status, 'approved');
+        assert.equal(stored.decidedBy.id, 'bob');
+    });
+
+    test('a rejected request can no longer be approved', async () => {
+        const proposal = await request('POST', '/force-logout', { headers: ALICE, body: { immediate: true } });
+        await waitForJob(proposal.body.estimateJobId);
+
+        const rejection = await request('POST', `/logout-requests/${proposal.body.requestId}/reject`, { headers: ALICE, body: { reason: 'wrong mode' } });
+        assert.equal(rejection.status, 200);
+
+        const approval = await request('POST', `/logout-requests/${proposal.body.requestId}/approve`, { headers: BOB });
+        assert.equal(approval.status, 409);
+    });
+
+    test('the API key cannot approve, not even a request proposed with an ID token', async () => {
+        const proposal = await request('POST', '/force-logout', { headers: ALICE });
+        await waitForJob(proposal.body.estimateJobId);
+
+        const approval = await request('POST', `/logout-requests/${proposal.body.requestId}/approve`, { headers: { 'x-api-key': 'test-secret' } });
+        assert.equal(approval.status, 403);
+        assert.equal(approval.body.error, 'approval/anonymous-approver');
+
+        await request('POST', `/logout-requests/${proposal.body.requestId}/reject`, { headers: ALICE });
+    });
+
+    test('a request cannot be approved without a ready estimate', async () => {
+        fake.failNext('listUsers', { error: authError('auth/internal-error', 'listUsers is down') });
+        const proposal = await request('POST', '/force-logout', { headers: ALICE });
+        await waitForJob(proposal.body.estimateJobId);
+
+        const approval = await request('POST', `/logout-requests/${proposal.body.requestId}/approve`, { headers: BOB });
+        assert.equal(approval.status, 409);
+        assert.equal(approval.body.error, 'approval/estimate-not-ready');
+    });
+
+    test('unknown requests are 404', async () => {
+        const { status } = await request('GET', '/logout-requests/req-missing', { headers: ALICE });
+        assert.equal(status, 404);
+    });
+});
+
+describe('scheduled policies', () => {
+    before(() => {
+        process.env.LOGOUT_ENABLED = 'true';
+    });
+
+    test('an approved policy can be run now and records the execution', async () => {
+        const created = await request('POST', '/schedules', {
+            headers: ALICE,
+            body: { name: 'Idle users', cron: '0 3 * * MON', selector: { include: [{ idleDays: 30 }] }, excludedUserIds: ['user-1'] }
+        });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.approval.status, 'pending');
+        const id = created.body.id;
+
+        assert.equal((await request('POST', `/schedules/${id}/run`, { headers: ALICE })).status, 409);
+        assert.equal((await request('POST', `/schedules/${id}/approve`, { headers: ALICE })).status, 403);
+        const approval = await request('POST', `/schedules/${id}/approve`, { headers: BOB });
+        assert.equal(approval.status, 200);
+        assert.equal(new Date(approval.body.nextRunAt).getDay(), 1);
+
+        const revokedBefore = fake.callsTo('revokeRefreshTokens', 'user-1').length;
+        const run = await request('POST', `/schedules/${id}/run`, { headers: BOB });
+        assert.equal(run.status, 202);
+        const job = await waitForJob(run.body.jobId);
+        assert.equal(job.type, 'scheduled-logout');
+        assert.equal(job.status, 'completed');
+        // user-0 from the project list, user-1 from the policy; the fake users never signed in and were created long ago
+        assert.equal(job.result.success, 28);
+        assert.equal(fake.callsTo('revokeRefreshTokens', 'user-1').length, revokedBefore);
+
+        const { body: stored } = await request('GET', `/schedules/${id}`, { headers: ALICE });
+        assert.equal(stored.lastRun.jobId, run.body.jobId);
+        assert.equal(stored.lastRun.status, 'completed');
+        assert.equal(stored.lastRun.triggeredBy.id, 'bob');
+        assert.equal(stored.lastRun.result.success, 28);
+
+        const { body: next } = await request('GET', `/schedules/${id}/next?count=3`, { headers: ALICE });
+        assert.equal(next.nextRuns.length, 3);
+
+        assert.equal((await request('DELETE', `/schedules/${id}`, { headers: ALICE })).status, 200);
+        assert.equal((await request('GET', `/schedules/${id}`, { headers: ALICE })).status, 404);
+    });
+
+    test('previews cron expressions and rejects invalid policies', async () => {
+        const preview = await request('GET', '/schedules/preview?cron=@daily&count=2', { headers: ALICE });
+        assert.equal(preview.status, 200);
+        assert.equal(preview.body.nextRuns.length, 2);
+        assert.equal(new Date(preview.body.nextRuns[0]).getHours(), 0);
+
+        assert.equal((await request('GET', '/schedules/preview?cron=nope', { headers: ALICE })).status, 400);
+        assert.equal((await request('POST', '/schedules', { headers: ALICE, body: { name: 'x', cron: '61 * * * *' } })).status, 400);
+        assert.equal((await request('POST', '/schedules', { headers: ALICE, body: { name: 'x', cron: '@daily', project: 'missing' } })).status, 400);
+    });
+});
+
+describe('jobs, resume and audit', () => {
+    test('streams job events over SSE until the job ends', async () => {
+        const { body } = await request('POST', '/force-logout', { headers: ALICE, body: { dryRun: true } });
+
+        const response = await fetch(`${baseUrl}/jobs/${body.jobId}/events`, { headers: ALICE });
+        assert.equal(response.headers.get('content-type'), 'text/event-stream');
+        const events = (await response.text()).trim().split('\n\n').map(block => block.split('\n')[0].replace('event: ', ''));
+
+        assert.equal(events[0], 'snapshot');
+        assert.equal(events.at(-1), 'end');
+    });
+
+    test('exposes Prometheus metrics', async () => {
+        const { body } = await request('POST', '/force-logout', { headers: ALICE, body: { dryRun: true } });
+        await waitForJob(body.jobId);
+
+        const response = await fetch(`${baseUrl}/metrics`);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+        const text = await response.text();
+        assert.match(text, /^# TYPE logout_users_total counter$/m);
+        assert.match(text, /^firebase_admin_calls_total\{method="listUsers",outcome="success"\} \d+$/m);
+        assert.match(text, /^logout_jobs_finished_total\{type="dry-run",status="completed"\} \d+$/m);
+        assert.match(text, /^process_resident_memory_bytes \d+$/m);
+    });
+
+    test('sends test webhooks and lists deliveries', async () => {
+        const sent = await request('POST', '/webhooks/test', { headers: ALICE });
+        assert.equal(sent.status, 200);
+        assert.deepEqual(sent.body.deliveries, []);
+
+        const { status, body } = await request('GET', '/webhooks/deliveries?limit=10', { headers: ALICE });
+        assert.equal(status, 200);
+        assert.ok(Array.isArray(body.deliveries));
+    });
+
+    test('unknown jobs are 404', async () => {
+        assert.equal((await request('GET', '/jobs/job-missing', { headers: ALICE })).status, 404);
+        assert.equal((await request('GET', '/jobs/job-missing/events', { headers: ALICE })).status, 404);
+        assert.equal((await request('DELETE', '/jobs/job-missing', { headers: ALICE })).status, 404);
+    });
+
+    test('resuming an unknown run is a 400', async () => {
+        process.env.LOGOUT_ENABLED = 'true';
+        const { status } = await request('POST', '/force-logout/resume/run-missing', { headers: ALICE });
+        assert.equal(status, 400);
+    });
+
+    test('only runs started under a second operator\'s approval can be resumed', async () => {
+        process.env.LOGOUT_ENABLED = 'true';
+        const controller = new AbortController();
+        controller.abort();
+        const unapproved = await forceLogoutAllUsers([], false, { signal: controller.signal });
+        const refused = await request('POST', `/force-logout/resume/${unapproved.runId}`, { headers: ALICE });
+        assert.equal(refused.status, 403);
+
+        // As runPolicy starts it: the project's exclusions plus the policy's own
+        const approved = await forceLogoutAllUsers(['user-0', 'alice', 'bob', 'mallory', 'user-7'], false, {
+            signal: controller.signal,
+            approval: { policyId: 'policy-test', proposedBy: 'alice', approvedBy: 'bob' }
+        });
+        const revokedBefore = fake.callsTo('revokeRefreshTokens', 'user-7').length;
+        const resumed = await request('POST', `/force-logout/resume/${approved.runId}`, { headers: ALICE });
+        assert.equal(resumed.status, 202);
+        const job = await waitForJob(resumed.body.jobId);
+        assert.equal(job.status, 'completed');
+        assert.equal(job.result.skipped, 5);
+        assert.equal(fake.callsTo('revokeRefreshTokens', 'user-7').length, revokedBefore);
+    });
+
+    test('resuming a run of an approved request keeps the request\'s exclusion snapshot', async () => {
+        process.env.LOGOUT_ENABLED = 'true';
+        // user-8 was excluded when the request was approved, but is no longer in the project list
+        const { id } = approvals.createRequest({
+            proposer: { id: 'alice', type: 'firebase', email: 'alice@example.com' },
+            immediate: false,
+            excludedUserIds: ['user-0', 'alice', 'bob', 'mallory', 'user-8']
+        });
+        approvals.setEstimate(id, { status: 'ready', targeted: 28 });
+        approvals.markApproved(id, { id: 'bob', type: 'firebase', email: 'bob@example.com' });
+
+        const controller = new AbortController();
+        controller.abort();
+        const interrupted = await forceLogoutAllUsers([], false, {
+            signal: controller.signal,
+            approval: { requestId: id, proposedBy: 'alice', approvedBy: 'bob' }
+        });
+        const revokedBefore = fake.callsTo('revokeRefreshTokens', 'user-8').length;
+        const resumed = await request('POST', `/force-logout/resume/${interrupted.runId}`, { headers: ALICE });
+        assert.equal(resumed.status, 202);
+        assert.equal((await waitForJob(resumed.body.jobId)).status, 'completed');
+        assert.equal(fake.callsTo('revokeRefreshTokens', 'user-8').length, revokedBefore);
+    });
+
+    test('GET /audit filters by uid and validates timestamps', async () => {
+        const { status, body } = await request('GET', '/audit?uid=user-5', { headers: ALICE });
+        assert.equal(status, 200);
+        assert.ok(body.entries.length > 0);
+        assert.ok(body.entries.every(entry => entry.uid === 'user-5'));
+
+        assert.equal((await request('GET', '/audit?since=not-a-date', { headers: ALICE })).status, 400);
+    });
+});
+
+describe('run history', () => {
+    test('lists past runs and serves their reports as JSON, CSV and HTML', async () => {
+        const { status, body } = await request('GET', '/runs?status=completed&limit=1', { headers: ALICE });
+        assert.equal(status, 200);
+        assert.equal(body.runs.length, 1);
+        const [run] = body.runs;
+
+        const report = await request('GET', `/runs/${run.runId}/report`, { headers: ALICE });
+        assert.equal(report.status, 200);
+        assert.equal(report.body.run.runId, run.runId);
+
+        const csv = await fetch(`${baseUrl}/runs/${run.runId}/report?format=csv`, { headers: ALICE });
+        assert.equal(csv.status, 200);
+        assert.match(csv.headers.get('content-type'), /^text\/csv/);
+        assert.match(csv.headers.get('content-disposition'), new RegExp(`${run.runId}\\.csv`));
+        assert.ok((await csv.text()).startsWith('uid,status,error,createdAt\n'));
+
+        const html = await fetch(`${baseUrl}/runs/${run.runId}/report?format=html&compare=${run.runId}`, { headers: ALICE });
+        assert.match(html.headers.get('content-type'), /^text\/html/);
+        assert.match(await html.text(), /Compared with run/);
+    });
+
+    test('rejects unknown formats, filters and runs', async () => {
+        const [run] = (await request('GET', '/runs', { headers: ALICE })).body.runs;
+        assert.equal((await request('GET', `/runs/${run.runId}/report?format=xml`, { headers: ALICE })).status, 400);
+        assert.equal((await request('GET', '/runs?status=running', { headers: ALICE })).status, 400);
+        assert.equal((await request('GET', '/runs?limit=0', { headers: ALICE })).status, 400);
+        assert.equal((await request('GET', '/runs/run-missing/report', { headers: ALICE })).status, 404);
+        assert.equal((await request('GET', '/runs', { headers: { authorization: 'Bearer mallory-token' } })).status, 403);
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+// Keep journals, the audit log and the delivery log out of the repository
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logout-webhooks-'));
+process.env.JOURNAL_DIR = path.join(dataDir, 'runs');
+process.env.AUDIT_LOG = path.join(dataDir, 'audit.jsonl');
+process.env.WEBHOOK_LOG = path.join(dataDir, 'deliveries.jsonl');
+
+const { installFakeAuth, makeUsers } = require('./fakeAuth');
+const { forceLogoutAllUsers } = require('../forceLogoutUsers');
+const { notifyWebhooks, flushWebhooks, signPayload, readDeliveries } = require('../webhooks');
+
+const RATE_LIMITS = { updateUser: 10000, revokeRefreshTokens: 10000, listUsers: 10000, getUser: 10000, getUsers: 10000 };
+
+describe('webhooks', () => {
+    let receiver;
+    let received;
+    // Status codes the receiver answers with, one per request (200 once they run out)
+    let statuses;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ url: req.url, headers: req.headers, body, json: JSON.parse(body) });
+                res.statusCode = statuses.shift() || 200;
+                res.end();
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        process.env.WEBHOOK_URL = `http://127.0.0.1:${receiver.address().port}/hooks/logout`;
+        process.env.WEBHOOK_SECRET = 'shh';
+    });
+
+    beforeEach(() => {
+        received = [];
+        statuses = [];
+        delete process.env.SLACK_WEBHOOK_URL;
+        fs.rmSync(process.env.WEBHOOK_LOG, { force: true });
+    });
+
+    after(async () => {
+        await new Promise(resolve => receiver.close(resolve));
+        for (const name of ['WEBHOOK_URL', 'WEBHOOK_SECRET', 'SLACK_WEBHOOK_URL', 'WEBHOOK_FAILURE_THRESHOLD']) delete process.env[name];
+        mock.restoreAll();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('signs JSON deliveries so receivers can verify them', async () => {
+        const [delivery] = await notifyWebhooks('run.complete', { runId: 'run-1', success: 3, failed: 0 });
+
+        assert.equal(delivery.status, 'delivered');
+        const [request] = received;
+        assert.equal(request.headers['x-logout-event'], 'run.complete');
+        assert.equal(request.headers['x-logout-signature'], signPayload('shh', request.headers['x-logout-timestamp'], request.body));
+        assert.deepEqual(request.json.data, { runId: 'run-1', success: 3, failed: 0 });
+        assert.equal(request.json.id, delivery.id);
+    });
+
+    test('retries server errors, gives up on client errors, and logs every delivery', async () => {
+        statuses = [503];
+        const [retried] = await notifyWebhooks('run.start', { runId: 'run-2', mode: 'revoke', excludedCount: 0 });
+        assert.equal(retried.status, 'delivered');
+        assert.equal(retried.attempts, 2);
+
+        statuses = [400];
+        const [rejected] = await notifyWebhooks('run.failed', { runId: 'run-2', success: 0, error: 'boom' });
+        assert.equal(rejected.status, 'failed');
+        assert.equal(rejected.attempts, 1);
+        assert.equal(rejected.error, 'HTTP 400');
+
+        const logged = readDeliveries({ runId: 'run-2' });
+        assert.deepEqual(logged.map(entry => [entry.event, entry.status, entry.attempts]), [
+            ['run.start', 'delivered', 2],
+            ['run.failed', 'failed', 1]
+        ]);
+        // Only the origin is logged, never the path of the url
+        assert.equal(logged[0].endpoint, 'WEBHOOK_URL');
+        assert.ok(!fs.readFileSync(process.env.WEBHOOK_LOG, 'utf8').includes('/hooks/logout'));
+    });
+
+    test('posts a Slack text message', async () => {
+        process.env.SLACK_WEBHOOK_URL = `http://127.0.0.1:${receiver.address().port}/services/T000/B000/secret`;
+        await notifyWebhooks('run.complete', { runId: 'run-3', success: 5, failed: 1, skipped: 2, unrestored: 0, durationSeconds: 4 });
+
+        const slack = received.find(request => request.url.startsWith('/services'));
+        assert.deepEqual(Object.keys(slack.json), ['text']);
+        assert.match(slack.json.text, /run-3 completed on the default project: 5 logged out, 1 failed, 2 skipped/);
+        assert.equal(slack.headers['x-logout-signature'], undefined);
+    });
+
+    test('a run notifies its start, its failure threshold and its result', async () => {
+        process.env.WEBHOOK_FAILURE_THRESHOLD = '1';
+        const fake = installFakeAuth({ users: makeUsers(20) });
+        try {
+            for (const uid of ['user-3', 'user-4', 'user-5']) {
+                fake.failNext('revokeRefreshTokens', { uid, error: new Error('boom') });
+            }
+            const result = await forceLogoutAllUsers(['user-0'], false, { rateLimits: RATE_LIMITS, actor: { type: 'test', id: 'alice' } });
+            await flushWebhooks();
+
+            // Deliveries run concurrently, so they may arrive in any order
+            const events = Object.fromEntries(received.map(request => [request.json.event, request.json.data]));
+            assert.deepEqual(Object.keys(events).sort(), ['run.complete', 'run.failure-threshold', 'run.start']);
+            const { 'run.start': start, 'run.failure-threshold': threshold, 'run.complete': complete } = events;
+            assert.equal(start.runId, result.runId);
+            assert.equal(start.actor.id, 'alice');
+            assert.equal(threshold.failed, 2);
+            assert.equal(complete.success, 16);
+            assert.equal(complete.failed, 3);
+            assert.equal(complete.skipped, 1);
+        } finally {
+            fake.restore();
+            delete process.env.WEBHOOK_FAILURE_THRESHOLD;
+        }
+    });
+});
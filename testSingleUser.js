@@ -1,93 +1,150 @@
-const { initializeFirebase } = require('./forceLogoutUsers');
-const admin = require('firebase-admin');
+const { generateRunId, openJournal } = require('./journal');
+const { recordAudit, getCliActor } = require('./audit');
+const { getAuth, describeTarget } = require('./projects');
+const { createLogger } = require('./logger');
+const { saveSingleUserRun } = require('./runHistory');
+const { resolveSignalBackend, createSignalWriter, signalUserLogout } = require('./revocationSignal');
+
+const log = createLogger({ component: 'test-single-user' });
 
 /**
- * Test script to logout a single user
+ * Logout a single user by revoking their refresh tokens, then verify the revocation
  * This is useful for testing before running the full batch logout
+ * The revocation is written to the audit log (see audit.js); the uid and email are logged
+ * through logger.js, so they are redacted when redaction is configured
+ * Once confirmed, the logout is journaled and saved to the run history like a batch run (see runHistory.js)
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {Function} [options.confirm] - async (userRecord) => boolean, asked after the user is shown; nothing is changed unless it resolves true
+ * @param {string} [options.project] - Named project from config.js (default project when omitted)
+ * @param {string} [options.tenant] - Identity Platform tenant id
+ * @param {string|boolean} [options.revocationSignal] - 'firestore' or 'rtdb' to write the user's revocation marker, false for none (defaults to revocationSignal in config.js)
+ * @returns {Promise<{runId: string, verified: boolean, aborted: boolean}>}
+ * @throws {Error} if the user cannot be fetched or the revocation fails
  */
-async function testSingleUserLogout(userId) {
+async function testSingleUserLogout(userId, options = {}) {
     if (!userId) {
-        console.error('❌ Error: User ID is required');
-        console.log('\nUsage: node testSingleUser.js <user-id>');
-        console.log('Example: node testSingleUser.js abc123xyz456');
-        process.exit(1);
+        throw Object.assign(new Error('User ID is required'), { code: 'cli/usage' });
     }
 
-    console.log('=== Testing Single User Logout ===\n');
-    console.log(`Target User ID: ${userId}`);
+    log.info('=== Testing Single User Logout ===\n');
+    const target = { project: options.project, tenant: options.tenant };
+    const runId = generateRunId('test');
+    const userLog = log.child({ runId, uid: userId });
+    userLog.info('Target User ID: {uid}');
+    userLog.info('Target: {target}', { target: describeTarget(target) });
+
+    // Set once the logout is confirmed; the catch block records the failure in it
+    let journal = null;
+    let startedAt = null;
+    let signal = null;
+    // A record that cannot be saved does not fail the logout: the journal has its outcome
+    const saveToHistory = (fields = {}) => {
+        try {
+            saveSingleUserRun({ runId, uid: userId, mode: 'revoke', target, actor: getCliActor(), startedAt, signal, ...fields });
+        } catch (error) {
+            userLog.warn('⚠️  Could not save run {runId} to the run history: {error}', { error: error.message });
+        }
+    };
 
     try {
         // Initialize Firebase
-        initializeFirebase();
-        console.log('✅ Firebase initialized successfully\n');
+        const auth = getAuth(target);
+        const signalBackend = resolveSignalBackend(options.revocationSignal);
+        const signalWriter = signalBackend ? createSignalWriter(signalBackend, target) : null;
+        signal = signalWriter ? { backend: signalBackend, scope: 'user', written: 0, failed: 0 } : null;
+        // Tell the user's apps to sign out now rather than at their next token refresh (see revocationSignal.js)
+        const signalLogout = async (revokedAt) => {
+            if (!signalWriter) return;
+            const written = await signalUserLogout(signalWriter, userId, revokedAt, { runId, log: userLog });
+            signal[written ? 'written' : 'failed']++;
+            if (written) {
+                userLog.info('📣 Revocation marker written to {backend}', { backend: signalBackend });
+            }
+        };
+        userLog.info('✅ Firebase initialized successfully\n');
 
         // First, fetch user details
-        console.log('Fetching user details...');
+        userLog.info('Fetching user details...');
         let userRecord;
         try {
-            userRecord = await admin.auth().getUser(userId);
-            console.log('✅ User found:');
-            console.log(`   - UID: ${userRecord.uid}`);
-            console.log(`   - Email: ${userRecord.email || 'N/A'}`);
-            console.log(`   - Display Name: ${userRecord.displayName || 'N/A'}`);
-            console.log(`   - Created: ${new Date(userRecord.metadata.creationTime).toLocaleString()}`);
-            console.log(`   - Last Sign In: ${userRecord.metadata.lastSignInTime ? new Date(userRecord.metadata.lastSignInTime).toLocaleString() : 'Never'}`);
-            console.log(`   - Tokens Valid After: ${new Date(userRecord.tokensValidAfterTime).toLocaleString()}\n`);
+            userRecord = await auth.getUser(userId);
+            userLog.info('✅ User found:');
+            userLog.info('   - UID: {uid}');
+            userLog.info('   - Email: {email}', { email: userRecord.email });
+            userLog.info('   - Display Name: {displayName}', { displayName: userRecord.displayName });
+            userLog.info('   - Created: {created}', { created: new Date(userRecord.metadata.creationTime).toLocaleString() });
+            userLog.info('   - Last Sign In: {lastSignIn}', {
+                lastSignIn: userRecord.metadata.lastSignInTime ? new Date(userRecord.metadata.lastSignInTime).toLocaleString() : 'Never'
+            });
+            userLog.info('   - Tokens Valid After: {tokensValidAfter}\n', { tokensValidAfter: new Date(userRecord.tokensValidAfterTime).toLocaleString() });
         } catch (error) {
-            console.error(`❌ Failed to fetch user: ${error.message}`);
-            process.exit(1);
+            userLog.error('❌ Failed to fetch user: {error}', { error: error.message });
+            throw error;
         }
 
-        // Ask for confirmation
-        console.log('⚠️  WARNING: This will revoke all refresh tokens for this user.');
-        console.log('The user will be forced to login again on their next request.\n');
+        userLog.warn('⚠️  WARNING: This will revoke all refresh tokens for this user.');
+        userLog.info('The user will be forced to login again on their next request.\n');
+
+        if (options.confirm && !(await options.confirm(userRecord))) {
+            userLog.info('Aborted. No changes were made.');
+            return { runId: null, verified: false, aborted: true };
+        }
 
         // Revoke refresh tokens
-        console.log('Revoking refresh tokens...');
+        userLog.info('Revoking refresh tokens...');
         const beforeRevoke = new Date();
 
-        await admin.auth().revokeRefreshTokens(userId);
+        startedAt = beforeRevoke;
+        recordAudit('run.start', { runId, actor: getCliActor(), mode: 'revoke', dryRun: false, singleUser: userId, ...target });
+        journal = openJournal(runId);
+        journal.record('start', { params: { immediateLogout: false, singleUser: userId, ...target } });
+        await auth.revokeRefreshTokens(userId);
+        recordAudit('user.revoke', { runId, uid: userId });
+        await signalLogout(beforeRevoke);
+        journal.record('user', { uid: userId, status: 'success', originalDisabled: userRecord.disabled, createdAt: new Date(userRecord.metadata.creationTime).toISOString() });
+        journal.record('complete', {});
+        recordAudit('run.complete', { runId, totals: { success: 1 } });
+        saveToHistory();
 
-        console.log('✅ Tokens revoked successfully!\n');
+        userLog.info('✅ Tokens revoked successfully!\n');
 
         // Verify the revocation
-        console.log('Verifying revocation...');
-        const updatedUser = await admin.auth().getUser(userId);
+        userLog.info('Verifying revocation...');
+        const updatedUser = await auth.getUser(userId);
         const afterRevoke = new Date(updatedUser.tokensValidAfterTime);
 
-        console.log(`   - New Tokens Valid After: ${afterRevoke.toLocaleString()}`);
-        console.log(`   - Revocation Time: ${beforeRevoke.toLocaleString()}\n`);
+        userLog.info('   - New Tokens Valid After: {tokensValidAfter}', { tokensValidAfter: afterRevoke.toLocaleString() });
+        userLog.info('   - Revocation Time: {revokedAt}\n', { revokedAt: beforeRevoke.toLocaleString() });
 
         const timeDiff = Math.abs(afterRevoke - beforeRevoke);
-        if (timeDiff < 5000) { // Within 5 seconds means success
-            console.log('✅ SUCCESS: Tokens successfully revoked!');
-            console.log('   The user is now LOGGED OUT and will be forced to re-authenticate.');
-            console.log('   Note: Active sessions may continue until the access token expires,');
-            console.log('   but any new requests requiring token refresh will fail.\n');
+        const verified = timeDiff < 5000; // Within 5 seconds means success
+        if (verified) {
+            userLog.info('✅ SUCCESS: Tokens successfully revoked!');
+            userLog.info('   The user is now LOGGED OUT and will be forced to re-authenticate.');
+            userLog.info('   Note: Active sessions may continue until the access token expires,');
+            userLog.info('   but any new requests requiring token refresh will fail.\n');
         } else {
-            console.log('⚠️  WARNING: Token revocation may not have worked as expected.');
-            console.log(`   Time difference: ${timeDiff}ms\n`);
+            userLog.warn('⚠️  WARNING: Token revocation may not have worked as expected.');
+            userLog.warn('   Time difference: {timeDiffMs}ms\n', { timeDiffMs: timeDiff });
         }
 
-        console.log('\n=== Test Complete ===');
-        console.log('If this test was successful, you can now run the full batch logout:');
-        console.log('   npm start\n');
+        userLog.info('\n=== Test Complete ===');
+        userLog.info('If this test was successful, you can now run the full batch logout:');
+        userLog.info('   node cli.js logout-all\n');
+        return { runId, verified, aborted: false };
 
     } catch (error) {
-        console.error('\n❌ Test failed:', error.message);
-        console.error('\nFull error:', error);
-        process.exit(1);
+        userLog.error('\n❌ Test failed: {error}', { error: error.message });
+        recordAudit('run.failed', { runId, uid: userId, error: error.message });
+        if (journal) {
+            journal.record('user', { uid: userId, status: 'failed', error: error.message });
+            saveToHistory({ error });
+        }
+        throw error;
     }
 }
 
-// Get user ID from command line argument or use hardcoded value
-const userId = process.argv[2] || '4C5TKE0NXLSnUpdIswq1WNLGXsM2';
-
-// Run the test
-testSingleUserLogout(userId).then(() => {
-    console.log('✅ Test completed successfully');
-    process.exit(0);
-}).catch((error) => {
-    console.error('❌ Test failed:', error);
-    process.exit(1);
-});
+module.exports = {
+    testSingleUserLogout
+};
@@ -0,0 +1,123 @@
+const admin = require('firebase-admin');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'verification' });
+
+/**
+ * Post-run verification
+ * Re-reads logged out users in bulk (getUsers, 100 per call) and confirms that
+ *   - tokensValidAfterTime is at or after the run start (tokens were really revoked), and
+ *   - disabled is back to the value the user had before the run.
+ * Mismatched users are fixed (revoked again / disabled state restored) and checked
+ * again, a limited number of times; whatever still does not match is reported.
+ * A disabled state is only put back for the users canRestore allows: verifying a run
+ * long after it ended must not re-enable accounts an admin has disabled since.
+ */
+
+// getUsers accepts at most 100 identifiers per call
+const GET_USERS_BATCH_SIZE = 100;
+
+// tokensValidAfterTime is set by the Auth backend's clock (with second precision),
+// so allow for a little skew against the local clock that recorded the run start
+const CLOCK_SKEW_TOLERANCE_MS = 5000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Compare a user record with the expected post-logout state
+ * @param {Object} userRecord
+ * @param {boolean|undefined} originalDisabled - undefined when the original state is unknown
+ * @param {number} sinceMs - Run start in epoch ms
+ * @returns {string[]} Problems found ('tokens-not-revoked', 'disabled-mismatch'); empty when verified
+ */
+function checkUser(userRecord, originalDisabled, sinceMs) {
+    const problems = [];
+    const validAfter = userRecord.tokensValidAfterTime ? Date.parse(userRecord.tokensValidAfterTime) : NaN;
+    if (!(validAfter >= sinceMs - CLOCK_SKEW_TOLERANCE_MS)) {
+        problems.push('tokens-not-revoked');
+    }
+    if (originalDisabled !== undefined && userRecord.disabled !== originalDisabled) {
+        problems.push('disabled-mismatch');
+    }
+    return problems;
+}
+
+/**
+ * Fix a mismatched user: revoke again and/or put its disabled state back (when restorable)
+ */
+async function repairUser(uid, problems, originalDisabled, call, restorable) {
+    if (problems.includes('disabled-mismatch') && restorable) {
+        await call('updateUser', uid, { disabled: originalDisabled });
+    }
+    if (problems.includes('tokens-not-revoked')) {
+        await call('revokeRefreshTokens', uid);
+    }
+}
+
+/**
+ * Verify that every target was logged out, retrying mismatches
+ * @param {Map<string, boolean|undefined>} targets - uid => disabled state before the run (undefined if unknown)
+ * @param {Object} params
+ * @param {Date} params.since - When the run started
+ * @param {Function} [params.call] - async (method, ...args) => result; defaults to calling admin.auth() directly
+ * @param {number} [params.retries=2] - Repair-and-recheck rounds for mismatched users
+ * @param {number} [params.retryDelayMs=1000] - Pause before each recheck
+ * @param {Function} [params.canRestore] - uid => whether a disabled mismatch may be repaired (defaults to every user)
+ * @returns {Promise<{checked: number, verified: number, repaired: number, mismatched: Array<{uid: string, problems: string[], error?: string}>, notFound: string[]}>}
+ */
+async function verifyLogout(targets, { since, call = (method, ...args) => admin.auth()[method](...args), retries = 2, retryDelayMs = 1000, canRestore = () => true } = {}) {
+    const sinceMs = since.getTime();
+    const summary = { checked: targets.size, verified: 0, repaired: 0, mismatched: [], notFound: [] };
+
+    // Check every pending uid once, returning the mismatches
+    const checkAll = async (uids) => {
+        const mismatches = new Map();
+        for (let i = 0; i < uids.length; i += GET_USERS_BATCH_SIZE) {
+            const batch = uids.slice(i, i + GET_USERS_BATCH_SIZE);
+            const result = await call('getUsers', batch.map(uid => ({ uid })));
+
+            result.notFound.forEach(identifier => summary.notFound.push(identifier.uid));
+            for (const userRecord of result.users) {
+                const problems = checkUser(userRecord, targets.get(userRecord.uid), sinceMs);
+                if (problems.length === 0) {
+                    summary.verified++;
+                } else {
+                    mismatches.set(userRecord.uid, problems);
+                }
+            }
+        }
+        return mismatches;
+    };
+
+    let mismatches = await checkAll([...targets.keys()]);
+    const failures = new Map();
+
+    for (let round = 1; round <= retries && mismatches.size > 0; round++) {
+        log.warn('⚠️  Verification: {count} users do not match the expected state; retrying (round {round}/{retries})...', { count: mismatches.size, round, retries });
+        for (const [uid, problems] of mismatches) {
+            try {
+                await repairUser(uid, problems, targets.get(uid), call, canRestore(uid));
+                failures.delete(uid);
+            } catch (error) {
+                failures.set(uid, error.message);
+            }
+        }
+
+        await sleep(retryDelayMs);
+        const verifiedBefore = summary.verified;
+        mismatches = await checkAll([...mismatches.keys()]);
+        summary.repaired += summary.verified - verifiedBefore;
+    }
+
+    for (const [uid, problems] of mismatches) {
+        const entry = { uid, problems };
+        if (failures.has(uid)) entry.error = failures.get(uid);
+        summary.mismatched.push(entry);
+    }
+    return summary;
+}
+
+module.exports = {
+    verifyLogout,
+    checkUser
+};
@@ -0,0 +1,316 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { loadConfig } = require('./settings');
+const { describeTarget } = require('./projects');
+const { createLogger } = require('./logger');
+
+/**
+ * Outbound webhooks on run lifecycle events
+ * The engine (see forceLogoutUsers.js) notifies every configured endpoint when a
+ * run starts, completes (with its result counts), fails, and once per run when its
+ * failed users exceed the failure threshold. Deliveries never block or fail a run.
+ *
+ * Endpoints come from `webhooks` in config.js, plus WEBHOOK_URL (with WEBHOOK_SECRET)
+ * and SLACK_WEBHOOK_URL in the environment. Two formats:
+ *   json   POST { id, event, time, data }; with a secret, signed as
+ *          x-logout-signature: sha256=HMAC-SHA256(secret, `${x-logout-timestamp}.${body}`)
+ *   slack  POST { text } for Slack (or compatible) incoming webhooks
+ *
+ * Network errors, timeouts, 429 and 5xx responses are retried with exponential
+ * backoff. Every delivery is appended to a JSON Lines log (WEBHOOK_LOG env variable,
+ * or webhooks/deliveries.jsonl), without the endpoint's path or query, which may hold a secret.
+ *
+ * Events: run.start, run.complete, run.failed, run.failure-threshold (and webhook.test)
+ */
+
+const log = createLogger({ component: 'webhooks' });
+
+const EVENTS = ['run.start', 'run.complete', 'run.failed', 'run.failure-threshold'];
+const FORMATS = ['json', 'slack'];
+
+const DEFAULT_SETTINGS = {
+    // run.failure-threshold fires once a run has more failed users than this
+    failureThreshold: 50,
+    // Attempts per delivery, including the first
+    attempts: 3,
+    // Delay before the first retry, doubled for each further retry
+    retryDelayMs: 1000,
+    timeoutMs: 10000
+};
+
+const DEFAULT_DELIVERY_LOG = path.join(__dirname, 'webhooks', 'deliveries.jsonl');
+
+// Deliveries still in flight, awaited by flushWebhooks()
+const pending = new Set();
+
+function webhookError(message) {
+    return Object.assign(new Error(message), { code: 'webhook/invalid-config' });
+}
+
+/**
+ * Delivery log location (WEBHOOK_LOG env variable, or webhooks/deliveries.jsonl)
+ */
+function getDeliveryLogPath() {
+    return process.env.WEBHOOK_LOG ? path.resolve(process.env.WEBHOOK_LOG) : DEFAULT_DELIVERY_LOG;
+}
+
+/**
+ * Webhook endpoints and delivery settings, read fresh from config.js and the environment
+ * @returns {{endpoints: Object[], failureThreshold: number, attempts: number, retryDelayMs: number, timeoutMs: number}}
+ * @throws {Error} code 'webhook/invalid-config'
+ */
+function getWebhookSettings() {
+    const { endpoints = [], ...config } = loadConfig().webhooks || {};
+    const settings = { ...DEFAULT_SETTINGS, ...config };
+    if (process.env.WEBHOOK_FAILURE_THRESHOLD !== undefined) {
+        settings.failureThreshold = Number(process.env.WEBHOOK_FAILURE_THRESHOLD);
+    }
+    for (const name of Object.keys(DEFAULT_SETTINGS)) {
+        if (!Number.isFinite(settings[name]) || settings[name] < 0) {
+            throw webhookError(`webhooks.${name} must be a non-negative number`);
+        }
+    }
+
+    const all = [...endpoints];
+    if (process.env.WEBHOOK_URL) {
+        all.push({ name: 'WEBHOOK_URL', url: process.env.WEBHOOK_URL, secret: process.env.WEBHOOK_SECRET });
+    }
+    if (process.env.SLACK_WEBHOOK_URL) {
+        all.push({ name: 'SLACK_WEBHOOK_URL', url: process.env.SLACK_WEBHOOK_URL, format: 'slack' });
+    }
+
+    settings.endpoints = all.map((endpoint, index) => {
+        const label = endpoint.name || `webhooks.endpoints[${index}]`;
+        let url;
+        try {
+            url = new URL(endpoint.url);
+        } catch (error) {
+            throw webhookError(`${label}: invalid url`);
+        }
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            throw webhookError(`${label}: url must be http(s)`);
+        }
+        const format = endpoint.format || 'json';
+        if (!FORMATS.includes(format)) {
+            throw webhookError(`${label}: format must be ${FORMATS.join(' or ')}`);
+        }
+        const events = endpoint.events || EVENTS;
+        const unknown = events.filter(event => !EVENTS.includes(event));
+        if (unknown.length > 0) {
+            throw webhookError(`${label}: unknown events ${unknown.join(', ')} (expected ${EVENTS.join(', ')})`);
+        }
+        return {
+            // Only the origin is logged; Slack webhook urls carry their secret in the path
+            name: endpoint.name || url.origin,
+            url: url.href,
+            format,
+            secret: endpoint.secret || null,
+            events
+        };
+    });
+    return settings;
+}
+
+/**
+ * Signature of a JSON delivery, for receivers to verify against x-logout-signature
+ * @param {string} secret
+ * @param {string} timestamp - The x-logout-timestamp header
+ * @param {string} body - The raw request body
+ * @returns {string} 'sha256=<hex>'
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function describeActor(actor) {
+    if (!actor) return 'an unknown caller';
+    return actor.email ? `${actor.id} (${actor.email})` : actor.id;
+}
+
+/**
+ * One-line summary of an event, used as the Slack message
+ */
+function formatMessage(event, data) {
+    const run = `Logout run ${data.runId || ''}`.trim();
+    const target = `the ${describeTarget(data)}`;
+    switch (event) {
+        case 'run.start':
+            return `🚀 ${run} ${data.resumed ? 'resumed' : 'started'} on ${target} by ${describeActor(data.actor)} ` +
+                `(${data.mode === 'immediate' ? 'IMMEDIATE: sessions terminated' : 'revoke tokens'}, ${data.excludedCount} excluded)`;
+        case 'run.complete':
+            return `${data.cancelled ? '🛑' : data.failed > 0 ? '⚠️' : '✅'} ${run} ${data.cancelled ? 'cancelled' : 'completed'} on ${target}: ` +
+                `${data.success} logged out, ${data.failed} failed, ${data.skipped} skipped` +
+                `${data.unrestored > 0 ? `, 🚨 ${data.unrestored} left disabled` : ''} (${data.durationSeconds}s)`;
+        case 'run.failed':
+            return `❌ ${run} failed on ${target} after ${data.success} users: ${data.error}`;
+        case 'run.failure-threshold':
+            return `🚨 ${run} on ${target} has ${data.failed} failed users (threshold ${data.threshold}) and is still running`;
+        default:
+            return `🔔 Test notification from the Firebase logout service (${data.sentBy ? `sent by ${describeActor(data.sentBy)}` : 'no run'})`;
+    }
+}
+
+function buildRequest(endpoint, delivery, data) {
+    if (endpoint.format === 'slack') {
+        return { headers: {}, body: JSON.stringify({ text: formatMessage(delivery.event, data) }) };
+    }
+    const body = JSON.stringify({ id: delivery.id, event: delivery.event, time: delivery.time, data });
+    const headers = {
+        'x-logout-event': delivery.event,
+        'x-logout-delivery': delivery.id,
+        'x-logout-timestamp': String(Math.floor(Date.parse(delivery.time) / 1000))
+    };
+    if (endpoint.secret) headers['x-logout-signature'] = signPayload(endpoint.secret, headers['x-logout-timestamp'], body);
+    return { headers, body };
+}
+
+const isRetryable = status => status === 429 || status >= 500;
+
+/**
+ * Deliver one event to one endpoint, retrying transient failures
+ * @returns {Promise<Object>} The delivery record (also appended to the delivery log)
+ */
+async function deliver(endpoint, event, data, settings) {
+    const delivery = {
+        id: `dlv-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+        event,
+        time: new Date().toISOString(),
+        endpoint: endpoint.name,
+        format: endpoint.format,
+        runId: data.runId || null,
+        status: 'failed',
+        attempts: 0,
+        responseStatus: null,
+        error: null
+    };
+    const { headers, body } = buildRequest(endpoint, delivery, data);
+
+    while (delivery.attempts < Math.max(settings.attempts, 1)) {
+        if (delivery.attempts > 0) {
+            await new Promise(resolve => setTimeout(resolve, settings.retryDelayMs * 2 ** (delivery.attempts - 1)));
+        }
+        delivery.attempts++;
+        try {
+            const response = await fetch(endpoint.url, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json', 'user-agent': 'firebase-logout-service', ...headers },
+                body,
+                signal: AbortSignal.timeout(settings.timeoutMs)
+            });
+            // Drain the body so the connection can be reused
+            await response.arrayBuffer().catch(() => {});
+            delivery.responseStatus = response.status;
+            if (response.ok) {
+                delivery.status = 'delivered';
+                delivery.error = null;
+                break;
+            }
+            delivery.error = `HTTP ${response.status}`;
+            if (!isRetryable(response.status)) break;
+        } catch (error) {
+            delivery.responseStatus = null;
+            delivery.error = error.name === 'TimeoutError' ? `Timed out after ${settings.timeoutMs}ms` : error.message;
+        }
+    }
+
+    const file = getDeliveryLogPath();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify({ ts: new Date().toISOString(), ...delivery }) + '\n');
+    if (delivery.status === 'delivered') {
+        log.debug('📨 Webhook {event} delivered to {endpoint}', { event, endpoint: endpoint.name, runId: delivery.runId });
+    } else {
+        log.warn('⚠️  Webhook {event} to {endpoint} failed after {attempts} attempts: {error}', {
+            event,
+            endpoint: endpoint.name,
+            attempts: delivery.attempts,
+            error: delivery.error,
+            runId: delivery.runId
+        });
+    }
+    return delivery;
+}
+
+/**
+ * Send an event to every endpoint subscribed to it, in the background
+ * Never rejects: a broken config or unreachable endpoint is logged, never thrown into the run
+ * @param {string} event - One of EVENTS, or 'webhook.test' (sent to every endpoint)
+ * @param {Object} data - Event payload (runId, mode, project, tenant, actor and counts)
+ * @returns {Promise<Object[]>} Resolves with the delivery records once every delivery has finished
+ */
+function notifyWebhooks(event, data) {
+    let settings;
+    try {
+        settings = getWebhookSettings();
+    } catch (error) {
+        log.error('❌ Webhooks not sent ({event}): {error}', { event, error: error.message });
+        return Promise.resolve([]);
+    }
+
+    const endpoints = settings.endpoints.filter(endpoint => event === 'webhook.test' || endpoint.events.includes(event));
+    const deliveries = Promise.all(endpoints.map(endpoint => deliver(endpoint, event, data, settings).catch((error) => {
+        log.error('❌ Webhook {event} to {endpoint} could not be sent: {error}', { event, endpoint: endpoint.name, error: error.message });
+        return { event, endpoint: endpoint.name, status: 'failed', error: error.message };
+    })));
+    pending.add(deliveries);
+    deliveries.finally(() => pending.delete(deliveries));
+    return deliveries;
+}
+
+/**
+ * The failure threshold of a run (see DEFAULT_SETTINGS), or Infinity when webhooks are misconfigured
+ */
+function getFailureThreshold() {
+    try {
+        return getWebhookSettings().failureThreshold;
+    } catch (error) {
+        return Infinity;
+    }
+}
+
+/**
+ * Wait for every delivery still in flight (e.g. before the CLI exits)
+ */
+async function flushWebhooks() {
+    while (pending.size > 0) {
+        await Promise.all([...pending]);
+    }
+}
+
+/**
+ * Most recent deliveries from the delivery log, oldest first
+ * @param {Object} [filters]
+ * @param {string} [filters.runId]
+ * @param {string} [filters.event]
+ * @param {number} [filters.limit=100]
+ * @returns {Object[]}
+ */
+function readDeliveries({ runId, event, limit = 100 } = {}) {
+    const file = getDeliveryLogPath();
+    if (!fs.existsSync(file)) return [];
+    const entries = [];
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            continue; // A torn last line from a crash
+        }
+        if (runId && entry.runId !== runId) continue;
+        if (event && entry.event !== event) continue;
+        entries.push(entry);
+    }
+    return entries.slice(-limit);
+}
+
+module.exports = {
+    EVENTS,
+    getWebhookSettings,
+    getFailureThreshold,
+    signPayload,
+    formatMessage,
+    notifyWebhooks,
+    flushWebhooks,
+    readDeliveries
+};